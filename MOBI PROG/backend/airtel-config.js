@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY Airtel Money configuration
+ * Shared by the API server and the dashboard router so both talk to the Airtel Open API the same way
+ */
+
+const PORT = process.env.PORT || 3000;
+const environment = process.env.AIRTEL_ENVIRONMENT || 'sandbox';
+
+const airtelConfig = {
+    clientId: process.env.AIRTEL_CLIENT_ID || '',
+    clientSecret: process.env.AIRTEL_CLIENT_SECRET || '',
+    country: process.env.AIRTEL_COUNTRY || 'KE',
+    currency: process.env.AIRTEL_CURRENCY || 'KES',
+    callbackUrl: process.env.AIRTEL_CALLBACK_URL || `http://localhost:${PORT}/api/airtel/callback`,
+    // Without it every callback is rejected; the offline simulator gets a throwaway secret per run
+    callbackSecret: process.env.AIRTEL_CALLBACK_SECRET ||
+        (environment === 'simulator' ? crypto.randomBytes(32).toString('hex') : ''),
+    environment: environment,
+    simulatorUrl: process.env.AIRTEL_SIMULATOR_URL || `http://localhost:${PORT}/mock/airtel`
+};
+
+module.exports = airtelConfig;
@@ -0,0 +1,263 @@
+const axios = require('axios');
+const moment = require('moment');
+const crypto = require('crypto');
+const { PaymentProvider } = require('./payment-provider');
+const { t, has } = require('../utils/messages');
+
+/**
+ * MOBIPAY Airtel Money Integration
+ * Airtel Africa Open API collections (USSD push), as a second payment provider next to M-Pesa
+ */
+
+class AirtelMoneyService extends PaymentProvider {
+    constructor(config) {
+        super();
+        this.clientId = config.clientId;
+        this.clientSecret = config.clientSecret;
+        this.country = config.country || 'KE';
+        this.currency = config.currency || 'KES';
+        this.callbackUrl = config.callbackUrl;
+        this.callbackSecret = config.callbackSecret;
+        this.environment = config.environment || 'sandbox'; // 'sandbox', 'production' or 'simulator'
+
+        // Set base URLs
+        if (this.environment === 'production') {
+            this.baseURL = 'https://openapi.airtel.africa';
+        } else if (this.environment === 'simulator') {
+            // Offline Airtel stand-in, see airtel-simulator.js
+            this.baseURL = (config.simulatorUrl || 'http://localhost:4041').replace(/\/$/, '');
+        } else {
+            this.baseURL = 'https://openapiuat.airtel.africa';
+        }
+
+        this.accessToken = null;
+        this.tokenExpiry = null;
+    }
+
+    get name() {
+        return 'AIRTEL';
+    }
+
+    get requestIdIsSecret() {
+        return true;
+    }
+
+    /**
+     * Generate OAuth access token
+     */
+    async generateAccessToken() {
+        try {
+            // Check if current token is still valid
+            if (this.accessToken && this.tokenExpiry && moment().isBefore(this.tokenExpiry)) {
+                return this.accessToken;
+            }
+
+            const response = await axios.post(`${this.baseURL}/auth/oauth2/token`, {
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                grant_type: 'client_credentials'
+            }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': '*/*'
+                }
+            });
+
+            this.accessToken = response.data.access_token;
+            // Refresh a minute before Airtel expires the token
+            const expiresIn = parseInt(response.data.expires_in) || 180;
+            this.tokenExpiry = moment().add(Math.max(expiresIn - 60, 30), 'seconds');
+
+            return this.accessToken;
+
+        } catch (error) {
+            console.error('Error generating Airtel access token:', error.response?.data || error.message);
+            throw new Error('Failed to generate Airtel Money access token');
+        }
+    }
+
+    /**
+     * Request headers for Open API calls
+     */
+    buildHeaders(accessToken) {
+        return {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            'Accept': '*/*',
+            'X-Country': this.country,
+            'X-Currency': this.currency
+        };
+    }
+
+    /**
+     * Initiate a collection (USSD push asking the payer for their Airtel Money PIN)
+     * Airtel posts the result to the callback URL registered on the Airtel developer portal,
+     * so the per-request callbackUrl is not sent. The transaction.id sent to Airtel is random
+     * rather than the MOBIPAY transaction ID, which passengers see, so it cannot be guessed
+     * to match a forged callback.
+     */
+    async push(phoneNumber, amount, reference, description) {
+        try {
+            const accessToken = await this.generateAccessToken();
+            const airtelTransactionId = crypto.randomBytes(10).toString('hex').toUpperCase();
+
+            // Airtel expects the number without the country code
+            const msisdn = phoneNumber.startsWith('254') ? phoneNumber.substring(3) : phoneNumber.replace(/^0/, '');
+
+            const requestPayload = {
+                reference: (description || 'MOBIPAY Payment').substring(0, 64),
+                subscriber: {
+                    country: this.country,
+                    currency: this.currency,
+                    msisdn: msisdn
+                },
+                transaction: {
+                    amount: amount,
+                    country: this.country,
+                    currency: this.currency,
+                    id: airtelTransactionId
+                }
+            };
+
+            const response = await axios.post(
+                `${this.baseURL}/merchant/v1/payments/`,
+                requestPayload,
+                { headers: this.buildHeaders(accessToken) }
+            );
+
+            const status = response.data.status || {};
+            if (!status.success) {
+                return {
+                    success: false,
+                    error: status.message || 'Airtel Money payment request failed',
+                    errorCode: status.response_code || status.code || 'UNKNOWN_ERROR'
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    providerRequestId: airtelTransactionId,
+                    merchantRequestId: reference,
+                    responseCode: status.response_code,
+                    responseDescription: status.message,
+                    customerMessage: 'Enter your Airtel Money PIN on your phone to complete the payment'
+                }
+            };
+
+        } catch (error) {
+            console.error('Airtel Money push error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.status?.message || 'Airtel Money payment request failed',
+                errorCode: error.response?.data?.status?.response_code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Transaction enquiry
+     * Transaction status is TS (success), TF (failed), TE (expired), TIP (in progress) or TA (ambiguous)
+     */
+    async query(reference) {
+        try {
+            const accessToken = await this.generateAccessToken();
+
+            const response = await axios.get(
+                `${this.baseURL}/standard/v1/payments/${encodeURIComponent(reference)}`,
+                { headers: this.buildHeaders(accessToken) }
+            );
+
+            const transaction = response.data.data?.transaction || {};
+            const status = response.data.status || {};
+            const resolved = ['TS', 'TF', 'TE'].includes(transaction.status);
+
+            return {
+                success: true,
+                data: {
+                    resolved: resolved,
+                    paid: transaction.status === 'TS',
+                    resultCode: resolved ? (status.response_code || transaction.status) : undefined,
+                    resultDesc: transaction.message || status.message,
+                    receiptNumber: transaction.airtel_money_id
+                }
+            };
+
+        } catch (error) {
+            console.error('Airtel Money enquiry error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.status?.message || 'Airtel Money enquiry failed',
+                errorCode: error.response?.data?.status?.response_code || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Validate callback structure
+     */
+    validateCallback(callbackData) {
+        if (!callbackData || !callbackData.transaction) {
+            return { isValid: false, error: 'Invalid Airtel callback structure' };
+        }
+
+        const { transaction } = callbackData;
+        if (!transaction.id) {
+            return { isValid: false, error: 'Missing required field: transaction.id' };
+        }
+
+        if (!transaction.status_code) {
+            return { isValid: false, error: 'Missing required field: transaction.status_code' };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Check the callback hash Airtel adds when callback authentication is enabled
+     * (HMAC-SHA256 of the transaction object, base64). Fails when no secret is configured.
+     */
+    verifyCallbackHash(callbackData) {
+        if (!this.callbackSecret || typeof callbackData?.hash !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(crypto
+            .createHmac('sha256', this.callbackSecret)
+            .update(JSON.stringify(callbackData.transaction))
+            .digest('base64'));
+        const received = Buffer.from(callbackData.hash);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Normalise an Airtel callback (Airtel callbacks do not carry the amount)
+     */
+    parseCallback(callbackData) {
+        const { transaction } = callbackData;
+
+        return {
+            providerRequestId: transaction.id,
+            reference: transaction.id,
+            success: transaction.status_code === 'TS',
+            resultCode: transaction.status_code,
+            resultDesc: transaction.message,
+            amount: null,
+            receiptNumber: transaction.airtel_money_id || null
+        };
+    }
+
+    /**
+     * Get transaction status message
+     * @param {string} locale - Optional message locale (see utils/messages.js)
+     */
+    getStatusMessage(resultCode, locale) {
+        const key = `result.airtel.${resultCode}`;
+        return t(locale, has(key) ? key : 'result.unknown', { code: resultCode });
+    }
+}
+
+module.exports = AirtelMoneyService;
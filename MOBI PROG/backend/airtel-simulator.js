@@ -0,0 +1,341 @@
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment');
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY Offline Airtel Money Simulator
+ * Local stand-in for the Airtel Africa Open API endpoints used by AirtelMoneyService,
+ * so Airtel payments can be tested end to end without openapiuat.airtel.africa
+ */
+
+// Callback outcomes the simulator can produce
+const SCENARIOS = {
+    success: {
+        statusCode: 'TS',
+        responseCode: 'DP00800001001',
+        message: 'Transaction is successful.'
+    },
+    insufficient_funds: {
+        statusCode: 'TF',
+        responseCode: 'DP00800001007',
+        message: 'Transaction failed due to insufficient funds.'
+    },
+    wrong_pin: {
+        statusCode: 'TF',
+        responseCode: 'DP00800001002',
+        message: 'Incorrect PIN entered.'
+    },
+    expired: {
+        statusCode: 'TE',
+        responseCode: 'DP00800001029',
+        message: 'Transaction expired, the user did not enter the PIN.'
+    }
+};
+
+class AirtelSimulator {
+    constructor(config = {}) {
+        this.clientId = config.clientId || '';
+        this.clientSecret = config.clientSecret || '';
+        this.callbackUrl = config.callbackUrl || '';
+        this.callbackSecret = config.callbackSecret || '';
+        this.defaultScenario = config.defaultScenario || 'success';
+        this.callbackDelay = config.callbackDelay !== undefined ? config.callbackDelay : 3000;
+        this.autoResolve = config.autoResolve !== false; // false = wait for /simulator/.../resolve
+
+        if (!SCENARIOS[this.defaultScenario]) {
+            throw new Error(`Unknown Airtel simulator scenario: ${this.defaultScenario}`);
+        }
+
+        this.tokens = new Map();
+        this.requests = new Map();
+    }
+
+    /**
+     * Airtel style response envelope
+     */
+    sendStatus(res, httpStatus, success, responseCode, message, data = {}) {
+        return res.status(httpStatus).json({
+            data: data,
+            status: {
+                code: String(httpStatus),
+                message: message,
+                result_code: success ? 'ESB000010' : 'ESB000001',
+                response_code: responseCode,
+                success: success
+            }
+        });
+    }
+
+    /**
+     * Generate an Airtel Money ID in the same shape Airtel uses
+     */
+    generateAirtelMoneyId() {
+        return `MP${moment().format('YYMMDD')}.${moment().format('HHmm')}.${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+
+    /**
+     * Check the Bearer token issued by /auth/oauth2/token
+     */
+    isAuthorized(req) {
+        const authHeader = req.headers['authorization'] || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+        const expiry = token && this.tokens.get(token);
+
+        return !!expiry && moment().isBefore(expiry);
+    }
+
+    /**
+     * Build the callback payload Airtel posts to the registered callback URL
+     */
+    buildCallbackPayload(request) {
+        const payload = {
+            transaction: {
+                id: request.id,
+                message: request.message,
+                status_code: request.statusCode,
+                airtel_money_id: request.airtelMoneyId
+            }
+        };
+
+        if (this.callbackSecret) {
+            payload.hash = crypto
+                .createHmac('sha256', this.callbackSecret)
+                .update(JSON.stringify(payload.transaction))
+                .digest('base64');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Complete a pending collection and fire its callback
+     * @param {string} id - transaction.id sent with the payment request
+     * @param {string} scenarioName - One of the SCENARIOS keys
+     */
+    async resolve(id, scenarioName) {
+        const request = this.requests.get(id);
+        if (!request) {
+            throw new Error(`Unknown transaction id: ${id}`);
+        }
+
+        if (request.status !== 'PENDING') {
+            throw new Error(`Transaction ${id} already resolved as ${request.scenario}`);
+        }
+
+        const scenario = scenarioName || request.scenario;
+        if (!SCENARIOS[scenario]) {
+            throw new Error(`Unknown Airtel simulator scenario: ${scenario}`);
+        }
+
+        clearTimeout(request.timer);
+        request.status = 'RESOLVED';
+        request.scenario = scenario;
+        request.statusCode = SCENARIOS[scenario].statusCode;
+        request.responseCode = SCENARIOS[scenario].responseCode;
+        request.message = SCENARIOS[scenario].message;
+        request.airtelMoneyId = request.statusCode === 'TS' ? this.generateAirtelMoneyId() : null;
+        request.resolvedAt = new Date().toISOString();
+
+        const payload = this.buildCallbackPayload(request);
+
+        if (!this.callbackUrl) {
+            request.callbackStatus = 'NO_CALLBACK_URL';
+            return { request, payload };
+        }
+
+        try {
+            const response = await axios.post(this.callbackUrl, payload, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+            request.callbackStatus = response.status;
+        } catch (error) {
+            request.callbackStatus = error.response?.status || 'UNREACHABLE';
+            console.error(`Airtel simulator callback to ${this.callbackUrl} failed:`, error.message);
+        }
+
+        return { request, payload };
+    }
+
+    /**
+     * Request details without the internal timer
+     */
+    describe(request) {
+        const { timer, ...details } = request;
+        return details;
+    }
+
+    /**
+     * Express router implementing the simulated Airtel Open API
+     */
+    createRouter() {
+        const router = express.Router();
+        router.use(express.json());
+
+        // OAuth token generation
+        router.post('/auth/oauth2/token', (req, res) => {
+            const payload = req.body || {};
+
+            if (payload.grant_type !== 'client_credentials') {
+                return res.status(400).json({ error: 'unsupported_grant_type' });
+            }
+
+            if (this.clientId && (payload.client_id !== this.clientId || payload.client_secret !== this.clientSecret)) {
+                return res.status(401).json({ error: 'invalid_client' });
+            }
+
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            this.tokens.set(accessToken, moment().add(180, 'seconds'));
+
+            res.json({
+                access_token: accessToken,
+                expires_in: '180',
+                token_type: 'bearer'
+            });
+        });
+
+        // Collection (USSD push) request
+        router.post('/merchant/v1/payments/', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendStatus(res, 401, false, 'DP00800001011', 'Invalid or expired access token');
+            }
+
+            const payload = req.body || {};
+            const transaction = payload.transaction || {};
+            const subscriber = payload.subscriber || {};
+
+            if (!transaction.id || !subscriber.msisdn) {
+                return this.sendStatus(res, 400, false, 'DP00800001025', 'transaction.id and subscriber.msisdn are required');
+            }
+
+            if (!(Number(transaction.amount) >= 1)) {
+                return this.sendStatus(res, 400, false, 'DP00800001004', 'Invalid amount');
+            }
+
+            if (this.requests.has(String(transaction.id))) {
+                return this.sendStatus(res, 400, false, 'DP00800001009', 'Duplicate transaction id');
+            }
+
+            const request = {
+                id: String(transaction.id),
+                msisdn: String(subscriber.msisdn),
+                amount: Number(transaction.amount),
+                reference: payload.reference,
+                scenario: this.defaultScenario,
+                status: 'PENDING',
+                statusCode: 'TIP',
+                createdAt: new Date().toISOString()
+            };
+
+            this.requests.set(request.id, request);
+
+            if (this.autoResolve) {
+                request.timer = setTimeout(() => {
+                    this.resolve(request.id).catch(error => {
+                        console.error('Airtel simulator auto-resolve failed:', error.message);
+                    });
+                }, this.callbackDelay);
+            }
+
+            this.sendStatus(res, 200, true, 'DP00800001006', 'Success.', {
+                transaction: { id: request.id, status: 'Success.' }
+            });
+        });
+
+        // Transaction enquiry
+        router.get('/standard/v1/payments/:id', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendStatus(res, 401, false, 'DP00800001011', 'Invalid or expired access token');
+            }
+
+            const request = this.requests.get(req.params.id);
+            if (!request) {
+                return this.sendStatus(res, 404, false, 'DP00800001025', 'Transaction not found');
+            }
+
+            this.sendStatus(res, 200, true, request.responseCode || 'DP00800001006', request.message || 'Transaction in progress', {
+                transaction: {
+                    airtel_money_id: request.airtelMoneyId || null,
+                    id: request.id,
+                    message: request.message || 'Transaction in progress',
+                    status: request.statusCode
+                }
+            });
+        });
+
+        // Simulator controls (not part of the Airtel API)
+        router.get('/simulator/requests', (req, res) => {
+            const requests = Array.from(this.requests.values())
+                .map(request => this.describe(request))
+                .reverse();
+
+            res.json({ success: true, data: requests });
+        });
+
+        router.get('/simulator/scenarios', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    defaultScenario: this.defaultScenario,
+                    scenarios: SCENARIOS
+                }
+            });
+        });
+
+        router.put('/simulator/scenario', (req, res) => {
+            const { scenario } = req.body || {};
+            if (!SCENARIOS[scenario]) {
+                return res.status(400).json({ success: false, error: `Unknown scenario: ${scenario}` });
+            }
+
+            this.defaultScenario = scenario;
+            res.json({ success: true, data: { defaultScenario: scenario } });
+        });
+
+        router.post('/simulator/requests/:id/resolve', async (req, res) => {
+            try {
+                const { request, payload } = await this.resolve(req.params.id, req.body?.scenario);
+                res.json({
+                    success: true,
+                    data: {
+                        request: this.describe(request),
+                        callbackPayload: payload
+                    }
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        return router;
+    }
+}
+
+AirtelSimulator.SCENARIOS = SCENARIOS;
+
+module.exports = AirtelSimulator;
+
+// Run standalone: node airtel-simulator.js
+if (require.main === module) {
+    require('dotenv').config();
+
+    const port = process.env.AIRTEL_SIMULATOR_PORT || 4041;
+    const simulator = new AirtelSimulator({
+        clientId: process.env.AIRTEL_CLIENT_ID,
+        clientSecret: process.env.AIRTEL_CLIENT_SECRET,
+        callbackUrl: process.env.AIRTEL_CALLBACK_URL,
+        callbackSecret: process.env.AIRTEL_CALLBACK_SECRET,
+        defaultScenario: process.env.AIRTEL_SIMULATOR_SCENARIO,
+        callbackDelay: process.env.AIRTEL_SIMULATOR_CALLBACK_DELAY !== undefined
+            ? parseInt(process.env.AIRTEL_SIMULATOR_CALLBACK_DELAY)
+            : undefined,
+        autoResolve: process.env.AIRTEL_SIMULATOR_AUTO_RESOLVE !== 'false'
+    });
+
+    const app = express();
+    app.use('/', simulator.createRouter());
+    app.listen(port, () => {
+        console.log(`🧪 Airtel Money simulator running on port ${port}`);
+        console.log(`   Default scenario: ${simulator.defaultScenario}`);
+    });
+}
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY Callback Security
+ * Signs a per-transaction token into the STK CallBackURL and checks it (plus an
+ * optional source-IP allowlist) before a callback is allowed to change a transaction
+ *
+ * There is no built-in secret: without MPESA_CALLBACK_SECRET every callback is rejected.
+ */
+
+// ID the registered C2B validation and confirmation URLs are signed for
+const C2B_CALLBACK_ID = 'C2B';
+
+class CallbackSecurity {
+    constructor(config = {}) {
+        this.secret = config.callbackSecret || '';
+        this.ipAllowlist = (config.callbackIpAllowlist || '')
+            .split(',')
+            .map(ip => ip.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether a secret is set, so tokens can be signed and checked
+     */
+    isConfigured() {
+        return this.secret.length > 0;
+    }
+
+    /**
+     * Signed token for a transaction
+     * @param {string} transactionId - MOBIPAY transaction ID
+     */
+    signToken(transactionId) {
+        if (!this.isConfigured()) {
+            throw new Error('MPESA_CALLBACK_SECRET is not set, callback tokens cannot be signed');
+        }
+
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(String(transactionId))
+            .digest('hex');
+    }
+
+    /**
+     * Check a token against the transaction it claims to be for
+     */
+    verifyToken(transactionId, token) {
+        if (!this.isConfigured() || !transactionId || typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signToken(transactionId));
+        const received = Buffer.from(token);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Callback URL for one STK push, B2C payout or reversal, carrying the ID and its token
+     * @param {string} callbackUrl - Base callback URL (e.g. MPESA_CALLBACK_URL)
+     * @param {string} transactionId - MOBIPAY transaction, payout or refund ID
+     */
+    buildCallbackUrl(callbackUrl, transactionId) {
+        const url = new URL(callbackUrl);
+        url.searchParams.set('transactionId', transactionId);
+        url.searchParams.set('token', this.signToken(transactionId));
+        return url.toString();
+    }
+
+    /**
+     * Whether a request IP may send callbacks (any IP when no allowlist is configured)
+     */
+    isAllowedIp(ip) {
+        if (this.ipAllowlist.length === 0) {
+            return true;
+        }
+
+        const cleanIp = String(ip || '').replace(/^::ffff:/, '');
+        return this.ipAllowlist.includes(cleanIp);
+    }
+
+    /**
+     * Express middleware rejecting callbacks from unknown IPs or without a valid token
+     * @param {string} expectedId - ID the token must be for, for URLs signed once (e.g. C2B_CALLBACK_ID)
+     */
+    middleware(expectedId = null) {
+        return (req, res, next) => {
+            if (!this.isAllowedIp(req.ip)) {
+                console.warn(`Rejected M-Pesa callback from ${req.ip}: not in the callback IP allowlist`);
+                return res.status(403).json({ error: 'Callback source not allowed' });
+            }
+
+            const { transactionId, token } = req.query;
+            if ((expectedId && transactionId !== expectedId) || !this.verifyToken(transactionId, token)) {
+                console.warn(`Rejected M-Pesa callback from ${req.ip}: missing or invalid callback token`);
+                return res.status(403).json({ error: 'Invalid callback token' });
+            }
+
+            next();
+        };
+    }
+}
+
+CallbackSecurity.C2B_CALLBACK_ID = C2B_CALLBACK_ID;
+
+module.exports = CallbackSecurity;
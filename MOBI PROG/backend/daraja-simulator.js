@@ -0,0 +1,795 @@
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment');
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY Offline Daraja Simulator
+ * Local stand-in for the Safaricom Daraja endpoints used by MpesaService,
+ * so payments can be tested end to end without sandbox.safaricom.co.ke
+ */
+
+// Callback outcomes the simulator can produce
+const SCENARIOS = {
+    success: {
+        resultCode: 0,
+        resultDesc: 'The service request is processed successfully.'
+    },
+    cancelled: {
+        resultCode: 1032,
+        resultDesc: 'Request cancelled by user'
+    },
+    insufficient_funds: {
+        resultCode: 1,
+        resultDesc: 'The balance is insufficient for the transaction'
+    },
+    timeout: {
+        resultCode: 1037,
+        resultDesc: 'DS timeout user cannot be reached'
+    }
+};
+
+// Outcomes for B2C payment and transaction reversal requests
+const B2C_SCENARIOS = {
+    success: {
+        resultCode: 0,
+        resultDesc: 'The service request is processed successfully.'
+    },
+    failed: {
+        resultCode: 2001,
+        resultDesc: 'The initiator information is invalid.'
+    },
+    timeout: {
+        resultCode: 1,
+        resultDesc: 'The request timed out in the queue.'
+    }
+};
+
+class DarajaSimulator {
+    constructor(config = {}) {
+        this.consumerKey = config.consumerKey || '';
+        this.consumerSecret = config.consumerSecret || '';
+        this.shortcode = config.shortcode || '';
+        this.passkey = config.passkey || '';
+        this.defaultScenario = config.defaultScenario || 'success';
+        this.callbackDelay = config.callbackDelay !== undefined ? config.callbackDelay : 3000;
+        this.autoResolve = config.autoResolve !== false; // false = wait for /simulator/.../resolve
+        this.phoneScenarios = config.phoneScenarios || {}; // e.g. { '254700000001': 'cancelled' }
+        this.manualPhones = new Set(config.manualPhones || []); // pushes to these wait for /simulator/.../resolve
+        this.b2cScenario = config.b2cScenario || 'success';
+        this.reversalScenario = config.reversalScenario || 'success';
+
+        if (!SCENARIOS[this.defaultScenario]) {
+            throw new Error(`Unknown simulator scenario: ${this.defaultScenario}`);
+        }
+
+        if (!B2C_SCENARIOS[this.b2cScenario]) {
+            throw new Error(`Unknown simulator B2C scenario: ${this.b2cScenario}`);
+        }
+
+        if (!B2C_SCENARIOS[this.reversalScenario]) {
+            throw new Error(`Unknown simulator reversal scenario: ${this.reversalScenario}`);
+        }
+
+        this.tokens = new Map();
+        this.requests = new Map();
+        this.b2cRequests = new Map();
+        this.reversalRequests = new Map();
+        this.c2bUrls = {};
+        this.c2bPayments = [];
+    }
+
+    /**
+     * Daraja style error response
+     */
+    sendError(res, status, errorCode, errorMessage) {
+        return res.status(status).json({
+            requestId: crypto.randomBytes(8).toString('hex'),
+            errorCode: errorCode,
+            errorMessage: errorMessage
+        });
+    }
+
+    /**
+     * Generate identifiers in the same shape Safaricom uses
+     */
+    generateMerchantRequestId() {
+        return `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+    }
+
+    generateCheckoutRequestId() {
+        return `ws_CO_${moment().format('DDMMYYYYHHmmss')}${crypto.randomInt(100000, 999999)}`;
+    }
+
+    generateReceiptNumber() {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        let receipt = 'S';
+        for (let i = 0; i < 9; i++) {
+            receipt += chars[crypto.randomInt(chars.length)];
+        }
+        return receipt;
+    }
+
+    /**
+     * Check the Bearer token issued by /oauth/v1/generate
+     */
+    isAuthorized(req) {
+        const authHeader = req.headers['authorization'] || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+        const expiry = token && this.tokens.get(token);
+
+        return !!expiry && moment().isBefore(expiry);
+    }
+
+    /**
+     * Check the STK password when a passkey is configured
+     */
+    isValidPassword(payload) {
+        if (!this.passkey) return true;
+
+        const expected = Buffer.from(`${payload.BusinessShortCode}${this.passkey}${payload.Timestamp}`).toString('base64');
+        return payload.Password === expected;
+    }
+
+    /**
+     * Pick the outcome for a new STK push request
+     */
+    resolveScenario(phoneNumber) {
+        return this.phoneScenarios[String(phoneNumber)] || this.defaultScenario;
+    }
+
+    /**
+     * Build the stkCallback payload Safaricom posts to the CallBackURL
+     */
+    buildCallbackPayload(request, scenarioName) {
+        const scenario = SCENARIOS[scenarioName];
+        const stkCallback = {
+            MerchantRequestID: request.merchantRequestId,
+            CheckoutRequestID: request.checkoutRequestId,
+            ResultCode: scenario.resultCode,
+            ResultDesc: scenario.resultDesc
+        };
+
+        if (scenario.resultCode === 0) {
+            stkCallback.CallbackMetadata = {
+                Item: [
+                    { Name: 'Amount', Value: request.amount },
+                    { Name: 'MpesaReceiptNumber', Value: request.mpesaReceiptNumber },
+                    { Name: 'Balance' },
+                    { Name: 'TransactionDate', Value: Number(moment().format('YYYYMMDDHHmmss')) },
+                    { Name: 'PhoneNumber', Value: Number(request.phoneNumber) }
+                ]
+            };
+        }
+
+        return { Body: { stkCallback } };
+    }
+
+    /**
+     * Complete a pending STK push and fire its callback
+     * @param {string} checkoutRequestId - CheckoutRequestID returned by processrequest
+     * @param {string} scenarioName - One of the SCENARIOS keys
+     */
+    async resolve(checkoutRequestId, scenarioName) {
+        const request = this.requests.get(checkoutRequestId);
+        if (!request) {
+            throw new Error(`Unknown CheckoutRequestID: ${checkoutRequestId}`);
+        }
+
+        if (request.status !== 'PENDING') {
+            throw new Error(`Request ${checkoutRequestId} already resolved as ${request.scenario}`);
+        }
+
+        const scenario = scenarioName || request.scenario;
+        if (!SCENARIOS[scenario]) {
+            throw new Error(`Unknown simulator scenario: ${scenario}`);
+        }
+
+        clearTimeout(request.timer);
+        request.status = 'RESOLVED';
+        request.scenario = scenario;
+        request.resultCode = SCENARIOS[scenario].resultCode;
+        request.resultDesc = SCENARIOS[scenario].resultDesc;
+        request.mpesaReceiptNumber = request.resultCode === 0 ? this.generateReceiptNumber() : null;
+        request.resolvedAt = new Date().toISOString();
+
+        const payload = this.buildCallbackPayload(request, scenario);
+
+        try {
+            const response = await axios.post(request.callbackUrl, payload, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+            request.callbackStatus = response.status;
+        } catch (error) {
+            request.callbackStatus = error.response?.status || 'UNREACHABLE';
+            console.error(`Simulator callback to ${request.callbackUrl} failed:`, error.message);
+        }
+
+        return { request, payload };
+    }
+
+    /**
+     * Post the B2C Result (or queue timeout) for a payment request
+     */
+    async sendB2CResult(request) {
+        const scenario = B2C_SCENARIOS[request.scenario];
+        const result = {
+            ResultType: 0,
+            ResultCode: scenario.resultCode,
+            ResultDesc: scenario.resultDesc,
+            OriginatorConversationID: request.originatorConversationId,
+            ConversationID: request.conversationId,
+            TransactionID: this.generateReceiptNumber()
+        };
+
+        if (scenario.resultCode === 0) {
+            result.ResultParameters = {
+                ResultParameter: [
+                    { Key: 'TransactionAmount', Value: request.amount },
+                    { Key: 'TransactionReceipt', Value: result.TransactionID },
+                    { Key: 'ReceiverPartyPublicName', Value: `${request.phoneNumber} - MOBIPAY Test Owner` },
+                    { Key: 'TransactionCompletedDateTime', Value: moment().format('DD.MM.YYYY HH:mm:ss') },
+                    { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000 },
+                    { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }
+                ]
+            };
+        }
+
+        const url = request.scenario === 'timeout' ? request.timeoutUrl : request.resultUrl;
+        request.status = 'RESOLVED';
+        request.resultCode = scenario.resultCode;
+
+        try {
+            const response = await axios.post(url, { Result: result }, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+            request.callbackStatus = response.status;
+        } catch (error) {
+            request.callbackStatus = error.response?.status || 'UNREACHABLE';
+            console.error(`Simulator B2C result to ${url} failed:`, error.message);
+        }
+    }
+
+    /**
+     * Post the Result (or queue timeout) for a transaction reversal request
+     */
+    async sendReversalResult(request) {
+        const scenario = B2C_SCENARIOS[request.scenario];
+        const result = {
+            ResultType: 0,
+            ResultCode: scenario.resultCode,
+            ResultDesc: scenario.resultDesc,
+            OriginatorConversationID: request.originatorConversationId,
+            ConversationID: request.conversationId,
+            TransactionID: this.generateReceiptNumber()
+        };
+
+        if (scenario.resultCode === 0) {
+            result.ResultParameters = {
+                ResultParameter: [
+                    { Key: 'DebitAccountBalance', Value: 'Utility Account|KES|100000.00|100000.00|0.00|0.00' },
+                    { Key: 'Amount', Value: request.amount },
+                    { Key: 'TransCompletedTime', Value: Number(moment().format('YYYYMMDDHHmmss')) },
+                    { Key: 'OriginalTransactionID', Value: request.originalTransactionId },
+                    { Key: 'Charge', Value: 0 },
+                    { Key: 'CreditPartyPublicName', Value: 'MOBIPAY Test Passenger' },
+                    { Key: 'DebitPartyPublicName', Value: `${request.shortcode} - MOBIPAY` }
+                ]
+            };
+        }
+
+        const url = request.scenario === 'timeout' ? request.timeoutUrl : request.resultUrl;
+        request.status = 'RESOLVED';
+        request.resultCode = scenario.resultCode;
+
+        try {
+            const response = await axios.post(url, { Result: result }, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+            request.callbackStatus = response.status;
+        } catch (error) {
+            request.callbackStatus = error.response?.status || 'UNREACHABLE';
+            console.error(`Simulator reversal result to ${url} failed:`, error.message);
+        }
+    }
+
+    /**
+     * Run a simulated Paybill payment through the registered validation and confirmation URLs
+     */
+    async sendC2BPayment(payment) {
+        const request = {
+            TransactionType: 'Pay Bill',
+            TransID: this.generateReceiptNumber(),
+            TransTime: moment().format('YYYYMMDDHHmmss'),
+            TransAmount: String(payment.amount),
+            BusinessShortCode: String(payment.shortcode),
+            BillRefNumber: payment.billRefNumber,
+            InvoiceNumber: '',
+            OrgAccountBalance: '',
+            ThirdPartyTransID: '',
+            MSISDN: String(payment.phoneNumber),
+            FirstName: 'John',
+            MiddleName: '',
+            LastName: 'Doe'
+        };
+        payment.transId = request.TransID;
+
+        try {
+            if (this.c2bUrls.validationUrl) {
+                const validation = await axios.post(this.c2bUrls.validationUrl, request, {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+                payment.validationResult = validation.data;
+
+                if (String(validation.data?.ResultCode) !== '0') {
+                    payment.status = 'REJECTED';
+                    return payment;
+                }
+            }
+
+            if (this.c2bUrls.confirmationUrl) {
+                const confirmation = await axios.post(this.c2bUrls.confirmationUrl, request, {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+                payment.confirmationResult = confirmation.data;
+            }
+
+            payment.status = 'COMPLETED';
+        } catch (error) {
+            payment.status = 'ERROR';
+            payment.error = error.message;
+            console.error('Simulator C2B notification failed:', error.message);
+        }
+
+        return payment;
+    }
+
+    /**
+     * Public view of a simulated request
+     */
+    describe(request) {
+        return {
+            merchantRequestId: request.merchantRequestId,
+            checkoutRequestId: request.checkoutRequestId,
+            phoneNumber: request.phoneNumber,
+            amount: request.amount,
+            accountReference: request.accountReference,
+            transactionDesc: request.transactionDesc,
+            status: request.status,
+            scenario: request.scenario,
+            resultCode: request.resultCode,
+            resultDesc: request.resultDesc,
+            mpesaReceiptNumber: request.mpesaReceiptNumber,
+            callbackUrl: request.callbackUrl,
+            callbackStatus: request.callbackStatus,
+            createdAt: request.createdAt,
+            resolvedAt: request.resolvedAt
+        };
+    }
+
+    /**
+     * Build an Express router exposing the Daraja endpoints plus simulator controls
+     */
+    createRouter() {
+        const router = express.Router();
+        router.use(express.json());
+
+        // OAuth token generation
+        router.get('/oauth/v1/generate', (req, res) => {
+            const authHeader = req.headers['authorization'] || '';
+            const credentials = authHeader.startsWith('Basic ')
+                ? Buffer.from(authHeader.substring(6), 'base64').toString()
+                : null;
+
+            if (req.query.grant_type !== 'client_credentials' || !credentials) {
+                return this.sendError(res, 400, '400.008.02', 'Invalid grant type passed');
+            }
+
+            if (this.consumerKey && credentials !== `${this.consumerKey}:${this.consumerSecret}`) {
+                return this.sendError(res, 400, '400.008.01', 'Invalid Authentication passed');
+            }
+
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            this.tokens.set(accessToken, moment().add(1, 'hour'));
+
+            res.json({
+                access_token: accessToken,
+                expires_in: '3599'
+            });
+        });
+
+        // STK Push request
+        router.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            const requiredFields = [
+                'BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount',
+                'PartyA', 'PartyB', 'PhoneNumber', 'CallBackURL', 'AccountReference'
+            ];
+
+            for (const field of requiredFields) {
+                if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+                    return this.sendError(res, 400, '400.002.02', `Bad Request - Invalid ${field}`);
+                }
+            }
+
+            if (!/^2547\d{8}$|^2541\d{8}$/.test(String(payload.PhoneNumber))) {
+                return this.sendError(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+            }
+
+            if (!(Number(payload.Amount) >= 1)) {
+                return this.sendError(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+            }
+
+            if (!this.isValidPassword(payload)) {
+                return this.sendError(res, 500, '500.001.1001', 'Wrong credentials');
+            }
+
+            const request = {
+                merchantRequestId: this.generateMerchantRequestId(),
+                checkoutRequestId: this.generateCheckoutRequestId(),
+                phoneNumber: String(payload.PhoneNumber),
+                amount: Number(payload.Amount),
+                accountReference: payload.AccountReference,
+                transactionDesc: payload.TransactionDesc,
+                callbackUrl: payload.CallBackURL,
+                scenario: this.resolveScenario(payload.PhoneNumber),
+                status: 'PENDING',
+                createdAt: new Date().toISOString()
+            };
+
+            this.requests.set(request.checkoutRequestId, request);
+
+            if (this.autoResolve && !this.manualPhones.has(request.phoneNumber)) {
+                request.timer = setTimeout(() => {
+                    this.resolve(request.checkoutRequestId).catch(error => {
+                        console.error('Simulator auto-resolve failed:', error.message);
+                    });
+                }, this.callbackDelay);
+            }
+
+            res.json({
+                MerchantRequestID: request.merchantRequestId,
+                CheckoutRequestID: request.checkoutRequestId,
+                ResponseCode: '0',
+                ResponseDescription: 'Success. Request accepted for processing',
+                CustomerMessage: 'Success. Request accepted for processing'
+            });
+        });
+
+        // STK Push status query
+        router.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            const request = this.requests.get(payload.CheckoutRequestID);
+
+            if (!request) {
+                return this.sendError(res, 500, '500.001.1001', 'The transaction is not found');
+            }
+
+            if (!this.isValidPassword(payload)) {
+                return this.sendError(res, 500, '500.001.1001', 'Wrong credentials');
+            }
+
+            if (request.status === 'PENDING') {
+                return this.sendError(res, 500, '500.001.1001', 'The transaction is being processed');
+            }
+
+            res.json({
+                ResponseCode: '0',
+                ResponseDescription: 'The service request has been accepted successsfully',
+                MerchantRequestID: request.merchantRequestId,
+                CheckoutRequestID: request.checkoutRequestId,
+                ResultCode: String(request.resultCode),
+                ResultDesc: request.resultDesc
+            });
+        });
+
+        // B2C payment request
+        router.post('/mpesa/b2c/v1/paymentrequest', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            const requiredFields = [
+                'InitiatorName', 'SecurityCredential', 'CommandID', 'Amount',
+                'PartyA', 'PartyB', 'QueueTimeOutURL', 'ResultURL'
+            ];
+
+            for (const field of requiredFields) {
+                if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+                    return this.sendError(res, 400, '400.002.02', `Bad Request - Invalid ${field}`);
+                }
+            }
+
+            const request = {
+                conversationId: `AG_${moment().format('YYYYMMDD')}_${crypto.randomBytes(10).toString('hex')}`,
+                originatorConversationId: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+                phoneNumber: String(payload.PartyB),
+                amount: Number(payload.Amount),
+                resultUrl: payload.ResultURL,
+                timeoutUrl: payload.QueueTimeOutURL,
+                scenario: this.b2cScenario,
+                status: 'PENDING',
+                createdAt: new Date().toISOString()
+            };
+
+            this.b2cRequests.set(request.conversationId, request);
+
+            if (this.autoResolve) {
+                setTimeout(() => this.sendB2CResult(request), this.callbackDelay);
+            }
+
+            res.json({
+                ConversationID: request.conversationId,
+                OriginatorConversationID: request.originatorConversationId,
+                ResponseCode: '0',
+                ResponseDescription: 'Accept the service request successfully.'
+            });
+        });
+
+        // Transaction reversal request
+        router.post('/mpesa/reversal/v1/request', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            const requiredFields = [
+                'Initiator', 'SecurityCredential', 'CommandID', 'TransactionID', 'Amount',
+                'ReceiverParty', 'RecieverIdentifierType', 'QueueTimeOutURL', 'ResultURL'
+            ];
+
+            for (const field of requiredFields) {
+                if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+                    return this.sendError(res, 400, '400.002.02', `Bad Request - Invalid ${field}`);
+                }
+            }
+
+            const request = {
+                conversationId: `AG_${moment().format('YYYYMMDD')}_${crypto.randomBytes(10).toString('hex')}`,
+                originatorConversationId: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+                originalTransactionId: payload.TransactionID,
+                shortcode: String(payload.ReceiverParty),
+                amount: Number(payload.Amount),
+                resultUrl: payload.ResultURL,
+                timeoutUrl: payload.QueueTimeOutURL,
+                scenario: this.reversalScenario,
+                status: 'PENDING',
+                createdAt: new Date().toISOString()
+            };
+
+            this.reversalRequests.set(request.conversationId, request);
+
+            if (this.autoResolve) {
+                setTimeout(() => this.sendReversalResult(request), this.callbackDelay);
+            }
+
+            res.json({
+                ConversationID: request.conversationId,
+                OriginatorConversationID: request.originatorConversationId,
+                ResponseCode: '0',
+                ResponseDescription: 'Accept the service request successfully.'
+            });
+        });
+
+        // C2B URL registration
+        router.post('/mpesa/c2b/v1/registerurl', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            for (const field of ['ShortCode', 'ResponseType', 'ConfirmationURL', 'ValidationURL']) {
+                if (!payload[field]) {
+                    return this.sendError(res, 400, '400.002.02', `Bad Request - Invalid ${field}`);
+                }
+            }
+
+            this.c2bUrls = {
+                shortcode: String(payload.ShortCode),
+                responseType: payload.ResponseType,
+                validationUrl: payload.ValidationURL,
+                confirmationUrl: payload.ConfirmationURL
+            };
+
+            res.json({
+                OriginatorCoversationID: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+                ResponseCode: '0',
+                ResponseDescription: 'Success'
+            });
+        });
+
+        // C2B payment simulation (available on the Daraja sandbox too)
+        router.post('/mpesa/c2b/v1/simulate', (req, res) => {
+            if (!this.isAuthorized(req)) {
+                return this.sendError(res, 404, '404.001.03', 'Invalid Access Token');
+            }
+
+            const payload = req.body || {};
+            for (const field of ['ShortCode', 'CommandID', 'Amount', 'Msisdn']) {
+                if (!payload[field]) {
+                    return this.sendError(res, 400, '400.002.02', `Bad Request - Invalid ${field}`);
+                }
+            }
+
+            const payment = {
+                shortcode: payload.ShortCode,
+                amount: Number(payload.Amount),
+                phoneNumber: payload.Msisdn,
+                billRefNumber: payload.BillRefNumber || '',
+                status: 'PENDING',
+                createdAt: new Date().toISOString()
+            };
+            this.c2bPayments.push(payment);
+
+            setTimeout(() => this.sendC2BPayment(payment), this.autoResolve ? this.callbackDelay : 0);
+
+            res.json({
+                OriginatorCoversationID: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+                ResponseCode: '0',
+                ResponseDescription: 'Accept the service request successfully.'
+            });
+        });
+
+        // Simulator controls (not part of Daraja)
+        router.get('/simulator/requests', (req, res) => {
+            const requests = Array.from(this.requests.values())
+                .map(request => this.describe(request))
+                .reverse();
+
+            res.json({ success: true, data: requests });
+        });
+
+        router.get('/simulator/scenarios', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    defaultScenario: this.defaultScenario,
+                    scenarios: SCENARIOS,
+                    b2cScenario: this.b2cScenario,
+                    b2cScenarios: B2C_SCENARIOS,
+                    reversalScenario: this.reversalScenario
+                }
+            });
+        });
+
+        router.put('/simulator/scenario', (req, res) => {
+            const { scenario } = req.body || {};
+            if (!SCENARIOS[scenario]) {
+                return res.status(400).json({ success: false, error: `Unknown scenario: ${scenario}` });
+            }
+
+            this.defaultScenario = scenario;
+            res.json({ success: true, data: { defaultScenario: scenario } });
+        });
+
+        // Hold pushes to one phone until resolved by hand (e.g. from the phone simulator page)
+        router.put('/simulator/phones/:phoneNumber', (req, res) => {
+            const { phoneNumber } = req.params;
+            const { manual } = req.body || {};
+
+            if (typeof manual !== 'boolean') {
+                return res.status(400).json({ success: false, error: 'manual must be true or false' });
+            }
+
+            if (manual) {
+                this.manualPhones.add(phoneNumber);
+            } else {
+                this.manualPhones.delete(phoneNumber);
+            }
+
+            res.json({ success: true, data: { phoneNumber, manual } });
+        });
+
+        router.get('/simulator/c2b', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    urls: this.c2bUrls,
+                    payments: this.c2bPayments.slice().reverse()
+                }
+            });
+        });
+
+        router.get('/simulator/b2c', (req, res) => {
+            const requests = Array.from(this.b2cRequests.values()).reverse();
+            res.json({ success: true, data: requests });
+        });
+
+        router.post('/simulator/b2c/:conversationId/resolve', async (req, res) => {
+            const request = this.b2cRequests.get(req.params.conversationId);
+            const scenario = req.body?.scenario || request?.scenario;
+
+            if (!request || request.status !== 'PENDING') {
+                return res.status(400).json({ success: false, error: 'Unknown or already resolved B2C request' });
+            }
+
+            if (!B2C_SCENARIOS[scenario]) {
+                return res.status(400).json({ success: false, error: `Unknown B2C scenario: ${scenario}` });
+            }
+
+            request.scenario = scenario;
+            await this.sendB2CResult(request);
+            res.json({ success: true, data: request });
+        });
+
+        router.get('/simulator/reversals', (req, res) => {
+            const requests = Array.from(this.reversalRequests.values()).reverse();
+            res.json({ success: true, data: requests });
+        });
+
+        router.post('/simulator/reversals/:conversationId/resolve', async (req, res) => {
+            const request = this.reversalRequests.get(req.params.conversationId);
+            const scenario = req.body?.scenario || request?.scenario;
+
+            if (!request || request.status !== 'PENDING') {
+                return res.status(400).json({ success: false, error: 'Unknown or already resolved reversal request' });
+            }
+
+            if (!B2C_SCENARIOS[scenario]) {
+                return res.status(400).json({ success: false, error: `Unknown reversal scenario: ${scenario}` });
+            }
+
+            request.scenario = scenario;
+            await this.sendReversalResult(request);
+            res.json({ success: true, data: request });
+        });
+
+        router.post('/simulator/requests/:checkoutRequestId/resolve', async (req, res) => {
+            try {
+                const { request, payload } = await this.resolve(req.params.checkoutRequestId, req.body?.scenario);
+                res.json({
+                    success: true,
+                    data: {
+                        request: this.describe(request),
+                        callbackPayload: payload
+                    }
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        return router;
+    }
+}
+
+DarajaSimulator.SCENARIOS = SCENARIOS;
+DarajaSimulator.B2C_SCENARIOS = B2C_SCENARIOS;
+
+module.exports = DarajaSimulator;
+
+// Allow running the simulator as a standalone process
+if (require.main === module) {
+    require('dotenv').config();
+
+    const port = process.env.MPESA_SIMULATOR_PORT || 4040;
+    const simulator = new DarajaSimulator({
+        consumerKey: process.env.MPESA_CONSUMER_KEY,
+        consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+        shortcode: process.env.MPESA_SHORTCODE,
+        passkey: process.env.MPESA_PASSKEY,
+        defaultScenario: process.env.MPESA_SIMULATOR_SCENARIO,
+        callbackDelay: process.env.MPESA_SIMULATOR_CALLBACK_DELAY !== undefined
+            ? parseInt(process.env.MPESA_SIMULATOR_CALLBACK_DELAY)
+            : undefined,
+        autoResolve: process.env.MPESA_SIMULATOR_AUTO_RESOLVE !== 'false',
+        b2cScenario: process.env.MPESA_SIMULATOR_B2C_SCENARIO,
+        reversalScenario: process.env.MPESA_SIMULATOR_REVERSAL_SCENARIO
+    });
+
+    const app = express();
+    app.use('/', simulator.createRouter());
+    app.listen(port, () => {
+        console.log(`🧪 Daraja simulator running on port ${port}`);
+        console.log(`   Default scenario: ${simulator.defaultScenario}`);
+    });
+}
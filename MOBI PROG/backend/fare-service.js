@@ -0,0 +1,497 @@
+const moment = require('moment');
+const { Message, message } = require('../utils/messages');
+
+/**
+ * MOBIPAY Route Fares
+ * Routes with ordered stages and a fare matrix between stages, so passengers pick where
+ * they board and alight instead of typing an amount.
+ *
+ * Fares are set per pair of stages (the same in both directions) and per time band:
+ * HOLIDAY on public_holidays dates, WEEKEND on Saturday and Sunday, PEAK during the
+ * fare_peak_hours setting on weekdays and OFF_PEAK otherwise. A band without a fare
+ * falls back to the next one (HOLIDAY → WEEKEND → OFF_PEAK, PEAK → OFF_PEAK).
+ *
+ * Matatus on a route can still accept free amounts unless allow_free_amount is off.
+ */
+
+const TIME_BANDS = ['PEAK', 'OFF_PEAK', 'WEEKEND', 'HOLIDAY'];
+
+const BAND_FALLBACK = {
+    PEAK: ['PEAK', 'OFF_PEAK'],
+    OFF_PEAK: ['OFF_PEAK'],
+    WEEKEND: ['WEEKEND', 'OFF_PEAK'],
+    HOLIDAY: ['HOLIDAY', 'WEEKEND', 'OFF_PEAK']
+};
+
+// Time bands follow the clock in Kenya (East Africa Time, UTC+3, no daylight saving)
+const LOCAL_UTC_OFFSET_MINUTES = 180;
+
+const DEFAULT_PEAK_HOURS = '06:00-09:00,16:00-20:00';
+
+class FareError extends Error {
+    constructor(message, statusCode = 400) {
+        super(String(message));
+        this.name = 'FareError';
+        this.statusCode = statusCode;
+        this.localized = message instanceof Message ? message : null;
+    }
+}
+
+class FareService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Peak windows from system settings, as [startMinute, endMinute) pairs
+     */
+    async getPeakWindows() {
+        const row = await this.get(
+            "SELECT setting_value FROM system_settings WHERE setting_key = 'fare_peak_hours'",
+            []
+        );
+
+        return String(row?.setting_value || DEFAULT_PEAK_HOURS)
+            .split(',')
+            .map(window => window.trim().match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/))
+            .filter(Boolean)
+            .map(([, startHour, startMinute, endHour, endMinute]) => [
+                parseInt(startHour) * 60 + parseInt(startMinute),
+                parseInt(endHour) * 60 + parseInt(endMinute)
+            ]);
+    }
+
+    /**
+     * Time band at a moment in time
+     * @param {string|Date} at - ISO 8601 time (defaults to now)
+     * @returns {Promise<string>} - PEAK, OFF_PEAK, WEEKEND or HOLIDAY
+     */
+    async getTimeBand(at = null) {
+        const local = (at ? moment.utc(at, moment.ISO_8601) : moment.utc()).utcOffset(LOCAL_UTC_OFFSET_MINUTES);
+        if (!local.isValid()) {
+            throw new FareError('at must be an ISO 8601 date-time');
+        }
+
+        const holiday = await this.get(
+            'SELECT id FROM public_holidays WHERE holiday_date = ?',
+            [local.format('YYYY-MM-DD')]
+        );
+        if (holiday) {
+            return 'HOLIDAY';
+        }
+
+        if (local.day() === 0 || local.day() === 6) {
+            return 'WEEKEND';
+        }
+
+        const minute = local.hours() * 60 + local.minutes();
+        const windows = await this.getPeakWindows();
+
+        return windows.some(([start, end]) => minute >= start && minute < end) ? 'PEAK' : 'OFF_PEAK';
+    }
+
+    /**
+     * Routes with their stages and matatu count
+     */
+    async listRoutes({ includeInactive = false } = {}) {
+        const routes = await this.all(`
+            SELECT r.*, (SELECT COUNT(*) FROM matatus m WHERE m.route_id = r.id) as matatu_count
+            FROM routes r
+            ${includeInactive ? '' : 'WHERE r.is_active = 1'}
+            ORDER BY r.name
+        `, []);
+
+        const stages = await this.all('SELECT * FROM route_stages ORDER BY route_id, stage_order', []);
+
+        return routes.map(route => ({
+            ...route,
+            stages: stages.filter(stage => stage.route_id === route.id)
+        }));
+    }
+
+    /**
+     * Route with its stages and fare matrix
+     */
+    async getRoute(routeId) {
+        const route = await this.get('SELECT * FROM routes WHERE id = ?', [routeId]);
+        if (!route) {
+            return null;
+        }
+
+        route.stages = await this.all(
+            'SELECT * FROM route_stages WHERE route_id = ? ORDER BY stage_order',
+            [routeId]
+        );
+        route.fares = await this.all(
+            'SELECT * FROM route_fares WHERE route_id = ? ORDER BY from_stage_id, to_stage_id, time_band',
+            [routeId]
+        );
+
+        return route;
+    }
+
+    /**
+     * Add a route with its stages
+     * @param {object} route - Validated route (see validate.validateRoute)
+     */
+    async createRoute(route) {
+        const existing = await this.get('SELECT id FROM routes WHERE name = ?', [route.name]);
+        if (existing) {
+            throw new FareError(`Route ${route.name} already exists`, 409);
+        }
+
+        const result = await this.run(`
+            INSERT INTO routes (name, description, is_active)
+            VALUES (?, ?, ?)
+        `, [route.name, route.description, route.is_active ? 1 : 0]);
+
+        await this.saveStages(result.id, route.stages);
+
+        return this.getRoute(result.id);
+    }
+
+    /**
+     * Update a route, keeping the stages (and their fares) whose names are still listed
+     * Stages left out are removed with their fares. Linked matatus get the new route name.
+     */
+    async updateRoute(routeId, route) {
+        const existing = await this.get('SELECT * FROM routes WHERE id = ?', [routeId]);
+        if (!existing) {
+            throw new FareError('Route not found', 404);
+        }
+
+        const clash = await this.get('SELECT id FROM routes WHERE name = ? AND id != ?', [route.name, routeId]);
+        if (clash) {
+            throw new FareError(`Route ${route.name} already exists`, 409);
+        }
+
+        await this.run(`
+            UPDATE routes
+            SET name = ?, description = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [route.name, route.description, route.is_active ? 1 : 0, routeId]);
+
+        await this.run(`
+            UPDATE matatus SET route_name = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE route_id = ?
+        `, [route.name, routeId]);
+
+        await this.saveStages(routeId, route.stages);
+
+        return this.getRoute(routeId);
+    }
+
+    /**
+     * Make a route's stages match an ordered list of stage names
+     */
+    async saveStages(routeId, names) {
+        const current = await this.all('SELECT * FROM route_stages WHERE route_id = ?', [routeId]);
+        const removed = current.filter(stage => !names.includes(stage.name)).map(stage => stage.id);
+
+        if (removed.length) {
+            const placeholders = removed.map(() => '?').join(', ');
+            await this.run(`
+                DELETE FROM route_fares
+                WHERE from_stage_id IN (${placeholders}) OR to_stage_id IN (${placeholders})
+            `, [...removed, ...removed]);
+            await this.run(`DELETE FROM route_stages WHERE id IN (${placeholders})`, removed);
+        }
+
+        for (const [index, name] of names.entries()) {
+            const stage = current.find(candidate => candidate.name === name);
+            if (stage) {
+                await this.run('UPDATE route_stages SET stage_order = ? WHERE id = ?', [index + 1, stage.id]);
+            } else {
+                await this.run(
+                    'INSERT INTO route_stages (route_id, stage_order, name) VALUES (?, ?, ?)',
+                    [routeId, index + 1, name]
+                );
+            }
+        }
+
+        // Reordering can swap which stage of a fare comes first, keep from_stage_id the earlier one
+        await this.run(`
+            UPDATE route_fares
+            SET from_stage_id = to_stage_id, to_stage_id = from_stage_id
+            WHERE route_id = ?
+              AND (SELECT stage_order FROM route_stages WHERE id = route_fares.from_stage_id)
+                > (SELECT stage_order FROM route_stages WHERE id = route_fares.to_stage_id)
+        `, [routeId]);
+    }
+
+    /**
+     * Set fares between stages of a route
+     * @param {number} routeId - Route ID
+     * @param {Array} fares - Validated fares (see validate.validateRouteFares); a null amount removes the fare
+     */
+    async setFares(routeId, fares) {
+        const route = await this.getRoute(routeId);
+        if (!route) {
+            throw new FareError('Route not found', 404);
+        }
+
+        const stages = new Map(route.stages.map(stage => [stage.id, stage]));
+
+        for (const fare of fares) {
+            const from = stages.get(fare.from_stage_id);
+            const to = stages.get(fare.to_stage_id);
+            if (!from || !to) {
+                throw new FareError(`Stages ${fare.from_stage_id} and ${fare.to_stage_id} are not both on route ${route.name}`);
+            }
+            if (from.id === to.id) {
+                throw new FareError('A fare needs two different stages');
+            }
+        }
+
+        for (const fare of fares) {
+            const [from, to] = [stages.get(fare.from_stage_id), stages.get(fare.to_stage_id)]
+                .sort((a, b) => a.stage_order - b.stage_order);
+
+            if (fare.amount === null) {
+                await this.run(
+                    'DELETE FROM route_fares WHERE from_stage_id = ? AND to_stage_id = ? AND time_band = ?',
+                    [from.id, to.id, fare.time_band]
+                );
+                continue;
+            }
+
+            await this.run(`
+                INSERT INTO route_fares (route_id, from_stage_id, to_stage_id, time_band, amount)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(from_stage_id, to_stage_id, time_band)
+                DO UPDATE SET amount = excluded.amount, updated_at = CURRENT_TIMESTAMP
+            `, [routeId, from.id, to.id, fare.time_band, fare.amount]);
+        }
+
+        return this.getRoute(routeId);
+    }
+
+    /**
+     * Link a matatu to a route and set whether it accepts free amounts
+     */
+    async setMatatuRoute(matatuCode, routeId, allowFreeAmount) {
+        const matatu = await this.get('SELECT * FROM matatus WHERE matatu_code = ?', [matatuCode]);
+        if (!matatu) {
+            throw new FareError('Matatu not found', 404);
+        }
+
+        const route = await this.get('SELECT * FROM routes WHERE id = ?', [routeId]);
+        if (!route) {
+            throw new FareError('Route not found', 404);
+        }
+
+        await this.run(`
+            UPDATE matatus
+            SET route_id = ?, route_name = ?, allow_free_amount = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE matatu_code = ?
+        `, [route.id, route.name, allowFreeAmount ? 1 : 0, matatuCode]);
+
+        return this.get('SELECT * FROM matatus WHERE matatu_code = ?', [matatuCode]);
+    }
+
+    /**
+     * Route, stages and the fares in effect now for a matatu, for passengers picking stages
+     * @param {string} matatuCode - Matatu code
+     * @param {string} at - Optional ISO 8601 time (defaults to now)
+     */
+    async getMatatuFares(matatuCode, at = null) {
+        const matatu = await this.get(
+            'SELECT * FROM matatus WHERE matatu_code = ? AND is_active = 1',
+            [matatuCode]
+        );
+        if (!matatu) {
+            throw new FareError(message('error.matatuInactive'), 404);
+        }
+
+        const timeBand = await this.getTimeBand(at);
+        const route = matatu.route_id ? await this.getRoute(matatu.route_id) : null;
+        const allowFreeAmount = !!matatu.allow_free_amount || !route || !route.is_active;
+
+        if (!route || !route.is_active) {
+            return { matatuCode, route: null, timeBand, allowFreeAmount, stages: [], fares: [] };
+        }
+
+        const fares = [];
+        route.stages.forEach((from, index) => {
+            route.stages.slice(index + 1).forEach(to => {
+                const fare = this.pickFare(route.fares, from.id, to.id, timeBand);
+                if (fare) {
+                    fares.push({ fromStageId: from.id, toStageId: to.id, amount: fare.amount });
+                }
+            });
+        });
+
+        return {
+            matatuCode,
+            route: { id: route.id, name: route.name },
+            timeBand,
+            allowFreeAmount,
+            stages: route.stages.map(stage => ({ id: stage.id, order: stage.stage_order, name: stage.name })),
+            fares
+        };
+    }
+
+    /**
+     * Fare row for a stage pair in a time band, falling back through BAND_FALLBACK
+     */
+    pickFare(fares, fromStageId, toStageId, timeBand) {
+        for (const band of BAND_FALLBACK[timeBand]) {
+            const fare = fares.find(candidate =>
+                candidate.time_band === band &&
+                ((candidate.from_stage_id === fromStageId && candidate.to_stage_id === toStageId) ||
+                 (candidate.from_stage_id === toStageId && candidate.to_stage_id === fromStageId))
+            );
+            if (fare) {
+                return fare;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fare between two stages on a matatu's route
+     * @param {string} matatuCode - Matatu code
+     * @param {number} boardingStageId - Stage the passenger boards at
+     * @param {number} alightingStageId - Stage the passenger alights at
+     * @param {string} at - Optional ISO 8601 time (defaults to now)
+     * @returns {Promise<object>} - { amount, timeBand, route, boardingStage, alightingStage }
+     */
+    async getStageFare(matatuCode, boardingStageId, alightingStageId, at = null) {
+        const matatu = await this.get(
+            'SELECT * FROM matatus WHERE matatu_code = ? AND is_active = 1',
+            [matatuCode]
+        );
+        if (!matatu) {
+            throw new FareError(message('error.matatuInactive'));
+        }
+
+        const route = matatu.route_id ? await this.getRoute(matatu.route_id) : null;
+        if (!route || !route.is_active || !route.stages.length) {
+            throw new FareError(message('error.fare.noStageFares', { matatuCode }));
+        }
+
+        const boarding = route.stages.find(stage => stage.id === boardingStageId);
+        const alighting = route.stages.find(stage => stage.id === alightingStageId);
+        if (!boarding || !alighting) {
+            throw new FareError(message('error.fare.stagesNotOnRoute', { route: route.name }));
+        }
+        if (boarding.id === alighting.id) {
+            throw new FareError(message('error.fare.sameStage'));
+        }
+
+        const timeBand = await this.getTimeBand(at);
+        const fare = this.pickFare(route.fares, boarding.id, alighting.id, timeBand);
+        if (!fare) {
+            throw new FareError(message('error.fare.noFare', { from: boarding.name, to: alighting.name }), 404);
+        }
+
+        return {
+            amount: fare.amount,
+            timeBand: timeBand,
+            route: { id: route.id, name: route.name },
+            boardingStage: { id: boarding.id, name: boarding.name },
+            alightingStage: { id: alighting.id, name: alighting.name }
+        };
+    }
+
+    /**
+     * Whether a matatu accepts typed-in amounts (always, unless it is on an active route
+     * with allow_free_amount turned off)
+     */
+    async allowsFreeAmount(matatuCode) {
+        const row = await this.get(`
+            SELECT m.allow_free_amount, r.is_active as route_active
+            FROM matatus m
+            LEFT JOIN routes r ON m.route_id = r.id
+            WHERE m.matatu_code = ?
+        `, [matatuCode]);
+
+        return !row || !!row.allow_free_amount || !row.route_active;
+    }
+
+    /**
+     * Public holidays, soonest first
+     */
+    async listHolidays() {
+        return this.all('SELECT * FROM public_holidays ORDER BY holiday_date', []);
+    }
+
+    /**
+     * Add a public holiday (HOLIDAY fares apply all day)
+     */
+    async addHoliday(holidayDate, name) {
+        const existing = await this.get('SELECT id FROM public_holidays WHERE holiday_date = ?', [holidayDate]);
+        if (existing) {
+            throw new FareError(`${holidayDate} is already a holiday`, 409);
+        }
+
+        const result = await this.run(
+            'INSERT INTO public_holidays (holiday_date, name) VALUES (?, ?)',
+            [holidayDate, name]
+        );
+
+        return this.get('SELECT * FROM public_holidays WHERE id = ?', [result.id]);
+    }
+
+    /**
+     * Remove a public holiday
+     */
+    async removeHoliday(holidayId) {
+        const result = await this.run('DELETE FROM public_holidays WHERE id = ?', [holidayId]);
+        if (!result.changes) {
+            throw new FareError('Holiday not found', 404);
+        }
+    }
+}
+
+FareService.TIME_BANDS = TIME_BANDS;
+FareService.LOCAL_UTC_OFFSET_MINUTES = LOCAL_UTC_OFFSET_MINUTES;
+FareService.FareError = FareError;
+
+module.exports = FareService;
@@ -0,0 +1,358 @@
+const moment = require('moment');
+
+/**
+ * MOBIPAY Fee Schedules
+ * Transaction charges come from tiered bands in fee_schedules / fee_schedule_bands
+ * instead of being hard-coded, so pricing changes no longer need a deploy.
+ *
+ * Schedules are attached globally, per route (matatus.route_name) or per matatu_code,
+ * and are effective from a date (optionally until a date). The most specific scope
+ * with a schedule in effect wins (MATATU, then ROUTE, then GLOBAL); within a scope the
+ * latest effective_from wins. Without any schedule the standard tiers below apply.
+ */
+
+// Most specific scope first
+const SCOPE_ORDER = ['MATATU', 'ROUTE', 'GLOBAL'];
+
+// Standard tiers (the original 1.5% / 1.2% / 1.0% / 0.8% pricing), also seeded as schedule 1
+const DEFAULT_BANDS = [
+    { min_amount: 0, max_amount: 500, fee_type: 'PERCENTAGE', fee_value: 1.5, min_fee: null, max_fee: null },
+    { min_amount: 501, max_amount: 1000, fee_type: 'PERCENTAGE', fee_value: 1.2, min_fee: null, max_fee: null },
+    { min_amount: 1001, max_amount: 2000, fee_type: 'PERCENTAGE', fee_value: 1.0, min_fee: null, max_fee: null },
+    { min_amount: 2001, max_amount: null, fee_type: 'PERCENTAGE', fee_value: 0.8, min_fee: null, max_fee: null }
+];
+
+class FeeScheduleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FeeScheduleError';
+        this.statusCode = statusCode;
+    }
+}
+
+class FeeSchedules {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Timestamp in the SQLite CURRENT_TIMESTAMP format (UTC), or null if unparseable
+     */
+    toTimestamp(value) {
+        const parsed = value === undefined || value === null || value === ''
+            ? moment.utc()
+            : moment.utc(value, moment.ISO_8601);
+
+        return parsed.isValid() ? parsed.format('YYYY-MM-DD HH:mm:ss') : null;
+    }
+
+    /**
+     * Charge for an amount under a set of bands
+     * @param {Array} bands - Fee bands (min_amount/max_amount inclusive)
+     * @param {number} amount - Fare amount in KSh
+     * @returns {number} - Charge in whole KSh
+     */
+    static chargeFor(bands, amount) {
+        const band = bands.find(candidate =>
+            amount >= candidate.min_amount &&
+            (candidate.max_amount === null || candidate.max_amount === undefined || amount <= candidate.max_amount)
+        );
+
+        if (!band) {
+            return 0;
+        }
+
+        let charge = band.fee_type === 'FLAT'
+            ? Math.round(band.fee_value)
+            : Math.round(amount * (band.fee_value / 100));
+
+        if (band.min_fee !== null && band.min_fee !== undefined) {
+            charge = Math.max(charge, band.min_fee);
+        }
+
+        if (band.max_fee !== null && band.max_fee !== undefined) {
+            charge = Math.min(charge, band.max_fee);
+        }
+
+        return charge;
+    }
+
+    /**
+     * Bands of the given schedules, keyed by schedule ID
+     */
+    async getBands(scheduleIds) {
+        if (!scheduleIds.length) {
+            return {};
+        }
+
+        const rows = await this.all(`
+            SELECT * FROM fee_schedule_bands
+            WHERE schedule_id IN (${scheduleIds.map(() => '?').join(', ')})
+            ORDER BY min_amount ASC
+        `, scheduleIds);
+
+        const bands = {};
+        rows.forEach(row => {
+            (bands[row.schedule_id] = bands[row.schedule_id] || []).push(row);
+        });
+
+        return bands;
+    }
+
+    /**
+     * Schedule in effect for a matatu at a moment in time
+     * @param {string} matatuCode - Matatu code (only GLOBAL schedules apply when omitted)
+     * @param {string} asOf - Optional ISO 8601 timestamp (defaults to now)
+     * @returns {object} - { scheduleId, name, scope, bands }
+     */
+    async getActiveSchedule(matatuCode = null, asOf = null) {
+        const timestamp = this.toTimestamp(asOf);
+        if (!timestamp) {
+            throw new FeeScheduleError('as_of must be an ISO 8601 date or date-time');
+        }
+
+        const [matatu] = matatuCode
+            ? await this.all('SELECT route_name FROM matatus WHERE matatu_code = ?', [matatuCode])
+            : [];
+
+        const schedules = await this.all(`
+            SELECT * FROM fee_schedules
+            WHERE effective_from <= ? AND (effective_to IS NULL OR effective_to > ?)
+              AND (
+                  scope = 'GLOBAL'
+                  OR (scope = 'ROUTE' AND scope_value = ?)
+                  OR (scope = 'MATATU' AND scope_value = ?)
+              )
+            ORDER BY effective_from DESC, id DESC
+        `, [timestamp, timestamp, matatu?.route_name || null, matatuCode || null]);
+
+        for (const scope of SCOPE_ORDER) {
+            const schedule = schedules.find(candidate => candidate.scope === scope);
+            if (schedule) {
+                const bands = await this.getBands([schedule.id]);
+                return {
+                    scheduleId: schedule.id,
+                    name: schedule.name,
+                    scope: schedule.scope,
+                    bands: bands[schedule.id] || []
+                };
+            }
+        }
+
+        return { scheduleId: null, name: 'Standard tiers', scope: 'DEFAULT', bands: DEFAULT_BANDS };
+    }
+
+    /**
+     * Charge for a fare under the schedule in effect for the matatu
+     */
+    async calculateCharge(amount, matatuCode = null, asOf = null) {
+        const schedule = await this.getActiveSchedule(matatuCode, asOf);
+        return FeeSchedules.chargeFor(schedule.bands, amount);
+    }
+
+    /**
+     * Fee schedules with their bands and state, newest first
+     * state: SCHEDULED (not yet effective), ACTIVE, SUPERSEDED (a later schedule for the
+     * same scope is in effect) or RETIRED (past effective_to)
+     * @param {object} filters - Optional scope and scopeValue
+     */
+    async listSchedules({ scope, scopeValue } = {}) {
+        const now = this.toTimestamp();
+        const conditions = [];
+        const params = [now, now, now, now];
+
+        if (scope) {
+            conditions.push('s.scope = ?');
+            params.push(scope);
+        }
+
+        if (scopeValue) {
+            conditions.push('s.scope_value = ?');
+            params.push(scopeValue);
+        }
+
+        const schedules = await this.all(`
+            SELECT s.*,
+                   CASE
+                       WHEN s.effective_to IS NOT NULL AND s.effective_to <= ? THEN 'RETIRED'
+                       WHEN s.effective_from > ? THEN 'SCHEDULED'
+                       WHEN EXISTS (
+                           SELECT 1 FROM fee_schedules later
+                           WHERE later.scope = s.scope
+                             AND COALESCE(later.scope_value, '') = COALESCE(s.scope_value, '')
+                             AND later.effective_from > s.effective_from AND later.effective_from <= ?
+                             AND (later.effective_to IS NULL OR later.effective_to > ?)
+                       ) THEN 'SUPERSEDED'
+                       ELSE 'ACTIVE'
+                   END as state
+            FROM fee_schedules s
+            ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY s.effective_from DESC, s.id DESC
+        `, params);
+
+        const bands = await this.getBands(schedules.map(schedule => schedule.id));
+
+        return schedules.map(schedule => ({
+            ...schedule,
+            bands: bands[schedule.id] || []
+        }));
+    }
+
+    /**
+     * Fee schedule with its bands
+     */
+    async getSchedule(scheduleId) {
+        const [schedule] = await this.all('SELECT * FROM fee_schedules WHERE id = ?', [scheduleId]);
+        if (!schedule) {
+            return null;
+        }
+
+        const bands = await this.getBands([schedule.id]);
+        return { ...schedule, bands: bands[schedule.id] || [] };
+    }
+
+    /**
+     * Insert the bands of a schedule
+     */
+    async insertBands(scheduleId, bands) {
+        for (const band of bands) {
+            await this.run(`
+                INSERT INTO fee_schedule_bands (schedule_id, min_amount, max_amount, fee_type, fee_value, min_fee, max_fee)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [scheduleId, band.min_amount, band.max_amount, band.fee_type, band.fee_value, band.min_fee, band.max_fee]);
+        }
+    }
+
+    /**
+     * Add a fee schedule
+     * @param {object} schedule - Validated schedule (see validate.validateFeeSchedule)
+     * @param {string} createdBy - Dashboard user adding the schedule
+     */
+    async createSchedule(schedule, createdBy) {
+        const effectiveFrom = this.toTimestamp(schedule.effective_from);
+
+        if (schedule.effective_from && effectiveFrom < this.toTimestamp()) {
+            throw new FeeScheduleError('Fee schedules cannot be backdated, past charges must stay reproducible');
+        }
+
+        const result = await this.run(`
+            INSERT INTO fee_schedules (name, scope, scope_value, effective_from, effective_to, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            schedule.name,
+            schedule.scope,
+            schedule.scope_value,
+            effectiveFrom,
+            schedule.effective_to ? this.toTimestamp(schedule.effective_to) : null,
+            createdBy
+        ]);
+
+        await this.insertBands(result.id, schedule.bands);
+
+        return this.getSchedule(result.id);
+    }
+
+    /**
+     * Replace a schedule that has not taken effect yet
+     * Schedules already in effect are kept as they are; add a new one instead.
+     */
+    async updateSchedule(scheduleId, schedule) {
+        const existing = await this.getSchedule(scheduleId);
+        if (!existing) {
+            throw new FeeScheduleError('Fee schedule not found', 404);
+        }
+
+        const now = this.toTimestamp();
+        if (existing.effective_from <= now) {
+            throw new FeeScheduleError('Fee schedule is already in effect, add a new schedule with a later effective date instead', 409);
+        }
+
+        const effectiveFrom = this.toTimestamp(schedule.effective_from);
+        if (effectiveFrom < now) {
+            throw new FeeScheduleError('Fee schedules cannot be backdated, past charges must stay reproducible');
+        }
+
+        await this.run(`
+            UPDATE fee_schedules
+            SET name = ?, scope = ?, scope_value = ?, effective_from = ?, effective_to = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            schedule.name,
+            schedule.scope,
+            schedule.scope_value,
+            effectiveFrom,
+            schedule.effective_to ? this.toTimestamp(schedule.effective_to) : null,
+            scheduleId
+        ]);
+
+        await this.run('DELETE FROM fee_schedule_bands WHERE schedule_id = ?', [scheduleId]);
+        await this.insertBands(scheduleId, schedule.bands);
+
+        return this.getSchedule(scheduleId);
+    }
+
+    /**
+     * End a schedule (now, or at a future time)
+     */
+    async retireSchedule(scheduleId, effectiveTo = null) {
+        const existing = await this.getSchedule(scheduleId);
+        if (!existing) {
+            throw new FeeScheduleError('Fee schedule not found', 404);
+        }
+
+        const now = this.toTimestamp();
+        const retireAt = this.toTimestamp(effectiveTo);
+        if (!retireAt || retireAt < now) {
+            throw new FeeScheduleError('effective_to must be a date-time that has not passed');
+        }
+
+        if (existing.effective_to && existing.effective_to <= now) {
+            throw new FeeScheduleError('Fee schedule is already retired', 409);
+        }
+
+        await this.run(`
+            UPDATE fee_schedules
+            SET effective_to = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [retireAt < existing.effective_from ? existing.effective_from : retireAt, scheduleId]);
+
+        return this.getSchedule(scheduleId);
+    }
+}
+
+FeeSchedules.SCOPE_ORDER = SCOPE_ORDER;
+FeeSchedules.DEFAULT_BANDS = DEFAULT_BANDS;
+FeeSchedules.FeeScheduleError = FeeScheduleError;
+
+module.exports = FeeSchedules;
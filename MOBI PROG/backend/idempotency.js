@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { t } = require('./messages');
+
+/**
+ * MOBIPAY Idempotency Keys
+ * Stores the first response for an Idempotency-Key so client retries
+ * (e.g. a passenger tapping "Pay" twice) do not create a second payment
+ *
+ * Keys are scoped to the caller (see middleware()), so two callers picking the same key
+ * never see each other's responses.
+ */
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{1,100}$/;
+
+class IdempotencyStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get key expiry from system settings (hours)
+     */
+    async getTtlHours() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT setting_value
+                FROM system_settings
+                WHERE setting_key = 'idempotency_key_ttl_hours'
+            `;
+
+            this.db.get(query, [], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(parseInt(row?.setting_value) || 24);
+            });
+        });
+    }
+
+    /**
+     * Hash a request body so replays can be compared with the original
+     * @param {object} body - Parsed request body
+     */
+    hashRequest(body) {
+        const canonicalize = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(canonicalize);
+            }
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((result, key) => {
+                    result[key] = canonicalize(value[key]);
+                    return result;
+                }, {});
+            }
+            return value;
+        };
+
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(canonicalize(body || {})))
+            .digest('hex');
+    }
+
+    /**
+     * Remove keys past their expiry
+     */
+    async purgeExpired() {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM idempotency_requests WHERE expires_at <= CURRENT_TIMESTAMP',
+                [],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    /**
+     * Get a caller's stored key
+     */
+    async find(clientScope, idempotencyKey) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM idempotency_requests
+                WHERE client_scope = ? AND idempotency_key = ? AND expires_at > CURRENT_TIMESTAMP
+            `;
+
+            this.db.get(query, [clientScope, idempotencyKey], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Claim a key for a new request, or report why it cannot be claimed
+     * @param {string} clientScope - Caller identity the key belongs to
+     * @returns {object} - { state: 'NEW' | 'REPLAY' | 'MISMATCH' | 'IN_PROGRESS', record }
+     */
+    async begin(clientScope, idempotencyKey, requestPath, requestHash) {
+        await this.purgeExpired();
+        const ttlHours = await this.getTtlHours();
+
+        const inserted = await new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO idempotency_requests (
+                    client_scope, idempotency_key, request_path, request_hash, status, expires_at
+                ) VALUES (?, ?, ?, ?, 'IN_PROGRESS', datetime('now', ?))
+            `;
+
+            const params = [clientScope, idempotencyKey, requestPath, requestHash, `+${ttlHours} hours`];
+            this.db.run(query, params, (err) => {
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    resolve(false);
+                    return;
+                }
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(true);
+            });
+        });
+
+        if (inserted) {
+            return { state: 'NEW', record: null };
+        }
+
+        const record = await this.find(clientScope, idempotencyKey);
+        if (!record) {
+            // Expired between purge and insert, treat as a fresh key
+            return this.begin(clientScope, idempotencyKey, requestPath, requestHash);
+        }
+
+        if (record.request_hash !== requestHash || record.request_path !== requestPath) {
+            return { state: 'MISMATCH', record };
+        }
+
+        if (record.status !== 'COMPLETED') {
+            return { state: 'IN_PROGRESS', record };
+        }
+
+        return { state: 'REPLAY', record };
+    }
+
+    /**
+     * Store the response for a claimed key
+     */
+    async complete(clientScope, idempotencyKey, responseStatus, responseBody) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE idempotency_requests
+                SET status = 'COMPLETED', response_status = ?, response_body = ?, transaction_id = ?
+                WHERE client_scope = ? AND idempotency_key = ?
+            `;
+
+            const params = [
+                responseStatus,
+                JSON.stringify(responseBody),
+                responseBody?.data?.transactionId || null,
+                clientScope,
+                idempotencyKey
+            ];
+
+            this.db.run(query, params, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Release a claimed key so the client can retry (used for server errors)
+     */
+    async release(clientScope, idempotencyKey) {
+        return new Promise((resolve, reject) => {
+            const query = 'DELETE FROM idempotency_requests WHERE client_scope = ? AND idempotency_key = ?';
+
+            this.db.run(query, [clientScope, idempotencyKey], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Express middleware honouring the Idempotency-Key header
+     * Errors are in req.locale when an earlier middleware has set it.
+     * @param {function} scopeOf - (req) => identity of the caller a key belongs to
+     */
+    middleware(scopeOf = () => '') {
+        return async (req, res, next) => {
+            const idempotencyKey = req.get('Idempotency-Key');
+            if (!idempotencyKey) {
+                return next();
+            }
+
+            if (!KEY_PATTERN.test(idempotencyKey)) {
+                return res.status(400).json({
+                    success: false,
+                    error: t(req.locale, 'error.idempotency.keyFormat')
+                });
+            }
+
+            try {
+                const clientScope = String(scopeOf(req) || '');
+                const requestHash = this.hashRequest(req.body);
+                const { state, record } = await this.begin(clientScope, idempotencyKey, req.originalUrl, requestHash);
+
+                if (state === 'MISMATCH') {
+                    return res.status(409).json({
+                        success: false,
+                        error: t(req.locale, 'error.idempotency.mismatch')
+                    });
+                }
+
+                if (state === 'IN_PROGRESS') {
+                    return res.status(409).json({
+                        success: false,
+                        error: t(req.locale, 'error.idempotency.inProgress')
+                    });
+                }
+
+                if (state === 'REPLAY') {
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(record.response_status).json(JSON.parse(record.response_body));
+                }
+
+                // Capture the response so replays can return it unchanged
+                const originalJson = res.json.bind(res);
+                res.json = (body) => {
+                    const store = res.statusCode >= 500
+                        ? this.release(clientScope, idempotencyKey)
+                        : this.complete(clientScope, idempotencyKey, res.statusCode, body);
+
+                    store.catch(error => console.error('Idempotency store error:', error));
+                    return originalJson(body);
+                };
+
+                next();
+
+            } catch (error) {
+                console.error('Idempotency check error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: t(req.locale, 'error.internal')
+                });
+            }
+        };
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,470 @@
+const MoneySplitter = require('../utils/money-split');
+
+/**
+ * MOBIPAY Double-Entry Ledger
+ * Every completed payment, refund and owner payout is posted as a balanced journal
+ * in ledger_entries, so account balances and statements come from the ledger
+ * instead of summing owner_share and developer_share over transactions.
+ *
+ * A payment of fare + charge posts:
+ *   DEBIT  passenger clearing   total      CREDIT fares held     fare
+ *                                          CREDIT fee income     charge
+ *   DEBIT  fee income           charge     CREDIT each split leg recipient
+ * Refunds post the matching contra entries, payouts move owner balances back out of clearing.
+ * Money taken for a payment that is held for review (LATE_PAYMENT, AMOUNT_MISMATCH, UNMATCHED)
+ * is posted DEBIT clearing / CREDIT suspense, so clearing still matches the paybill statement.
+ */
+
+// System ledger accounts (recipient accounts use their account_number)
+const SYSTEM_ACCOUNTS = {
+    CLEARING: {
+        account_number: 'MOBIPAY-CLEARING',
+        name: 'Passenger payments clearing (M-Pesa / Airtel collections)',
+        account_type: 'ASSET',
+        normal_balance: 'DEBIT'
+    },
+    FEE_INCOME: {
+        account_number: 'MOBIPAY-FEES',
+        name: 'Transaction charge income (distributed to split legs)',
+        account_type: 'INCOME',
+        normal_balance: 'CREDIT'
+    },
+    FARES: {
+        account_number: 'MOBIPAY-FARES',
+        name: 'Fares held for settlement',
+        account_type: 'LIABILITY',
+        normal_balance: 'CREDIT'
+    },
+    SUSPENSE: {
+        account_number: 'MOBIPAY-SUSPENSE',
+        name: 'Payments received and held for review',
+        account_type: 'LIABILITY',
+        normal_balance: 'CREDIT'
+    }
+};
+
+// Transactions whose payment has been received
+const POSTABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Transactions whose money was taken but which are not settled to the split legs
+const SUSPENSE_STATUSES = ['LATE_PAYMENT', 'AMOUNT_MISMATCH', 'UNMATCHED'];
+
+class LedgerService {
+    constructor(db) {
+        this.db = db;
+        this.moneySplitter = new MoneySplitter(db);
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Create a ledger account unless it already exists
+     * Recipient accounts take their name from the accounts table when registered there
+     */
+    async ensureAccount(accountNumber, defaults = {}) {
+        const account = await this.get('SELECT account_name, account_type FROM accounts WHERE account_number = ?', [accountNumber]);
+
+        await this.run(`
+            INSERT OR IGNORE INTO ledger_accounts (account_number, name, account_type, normal_balance)
+            VALUES (?, ?, ?, ?)
+        `, [
+            accountNumber,
+            defaults.name || account?.account_name || accountNumber,
+            defaults.account_type || 'LIABILITY',
+            defaults.normal_balance || 'CREDIT'
+        ]);
+    }
+
+    /**
+     * Post a balanced journal in a single INSERT, so it is written completely or not at all
+     * @param {string} journalId - Unique journal ID, e.g. PAY-<transaction_id>
+     * @param {string} entryType - PAYMENT, SUSPENSE, REFUND or PAYOUT
+     * @param {Array} lines - { accountNumber, direction: 'DEBIT' | 'CREDIT', amount, description }
+     * @param {object} refs - Optional transactionId, refundId and payoutId
+     * @returns {Promise<boolean>} - false when the journal was already posted
+     */
+    async postJournal(journalId, entryType, lines, refs = {}) {
+        const postedLines = lines.filter(line => line.amount !== 0);
+        const total = (direction) => postedLines
+            .filter(line => line.direction === direction)
+            .reduce((sum, line) => sum + line.amount, 0);
+
+        if (total('DEBIT') !== total('CREDIT')) {
+            throw new Error(`Journal ${journalId} is unbalanced: debits ${total('DEBIT')}, credits ${total('CREDIT')}`);
+        }
+
+        if (postedLines.length === 0) {
+            return false;
+        }
+
+        const placeholders = postedLines.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+        const params = [];
+        postedLines.forEach((line, index) => {
+            params.push(
+                journalId,
+                index + 1,
+                entryType,
+                line.accountNumber,
+                line.direction,
+                line.amount,
+                refs.transactionId || null,
+                refs.refundId || null,
+                refs.payoutId || null,
+                line.description || null
+            );
+        });
+
+        try {
+            await this.run(`
+                INSERT INTO ledger_entries (journal_id, line_no, entry_type, account_number, direction, amount,
+                                            transaction_id, refund_id, payout_id, description)
+                VALUES ${placeholders}
+            `, params);
+            return true;
+        } catch (error) {
+            if (/UNIQUE constraint failed/.test(error.message)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure the system accounts and the given recipient accounts exist
+     */
+    async ensureAccounts(accountNumbers) {
+        for (const account of Object.values(SYSTEM_ACCOUNTS)) {
+            await this.ensureAccount(account.account_number, account);
+        }
+
+        for (const accountNumber of new Set(accountNumbers)) {
+            await this.ensureAccount(accountNumber);
+        }
+    }
+
+    /**
+     * Post the journal for a completed payment (no-op if not completed or already posted)
+     * Payments held for review go to suspense instead (see postSuspense()).
+     * @param {string} transactionId - Transaction ID
+     */
+    async postPayment(transactionId) {
+        const transaction = await this.get('SELECT * FROM transactions WHERE transaction_id = ?', [transactionId]);
+        if (transaction && SUSPENSE_STATUSES.includes(transaction.status)) {
+            return this.postSuspense(transaction);
+        }
+        if (!transaction || !POSTABLE_STATUSES.includes(transaction.status)) {
+            return false;
+        }
+
+        const recipients = await this.moneySplitter.getSettledLines(transaction);
+        if (recipients.some(line => !line.account_number)) {
+            throw new Error(`Transaction ${transactionId} has a split leg without an account`);
+        }
+
+        await this.ensureAccounts(recipients.map(line => line.account_number));
+
+        const reference = transaction.mpesa_receipt_number || transaction.transaction_id;
+        const lines = [
+            { accountNumber: SYSTEM_ACCOUNTS.CLEARING.account_number, direction: 'DEBIT', amount: transaction.total_amount, description: `Payment ${reference}` },
+            { accountNumber: SYSTEM_ACCOUNTS.FARES.account_number, direction: 'CREDIT', amount: transaction.amount, description: `Fare for matatu ${transaction.matatu_code}` },
+            { accountNumber: SYSTEM_ACCOUNTS.FEE_INCOME.account_number, direction: 'CREDIT', amount: transaction.transaction_charge, description: 'Transaction charge' },
+            { accountNumber: SYSTEM_ACCOUNTS.FEE_INCOME.account_number, direction: 'DEBIT', amount: transaction.transaction_charge, description: 'Transaction charge split' },
+            ...recipients.map(line => ({
+                accountNumber: line.account_number,
+                direction: 'CREDIT',
+                amount: line.amount,
+                description: `${line.leg} share of ${transaction.transaction_id}`
+            }))
+        ];
+
+        return this.postJournal(`PAY-${transactionId}`, 'PAYMENT', lines, { transactionId });
+    }
+
+    /**
+     * Post the money taken for a payment held for review to suspense
+     * Nothing is credited to the split legs until the payment has been sorted out.
+     * @param {object} transaction - Transaction row
+     */
+    async postSuspense(transaction) {
+        const received = transaction.received_amount ?? transaction.total_amount;
+
+        await this.ensureAccounts([]);
+
+        const reference = transaction.mpesa_receipt_number || transaction.transaction_id;
+        return this.postJournal(`SUS-${transaction.transaction_id}`, 'SUSPENSE', [
+            { accountNumber: SYSTEM_ACCOUNTS.CLEARING.account_number, direction: 'DEBIT', amount: received, description: `Payment ${reference}` },
+            { accountNumber: SYSTEM_ACCOUNTS.SUSPENSE.account_number, direction: 'CREDIT', amount: received, description: `${transaction.status} ${transaction.transaction_id} held for review` }
+        ], { transactionId: transaction.transaction_id });
+    }
+
+    /**
+     * Post the contra entries for a completed refund
+     * Each split leg is reversed as RefundService claws it back (MoneySplitter.clawbackLines()),
+     * so a full refund reverses the payment exactly; the fare line absorbs rounding.
+     * @param {string} refundId - Refund ID
+     */
+    async postRefund(refundId) {
+        const refund = await this.get("SELECT * FROM refunds WHERE refund_id = ? AND status = 'COMPLETED'", [refundId]);
+        if (!refund) {
+            return false;
+        }
+
+        // A refund can only reverse a payment that is in the ledger
+        await this.postPayment(refund.transaction_id);
+
+        const transaction = await this.get('SELECT * FROM transactions WHERE transaction_id = ?', [refund.transaction_id]);
+        const posted = await this.get(`
+            SELECT COALESCE(SUM(amount), 0) as total FROM ledger_entries
+            WHERE transaction_id = ? AND entry_type = 'REFUND'
+              AND account_number = ? AND direction = 'CREDIT'
+        `, [transaction.transaction_id, SYSTEM_ACCOUNTS.CLEARING.account_number]);
+
+        const recipients = MoneySplitter.clawbackLines(
+            await this.moneySplitter.getSettledLines(transaction),
+            transaction.total_amount,
+            posted.total,
+            posted.total + refund.amount
+        );
+        const feePiece = recipients.reduce((sum, line) => sum + line.clawback, 0);
+
+        const lines = [
+            ...recipients.map(line => ({
+                accountNumber: line.account_number,
+                direction: 'DEBIT',
+                amount: line.clawback,
+                description: `${line.leg} share clawed back by refund ${refund.refund_id}`
+            })),
+            { accountNumber: SYSTEM_ACCOUNTS.FEE_INCOME.account_number, direction: 'CREDIT', amount: feePiece, description: 'Transaction charge split reversed' },
+            { accountNumber: SYSTEM_ACCOUNTS.FEE_INCOME.account_number, direction: 'DEBIT', amount: feePiece, description: 'Transaction charge refunded' },
+            { accountNumber: SYSTEM_ACCOUNTS.FARES.account_number, direction: 'DEBIT', amount: refund.amount - feePiece, description: `Fare refunded for matatu ${transaction.matatu_code}` },
+            { accountNumber: SYSTEM_ACCOUNTS.CLEARING.account_number, direction: 'CREDIT', amount: refund.amount, description: `Refund ${refund.mpesa_receipt_number || refund.refund_id}` }
+        ];
+
+        return this.postJournal(`REF-${refundId}`, 'REFUND', lines, {
+            transactionId: transaction.transaction_id,
+            refundId: refund.refund_id
+        });
+    }
+
+    /**
+     * Post a completed owner payout (money leaves clearing to the owner)
+     * @param {string} payoutId - Payout ID
+     */
+    async postPayout(payoutId) {
+        const payout = await this.get("SELECT * FROM payouts WHERE payout_id = ? AND status = 'COMPLETED'", [payoutId]);
+        if (!payout) {
+            return false;
+        }
+
+        await this.ensureAccounts([payout.owner_account]);
+
+        return this.postJournal(`PAYOUT-${payoutId}`, 'PAYOUT', [
+            { accountNumber: payout.owner_account, direction: 'DEBIT', amount: payout.amount, description: `Payout ${payout.mpesa_receipt_number || payout.payout_id}` },
+            { accountNumber: SYSTEM_ACCOUNTS.CLEARING.account_number, direction: 'CREDIT', amount: payout.amount, description: `B2C payout to ${payout.phone_number}` }
+        ], { payoutId: payout.payout_id });
+    }
+
+    /**
+     * Post anything completed but not yet in the ledger (existing data, or a posting that failed)
+     * @returns {object} - Journals posted per type
+     */
+    async backfill() {
+        const counts = { payments: 0, refunds: 0, payouts: 0 };
+
+        const receivedStatuses = [...POSTABLE_STATUSES, ...SUSPENSE_STATUSES];
+        const transactions = await this.all(`
+            SELECT transaction_id FROM transactions
+            WHERE status IN (${receivedStatuses.map(() => '?').join(', ')})
+              AND transaction_id NOT IN (
+                  SELECT transaction_id FROM ledger_entries
+                  WHERE entry_type IN ('PAYMENT', 'SUSPENSE') AND transaction_id IS NOT NULL
+              )
+            ORDER BY created_at ASC
+        `, receivedStatuses);
+        for (const row of transactions) {
+            if (await this.postPayment(row.transaction_id)) counts.payments++;
+        }
+
+        const refunds = await this.all(`
+            SELECT refund_id FROM refunds
+            WHERE status = 'COMPLETED'
+              AND refund_id NOT IN (SELECT refund_id FROM ledger_entries WHERE refund_id IS NOT NULL)
+            ORDER BY completed_at ASC
+        `, []);
+        for (const row of refunds) {
+            if (await this.postRefund(row.refund_id)) counts.refunds++;
+        }
+
+        const payouts = await this.all(`
+            SELECT payout_id FROM payouts
+            WHERE status = 'COMPLETED'
+              AND payout_id NOT IN (SELECT payout_id FROM ledger_entries WHERE payout_id IS NOT NULL)
+            ORDER BY completed_at ASC
+        `, []);
+        for (const row of payouts) {
+            if (await this.postPayout(row.payout_id)) counts.payouts++;
+        }
+
+        return counts;
+    }
+
+    /**
+     * Ledger account for an account number, opening one for registered accounts
+     * that have nothing posted yet
+     */
+    async findAccount(accountNumber) {
+        const registered = await this.get('SELECT account_number FROM accounts WHERE account_number = ?', [accountNumber]);
+        if (registered) {
+            await this.ensureAccount(accountNumber);
+        }
+
+        return this.get('SELECT * FROM ledger_accounts WHERE account_number = ?', [accountNumber]);
+    }
+
+    /**
+     * Ledger accounts with their balances
+     */
+    async listAccounts() {
+        return this.all(`
+            SELECT la.*,
+                   COALESCE(SUM(CASE WHEN le.direction = 'DEBIT' THEN le.amount ELSE 0 END), 0) as debits,
+                   COALESCE(SUM(CASE WHEN le.direction = 'CREDIT' THEN le.amount ELSE 0 END), 0) as credits,
+                   COALESCE(SUM(CASE
+                       WHEN le.direction = la.normal_balance THEN le.amount
+                       WHEN le.direction IS NOT NULL THEN -le.amount
+                       ELSE 0 END), 0) as balance
+            FROM ledger_accounts la
+            LEFT JOIN ledger_entries le ON le.account_number = la.account_number
+            GROUP BY la.id
+            ORDER BY la.account_type, la.account_number
+        `, []);
+    }
+
+    /**
+     * Balance of one account (positive = what the account holds in its normal direction)
+     * @param {string} accountNumber - Account number
+     * @param {string} asOf - Optional cut-off datetime
+     */
+    async getBalance(accountNumber, asOf) {
+        const account = await this.findAccount(accountNumber);
+        if (!account) {
+            return null;
+        }
+
+        const totals = await this.get(`
+            SELECT COALESCE(SUM(CASE WHEN direction = 'DEBIT' THEN amount ELSE 0 END), 0) as debits,
+                   COALESCE(SUM(CASE WHEN direction = 'CREDIT' THEN amount ELSE 0 END), 0) as credits
+            FROM ledger_entries
+            WHERE account_number = ? AND (? IS NULL OR created_at <= ?)
+        `, [accountNumber, asOf || null, asOf || null]);
+
+        return {
+            accountNumber: account.account_number,
+            name: account.name,
+            accountType: account.account_type,
+            normalBalance: account.normal_balance,
+            debits: totals.debits,
+            credits: totals.credits,
+            balance: account.normal_balance === 'DEBIT'
+                ? totals.debits - totals.credits
+                : totals.credits - totals.debits,
+            asOf: asOf || null
+        };
+    }
+
+    /**
+     * Statement of one account: opening balance, entries with running balance, closing balance
+     * @param {string} accountNumber - Account number
+     * @param {object} options - Optional from and to datetimes, and limit
+     */
+    async getStatement(accountNumber, { from, to, limit = 200 } = {}) {
+        const account = await this.findAccount(accountNumber);
+        if (!account) {
+            return null;
+        }
+
+        const sign = (direction) => direction === account.normal_balance ? 1 : -1;
+
+        const opening = await this.get(`
+            SELECT COALESCE(SUM(CASE WHEN direction = ? THEN amount ELSE -amount END), 0) as balance
+            FROM ledger_entries
+            WHERE account_number = ? AND ? IS NOT NULL AND created_at < ?
+        `, [account.normal_balance, accountNumber, from || null, from || null]);
+
+        const entries = await this.all(`
+            SELECT id, journal_id, entry_type, direction, amount, transaction_id, refund_id, payout_id,
+                   description, created_at
+            FROM ledger_entries
+            WHERE account_number = ?
+              AND (? IS NULL OR created_at >= ?)
+              AND (? IS NULL OR created_at <= ?)
+            ORDER BY created_at ASC, id ASC
+            LIMIT ?
+        `, [accountNumber, from || null, from || null, to || null, to || null, limit]);
+
+        let running = opening.balance;
+        const lines = entries.map(entry => {
+            running += sign(entry.direction) * entry.amount;
+            return { ...entry, balance: running };
+        });
+
+        return {
+            accountNumber: account.account_number,
+            name: account.name,
+            accountType: account.account_type,
+            normalBalance: account.normal_balance,
+            from: from || null,
+            to: to || null,
+            openingBalance: opening.balance,
+            closingBalance: running,
+            entries: lines
+        };
+    }
+}
+
+LedgerService.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
+
+module.exports = LedgerService;
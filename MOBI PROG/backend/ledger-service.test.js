@@ -0,0 +1,97 @@
+const sqlite3 = require('sqlite3');
+const LedgerService = require('./ledger-service');
+
+describe('LedgerService suspense postings', () => {
+    let db;
+    let ledgerService;
+
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+
+    const addTransaction = (transactionId, status, receivedAmount = null) => run(`
+        INSERT INTO transactions (transaction_id, matatu_code, amount, transaction_charge, total_amount, status, received_amount)
+        VALUES (?, '3025', 100, 2, 102, ?, ?)
+    `, [transactionId, status, receivedAmount]);
+
+    const balanceOf = async accountNumber => (await ledgerService.getBalance(accountNumber)).balance;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        ledgerService = new LedgerService(db);
+
+        await run(`
+            CREATE TABLE transactions (
+                transaction_id VARCHAR(50) PRIMARY KEY,
+                matatu_code VARCHAR(4),
+                amount INTEGER,
+                transaction_charge INTEGER,
+                total_amount INTEGER,
+                status VARCHAR(20),
+                received_amount INTEGER,
+                mpesa_receipt_number VARCHAR(50),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE accounts (
+                account_number VARCHAR(20) PRIMARY KEY,
+                account_name VARCHAR(100),
+                account_type VARCHAR(20)
+            )
+        `);
+        await run(`
+            CREATE TABLE ledger_accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                account_number VARCHAR(20) UNIQUE NOT NULL,
+                name VARCHAR(100),
+                account_type VARCHAR(20) NOT NULL,
+                normal_balance VARCHAR(6) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE ledger_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                journal_id VARCHAR(60) NOT NULL,
+                line_no INTEGER NOT NULL,
+                entry_type VARCHAR(10) NOT NULL,
+                account_number VARCHAR(20) NOT NULL,
+                direction VARCHAR(6) NOT NULL,
+                amount INTEGER NOT NULL,
+                transaction_id VARCHAR(50),
+                refund_id VARCHAR(50),
+                payout_id VARCHAR(50),
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (journal_id, line_no)
+            )
+        `);
+        await run('CREATE TABLE refunds (refund_id VARCHAR(50), status VARCHAR(20), completed_at DATETIME)');
+        await run('CREATE TABLE payouts (payout_id VARCHAR(50), status VARCHAR(20), completed_at DATETIME)');
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    test('posts the amount the provider took for an AMOUNT_MISMATCH to suspense', async () => {
+        await addTransaction('MOBI1', 'AMOUNT_MISMATCH', 50);
+
+        expect(await ledgerService.postPayment('MOBI1')).toBe(true);
+        expect(await balanceOf('MOBIPAY-CLEARING')).toBe(50);
+        expect(await balanceOf('MOBIPAY-SUSPENSE')).toBe(50);
+        expect(await balanceOf('MOBIPAY-FARES')).toBe(0);
+    });
+
+    test('backfills LATE_PAYMENT and UNMATCHED receipts once', async () => {
+        await addTransaction('MOBI1', 'LATE_PAYMENT', 102);
+        await addTransaction('MOBI2', 'UNMATCHED');
+        await addTransaction('MOBI3', 'FAILED');
+
+        expect((await ledgerService.backfill()).payments).toBe(2);
+        expect((await ledgerService.backfill()).payments).toBe(0);
+        expect(await balanceOf('MOBIPAY-CLEARING')).toBe(204);
+        expect(await balanceOf('MOBIPAY-SUSPENSE')).toBe(204);
+    });
+});
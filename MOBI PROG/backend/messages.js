@@ -0,0 +1,492 @@
+/**
+ * MOBIPAY Message Catalog
+ * Passenger-facing text (USSD menus, SMS receipts, payment status and /api/payment/*
+ * errors) in English and Swahili.
+ *
+ * t(locale, key, params) fills {name} placeholders and falls back to English for a key
+ * that has no translation. Errors thrown with a Message (see message()) carry their key,
+ * so they can be shown in the caller's language with errorMessage().
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = ['en', 'sw'];
+
+// Language names shown on the USSD language menu, each in its own language
+const LANGUAGE_NAMES = {
+    en: 'English',
+    sw: 'Kiswahili'
+};
+
+const CATALOG = {
+    en: {
+        // USSD menus
+        'ussd.home.title': 'Welcome to MOBIPAY - Lipa Matatu na Code',
+        'ussd.home.pay': 'Make Payment',
+        'ussd.home.payments': 'My Payments',
+        'ussd.home.help': 'Help',
+        'ussd.home.language': 'Lugha / Language',
+        'ussd.language.title': 'Choose language:',
+        'ussd.language.saved': 'Language set to English.',
+        'ussd.matatuCode': 'Enter Matatu Code (1-4 digits):',
+        'ussd.boardingStage': 'Boarding stage:',
+        'ussd.alightingStage': 'Alighting stage:',
+        'ussd.enterAmountOption': 'Enter amount',
+        'ussd.amount': 'Enter amount (Min KSh 50):',
+        'ussd.confirm': 'Pay Matatu {matatuCode}\n{stages}Fare: KSh {amount}\nService Fee: KSh {charge}\nTotal: KSh {total}',
+        'ussd.confirm.pay': 'Confirm & Pay',
+        'ussd.confirm.cancel': 'Cancel',
+        'ussd.paymentSent': 'Payment request sent!\nRef: {transactionId}\nCode: {shortCode}\nTotal: KSh {total}\nEnter your PIN on the payment prompt to complete.',
+        'ussd.paymentNotSent': 'Payment not sent: {error}',
+        'ussd.paymentCancelled': 'Payment cancelled. No money has been taken.',
+        'ussd.payments.title': 'Your payments:',
+        'ussd.payments.none': 'No payments from this number yet.',
+        'ussd.payments.findByCode': 'Find by code',
+        'ussd.findByCode': 'Enter the 6-digit payment code:',
+        'ussd.findByCode.notFound': 'No payment with that code from this number.',
+        'ussd.paymentDetail': 'Code: {shortCode}\nMatatu {matatuCode}{route}\nKSh {total} on {time}\nStatus: {status}',
+        'ussd.paymentDetail.resend': 'Resend receipt',
+        'ussd.receiptSent': 'Receipt sent. You will get it by SMS shortly.',
+        'ussd.help': 'MOBIPAY Help:\n- Dial this code to pay matatu fare\n- Enter matatu code (4 digits max)\n- Enter amount (min KSh 50)\n- Complete payment via M-Pesa\n- 0 goes back, 00 goes home\nFor support call: 0700000000',
+        'ussd.invalidChoice': 'Invalid choice, try again.',
+        'ussd.navigation': '{back}. Back {home}. Home',
+        'ussd.timedOut': 'Session timed out. Please dial again.',
+        'ussd.ended': 'Session has ended. Please dial again.',
+        'ussd.expired': 'Session expired. Please dial again.',
+        'ussd.home.owner': 'Owner Menu',
+        'ussd.owner.pin': 'Enter your owner PIN:',
+        'ussd.owner.title': 'Owner menu:',
+        'ussd.owner.today': 'Today',
+        'ussd.owner.week': 'This week',
+        'ussd.owner.month': 'This month',
+        'ussd.owner.payments': 'Last 5 payments',
+        'ussd.owner.balance': 'Payout balance',
+        'ussd.owner.earnings': '{period} (fares / your share):',
+        'ussd.owner.earningsLine': '{matatuCode}: KSh {fares} / KSh {share} ({payments} paid)',
+        'ussd.owner.noMatatus': 'No matatus are linked to this number.',
+        'ussd.owner.recentPayments': 'Last payments:',
+        'ussd.owner.paymentLine': '{time} {matatuCode} KSh {amount}',
+        'ussd.owner.noPayments': 'No completed payments yet.',
+        'ussd.owner.balanceDetail': 'Pending payout: KSh {balance}\nFrom {payments} payments, sent to this number by M-Pesa.',
+        'ussd.owner.alerts': 'SMS alerts',
+        'ussd.owner.alerts.title': 'SMS alerts (now: {current}):',
+        'ussd.owner.alerts.PAYMENT': 'Every payment',
+        'ussd.owner.alerts.DAILY': 'Daily summary',
+        'ussd.owner.alerts.NONE': 'Off',
+        'ussd.owner.alerts.saved': 'SMS alerts set to: {alerts}.',
+
+        // Owner PIN
+        'owner.notFound': 'Owner account not found',
+        'owner.pinFormat': 'PIN must be exactly 4 digits',
+        'owner.pinNotSet': 'No owner PIN is set for this number. Call 0700000000 to get one.',
+        'owner.wrongPin': 'Wrong PIN, {remaining} attempts left.',
+        'owner.pinLocked': 'Too many wrong PINs. Try again in {minutes} minutes.',
+        'owner.smsAlertsInvalid': 'SMS alerts must be one of: {values}',
+
+        // Short payment statuses (USSD payment lists)
+        'status.PENDING': 'Pending',
+        'status.COMPLETED': 'Paid',
+        'status.FAILED': 'Failed',
+        'status.EXPIRED': 'Expired',
+        'status.AMOUNT_MISMATCH': 'In review',
+        'status.UNMATCHED': 'In review',
+        'status.LATE_PAYMENT': 'In review',
+        'status.PARTIALLY_REFUNDED': 'Part refunded',
+        'status.REFUNDED': 'Refunded',
+
+        // SMS receipt
+        'receipt.sms': 'MOBIPAY receipt {transactionId}\nCode: {shortCode}\nMatatu {matatuCode}{route}\nFare KSh {amount} + fee KSh {charge} = KSh {total}\n{providerReceipt}{time}',
+        'receipt.providerReceipt': 'Receipt: {receiptNumber}\n',
+        'receipt.notFound': 'Payment not found',
+        'receipt.noReceipt': 'Payment is {status}, there is no receipt to send',
+        'receipt.limit': 'The receipt has already been re-sent {max} times',
+        'receipt.sendFailed': 'The receipt could not be sent, try again later',
+
+        // Owner SMS alerts
+        'sms.ownerPayment': 'MOBIPAY: Matatu {matatuCode} was paid KSh {amount} at {time}\nRef: {transactionId}\nYour share: KSh {share}',
+        'sms.ownerSummary': 'MOBIPAY summary {date}\n{lines}\nTotal KSh {fares} from {payments} payments\nYour share: KSh {share}',
+        'sms.ownerSummaryLine': '{matatuCode}: KSh {fares} ({payments} paid)',
+
+        // Provider result codes (M-Pesa, then Airtel Money)
+        'result.mpesa.0': 'Success',
+        'result.mpesa.1': 'Insufficient Funds',
+        'result.mpesa.17': 'User cancelled transaction',
+        'result.mpesa.26': 'Invalid business number',
+        'result.mpesa.2001': 'Invalid Pin Entered',
+        'result.mpesa.1001': 'Unable to lock subscriber, a transaction is already in process for the current subscriber',
+        'result.mpesa.1019': 'Transaction expired',
+        'result.mpesa.1032': 'Request cancelled by user',
+        'result.mpesa.1037': 'DS timeout user cannot be reached',
+        'result.mpesa.SFC_IC0003': 'Invalid Paybill Number',
+        'result.mpesa.2006': 'Transaction failed',
+        'result.airtel.TS': 'Success',
+        'result.airtel.TF': 'Transaction failed',
+        'result.airtel.TE': 'Transaction expired',
+        'result.airtel.DP00800001000': 'Transaction is in an ambiguous state',
+        'result.airtel.DP00800001001': 'Success',
+        'result.airtel.DP00800001002': 'Incorrect PIN entered',
+        'result.airtel.DP00800001003': 'Withdrawal amount limit exceeded',
+        'result.airtel.DP00800001004': 'Invalid amount',
+        'result.airtel.DP00800001005': 'User did not enter the PIN',
+        'result.airtel.DP00800001006': 'Transaction in progress',
+        'result.airtel.DP00800001007': 'Insufficient Funds',
+        'result.airtel.DP00800001008': 'Transaction refused',
+        'result.airtel.DP00800001010': 'Transaction not permitted to payee',
+        'result.airtel.DP00800001024': 'Transaction timed out',
+        'result.airtel.DP00800001025': 'Transaction not found',
+        'result.airtel.DP00800001029': 'Transaction expired',
+        'result.unknown': 'Transaction failed with code {code}',
+
+        // Payment API errors
+        'error.internal': 'Internal server error',
+        'error.database': 'Database error',
+        'error.transactionNotFound': 'Transaction not found',
+        'error.historyFailed': 'Failed to fetch transaction history',
+        'error.initiateFailed': 'Failed to initiate payment',
+        'error.matatuInactive': 'Invalid matatu code or matatu is not active',
+        'error.fare.stageFaresOnly': 'Matatu {matatuCode} charges stage fares, choose boarding and alighting stages',
+        'error.fare.mismatch': 'The fare from {from} to {to} is KSh {amount}',
+        'error.fare.noStageFares': 'Matatu {matatuCode} has no stage fares, enter the amount instead',
+        'error.fare.stagesNotOnRoute': 'Boarding and alighting stages must be stages of route {route}',
+        'error.fare.sameStage': 'Boarding and alighting stages must be different',
+        'error.fare.noFare': 'No fare is set from {from} to {to}',
+        'error.quote.notFound': 'Quote not found',
+        'error.quote.stagesMismatch': 'Quote {quoteId} is for {from} to {to} on matatu {matatuCode}',
+        'error.quote.amountMismatch': 'Quote {quoteId} is for KSh {amount} to matatu {matatuCode}',
+        'error.quote.used': 'Quote has already been used',
+        'error.quote.expired': 'Quote has expired, request a new quote',
+        'error.idempotency.keyFormat': 'Idempotency-Key must be 1-100 characters (letters, digits, - _ : .)',
+        'error.idempotency.mismatch': 'Idempotency-Key was already used with a different request body',
+        'error.idempotency.inProgress': 'A request with this Idempotency-Key is still being processed'
+    },
+
+    sw: {
+        'ussd.home.title': 'Karibu MOBIPAY - Lipa Matatu na Code',
+        'ussd.home.pay': 'Lipa Nauli',
+        'ussd.home.payments': 'Malipo Yangu',
+        'ussd.home.help': 'Msaada',
+        'ussd.language.title': 'Chagua lugha:',
+        'ussd.language.saved': 'Lugha imewekwa: Kiswahili.',
+        'ussd.matatuCode': 'Weka Namba ya Matatu (tarakimu 1-4):',
+        'ussd.boardingStage': 'Kituo cha kupanda:',
+        'ussd.alightingStage': 'Kituo cha kushuka:',
+        'ussd.enterAmountOption': 'Weka kiasi',
+        'ussd.amount': 'Weka kiasi (Kima cha chini KSh 50):',
+        'ussd.confirm': 'Lipa Matatu {matatuCode}\n{stages}Nauli: KSh {amount}\nAda ya Huduma: KSh {charge}\nJumla: KSh {total}',
+        'ussd.confirm.pay': 'Thibitisha na Ulipe',
+        'ussd.confirm.cancel': 'Ghairi',
+        'ussd.paymentSent': 'Ombi la malipo limetumwa!\nKumb: {transactionId}\nNamba: {shortCode}\nJumla: KSh {total}\nWeka PIN yako kwenye ujumbe wa malipo ili kukamilisha.',
+        'ussd.paymentNotSent': 'Malipo hayakutumwa: {error}',
+        'ussd.paymentCancelled': 'Malipo yameghairiwa. Hakuna pesa iliyotolewa.',
+        'ussd.payments.title': 'Malipo yako:',
+        'ussd.payments.none': 'Bado hakuna malipo kutoka namba hii.',
+        'ussd.payments.findByCode': 'Tafuta kwa namba',
+        'ussd.findByCode': 'Weka namba ya malipo ya tarakimu 6:',
+        'ussd.findByCode.notFound': 'Hakuna malipo yenye namba hiyo kutoka namba hii.',
+        'ussd.paymentDetail': 'Namba: {shortCode}\nMatatu {matatuCode}{route}\nKSh {total} tarehe {time}\nHali: {status}',
+        'ussd.paymentDetail.resend': 'Tuma risiti tena',
+        'ussd.receiptSent': 'Risiti imetumwa. Utaipata kwa SMS hivi punde.',
+        'ussd.help': 'Msaada wa MOBIPAY:\n- Piga namba hii kulipa nauli ya matatu\n- Weka namba ya matatu (tarakimu 4 au chini)\n- Weka kiasi (angalau KSh 50)\n- Kamilisha malipo kwa M-Pesa\n- 0 kurudi, 00 mwanzo\nKwa msaada piga: 0700000000',
+        'ussd.invalidChoice': 'Chaguo si sahihi, jaribu tena.',
+        'ussd.navigation': '{back}. Rudi {home}. Mwanzo',
+        'ussd.timedOut': 'Muda umekwisha. Tafadhali piga tena.',
+        'ussd.ended': 'Kipindi kimeisha. Tafadhali piga tena.',
+        'ussd.expired': 'Kipindi kimepitwa na muda. Tafadhali piga tena.',
+        'ussd.home.owner': 'Menyu ya Mmiliki',
+        'ussd.owner.pin': 'Weka PIN yako ya mmiliki:',
+        'ussd.owner.title': 'Menyu ya mmiliki:',
+        'ussd.owner.today': 'Leo',
+        'ussd.owner.week': 'Wiki hii',
+        'ussd.owner.month': 'Mwezi huu',
+        'ussd.owner.payments': 'Malipo 5 ya mwisho',
+        'ussd.owner.balance': 'Salio la malipo',
+        'ussd.owner.earnings': '{period} (nauli / sehemu yako):',
+        'ussd.owner.earningsLine': '{matatuCode}: KSh {fares} / KSh {share} (malipo {payments})',
+        'ussd.owner.noMatatus': 'Hakuna matatu zilizounganishwa na namba hii.',
+        'ussd.owner.recentPayments': 'Malipo ya mwisho:',
+        'ussd.owner.noPayments': 'Bado hakuna malipo yaliyokamilika.',
+        'ussd.owner.balanceDetail': 'Malipo yanayosubiri: KSh {balance}\nKutoka malipo {payments}, hutumwa kwa namba hii kwa M-Pesa.',
+        'ussd.owner.alerts': 'Arifa za SMS',
+        'ussd.owner.alerts.title': 'Arifa za SMS (sasa: {current}):',
+        'ussd.owner.alerts.PAYMENT': 'Kila malipo',
+        'ussd.owner.alerts.DAILY': 'Muhtasari wa siku',
+        'ussd.owner.alerts.NONE': 'Zima',
+        'ussd.owner.alerts.saved': 'Arifa za SMS zimewekwa: {alerts}.',
+
+        'owner.notFound': 'Akaunti ya mmiliki haikupatikana',
+        'owner.pinFormat': 'PIN lazima iwe tarakimu 4 kamili',
+        'owner.pinNotSet': 'Hakuna PIN ya mmiliki kwa namba hii. Piga 0700000000 kuipata.',
+        'owner.wrongPin': 'PIN si sahihi, majaribio {remaining} yamebaki.',
+        'owner.pinLocked': 'PIN zisizo sahihi zimezidi. Jaribu tena baada ya dakika {minutes}.',
+        'owner.smsAlertsInvalid': 'Arifa za SMS lazima ziwe moja ya: {values}',
+
+        'status.PENDING': 'Inasubiri',
+        'status.COMPLETED': 'Imelipwa',
+        'status.FAILED': 'Imeshindwa',
+        'status.EXPIRED': 'Muda umeisha',
+        'status.AMOUNT_MISMATCH': 'Inakaguliwa',
+        'status.UNMATCHED': 'Inakaguliwa',
+        'status.LATE_PAYMENT': 'Inakaguliwa',
+        'status.PARTIALLY_REFUNDED': 'Imerudishwa sehemu',
+        'status.REFUNDED': 'Imerudishwa',
+
+        'receipt.sms': 'Risiti ya MOBIPAY {transactionId}\nNamba: {shortCode}\nMatatu {matatuCode}{route}\nNauli KSh {amount} + ada KSh {charge} = KSh {total}\n{providerReceipt}{time}',
+        'receipt.providerReceipt': 'Risiti: {receiptNumber}\n',
+        'receipt.notFound': 'Malipo hayakupatikana',
+        'receipt.noReceipt': 'Malipo yako katika hali ya {status}, hakuna risiti ya kutuma',
+        'receipt.limit': 'Risiti tayari imetumwa tena mara {max}',
+        'receipt.sendFailed': 'Risiti haikuweza kutumwa, jaribu tena baadaye',
+
+        'sms.ownerPayment': 'MOBIPAY: Matatu {matatuCode} imelipwa KSh {amount} saa {time}\nKumb: {transactionId}\nSehemu yako: KSh {share}',
+        'sms.ownerSummary': 'Muhtasari wa MOBIPAY {date}\n{lines}\nJumla KSh {fares} kutoka malipo {payments}\nSehemu yako: KSh {share}',
+        'sms.ownerSummaryLine': '{matatuCode}: KSh {fares} (malipo {payments})',
+
+        'result.mpesa.0': 'Imefanikiwa',
+        'result.mpesa.1': 'Salio halitoshi',
+        'result.mpesa.17': 'Mteja ameghairi muamala',
+        'result.mpesa.26': 'Namba ya biashara si sahihi',
+        'result.mpesa.2001': 'PIN uliyoweka si sahihi',
+        'result.mpesa.1001': 'Muamala mwingine unaendelea kwenye namba hii, jaribu tena baadaye',
+        'result.mpesa.1019': 'Muda wa muamala umekwisha',
+        'result.mpesa.1032': 'Ombi limeghairiwa na mteja',
+        'result.mpesa.1037': 'Simu ya mteja haikupatikana kwa wakati',
+        'result.mpesa.SFC_IC0003': 'Namba ya Paybill si sahihi',
+        'result.mpesa.2006': 'Muamala umeshindwa',
+        'result.airtel.TS': 'Imefanikiwa',
+        'result.airtel.TF': 'Muamala umeshindwa',
+        'result.airtel.TE': 'Muda wa muamala umekwisha',
+        'result.airtel.DP00800001000': 'Hali ya muamala haijulikani',
+        'result.airtel.DP00800001001': 'Imefanikiwa',
+        'result.airtel.DP00800001002': 'PIN uliyoweka si sahihi',
+        'result.airtel.DP00800001003': 'Kikomo cha kiasi kimezidishwa',
+        'result.airtel.DP00800001004': 'Kiasi si sahihi',
+        'result.airtel.DP00800001005': 'Mteja hakuweka PIN',
+        'result.airtel.DP00800001006': 'Muamala unaendelea',
+        'result.airtel.DP00800001007': 'Salio halitoshi',
+        'result.airtel.DP00800001008': 'Muamala umekataliwa',
+        'result.airtel.DP00800001010': 'Muamala hauruhusiwi kwa mpokeaji',
+        'result.airtel.DP00800001024': 'Muda wa muamala umekwisha',
+        'result.airtel.DP00800001025': 'Muamala haukupatikana',
+        'result.airtel.DP00800001029': 'Muda wa muamala umekwisha',
+        'result.unknown': 'Muamala umeshindwa, msimbo {code}',
+
+        'error.internal': 'Hitilafu ya ndani ya seva',
+        'error.database': 'Hitilafu ya hifadhidata',
+        'error.transactionNotFound': 'Muamala haukupatikana',
+        'error.historyFailed': 'Imeshindwa kupata historia ya miamala',
+        'error.initiateFailed': 'Imeshindwa kuanzisha malipo',
+        'error.matatuInactive': 'Namba ya matatu si sahihi au matatu haifanyi kazi',
+        'error.fare.stageFaresOnly': 'Matatu {matatuCode} inatoza nauli kwa vituo, chagua kituo cha kupanda na cha kushuka',
+        'error.fare.mismatch': 'Nauli kutoka {from} hadi {to} ni KSh {amount}',
+        'error.fare.noStageFares': 'Matatu {matatuCode} haina nauli za vituo, weka kiasi badala yake',
+        'error.fare.stagesNotOnRoute': 'Vituo vya kupanda na kushuka lazima viwe vya njia ya {route}',
+        'error.fare.sameStage': 'Kituo cha kupanda na cha kushuka lazima viwe tofauti',
+        'error.fare.noFare': 'Hakuna nauli iliyowekwa kutoka {from} hadi {to}',
+        'error.quote.notFound': 'Bei iliyonukuliwa haikupatikana',
+        'error.quote.stagesMismatch': 'Nukuu {quoteId} ni ya {from} hadi {to} kwenye matatu {matatuCode}',
+        'error.quote.amountMismatch': 'Nukuu {quoteId} ni ya KSh {amount} kwa matatu {matatuCode}',
+        'error.quote.used': 'Nukuu hii tayari imetumika',
+        'error.quote.expired': 'Muda wa nukuu umekwisha, omba nukuu mpya',
+        'error.idempotency.keyFormat': 'Idempotency-Key lazima iwe herufi 1-100 (herufi, tarakimu, - _ : .)',
+        'error.idempotency.mismatch': 'Idempotency-Key hii tayari imetumika na ombi tofauti',
+        'error.idempotency.inProgress': 'Ombi lenye Idempotency-Key hii bado linashughulikiwa'
+    }
+};
+
+// Joi messages of the passenger-facing schemas, by schema then error code
+const VALIDATION_MESSAGES = {
+    en: {
+        matatuCode: {
+            'string.pattern.base': 'Matatu code must be 1-4 digits only',
+            'any.required': 'Matatu code is required'
+        },
+        phoneNumber: {
+            'string.pattern.base': 'Phone number must be in format 254XXXXXXXXX',
+            'any.required': 'Phone number is required'
+        },
+        amount: {
+            'number.base': 'Amount must be a number',
+            'number.min': 'Amount must be at least KSh 50',
+            'number.max': 'Amount cannot exceed KSh 100,000',
+            'any.required': 'Amount is required'
+        },
+        mpesaPin: {
+            'string.pattern.base': 'M-Pesa PIN must be exactly 4 digits',
+            'any.required': 'M-Pesa PIN is required'
+        },
+        shortCode: {
+            'string.pattern.base': 'Payment code must be 6 digits',
+            'any.required': 'Payment code is required'
+        },
+        stageId: {
+            'number.base': '{{#label}} must be a stage ID'
+        },
+        quoteId: {
+            'string.pattern.base': 'Invalid quote ID'
+        },
+        stages: {
+            'object.and': 'Choose both a boarding and an alighting stage'
+        }
+    },
+
+    sw: {
+        matatuCode: {
+            'string.pattern.base': 'Namba ya matatu lazima iwe tarakimu 1-4 pekee',
+            'any.required': 'Namba ya matatu inahitajika'
+        },
+        phoneNumber: {
+            'string.pattern.base': 'Namba ya simu lazima iwe katika muundo 254XXXXXXXXX',
+            'any.required': 'Namba ya simu inahitajika'
+        },
+        amount: {
+            'number.base': 'Kiasi lazima kiwe nambari',
+            'number.min': 'Kiasi lazima kiwe angalau KSh 50',
+            'number.max': 'Kiasi hakiwezi kuzidi KSh 100,000',
+            'any.required': 'Kiasi kinahitajika'
+        },
+        mpesaPin: {
+            'string.pattern.base': 'PIN ya M-Pesa lazima iwe tarakimu 4 kamili',
+            'any.required': 'PIN ya M-Pesa inahitajika'
+        },
+        shortCode: {
+            'string.pattern.base': 'Namba ya malipo lazima iwe tarakimu 6',
+            'any.required': 'Namba ya malipo inahitajika'
+        },
+        stageId: {
+            'number.base': '{{#label}} lazima iwe namba ya kituo'
+        },
+        quoteId: {
+            'string.pattern.base': 'Namba ya nukuu si sahihi'
+        },
+        stages: {
+            'object.and': 'Chagua kituo cha kupanda na cha kushuka'
+        },
+
+        // Joi's own messages, for fields without a message of their own
+        generic: {
+            'any.required': '{{#label}} inahitajika',
+            'any.only': '{{#label}} lazima iwe moja ya {{#valids}}',
+            'string.base': '{{#label}} lazima iwe maandishi',
+            'string.empty': '{{#label}} haiwezi kuwa tupu',
+            'string.alphanum': '{{#label}} lazima iwe herufi na nambari pekee',
+            'string.min': '{{#label}} lazima iwe na angalau herufi {{#limit}}',
+            'string.max': '{{#label}} haiwezi kuzidi herufi {{#limit}}',
+            'string.pattern.base': '{{#label}} haiko katika muundo sahihi',
+            'number.base': '{{#label}} lazima iwe nambari',
+            'number.integer': '{{#label}} lazima iwe nambari kamili',
+            'number.min': '{{#label}} lazima iwe angalau {{#limit}}',
+            'number.max': '{{#label}} haiwezi kuzidi {{#limit}}',
+            'object.unknown': '{{#label}} hairuhusiwi'
+        }
+    }
+};
+
+/**
+ * Supported locale for a language tag ("sw-KE" -> "sw"), or null
+ */
+function normalizeLocale(value) {
+    const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Best supported locale of an Accept-Language header (English when none match)
+ */
+function fromAcceptLanguage(header) {
+    const ranked = String(header || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { locale: normalizeLocale(tag), quality: quality ? parseFloat(quality.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.locale && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    return ranked.length ? ranked[0].locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Message text in a locale, with {name} placeholders filled from params
+ */
+function t(locale, key, params = {}) {
+    const template = CATALOG[normalizeLocale(locale) || DEFAULT_LOCALE][key] ?? CATALOG[DEFAULT_LOCALE][key];
+    if (template === undefined) {
+        return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined && params[name] !== null ? String(params[name]) : '');
+}
+
+/**
+ * Whether the catalog has a message for a key
+ */
+function has(key) {
+    return CATALOG[DEFAULT_LOCALE][key] !== undefined;
+}
+
+/**
+ * A catalog message that can be rendered later, in the caller's locale
+ * Reads as English wherever a plain string is expected (error messages, logs).
+ */
+class Message {
+    constructor(key, params = {}) {
+        this.key = key;
+        this.params = params;
+    }
+
+    in(locale) {
+        return t(locale, this.key, this.params);
+    }
+
+    toString() {
+        return this.in(DEFAULT_LOCALE);
+    }
+}
+
+function message(key, params = {}) {
+    return new Message(key, params);
+}
+
+/**
+ * Message of an error in a locale (errors created with a Message are translated)
+ */
+function errorMessage(error, locale) {
+    return error.localized instanceof Message ? error.localized.in(locale) : error.message;
+}
+
+/**
+ * Messages for a schema's .messages(): English by error code, plus a block per other language
+ */
+function joiMessages(name) {
+    const messages = { ...VALIDATION_MESSAGES.en[name] };
+    LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+        messages[locale] = VALIDATION_MESSAGES[locale][name] || {};
+    });
+    return messages;
+}
+
+/**
+ * Joi validate() options for a locale
+ */
+function joiOptions(locale) {
+    const language = normalizeLocale(locale) || DEFAULT_LOCALE;
+    return {
+        errors: { language: language },
+        messages: { [language]: VALIDATION_MESSAGES[language]?.generic || {} }
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    LANGUAGE_NAMES,
+    Message,
+    t,
+    has,
+    message,
+    errorMessage,
+    normalizeLocale,
+    fromAcceptLanguage,
+    joiMessages,
+    joiOptions
+};
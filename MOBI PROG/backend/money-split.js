@@ -1,43 +1,41 @@
 const sqlite3 = require('sqlite3').verbose();
+const SettingsService = require('../services/settings-service');
 
 /**
  * MOBIPAY Money Split Logic
- * Handles the distribution of transaction fees between matatu owner and developer
+ * Handles the distribution of transaction fees between the matatu owner, SACCO,
+ * crew and platform using split rules
+ *
+ * Rules are attached globally, per SACCO or per matatu_code. The most specific
+ * set with active rules is used as a whole (MATATU, then SACCO, then GLOBAL).
+ * Without any rules the legacy owner/developer split from developer_percentage applies.
  */
 
+// Most specific scope first
+const SCOPE_ORDER = ['MATATU', 'SACCO', 'GLOBAL'];
+
 class MoneySplitter {
     constructor(db) {
         this.db = db;
+        this.settingsService = new SettingsService(db);
     }
 
     /**
      * Get system settings for split calculations
+     * @param {string} asOf - Optional ISO 8601 timestamp, to reproduce the settings of a past split
      */
-    async getSystemSettings() {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT setting_key, setting_value 
-                FROM system_settings 
-                WHERE setting_key IN ('developer_percentage', 'min_amount')
-            `;
-            
-            this.db.all(query, [], (err, rows) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                
-                const settings = {};
-                rows.forEach(row => {
-                    settings[row.setting_key] = row.setting_value;
-                });
-                
-                resolve({
-                    developerPercentage: parseFloat(settings.developer_percentage) || 10,
-                    minAmount: parseInt(settings.min_amount) || 50
-                });
-            });
+    async getSystemSettings(asOf = null) {
+        const rows = await this.settingsService.getSettings(['developer_percentage', 'min_amount'], asOf);
+
+        const settings = {};
+        rows.forEach(row => {
+            settings[row.setting_key] = row.setting_value;
         });
+
+        return {
+            developerPercentage: parseFloat(settings.developer_percentage) || 10,
+            minAmount: parseInt(settings.min_amount) || 50
+        };
     }
 
     /**
@@ -46,7 +44,7 @@ class MoneySplitter {
     async getMatatuOwnerAccount(matatuCode) {
         return new Promise((resolve, reject) => {
             const query = `
-                SELECT m.owner_account, a.account_name 
+                SELECT m.owner_account, m.sacco_code, a.account_name 
                 FROM matatus m
                 JOIN accounts a ON m.owner_account = a.account_number
                 WHERE m.matatu_code = ? AND m.is_active = 1 AND a.is_active = 1
@@ -65,7 +63,8 @@ class MoneySplitter {
                 
                 resolve({
                     accountNumber: row.owner_account,
-                    accountName: row.account_name
+                    accountName: row.account_name,
+                    saccoCode: row.sacco_code
                 });
             });
         });
@@ -102,40 +101,113 @@ class MoneySplitter {
         });
     }
 
+    /**
+     * Legacy two-way rule set used when no split rules apply
+     * @param {number} developerPercentage - Percentage that goes to developer (default: 10%)
+     */
+    getDefaultRules(developerPercentage = 10) {
+        return [
+            { id: null, scope: 'DEFAULT', leg: 'PLATFORM', rule_type: 'PERCENTAGE', value: developerPercentage, priority: 0, is_remainder: 0 },
+            { id: null, scope: 'DEFAULT', leg: 'OWNER', rule_type: 'PERCENTAGE', value: 0, priority: 1, is_remainder: 1 }
+        ];
+    }
+
+    /**
+     * Get the active split rules for a matatu (most specific scope wins)
+     * @param {string} matatuCode - Matatu code
+     * @param {string} saccoCode - SACCO the matatu belongs to, if any
+     * @returns {Promise<Array>} - Rules in priority order, empty when none apply
+     */
+    async getApplicableRules(matatuCode, saccoCode) {
+        const rules = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT *
+                FROM split_rules
+                WHERE is_active = 1
+                  AND ((scope = 'MATATU' AND scope_value = ?)
+                    OR (scope = 'SACCO' AND scope_value = ?)
+                    OR scope = 'GLOBAL')
+                ORDER BY priority ASC, id ASC
+            `;
+
+            this.db.all(query, [matatuCode, saccoCode || null], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+
+        const scope = SCOPE_ORDER.find(candidate => rules.some(rule => rule.scope === candidate));
+        return scope ? rules.filter(rule => rule.scope === scope) : [];
+    }
+
     /**
      * Calculate split amounts from transaction charge
+     * Legs are evaluated in priority order. Percentages are rounded to the nearest shilling
+     * and no leg gets more than is left, so later legs absorb any shortfall. Whatever is left
+     * after every leg goes to the remainder leg (the one marked is_remainder, else OWNER,
+     * else the first leg), so the legs always add up to the charge.
      * @param {number} transactionCharge - The transaction charge amount
-     * @param {number} developerPercentage - Percentage that goes to developer (default: 10%)
+     * @param {Array} rules - Split rules in priority order
      * @returns {object} - Split calculation results
      */
-    calculateSplit(transactionCharge, developerPercentage = 10) {
+    calculateSplit(transactionCharge, rules) {
         // Ensure minimum values
         if (transactionCharge < 1) {
             throw new Error('Transaction charge must be at least KSh 1');
         }
 
-        if (developerPercentage < 0 || developerPercentage > 100) {
-            throw new Error('Developer percentage must be between 0 and 100');
+        if (!rules || rules.length === 0) {
+            throw new Error('At least one split rule is required');
         }
 
-        // Calculate developer share (rounded to nearest shilling)
-        const developerShare = Math.round(transactionCharge * (developerPercentage / 100));
-        
-        // Owner gets the remainder
-        const ownerShare = transactionCharge - developerShare;
+        let remaining = transactionCharge;
+        const legs = rules.map(rule => {
+            if (rule.rule_type === 'PERCENTAGE' && (rule.value < 0 || rule.value > 100)) {
+                throw new Error(`Split rule ${rule.id || rule.leg} percentage must be between 0 and 100`);
+            }
+
+            const wanted = rule.rule_type === 'FIXED'
+                ? Math.floor(rule.value)
+                : Math.round(transactionCharge * (rule.value / 100));
+            const amount = Math.max(0, Math.min(wanted, remaining));
+            remaining -= amount;
+
+            return {
+                ruleId: rule.id,
+                scope: rule.scope,
+                leg: rule.leg,
+                accountNumber: rule.account_number || null,
+                ruleType: rule.rule_type,
+                value: rule.value,
+                amount: amount
+            };
+        });
+
+        const remainderLeg = legs[rules.findIndex(rule => rule.is_remainder)] ||
+            legs.find(leg => leg.leg === 'OWNER') ||
+            legs[0];
+        remainderLeg.amount += remaining;
+        remainderLeg.receivesRemainder = true;
 
-        // Ensure minimum share for owner (at least 1 shilling if transaction charge > 1)
-        const finalDeveloperShare = ownerShare < 1 && transactionCharge > 1 ? developerShare - 1 : developerShare;
-        const finalOwnerShare = transactionCharge - finalDeveloperShare;
+        const shareFor = (legName) => legs
+            .filter(leg => leg.leg === legName)
+            .reduce((sum, leg) => sum + leg.amount, 0);
+        const ownerShare = shareFor('OWNER');
+        const developerShare = shareFor('PLATFORM');
 
         return {
             transactionCharge: transactionCharge,
-            developerShare: finalDeveloperShare,
-            ownerShare: finalOwnerShare,
-            developerPercentage: (finalDeveloperShare / transactionCharge * 100).toFixed(2),
-            ownerPercentage: (finalOwnerShare / transactionCharge * 100).toFixed(2),
-            splitRatio: `${finalOwnerShare}:${finalDeveloperShare}`,
-            isValid: finalDeveloperShare >= 0 && finalOwnerShare >= 0
+            legs: legs,
+            developerShare: developerShare,
+            ownerShare: ownerShare,
+            developerPercentage: (developerShare / transactionCharge * 100).toFixed(2),
+            ownerPercentage: (ownerShare / transactionCharge * 100).toFixed(2),
+            splitRatio: legs.map(leg => leg.amount).join(':'),
+            isValid: legs.every(leg => leg.amount >= 0) &&
+                legs.reduce((sum, leg) => sum + leg.amount, 0) === transactionCharge
         };
     }
 
@@ -144,12 +216,13 @@ class MoneySplitter {
      * @param {string} matatuCode - Matatu code
      * @param {number} fareAmount - Original fare amount
      * @param {number} transactionCharge - Transaction charge amount
+     * @param {string} asOf - Optional ISO 8601 timestamp whose settings to use (defaults to now)
      * @returns {object} - Complete split execution results
      */
-    async executeSplit(matatuCode, fareAmount, transactionCharge) {
+    async executeSplit(matatuCode, fareAmount, transactionCharge, asOf = null) {
         try {
             // Get system settings
-            const settings = await this.getSystemSettings();
+            const settings = await this.getSystemSettings(asOf);
             
             // Get account details
             const [ownerAccount, developerAccount] = await Promise.all([
@@ -157,18 +230,34 @@ class MoneySplitter {
                 this.getDeveloperAccount()
             ]);
 
-            // Calculate split
-            const splitCalculation = this.calculateSplit(transactionCharge, settings.developerPercentage);
+            // Calculate split from the matatu's rules, or the legacy two-way split
+            const rules = await this.getApplicableRules(matatuCode, ownerAccount.saccoCode);
+            const splitCalculation = this.calculateSplit(
+                transactionCharge,
+                rules.length ? rules : this.getDefaultRules(settings.developerPercentage)
+            );
+
+            // OWNER and PLATFORM legs are paid to the matatu owner and developer accounts
+            splitCalculation.legs.forEach(leg => {
+                if (leg.leg === 'OWNER') {
+                    leg.accountNumber = ownerAccount.accountNumber;
+                } else if (leg.leg === 'PLATFORM') {
+                    leg.accountNumber = developerAccount.accountNumber;
+                }
+            });
 
             // Prepare split execution data
             const splitExecution = {
                 transactionDetails: {
                     matatuCode: matatuCode,
+                    saccoCode: ownerAccount.saccoCode || null,
                     fareAmount: fareAmount,
                     transactionCharge: transactionCharge,
                     totalAmount: fareAmount + transactionCharge
                 },
                 splitCalculation: splitCalculation,
+                ruleScope: splitCalculation.legs[0].scope,
+                legs: splitCalculation.legs,
                 accounts: {
                     owner: {
                         accountNumber: ownerAccount.accountNumber,
@@ -187,6 +276,7 @@ class MoneySplitter {
                     totalSplit: splitCalculation.transactionCharge,
                     ownerReceives: splitCalculation.ownerShare,
                     developerReceives: splitCalculation.developerShare,
+                    legs: splitCalculation.legs.map(leg => `${leg.leg}: ${leg.amount}`).join(', '),
                     splitRatio: splitCalculation.splitRatio
                 },
                 executedAt: new Date().toISOString()
@@ -207,83 +297,304 @@ class MoneySplitter {
     }
 
     /**
-     * Log split execution to database
-     * @param {string} transactionId - Transaction ID
-     * @param {object} splitData - Split execution data
+     * Run a write query
      */
-    async logSplitExecution(transactionId, splitData) {
+    run(query, params) {
         return new Promise((resolve, reject) => {
-            const query = `
-                UPDATE transactions 
-                SET owner_share = ?, developer_share = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE transaction_id = ?
-            `;
-            
-            const params = [
-                splitData.accounts.owner.shareAmount,
-                splitData.accounts.developer.shareAmount,
-                transactionId
-            ];
-            
             this.db.run(query, params, function(err) {
                 if (err) {
                     reject(err);
                     return;
                 }
-                
-                resolve({
-                    success: true,
-                    rowsAffected: this.changes
-                });
+                resolve({ id: this.lastID, changes: this.changes });
             });
         });
     }
 
     /**
-     * Get split history for a matatu
-     * @param {string} matatuCode - Matatu code
-     * @param {number} limit - Number of records to return
+     * Run a read query returning all rows
      */
-    async getSplitHistory(matatuCode, limit = 50) {
+    all(query, params) {
         return new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    transaction_id,
-                    amount as fare_amount,
-                    transaction_charge,
-                    total_amount,
-                    owner_share,
-                    developer_share,
-                    status,
-                    created_at
-                FROM transactions 
-                WHERE matatu_code = ? 
-                ORDER BY created_at DESC 
-                LIMIT ?
-            `;
-            
-            this.db.all(query, [matatuCode, limit], (err, rows) => {
+            this.db.all(query, params, (err, rows) => {
                 if (err) {
                     reject(err);
                     return;
                 }
-                
-                const history = rows.map(row => ({
-                    transactionId: row.transaction_id,
-                    fareAmount: row.fare_amount,
-                    transactionCharge: row.transaction_charge,
-                    totalAmount: row.total_amount,
-                    ownerShare: row.owner_share,
-                    developerShare: row.developer_share,
-                    status: row.status,
-                    createdAt: row.created_at,
-                    splitRatio: `${row.owner_share}:${row.developer_share}`
-                }));
-                
-                resolve(history);
+                resolve(rows);
             });
         });
     }
+
+    /**
+     * Record the provisional split quoted when a payment is initiated
+     * Records one split line per leg and the quoted OWNER and PLATFORM totals. owner_share and
+     * developer_share stay 0 until settleSplits() commits the quote on COMPLETED.
+     * @param {string} transactionId - Transaction ID
+     * @param {object} splitData - Split execution data
+     */
+    async logSplitQuote(transactionId, splitData) {
+        const result = await this.run(`
+            UPDATE transactions 
+            SET quoted_owner_share = ?, quoted_developer_share = ?, split_status = 'QUOTED',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE transaction_id = ?
+        `, [
+            splitData.accounts.owner.shareAmount,
+            splitData.accounts.developer.shareAmount,
+            transactionId
+        ]);
+
+        await this.run('DELETE FROM split_lines WHERE transaction_id = ?', [transactionId]);
+
+        for (const leg of splitData.legs || []) {
+            await this.run(`
+                INSERT INTO split_lines (transaction_id, leg, account_number, amount, rule_id, rule_scope)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [transactionId, leg.leg, leg.accountNumber, leg.amount, leg.ruleId, leg.scope]);
+        }
+
+        return {
+            success: true,
+            rowsAffected: result.changes
+        };
+    }
+
+    /**
+     * Commit or void quoted splits of transactions that left PENDING
+     * COMPLETED transactions take their quoted shares, every other outcome keeps a zero split.
+     * A VOID split is settled after all if its transaction later turns out COMPLETED, so
+     * owner_share always agrees with the split lines the ledger posts.
+     * @param {string} transactionId - Transaction to settle (all open quotes when omitted)
+     * @returns {Promise<number>} - Number of splits settled or voided
+     */
+    async settleSplits(transactionId = null) {
+        const result = await this.run(`
+            UPDATE transactions
+            SET split_status = CASE WHEN status = 'COMPLETED' THEN 'SETTLED' ELSE 'VOID' END,
+                owner_share = CASE WHEN status = 'COMPLETED' THEN quoted_owner_share ELSE 0 END,
+                developer_share = CASE WHEN status = 'COMPLETED' THEN quoted_developer_share ELSE 0 END,
+                split_settled_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE ((split_status = 'QUOTED' AND status != 'PENDING')
+                   OR (split_status = 'VOID' AND status = 'COMPLETED'))
+              AND (? IS NULL OR transaction_id = ?)
+        `, [transactionId, transactionId]);
+
+        return result.changes;
+    }
+
+    /**
+     * Settled split legs of a transaction (what the ledger posts and refunds claw back),
+     * falling back to owner/developer shares for transactions recorded before split lines existed
+     * @param {object} transaction - Transaction row
+     * @returns {Promise<Array>} - { id, leg, account_number, amount, clawback_amount }, id is null for fallback legs
+     */
+    async getSettledLines(transaction) {
+        const lines = await this.all(`
+            SELECT id, leg, account_number, amount, COALESCE(clawback_amount, 0) as clawback_amount
+            FROM split_lines
+            WHERE transaction_id = ?
+            ORDER BY id ASC
+        `, [transaction.transaction_id]);
+
+        if (lines.length) {
+            return lines;
+        }
+
+        const [owner] = await this.all('SELECT owner_account FROM matatus WHERE matatu_code = ?', [transaction.matatu_code]);
+        const [developer] = await this.all("SELECT account_number FROM accounts WHERE account_type = 'DEVELOPER' AND is_active = 1 LIMIT 1", []);
+
+        return [
+            { id: null, leg: 'PLATFORM', account_number: developer?.account_number, amount: transaction.developer_share, clawback_amount: transaction.developer_clawback || 0 },
+            { id: null, leg: 'OWNER', account_number: owner?.owner_account, amount: transaction.owner_share, clawback_amount: transaction.owner_clawback || 0 }
+        ];
+    }
+
+    /**
+     * Part of each split leg a refund claws back
+     * Worked out on the running refunded total, so partial refunds never round away more
+     * than the leg itself and a full refund claws back every leg exactly.
+     * @param {Array} lines - Split legs from getSettledLines()
+     * @param {number} totalAmount - Transaction total
+     * @param {number} refundedBefore - Refunded before this refund
+     * @param {number} refundedAfter - Refunded including this refund
+     * @returns {Array} - The lines with `clawback` set to this refund's part
+     */
+    static clawbackLines(lines, totalAmount, refundedBefore, refundedAfter) {
+        const share = (amount, refunded) => refunded >= totalAmount
+            ? amount
+            : Math.round(amount * refunded / totalAmount);
+
+        return lines.map(line => ({
+            ...line,
+            clawback: share(line.amount, refundedAfter) - share(line.amount, refundedBefore)
+        }));
+    }
+
+    /**
+     * Get the split lines of transactions
+     * @param {string[]} transactionIds - Transaction IDs
+     * @returns {Promise<object>} - Lines keyed by transaction ID
+     */
+    async getSplitLines(transactionIds) {
+        if (!transactionIds.length) {
+            return {};
+        }
+
+        const rows = await this.all(`
+            SELECT transaction_id, leg, account_number, amount, rule_id, rule_scope
+            FROM split_lines
+            WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+            ORDER BY id ASC
+        `, transactionIds);
+
+        return rows.reduce((lines, row) => {
+            (lines[row.transaction_id] = lines[row.transaction_id] || []).push({
+                leg: row.leg,
+                accountNumber: row.account_number,
+                amount: row.amount,
+                ruleId: row.rule_id,
+                scope: row.rule_scope
+            });
+            return lines;
+        }, {});
+    }
+
+    /**
+     * List split rules
+     * @param {object} filters - Optional scope, scopeValue and includeInactive
+     */
+    async listRules({ scope, scopeValue, includeInactive = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (!includeInactive) {
+            conditions.push('is_active = 1');
+        }
+
+        if (scope) {
+            conditions.push('scope = ?');
+            params.push(scope);
+        }
+
+        if (scopeValue) {
+            conditions.push('scope_value = ?');
+            params.push(scopeValue);
+        }
+
+        return this.all(`
+            SELECT * FROM split_rules
+            ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY CASE scope WHEN 'GLOBAL' THEN 0 WHEN 'SACCO' THEN 1 ELSE 2 END,
+                     scope_value, priority, id
+        `, params);
+    }
+
+    /**
+     * Add a split rule leg
+     * @param {object} rule - Output of validate.validateSplitRule
+     */
+    async createRule(rule) {
+        const result = await this.run(`
+            INSERT INTO split_rules (scope, scope_value, leg, account_number, rule_type, value,
+                                     priority, is_remainder, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            rule.scope,
+            rule.scope_value || null,
+            rule.leg,
+            rule.account_number || null,
+            rule.rule_type,
+            rule.value,
+            rule.priority,
+            rule.is_remainder ? 1 : 0,
+            rule.is_active ? 1 : 0
+        ]);
+
+        const [created] = await this.all('SELECT * FROM split_rules WHERE id = ?', [result.id]);
+        return created;
+    }
+
+    /**
+     * Replace a split rule leg
+     * Existing split lines keep the amounts they were created with
+     * @param {number} ruleId - Rule ID
+     * @param {object} rule - Output of validate.validateSplitRule
+     */
+    async updateRule(ruleId, rule) {
+        const result = await this.run(`
+            UPDATE split_rules
+            SET scope = ?, scope_value = ?, leg = ?, account_number = ?, rule_type = ?, value = ?,
+                priority = ?, is_remainder = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            rule.scope,
+            rule.scope_value || null,
+            rule.leg,
+            rule.account_number || null,
+            rule.rule_type,
+            rule.value,
+            rule.priority,
+            rule.is_remainder ? 1 : 0,
+            rule.is_active ? 1 : 0,
+            ruleId
+        ]);
+
+        if (!result.changes) {
+            return null;
+        }
+
+        const [updated] = await this.all('SELECT * FROM split_rules WHERE id = ?', [ruleId]);
+        return updated;
+    }
+
+    /**
+     * Get split history for a matatu
+     * ownerShare and developerShare are settled amounts, quoted shares are what initiation offered
+     * @param {string} matatuCode - Matatu code
+     * @param {number} limit - Number of records to return
+     */
+    async getSplitHistory(matatuCode, limit = 50) {
+        const rows = await this.all(`
+            SELECT 
+                transaction_id,
+                amount as fare_amount,
+                transaction_charge,
+                total_amount,
+                owner_share,
+                developer_share,
+                quoted_owner_share,
+                quoted_developer_share,
+                split_status,
+                split_settled_at,
+                status,
+                created_at
+            FROM transactions 
+            WHERE matatu_code = ? 
+            ORDER BY created_at DESC 
+            LIMIT ?
+        `, [matatuCode, limit]);
+
+        const lines = await this.getSplitLines(rows.map(row => row.transaction_id));
+
+        return rows.map(row => ({
+            transactionId: row.transaction_id,
+            fareAmount: row.fare_amount,
+            transactionCharge: row.transaction_charge,
+            totalAmount: row.total_amount,
+            ownerShare: row.owner_share,
+            developerShare: row.developer_share,
+            splitStatus: row.split_status,
+            quotedOwnerShare: row.quoted_owner_share,
+            quotedDeveloperShare: row.quoted_developer_share,
+            splitSettledAt: row.split_settled_at,
+            status: row.status,
+            createdAt: row.created_at,
+            splitRatio: `${row.owner_share}:${row.developer_share}`,
+            legs: lines[row.transaction_id] || []
+        }));
+    }
 }
 
 module.exports = MoneySplitter;
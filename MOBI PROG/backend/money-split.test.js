@@ -0,0 +1,119 @@
+const sqlite3 = require('sqlite3');
+const MoneySplitter = require('./money-split');
+
+describe('MoneySplitter.settleSplits', () => {
+    let db;
+    let splitter;
+
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+
+    const getTransaction = transactionId => new Promise((resolve, reject) => {
+        db.get('SELECT * FROM transactions WHERE transaction_id = ?', [transactionId], (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(row);
+        });
+    });
+
+    const setStatus = (transactionId, status) =>
+        run('UPDATE transactions SET status = ? WHERE transaction_id = ?', [status, transactionId]);
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        splitter = new MoneySplitter(db);
+
+        await run(`
+            CREATE TABLE transactions (
+                transaction_id VARCHAR(50) PRIMARY KEY,
+                status VARCHAR(20),
+                owner_share INTEGER DEFAULT 0,
+                developer_share INTEGER DEFAULT 0,
+                quoted_owner_share INTEGER,
+                quoted_developer_share INTEGER,
+                split_status VARCHAR(10) DEFAULT 'QUOTED',
+                split_settled_at DATETIME,
+                updated_at DATETIME
+            )
+        `);
+        await run(`
+            INSERT INTO transactions (transaction_id, status, quoted_owner_share, quoted_developer_share)
+            VALUES ('MOBI1', 'PENDING', 3, 2)
+        `);
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    test('leaves PENDING quotes open', async () => {
+        expect(await splitter.settleSplits('MOBI1')).toBe(0);
+        expect((await getTransaction('MOBI1')).split_status).toBe('QUOTED');
+    });
+
+    test('settles a COMPLETED quote at the quoted shares', async () => {
+        await setStatus('MOBI1', 'COMPLETED');
+        await splitter.settleSplits('MOBI1');
+
+        const transaction = await getTransaction('MOBI1');
+        expect(transaction.split_status).toBe('SETTLED');
+        expect(transaction.owner_share).toBe(3);
+        expect(transaction.developer_share).toBe(2);
+    });
+
+    test('voids the quote of a payment that did not complete', async () => {
+        await setStatus('MOBI1', 'EXPIRED');
+        await splitter.settleSplits('MOBI1');
+
+        const transaction = await getTransaction('MOBI1');
+        expect(transaction.split_status).toBe('VOID');
+        expect(transaction.owner_share).toBe(0);
+        expect(transaction.developer_share).toBe(0);
+    });
+
+    test('settles a VOID split when an EXPIRED payment later completes', async () => {
+        await setStatus('MOBI1', 'EXPIRED');
+        await splitter.settleSplits('MOBI1');
+
+        await setStatus('MOBI1', 'COMPLETED');
+        expect(await splitter.settleSplits('MOBI1')).toBe(1);
+
+        const transaction = await getTransaction('MOBI1');
+        expect(transaction.split_status).toBe('SETTLED');
+        expect(transaction.owner_share).toBe(3);
+        expect(transaction.developer_share).toBe(2);
+    });
+
+    test('keeps VOID splits of payments that stay unpaid', async () => {
+        await setStatus('MOBI1', 'FAILED');
+        await splitter.settleSplits();
+
+        expect(await splitter.settleSplits()).toBe(0);
+        expect((await getTransaction('MOBI1')).split_status).toBe('VOID');
+    });
+});
+
+describe('MoneySplitter.clawbackLines', () => {
+    const LINES = [
+        { leg: 'PLATFORM', amount: 2 },
+        { leg: 'SACCO', amount: 1 },
+        { leg: 'OWNER', amount: 12 }
+    ];
+
+    const clawbacks = (before, after) => MoneySplitter.clawbackLines(LINES, 115, before, after)
+        .map(line => line.clawback);
+
+    test('claws back every leg, SACCO included, in proportion to the refund', () => {
+        expect(clawbacks(0, 46)).toEqual([1, 0, 5]);
+    });
+
+    test('partial refunds add up to the whole leg once fully refunded', () => {
+        const first = clawbacks(0, 46);
+        const rest = clawbacks(46, 115);
+
+        expect(first.map((amount, index) => amount + rest[index])).toEqual([2, 1, 12]);
+    });
+});
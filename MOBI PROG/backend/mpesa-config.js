@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY M-Pesa configuration
+ * Shared by the API server and the dashboard router so both talk to Daraja the same way
+ */
+
+const PORT = process.env.PORT || 3000;
+const environment = process.env.MPESA_ENVIRONMENT || 'sandbox';
+
+const mpesaConfig = {
+    consumerKey: process.env.MPESA_CONSUMER_KEY || '',
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET || '',
+    shortcode: process.env.MPESA_SHORTCODE || '',
+    passkey: process.env.MPESA_PASSKEY || '',
+    callbackUrl: process.env.MPESA_CALLBACK_URL || `http://localhost:${PORT}/api/mpesa/callback`,
+    // Required outside the offline simulator, which gets a throwaway secret per run
+    callbackSecret: process.env.MPESA_CALLBACK_SECRET ||
+        (environment === 'simulator' ? crypto.randomBytes(32).toString('hex') : ''),
+    callbackIpAllowlist: process.env.MPESA_CALLBACK_IP_ALLOWLIST || '',
+    environment: environment,
+    initiatorName: process.env.MPESA_INITIATOR_NAME || '',
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL || '',
+    b2cShortcode: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE || '',
+    b2cResultUrl: process.env.MPESA_B2C_RESULT_URL || `http://localhost:${PORT}/api/mpesa/b2c/result`,
+    b2cTimeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL || `http://localhost:${PORT}/api/mpesa/b2c/timeout`,
+    c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL || `http://localhost:${PORT}/api/mpesa/c2b/validation`,
+    c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL || `http://localhost:${PORT}/api/mpesa/c2b/confirmation`,
+    reversalResultUrl: process.env.MPESA_REVERSAL_RESULT_URL || `http://localhost:${PORT}/api/mpesa/reversal/result`,
+    reversalTimeoutUrl: process.env.MPESA_REVERSAL_TIMEOUT_URL || `http://localhost:${PORT}/api/mpesa/reversal/timeout`,
+    simulatorUrl: process.env.MPESA_SIMULATOR_URL || `http://localhost:${PORT}/mock/daraja`
+};
+
+module.exports = mpesaConfig;
@@ -1,24 +1,47 @@
 const axios = require('axios');
 const moment = require('moment');
+const { PaymentProvider } = require('./payment-provider');
+const CallbackSecurity = require('../utils/callback-security');
+const { t, has } = require('../utils/messages');
 
 /**
  * MOBIPAY M-Pesa Daraja API Integration
  * Handles STK Push requests and payment processing
  */
 
-class MpesaService {
+class MpesaService extends PaymentProvider {
     constructor(config) {
+        super();
         this.consumerKey = config.consumerKey;
         this.consumerSecret = config.consumerSecret;
         this.shortcode = config.shortcode;
         this.passkey = config.passkey;
         this.callbackUrl = config.callbackUrl;
-        this.environment = config.environment || 'sandbox'; // 'sandbox' or 'production'
+
+        // B2C (business to customer) payout settings
+        this.initiatorName = config.initiatorName;
+        this.securityCredential = config.securityCredential;
+        this.b2cShortcode = config.b2cShortcode || config.shortcode;
+        this.b2cResultUrl = config.b2cResultUrl;
+        this.b2cTimeoutUrl = config.b2cTimeoutUrl;
+
+        // Transaction reversal (refund) settings
+        this.reversalResultUrl = config.reversalResultUrl;
+        this.reversalTimeoutUrl = config.reversalTimeoutUrl;
+
+        // Signs the B2C and reversal result URLs the same way as the STK callback URL
+        this.callbackSecurity = new CallbackSecurity(config);
+        this.environment = config.environment || 'sandbox'; // 'sandbox', 'production' or 'simulator'
         
         // Set base URLs
-        this.baseURL = this.environment === 'production' 
-            ? 'https://api.safaricom.co.ke'
-            : 'https://sandbox.safaricom.co.ke';
+        if (this.environment === 'production') {
+            this.baseURL = 'https://api.safaricom.co.ke';
+        } else if (this.environment === 'simulator') {
+            // Offline Daraja stand-in, see daraja-simulator.js
+            this.baseURL = (config.simulatorUrl || 'http://localhost:4040').replace(/\/$/, '');
+        } else {
+            this.baseURL = 'https://sandbox.safaricom.co.ke';
+        }
             
         this.accessToken = null;
         this.tokenExpiry = null;
@@ -70,8 +93,9 @@ class MpesaService {
 
     /**
      * Initiate STK Push request
+     * @param {string} callbackUrl - Optional CallBackURL for this request (defaults to config.callbackUrl)
      */
-    async stkPush(phoneNumber, amount, accountReference, transactionDesc) {
+    async stkPush(phoneNumber, amount, accountReference, transactionDesc, callbackUrl) {
         try {
             const accessToken = await this.generateAccessToken();
             const { password, timestamp } = this.generatePassword();
@@ -88,7 +112,7 @@ class MpesaService {
                 PartyA: cleanPhone,
                 PartyB: this.shortcode,
                 PhoneNumber: cleanPhone,
-                CallBackURL: this.callbackUrl,
+                CallBackURL: callbackUrl || this.callbackUrl,
                 AccountReference: accountReference,
                 TransactionDesc: transactionDesc || 'MOBIPAY Payment'
             };
@@ -126,6 +150,49 @@ class MpesaService {
         }
     }
 
+    get name() {
+        return 'MPESA';
+    }
+
+    /**
+     * PaymentProvider push: STK Push
+     */
+    async push(phoneNumber, amount, reference, description, callbackUrl) {
+        const result = await this.stkPush(phoneNumber, amount, reference, description, callbackUrl);
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            data: {
+                ...result.data,
+                providerRequestId: result.data.checkoutRequestId
+            }
+        };
+    }
+
+    /**
+     * PaymentProvider query: STK Push query
+     */
+    async query(checkoutRequestId) {
+        const result = await this.stkPushQuery(checkoutRequestId);
+        if (!result.success) {
+            return result;
+        }
+
+        const resolved = result.data.resultCode !== undefined && !isNaN(result.data.resultCode);
+
+        return {
+            success: true,
+            data: {
+                ...result.data,
+                resolved: resolved,
+                paid: resolved && result.data.resultCode === 0
+            }
+        };
+    }
+
     /**
      * Query STK Push transaction status
      */
@@ -159,7 +226,8 @@ class MpesaService {
                     checkoutRequestId: response.data.CheckoutRequestID,
                     responseCode: response.data.ResponseCode,
                     responseDescription: response.data.ResponseDescription,
-                    resultCode: response.data.ResultCode,
+                    // Daraja returns ResultCode as a string on queries but a number on callbacks
+                    resultCode: response.data.ResultCode !== undefined ? Number(response.data.ResultCode) : undefined,
                     resultDesc: response.data.ResultDesc
                 }
             };
@@ -175,6 +243,310 @@ class MpesaService {
         }
     }
 
+    /**
+     * Send money to a customer's M-Pesa number (B2C payment request)
+     * @param {string} phoneNumber - Recipient phone number
+     * @param {number} amount - Amount in KSh
+     * @param {string} remarks - Payment remarks (max 100 characters)
+     * @param {string} occasion - MOBIPAY payout ID; the result URLs carry a callback token for it
+     */
+    async b2cPayment(phoneNumber, amount, remarks, occasion) {
+        try {
+            const accessToken = await this.generateAccessToken();
+
+            // Clean phone number format
+            const cleanPhone = phoneNumber.startsWith('254') ? phoneNumber : `254${phoneNumber.substring(1)}`;
+
+            const requestPayload = {
+                InitiatorName: this.initiatorName,
+                SecurityCredential: this.securityCredential,
+                CommandID: 'BusinessPayment',
+                Amount: amount,
+                PartyA: this.b2cShortcode,
+                PartyB: cleanPhone,
+                Remarks: remarks || 'MOBIPAY Payout',
+                QueueTimeOutURL: this.callbackSecurity.buildCallbackUrl(this.b2cTimeoutUrl, occasion),
+                ResultURL: this.callbackSecurity.buildCallbackUrl(this.b2cResultUrl, occasion),
+                Occasion: occasion || ''
+            };
+
+            const response = await axios.post(
+                `${this.baseURL}/mpesa/b2c/v1/paymentrequest`,
+                requestPayload,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            return {
+                success: true,
+                data: {
+                    conversationId: response.data.ConversationID,
+                    originatorConversationId: response.data.OriginatorConversationID,
+                    responseCode: response.data.ResponseCode,
+                    responseDescription: response.data.ResponseDescription
+                }
+            };
+
+        } catch (error) {
+            console.error('B2C payment error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.errorMessage || 'B2C payment request failed',
+                errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Process B2C result (or queue timeout) callback data
+     */
+    processB2CResult(resultData) {
+        try {
+            const { Result } = resultData;
+
+            const result = {
+                conversationId: Result.ConversationID,
+                originatorConversationId: Result.OriginatorConversationID,
+                resultCode: Number(Result.ResultCode),
+                resultDesc: Result.ResultDesc,
+                transactionId: Result.TransactionID,
+                success: Number(Result.ResultCode) === 0
+            };
+
+            const parameters = Result.ResultParameters?.ResultParameter || [];
+            const list = Array.isArray(parameters) ? parameters : [parameters];
+
+            result.amount = list.find(item => item.Key === 'TransactionAmount')?.Value;
+            result.mpesaReceiptNumber = list.find(item => item.Key === 'TransactionReceipt')?.Value || Result.TransactionID;
+            result.receiverName = list.find(item => item.Key === 'ReceiverPartyPublicName')?.Value;
+            result.completedAt = list.find(item => item.Key === 'TransactionCompletedDateTime')?.Value;
+
+            return result;
+
+        } catch (error) {
+            console.error('Error processing B2C result:', error);
+            return {
+                success: false,
+                error: 'Invalid B2C result data format'
+            };
+        }
+    }
+
+    /**
+     * Validate B2C result callback
+     */
+    validateB2CResult(resultData) {
+        if (!resultData || !resultData.Result) {
+            return { isValid: false, error: 'Invalid B2C result structure' };
+        }
+
+        const { Result } = resultData;
+        if (!Result.ConversationID && !Result.OriginatorConversationID) {
+            return { isValid: false, error: 'Missing required field: ConversationID' };
+        }
+
+        if (Result.ResultCode === undefined || Result.ResultCode === null) {
+            return { isValid: false, error: 'Missing required field: ResultCode' };
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * Reverse a completed customer payment (Transaction Reversal request)
+     * @param {string} mpesaReceiptNumber - Receipt of the payment to reverse
+     * @param {number} amount - Amount to reverse in KSh
+     * @param {string} remarks - Reversal remarks (max 100 characters)
+     * @param {string} occasion - MOBIPAY refund ID; the result URLs carry a callback token for it
+     */
+    async reversal(mpesaReceiptNumber, amount, remarks, occasion) {
+        try {
+            const accessToken = await this.generateAccessToken();
+
+            const requestPayload = {
+                Initiator: this.initiatorName,
+                SecurityCredential: this.securityCredential,
+                CommandID: 'TransactionReversal',
+                TransactionID: mpesaReceiptNumber,
+                Amount: amount,
+                ReceiverParty: this.shortcode,
+                RecieverIdentifierType: '11',
+                ResultURL: this.callbackSecurity.buildCallbackUrl(this.reversalResultUrl, occasion),
+                QueueTimeOutURL: this.callbackSecurity.buildCallbackUrl(this.reversalTimeoutUrl, occasion),
+                Remarks: remarks || 'MOBIPAY Refund',
+                Occasion: occasion || ''
+            };
+
+            const response = await axios.post(
+                `${this.baseURL}/mpesa/reversal/v1/request`,
+                requestPayload,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            return {
+                success: true,
+                data: {
+                    conversationId: response.data.ConversationID,
+                    originatorConversationId: response.data.OriginatorConversationID,
+                    responseCode: response.data.ResponseCode,
+                    responseDescription: response.data.ResponseDescription
+                }
+            };
+
+        } catch (error) {
+            console.error('Reversal request error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.errorMessage || 'Reversal request failed',
+                errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Process Reversal result callback data
+     * Reversal results use the same Result envelope as B2C results
+     */
+    processReversalResult(resultData) {
+        const result = this.processB2CResult(resultData);
+        if (result.error) {
+            return result;
+        }
+
+        const parameters = resultData.Result.ResultParameters?.ResultParameter || [];
+        const list = Array.isArray(parameters) ? parameters : [parameters];
+
+        result.amount = list.find(item => item.Key === 'Amount')?.Value;
+        result.originalTransactionId = list.find(item => item.Key === 'OriginalTransactionID')?.Value;
+
+        return result;
+    }
+
+    /**
+     * Validate Reversal result callback
+     */
+    validateReversalResult(resultData) {
+        return this.validateB2CResult(resultData);
+    }
+
+    /**
+     * Register C2B (Paybill/Till) validation and confirmation URLs
+     * Both are registered with a signed token, so the endpoints can reject anything else.
+     * @param {string} validationUrl - URL Safaricom calls before accepting a payment
+     * @param {string} confirmationUrl - URL Safaricom calls after a payment completes
+     * @param {string} responseType - 'Completed' or 'Cancelled' when validation is unreachable
+     */
+    async registerC2BUrls(validationUrl, confirmationUrl, responseType = 'Cancelled') {
+        try {
+            const accessToken = await this.generateAccessToken();
+
+            const requestPayload = {
+                ShortCode: this.shortcode,
+                ResponseType: responseType,
+                ConfirmationURL: this.callbackSecurity.buildCallbackUrl(confirmationUrl, CallbackSecurity.C2B_CALLBACK_ID),
+                ValidationURL: this.callbackSecurity.buildCallbackUrl(validationUrl, CallbackSecurity.C2B_CALLBACK_ID)
+            };
+
+            const response = await axios.post(
+                `${this.baseURL}/mpesa/c2b/v1/registerurl`,
+                requestPayload,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            return {
+                success: true,
+                data: {
+                    originatorConversationId: response.data.OriginatorCoversationID || response.data.OriginatorConversationID,
+                    responseCode: response.data.ResponseCode,
+                    responseDescription: response.data.ResponseDescription
+                }
+            };
+
+        } catch (error) {
+            console.error('C2B URL registration error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.errorMessage || 'C2B URL registration failed',
+                errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Process C2B validation/confirmation request data
+     */
+    processC2BRequest(c2bData) {
+        return {
+            transactionType: c2bData.TransactionType,
+            mpesaReceiptNumber: c2bData.TransID,
+            transactionTime: c2bData.TransTime,
+            amount: Math.round(parseFloat(c2bData.TransAmount)),
+            businessShortCode: c2bData.BusinessShortCode,
+            accountReference: (c2bData.BillRefNumber || '').trim(),
+            phoneNumber: c2bData.MSISDN ? String(c2bData.MSISDN) : null,
+            customerName: [c2bData.FirstName, c2bData.MiddleName, c2bData.LastName].filter(Boolean).join(' ')
+        };
+    }
+
+    /**
+     * Validate C2B request structure
+     */
+    validateC2BRequest(c2bData) {
+        if (!c2bData) {
+            return { isValid: false, error: 'Invalid C2B request structure' };
+        }
+
+        const requiredFields = ['TransID', 'TransAmount', 'BusinessShortCode'];
+        for (const field of requiredFields) {
+            if (!c2bData[field] && c2bData[field] !== 0) {
+                return { isValid: false, error: `Missing required field: ${field}` };
+            }
+        }
+
+        return { isValid: true };
+    }
+
+    /**
+     * PaymentProvider parseCallback: normalised stkCallback
+     */
+    parseCallback(callbackData) {
+        const result = this.processCallback(callbackData);
+
+        return {
+            providerRequestId: result.checkoutRequestId,
+            reference: null,
+            success: result.success,
+            resultCode: result.resultCode,
+            resultDesc: result.resultDesc,
+            amount: result.amount,
+            receiptNumber: result.mpesaReceiptNumber
+        };
+    }
+
+    /**
+     * PaymentProvider status message
+     */
+    getStatusMessage(resultCode, locale) {
+        return this.getTransactionStatusMessage(resultCode, locale);
+    }
+
     /**
      * Process M-Pesa callback data
      */
@@ -268,23 +640,11 @@ class MpesaService {
 
     /**
      * Get transaction status message
+     * @param {string} locale - Optional message locale (see utils/messages.js)
      */
-    getTransactionStatusMessage(resultCode) {
-        const statusMessages = {
-            0: 'Success',
-            1: 'Insufficient Funds',
-            17: 'User cancelled transaction',
-            26: 'Invalid business number',
-            2001: 'Invalid Pin Entered',
-            1001: 'Unable to lock subscriber, a transaction is already in process for the current subscriber',
-            1019: 'Transaction expired',
-            1032: 'Request cancelled by user',
-            1037: 'DS timeout user cannot be reached',
-            SFC_IC0003: 'Invalid Paybill Number',
-            2006: 'Transaction failed'
-        };
-
-        return statusMessages[resultCode] || `Transaction failed with code ${resultCode}`;
+    getTransactionStatusMessage(resultCode, locale) {
+        const key = `result.mpesa.${resultCode}`;
+        return t(locale, has(key) ? key : 'result.unknown', { code: resultCode });
     }
 }
 
@@ -0,0 +1,282 @@
+const bcrypt = require('bcryptjs');
+const moment = require('moment');
+const FareService = require('./fare-service');
+const { Message, message } = require('../utils/messages');
+
+/**
+ * MOBIPAY Owner Earnings
+ * What an owner's matatus made, for the owner branch of the USSD menu. Owners are the
+ * accounts rows of type OWNER; the account number is the owner's M-Pesa phone number,
+ * so a caller is recognised by the number they dial from.
+ *
+ * The menu is unlocked with a 4-digit PIN, stored as a bcrypt hash in accounts.pin_hash
+ * and set from the dashboard. Repeated wrong PINs lock the menu for a while.
+ *
+ * Owners also choose which SMS alerts they get (accounts.sms_alerts, see sms-notifications.js).
+ */
+
+const PIN_PATTERN = /^\d{4}$/;
+const BCRYPT_ROUNDS = 10;
+
+// Wrong PINs allowed in a row, then how long the menu stays locked
+const MAX_PIN_ATTEMPTS = 3;
+const PIN_LOCK_MINUTES = 30;
+
+// Values of accounts.sms_alerts: no SMS, one per completed payment, or an end-of-day summary
+const SMS_ALERTS = ['NONE', 'PAYMENT', 'DAILY'];
+
+class OwnerError extends Error {
+    constructor(message, statusCode = 400) {
+        super(String(message));
+        this.name = 'OwnerError';
+        this.statusCode = statusCode;
+        this.localized = message instanceof Message ? message : null;
+    }
+}
+
+class OwnerService {
+    /**
+     * @param {object} db - SQLite database
+     * @param {object} payoutService - PayoutService, for the unpaid balance
+     */
+    constructor(db, payoutService) {
+        this.db = db;
+        this.payoutService = payoutService;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Active owner account of a phone number, or null
+     */
+    async getOwner(phoneNumber) {
+        if (!phoneNumber) {
+            return null;
+        }
+
+        return this.get(`
+            SELECT * FROM accounts
+            WHERE account_number = ? AND account_type = 'OWNER' AND is_active = 1
+        `, [phoneNumber]);
+    }
+
+    /**
+     * Set (or reset) an owner's PIN, clearing any lock
+     * @param {string} accountNumber - Owner account number
+     * @param {string} pin - 4 digits
+     */
+    async setPin(accountNumber, pin) {
+        if (!PIN_PATTERN.test(String(pin ?? ''))) {
+            throw new OwnerError(message('owner.pinFormat'));
+        }
+
+        const pinHash = await bcrypt.hash(String(pin), BCRYPT_ROUNDS);
+        const result = await this.run(`
+            UPDATE accounts
+            SET pin_hash = ?, pin_failed_attempts = 0, pin_locked_until = NULL
+            WHERE account_number = ? AND account_type = 'OWNER'
+        `, [pinHash, accountNumber]);
+
+        if (!result.changes) {
+            throw new OwnerError(message('owner.notFound'), 404);
+        }
+    }
+
+    /**
+     * Check an owner's PIN
+     * @param {string} accountNumber - Owner account number (the caller's phone number)
+     * @param {string} pin - PIN as typed
+     * @returns {Promise<object>} - Owner account
+     */
+    async verifyPin(accountNumber, pin) {
+        const owner = await this.getOwner(accountNumber);
+        if (!owner) {
+            throw new OwnerError(message('owner.notFound'), 404);
+        }
+
+        if (!owner.pin_hash) {
+            throw new OwnerError(message('owner.pinNotSet'), 403);
+        }
+
+        const now = moment.utc();
+        if (owner.pin_locked_until && moment.utc(owner.pin_locked_until).isAfter(now)) {
+            const minutes = Math.ceil(moment.utc(owner.pin_locked_until).diff(now, 'seconds') / 60);
+            throw new OwnerError(message('owner.pinLocked', { minutes }), 423);
+        }
+
+        if (await bcrypt.compare(String(pin ?? ''), owner.pin_hash)) {
+            await this.run(`
+                UPDATE accounts SET pin_failed_attempts = 0, pin_locked_until = NULL
+                WHERE account_number = ?
+            `, [accountNumber]);
+            return owner;
+        }
+
+        // Counted in the database so parallel sessions share the same limit
+        await this.run(`
+            UPDATE accounts SET pin_failed_attempts = COALESCE(pin_failed_attempts, 0) + 1
+            WHERE account_number = ?
+        `, [accountNumber]);
+        const { pin_failed_attempts: attempts } = await this.get(
+            'SELECT pin_failed_attempts FROM accounts WHERE account_number = ?',
+            [accountNumber]
+        );
+
+        if (attempts >= MAX_PIN_ATTEMPTS) {
+            await this.run(`
+                UPDATE accounts SET pin_failed_attempts = 0, pin_locked_until = ?
+                WHERE account_number = ?
+            `, [now.clone().add(PIN_LOCK_MINUTES, 'minutes').format('YYYY-MM-DD HH:mm:ss'), accountNumber]);
+            throw new OwnerError(message('owner.pinLocked', { minutes: PIN_LOCK_MINUTES }), 423);
+        }
+
+        throw new OwnerError(message('owner.wrongPin', { remaining: MAX_PIN_ATTEMPTS - attempts }), 401);
+    }
+
+    /**
+     * Choose an owner's SMS alerts
+     * @param {string} accountNumber - Owner account number
+     * @param {string} alerts - One of SMS_ALERTS
+     */
+    async setSmsAlerts(accountNumber, alerts) {
+        if (!SMS_ALERTS.includes(alerts)) {
+            throw new OwnerError(message('owner.smsAlertsInvalid', { values: SMS_ALERTS.join(', ') }));
+        }
+
+        const result = await this.run(`
+            UPDATE accounts SET sms_alerts = ?
+            WHERE account_number = ? AND account_type = 'OWNER'
+        `, [alerts, accountNumber]);
+
+        if (!result.changes) {
+            throw new OwnerError(message('owner.notFound'), 404);
+        }
+    }
+
+    /**
+     * Start of today, this week (Monday) and this month in local time, as UTC timestamps
+     */
+    static periodStarts(now = moment.utc()) {
+        const local = now.clone().utcOffset(FareService.LOCAL_UTC_OFFSET_MINUTES);
+        const toTimestamp = (start) => start.utc().format('YYYY-MM-DD HH:mm:ss');
+
+        return {
+            today: toTimestamp(local.clone().startOf('day')),
+            week: toTimestamp(local.clone().startOf('isoWeek')),
+            month: toTimestamp(local.clone().startOf('month'))
+        };
+    }
+
+    /**
+     * Completed fares and owner_share per matatu of an owner, for today, this week and this month
+     * Refunded payments are left out.
+     * @param {string} accountNumber - Owner account number
+     * @returns {Promise<Array>} - [{ matatuCode, today, week, month }], each period { payments, fares, ownerShare }
+     */
+    async getEarnings(accountNumber, now = moment.utc()) {
+        const starts = OwnerService.periodStarts(now);
+        const periods = ['today', 'week', 'month'];
+        const columns = periods.map(period => `
+            COUNT(CASE WHEN t.created_at >= ? THEN 1 END) as ${period}_payments,
+            COALESCE(SUM(CASE WHEN t.created_at >= ? THEN t.amount END), 0) as ${period}_fares,
+            COALESCE(SUM(CASE WHEN t.created_at >= ? THEN t.owner_share END), 0) as ${period}_owner_share
+        `).join(',');
+
+        const rows = await this.all(`
+            SELECT m.matatu_code, ${columns}
+            FROM matatus m
+            LEFT JOIN transactions t ON t.matatu_code = m.matatu_code
+                AND t.status = 'COMPLETED' AND t.created_at >= ?
+            WHERE m.owner_account = ?
+            GROUP BY m.matatu_code
+            ORDER BY m.matatu_code
+        `, [
+            ...periods.flatMap(period => [starts[period], starts[period], starts[period]]),
+            starts.week < starts.month ? starts.week : starts.month,
+            accountNumber
+        ]);
+
+        return rows.map(row => {
+            const earnings = { matatuCode: row.matatu_code };
+            periods.forEach(period => {
+                earnings[period] = {
+                    payments: row[`${period}_payments`],
+                    fares: row[`${period}_fares`],
+                    ownerShare: row[`${period}_owner_share`]
+                };
+            });
+            return earnings;
+        });
+    }
+
+    /**
+     * Latest completed payments to an owner's matatus
+     */
+    async getRecentPayments(accountNumber, limit = 5) {
+        return this.all(`
+            SELECT t.transaction_id, t.short_code, t.matatu_code, t.amount, t.owner_share, t.created_at
+            FROM transactions t
+            JOIN matatus m ON t.matatu_code = m.matatu_code
+            WHERE m.owner_account = ? AND t.status = 'COMPLETED'
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT ?
+        `, [accountNumber, limit]);
+    }
+
+    /**
+     * Owner earnings not yet paid out (see PayoutService.getOwnerBalance)
+     */
+    async getPayoutBalance(accountNumber) {
+        return this.payoutService.getOwnerBalance(accountNumber);
+    }
+}
+
+OwnerService.MAX_PIN_ATTEMPTS = MAX_PIN_ATTEMPTS;
+OwnerService.PIN_LOCK_MINUTES = PIN_LOCK_MINUTES;
+OwnerService.SMS_ALERTS = SMS_ALERTS;
+OwnerService.OwnerError = OwnerError;
+
+module.exports = OwnerService;
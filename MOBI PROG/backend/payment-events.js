@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { Server } = require('socket.io');
+const { validate } = require('../utils/validation');
+
+/**
+ * MOBIPAY Live Payment Events
+ * socket.io namespace pushing transaction status changes to subscribed clients,
+ * so passengers and matatu crews no longer need to poll /api/payment/status
+ *
+ * Client → server:
+ *   transaction:subscribe (transactionId, ack)   transaction:unsubscribe (transactionId)
+ *   matatu:subscribe (matatuCode, ack)           matatu:unsubscribe (matatuCode)
+ * Server → client:
+ *   transaction:status - the subscribed transaction changed
+ *   matatu:payment     - a payment for the subscribed matatu was created or changed
+ *
+ * matatu:subscribe needs the matatu's crew token (issued from the dashboard) in the
+ * handshake: io(url, { auth: { token } }).
+ */
+
+const NAMESPACE = '/payments';
+
+class PaymentEvents {
+    constructor(db, providers) {
+        this.db = db;
+        this.providers = providers; // PaymentProviderRegistry, for failure reasons
+        this.namespace = null;
+    }
+
+    /**
+     * Load a transaction row
+     */
+    getTransaction(transactionId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM transactions WHERE transaction_id = ?',
+                [transactionId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve(row || null);
+                }
+            );
+        });
+    }
+
+    /**
+     * Whether a crew token matches the one issued for a matatu
+     * @param {string} matatuCode - Matatu the client wants to follow
+     * @param {string} token - Token from the socket handshake
+     */
+    async verifyCrewToken(matatuCode, token) {
+        if (typeof token !== 'string' || !token) {
+            return false;
+        }
+
+        const matatu = await new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT crew_token_hash FROM matatus WHERE matatu_code = ? AND is_active = 1',
+                [matatuCode],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve(row || null);
+                }
+            );
+        });
+
+        if (!matatu || !matatu.crew_token_hash) {
+            return false;
+        }
+
+        const expected = Buffer.from(matatu.crew_token_hash);
+        const received = Buffer.from(PaymentEvents.hashCrewToken(token));
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Status payload sent to transaction subscribers
+     */
+    formatTransaction(transaction) {
+        const hasResult = transaction.result_code !== null && transaction.result_code !== undefined;
+
+        return {
+            transactionId: transaction.transaction_id,
+            matatuCode: transaction.matatu_code,
+            phoneNumber: transaction.phone_number,
+            amount: transaction.amount,
+            totalAmount: transaction.total_amount,
+            status: transaction.status,
+            provider: transaction.provider,
+            channel: transaction.channel,
+            mpesaReceiptNumber: transaction.mpesa_receipt_number,
+            resultCode: transaction.result_code,
+            resultDesc: transaction.result_desc,
+            failureReason: transaction.status === 'FAILED' && hasResult
+                ? this.providers.getStatusMessage(transaction.provider, transaction.result_code)
+                : null,
+            updatedAt: transaction.updated_at
+        };
+    }
+
+    /**
+     * Matatu channel payload: the crew sees the payment but not the passenger's full number
+     */
+    formatMatatuPayment(transaction) {
+        const payment = this.formatTransaction(transaction);
+        const phone = String(payment.phoneNumber || '');
+
+        payment.phoneNumber = phone.length > 7
+            ? `${phone.substring(0, 6)}***${phone.substring(phone.length - 3)}`
+            : phone;
+
+        return payment;
+    }
+
+    /**
+     * Attach the namespace to the HTTP server
+     * @param {http.Server} httpServer - Server the Express app listens on
+     */
+    attach(httpServer) {
+        const io = new Server(httpServer, {
+            cors: { origin: '*' }
+        });
+
+        this.namespace = io.of(NAMESPACE);
+        this.namespace.on('connection', socket => this.handleConnection(socket));
+
+        return io;
+    }
+
+    /**
+     * Wire up subscription events for one client
+     */
+    handleConnection(socket) {
+        const reply = (ack, payload) => {
+            if (typeof ack === 'function') {
+                ack(payload);
+            }
+        };
+
+        socket.on('transaction:subscribe', async (transactionId, ack) => {
+            try {
+                const transaction = transactionId ? await this.getTransaction(String(transactionId)) : null;
+                if (!transaction) {
+                    return reply(ack, { success: false, error: 'Transaction not found' });
+                }
+
+                socket.join(`transaction:${transaction.transaction_id}`);
+
+                // Send the current state so nothing is missed between initiate and subscribe
+                reply(ack, { success: true, data: this.formatTransaction(transaction) });
+            } catch (error) {
+                console.error('Transaction subscribe error:', error);
+                reply(ack, { success: false, error: 'Internal server error' });
+            }
+        });
+
+        socket.on('transaction:unsubscribe', transactionId => {
+            socket.leave(`transaction:${transactionId}`);
+        });
+
+        socket.on('matatu:subscribe', async (matatuCode, ack) => {
+            try {
+                const validation = validate.validateMatatuCode(String(matatuCode || ''));
+                if (!validation.isValid) {
+                    return reply(ack, { success: false, error: validation.error });
+                }
+
+                if (!await this.verifyCrewToken(validation.value, socket.handshake.auth?.token)) {
+                    return reply(ack, { success: false, error: 'A valid crew token for this matatu is required' });
+                }
+
+                socket.join(`matatu:${validation.value}`);
+                reply(ack, { success: true, data: { matatuCode: validation.value } });
+            } catch (error) {
+                console.error('Matatu subscribe error:', error);
+                reply(ack, { success: false, error: 'Internal server error' });
+            }
+        });
+
+        socket.on('matatu:unsubscribe', matatuCode => {
+            socket.leave(`matatu:${matatuCode}`);
+        });
+    }
+
+    /**
+     * Push the current state of a transaction to its subscribers and its matatu's crew
+     * Errors are logged, never thrown, so a failed push cannot break a callback
+     * @param {string} transactionId - Transaction that was created or changed
+     */
+    async publish(transactionId) {
+        if (!this.namespace) {
+            return;
+        }
+
+        try {
+            const transaction = await this.getTransaction(transactionId);
+            if (!transaction) {
+                return;
+            }
+
+            this.namespace
+                .to(`transaction:${transaction.transaction_id}`)
+                .emit('transaction:status', this.formatTransaction(transaction));
+
+            this.namespace
+                .to(`matatu:${transaction.matatu_code}`)
+                .emit('matatu:payment', this.formatMatatuPayment(transaction));
+        } catch (error) {
+            console.error(`Failed to publish status for ${transactionId}:`, error);
+        }
+    }
+}
+
+/**
+ * Stored form of a crew token (only the hash is kept, the token is shown once)
+ */
+PaymentEvents.hashCrewToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+PaymentEvents.NAMESPACE = NAMESPACE;
+
+module.exports = PaymentEvents;
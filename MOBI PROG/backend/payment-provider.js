@@ -0,0 +1,132 @@
+const { t } = require('../utils/messages');
+
+/**
+ * MOBIPAY Payment Providers
+ * Common interface for mobile money networks (M-Pesa, Airtel Money) and the
+ * registry that picks a provider from the passenger's phone number
+ */
+
+// Kenyan mobile prefixes (the 3 digits after 254) allocated to Airtel; everything else goes to M-Pesa
+const AIRTEL_PREFIXES = [
+    '100', '101', '102',
+    '730', '731', '732', '733', '734', '735', '736', '737', '738', '739',
+    '750', '751', '752', '753', '754', '755', '756',
+    '762',
+    '780', '781', '782', '783', '784', '785', '786', '787', '788', '789'
+];
+
+class PaymentProvider {
+    /**
+     * Provider name stored on transactions.provider (e.g. 'MPESA')
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * Whether providerRequestId must stay private because callbacks are matched on it
+     * without a per-request token (see AirtelMoneyService.push)
+     */
+    get requestIdIsSecret() {
+        return false;
+    }
+
+    /**
+     * Ask the customer to approve a payment on their phone
+     * @param {string} phoneNumber - Payer phone number (254XXXXXXXXX)
+     * @param {number} amount - Amount in KSh
+     * @param {string} reference - MOBIPAY transaction ID
+     * @param {string} description - Text shown to the payer where supported
+     * @param {string} callbackUrl - Per-request callback URL where supported
+     * @returns {object} - { success, data: { providerRequestId, merchantRequestId, customerMessage } } or { success: false, error }
+     */
+    async push(phoneNumber, amount, reference, description, callbackUrl) {
+        throw new Error(`${this.constructor.name} must implement push()`);
+    }
+
+    /**
+     * Ask the provider for the outcome of a push
+     * @param {string} providerRequestId - ID returned by push()
+     * @returns {object} - { success, data: { resolved, paid, resultCode, resultDesc } } or { success: false, error }
+     */
+    async query(providerRequestId) {
+        throw new Error(`${this.constructor.name} must implement query()`);
+    }
+
+    /**
+     * Check the structure of a payment callback
+     * @returns {object} - { isValid, error }
+     */
+    validateCallback(callbackData) {
+        throw new Error(`${this.constructor.name} must implement validateCallback()`);
+    }
+
+    /**
+     * Normalise a payment callback
+     * @returns {object} - { providerRequestId, reference, success, resultCode, resultDesc, amount, receiptNumber }
+     *                     amount is null when the provider does not report it
+     */
+    parseCallback(callbackData) {
+        throw new Error(`${this.constructor.name} must implement parseCallback()`);
+    }
+
+    /**
+     * Human readable message for a provider result code
+     * @param {string} locale - Optional message locale (see utils/messages.js)
+     */
+    getStatusMessage(resultCode, locale) {
+        return t(locale, 'result.unknown', { code: resultCode });
+    }
+}
+
+class PaymentProviderRegistry {
+    /**
+     * @param {PaymentProvider} defaultProvider - Used for numbers no other provider claims
+     */
+    constructor(defaultProvider) {
+        this.defaultProvider = defaultProvider;
+        this.providers = new Map([[defaultProvider.name, defaultProvider]]);
+        this.prefixes = new Map();
+    }
+
+    /**
+     * Register a provider for a set of network prefixes
+     * @param {PaymentProvider} provider - Provider instance
+     * @param {string[]} prefixes - Digits following 254 (e.g. '733')
+     */
+    register(provider, prefixes = []) {
+        this.providers.set(provider.name, provider);
+        prefixes.forEach(prefix => this.prefixes.set(prefix, provider));
+        return this;
+    }
+
+    /**
+     * Get a provider by name (defaults to the default provider for old rows without one)
+     */
+    get(name) {
+        return this.providers.get(name || this.defaultProvider.name) || null;
+    }
+
+    /**
+     * Pick the provider for a phone number by its network prefix
+     * @param {string} phoneNumber - Phone number in 254XXXXXXXXX format
+     */
+    forPhone(phoneNumber) {
+        const prefix = String(phoneNumber || '').replace(/^254/, '').substring(0, 3);
+        return this.prefixes.get(prefix) || this.defaultProvider;
+    }
+
+    /**
+     * Status message for a transaction's stored result code
+     */
+    getStatusMessage(providerName, resultCode, locale) {
+        const provider = this.get(providerName) || this.defaultProvider;
+        return provider.getStatusMessage(resultCode, locale);
+    }
+}
+
+module.exports = {
+    PaymentProvider,
+    PaymentProviderRegistry,
+    AIRTEL_PREFIXES
+};
@@ -0,0 +1,216 @@
+const moment = require('moment');
+const FeeSchedules = require('../utils/fee-schedule');
+const { Message, message } = require('../utils/messages');
+
+/**
+ * MOBIPAY Payment Quotes
+ * Works out what /api/payment/initiate would charge (fare, transaction charge, total and
+ * the split of the charge) and keeps it under a short-lived quote ID, so the
+ * passenger web page and USSD menu show the server's numbers instead of computing them.
+ *
+ * A quote can pay for one transaction. Initiating with its quote_id charges the quoted
+ * total even if the fee schedule, split rules or stage fare change before the quote expires.
+ */
+
+class QuoteError extends Error {
+    constructor(message, statusCode = 400) {
+        super(String(message));
+        this.name = 'QuoteError';
+        this.statusCode = statusCode;
+        this.localized = message instanceof Message ? message : null;
+    }
+}
+
+class PaymentQuotes {
+    constructor(db, moneySplitter) {
+        this.db = db;
+        this.moneySplitter = moneySplitter;
+        this.feeSchedules = new FeeSchedules(db);
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Seconds a quote stays payable, from system settings
+     */
+    async getTtlSeconds() {
+        const row = await this.get(
+            "SELECT setting_value FROM system_settings WHERE setting_key = 'payment_quote_ttl_seconds'",
+            []
+        );
+
+        return parseInt(row?.setting_value) || 300;
+    }
+
+    /**
+     * Quote a fare for a matatu
+     * @param {string} matatuCode - Validated, active matatu code
+     * @param {number} amount - Fare in KSh
+     * @param {object} stageFare - Stage fare the amount came from (see FareService.getStageFare), if any
+     * @returns {Promise<object>} - Quote as returned to clients (see format())
+     */
+    async createQuote(matatuCode, amount, stageFare = null) {
+        const schedule = await this.feeSchedules.getActiveSchedule(matatuCode);
+        const transactionCharge = FeeSchedules.chargeFor(schedule.bands, amount);
+
+        const splitResult = await this.moneySplitter.executeSplit(matatuCode, amount, transactionCharge);
+        if (!splitResult.success) {
+            throw new Error(splitResult.error);
+        }
+
+        const quoteId = `QUO${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+        const expiresAt = moment.utc().add(await this.getTtlSeconds(), 'seconds');
+
+        await this.run(`
+            INSERT INTO payment_quotes (
+                quote_id, matatu_code, amount, transaction_charge, total_amount,
+                fee_schedule_id, split_data, stage_fare, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quoteId,
+            matatuCode,
+            amount,
+            transactionCharge,
+            amount + transactionCharge,
+            schedule.scheduleId,
+            JSON.stringify(splitResult.data),
+            stageFare ? JSON.stringify(stageFare) : null,
+            expiresAt.format('YYYY-MM-DD HH:mm:ss')
+        ]);
+
+        return this.format(await this.get('SELECT * FROM payment_quotes WHERE quote_id = ?', [quoteId]), schedule);
+    }
+
+    /**
+     * Stage fare a quote was made for (null for free-amount quotes and unknown quotes)
+     */
+    async getQuotedStageFare(quoteId) {
+        const quote = await this.get('SELECT stage_fare FROM payment_quotes WHERE quote_id = ?', [quoteId]);
+        return quote?.stage_fare ? JSON.parse(quote.stage_fare) : null;
+    }
+
+    /**
+     * Reserve a quote for a transaction about to be initiated
+     * The quote must be unused, unexpired and for the same matatu, fare and stages.
+     * @param {string} quoteId - Quote ID from createQuote()
+     * @param {object} request - matatuCode, amount and stageFare (or null) of the payment request
+     * @param {string} transactionId - Transaction the quote pays for
+     * @returns {Promise<object>} - { transactionCharge, totalAmount, split, stageFare }
+     */
+    async claimQuote(quoteId, { matatuCode, amount, stageFare = null }, transactionId) {
+        const quote = await this.get('SELECT * FROM payment_quotes WHERE quote_id = ?', [quoteId]);
+        if (!quote) {
+            throw new QuoteError(message('error.quote.notFound'), 404);
+        }
+
+        const quotedStages = quote.stage_fare ? JSON.parse(quote.stage_fare) : null;
+        const sameStages = quotedStages
+            ? !!stageFare &&
+              quotedStages.boardingStage.id === stageFare.boardingStage.id &&
+              quotedStages.alightingStage.id === stageFare.alightingStage.id
+            : !stageFare;
+
+        if (quote.matatu_code !== matatuCode || quote.amount !== amount || !sameStages) {
+            throw new QuoteError(quotedStages
+                ? message('error.quote.stagesMismatch', {
+                    quoteId,
+                    from: quotedStages.boardingStage.name,
+                    to: quotedStages.alightingStage.name,
+                    matatuCode: quote.matatu_code
+                })
+                : message('error.quote.amountMismatch', { quoteId, amount: quote.amount, matatuCode: quote.matatu_code }));
+        }
+
+        // Claimed in one statement so two initiates cannot pay with the same quote
+        const result = await this.run(`
+            UPDATE payment_quotes
+            SET transaction_id = ?, used_at = CURRENT_TIMESTAMP
+            WHERE quote_id = ? AND used_at IS NULL AND expires_at > ?
+        `, [transactionId, quoteId, moment.utc().format('YYYY-MM-DD HH:mm:ss')]);
+
+        if (!result.changes) {
+            throw new QuoteError(
+                message(quote.used_at ? 'error.quote.used' : 'error.quote.expired'),
+                409
+            );
+        }
+
+        return {
+            transactionCharge: quote.transaction_charge,
+            totalAmount: quote.total_amount,
+            split: JSON.parse(quote.split_data),
+            stageFare: quotedStages
+        };
+    }
+
+    /**
+     * Make a claimed quote usable again (the payment push failed)
+     */
+    async releaseQuote(quoteId, transactionId) {
+        await this.run(`
+            UPDATE payment_quotes
+            SET transaction_id = NULL, used_at = NULL
+            WHERE quote_id = ? AND transaction_id = ?
+        `, [quoteId, transactionId]);
+    }
+
+    /**
+     * Quote payload returned to clients
+     * Quotes are public, so split legs carry no account numbers (as in initiate's response).
+     */
+    format(quote, schedule) {
+        const split = JSON.parse(quote.split_data);
+
+        return {
+            quoteId: quote.quote_id,
+            matatuCode: quote.matatu_code,
+            amount: quote.amount,
+            stageFare: quote.stage_fare ? JSON.parse(quote.stage_fare) : null,
+            transactionCharge: quote.transaction_charge,
+            totalAmount: quote.total_amount,
+            feeSchedule: {
+                id: schedule.scheduleId,
+                name: schedule.name,
+                scope: schedule.scope
+            },
+            split: {
+                ownerShare: split.accounts.owner.shareAmount,
+                developerShare: split.accounts.developer.shareAmount,
+                legs: split.legs.map(leg => ({ leg: leg.leg, amount: leg.amount }))
+            },
+            expiresAt: moment.utc(quote.expires_at).toISOString()
+        };
+    }
+}
+
+PaymentQuotes.QuoteError = QuoteError;
+
+module.exports = PaymentQuotes;
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { validate, businessRules, sanitize } = require('../utils/validation');
+const FareService = require('./fare-service');
+const PaymentQuotes = require('./payment-quotes');
+const { Message, message, errorMessage } = require('../utils/messages');
+
+/**
+ * MOBIPAY Payment Service
+ * The quote and initiate flows shared by the REST API and the USSD menu: resolve the
+ * fare, validate the request, charge a quote or work out the charge and split, push the
+ * payment to the payer's network and log the PENDING transaction.
+ *
+ * Requests use the REST field names (matatu_code, phone_number, amount, quote_id,
+ * boarding_stage_id, alighting_stage_id), raw as received; they are sanitized here.
+ * Errors keep their catalog message, so each client can show them in its own language.
+ */
+
+class PaymentError extends Error {
+    constructor(message, statusCode = 400, { errors = null, provider = null, details = null } = {}) {
+        super(String(message));
+        this.name = 'PaymentError';
+        this.statusCode = statusCode;
+        this.localized = message instanceof Message ? message : null;
+        this.errors = errors;
+        this.provider = provider;
+        this.details = details;
+    }
+
+    /**
+     * Error body for API responses (field errors when validation failed)
+     * @param {string} locale - Optional response locale
+     */
+    toResponse(locale) {
+        if (this.errors) {
+            return { errors: this.errors };
+        }
+
+        return {
+            error: errorMessage(this, locale),
+            ...(this.provider ? { provider: this.provider, details: this.details } : {})
+        };
+    }
+}
+
+class PaymentService {
+    /**
+     * @param {object} db - SQLite database
+     * @param {object} services - moneySplitter, paymentQuotes, fareService, paymentProviders,
+     *   callbackSecurity, callbackUrl and onTransactionChanged (called with each new transaction ID)
+     */
+    constructor(db, services) {
+        this.db = db;
+        this.moneySplitter = services.moneySplitter;
+        this.paymentQuotes = services.paymentQuotes;
+        this.fareService = services.fareService;
+        this.paymentProviders = services.paymentProviders;
+        this.callbackSecurity = services.callbackSecurity;
+        this.callbackUrl = services.callbackUrl;
+        this.onTransactionChanged = services.onTransactionChanged || (() => {});
+    }
+
+    /**
+     * 6-digit code passengers can look a payment up by (unique per phone number in practice,
+     * lookups take the latest match)
+     */
+    static generateShortCode() {
+        return String(crypto.randomInt(100000, 1000000));
+    }
+
+    /**
+     * Log a transaction
+     */
+    logTransaction(transactionData) {
+        const shortCode = transactionData.shortCode || PaymentService.generateShortCode();
+
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO transactions (
+                    transaction_id, short_code, matatu_code, phone_number, amount,
+                    transaction_charge, total_amount, owner_share, developer_share,
+                    quoted_owner_share, quoted_developer_share, split_status,
+                    status, mpesa_request_id, checkout_request_id, mpesa_receipt_number, channel, provider,
+                    boarding_stage_id, alighting_stage_id, fare_time_band
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const params = [
+                transactionData.transactionId,
+                shortCode,
+                transactionData.matatuCode,
+                transactionData.phoneNumber,
+                transactionData.amount,
+                transactionData.transactionCharge,
+                transactionData.totalAmount,
+                0,
+                0,
+                transactionData.quotedOwnerShare || 0,
+                transactionData.quotedDeveloperShare || 0,
+                transactionData.splitStatus || 'QUOTED',
+                transactionData.status,
+                transactionData.mpesaRequestId || null,
+                transactionData.checkoutRequestId || null,
+                transactionData.mpesaReceiptNumber || null,
+                transactionData.channel || 'STK',
+                transactionData.provider || 'MPESA',
+                transactionData.stageFare?.boardingStage.id || null,
+                transactionData.stageFare?.alightingStage.id || null,
+                transactionData.stageFare?.timeBand || null
+            ];
+
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, transactionId: transactionData.transactionId, shortCode: shortCode });
+            });
+        });
+    }
+
+    /**
+     * Fare of a payment request: looked up from boarding_stage_id and alighting_stage_id when
+     * given, else the amount typed in (only on matatus that still accept free amounts).
+     * A quote keeps the stage fare it was made at, even if the time band changed since.
+     * @param {string} matatuCode - Sanitized matatu code
+     * @param {object} request - Request body or query (amount, boarding/alighting stage IDs, quote_id)
+     * @returns {Promise<object>} - { amount, stageFare } (stageFare is null for free amounts)
+     */
+    async resolveFare(matatuCode, request) {
+        const boardingStageId = parseInt(request.boarding_stage_id);
+        const alightingStageId = parseInt(request.alighting_stage_id);
+        const hasAmount = request.amount !== undefined && request.amount !== null && request.amount !== '';
+
+        if (isNaN(boardingStageId) || isNaN(alightingStageId)) {
+            if (matatuCode && !(await this.fareService.allowsFreeAmount(matatuCode))) {
+                throw new FareService.FareError(message('error.fare.stageFaresOnly', { matatuCode }));
+            }
+            return { amount: sanitize.cleanAmount(request.amount), stageFare: null };
+        }
+
+        let stageFare = request.quote_id ? await this.paymentQuotes.getQuotedStageFare(request.quote_id) : null;
+        if (!stageFare || stageFare.boardingStage.id !== boardingStageId || stageFare.alightingStage.id !== alightingStageId) {
+            stageFare = await this.fareService.getStageFare(matatuCode, boardingStageId, alightingStageId);
+        }
+
+        if (hasAmount && sanitize.cleanAmount(request.amount) !== stageFare.amount) {
+            throw new FareService.FareError(message('error.fare.mismatch', {
+                from: stageFare.boardingStage.name,
+                to: stageFare.alightingStage.name,
+                amount: stageFare.amount
+            }));
+        }
+
+        return { amount: stageFare.amount, stageFare };
+    }
+
+    /**
+     * Run a step that may fail with a fare or quote error, as a PaymentError
+     */
+    async guard(step) {
+        try {
+            return await step();
+        } catch (error) {
+            if (error instanceof FareService.FareError || error instanceof PaymentQuotes.QuoteError) {
+                throw new PaymentError(error.localized || error.message, error.statusCode);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check the matatu is registered and active
+     */
+    async requireMatatu(matatuCode) {
+        const matatuValidation = await businessRules.validateMatatuCodeExists(this.db, matatuCode);
+        if (!matatuValidation.isValid) {
+            throw new PaymentError(message('error.matatuInactive'));
+        }
+    }
+
+    /**
+     * Quote a payment (see PaymentQuotes.createQuote)
+     * @param {object} request - matatu_code and amount, or boarding_stage_id and alighting_stage_id
+     * @param {string} locale - Optional locale of validation messages
+     * @returns {Promise<object>} - Quote
+     */
+    async quote(request, locale) {
+        const cleanMatatuCode = sanitize.cleanMatatuCode(request.matatu_code);
+        const { amount: cleanAmount, stageFare } = await this.guard(() => this.resolveFare(cleanMatatuCode, request));
+
+        const validation = validate.validateQuoteRequest({
+            matatu_code: cleanMatatuCode,
+            amount: cleanAmount,
+            boarding_stage_id: request.boarding_stage_id,
+            alighting_stage_id: request.alighting_stage_id
+        }, locale);
+
+        if (!validation.isValid) {
+            throw new PaymentError('Invalid quote request', 400, { errors: validation.errors });
+        }
+
+        await this.requireMatatu(cleanMatatuCode);
+
+        return this.paymentQuotes.createQuote(cleanMatatuCode, cleanAmount, stageFare);
+    }
+
+    /**
+     * Initiate a payment: push it to the payer's network and log it as PENDING
+     * @param {object} request - matatu_code, phone_number, amount (or boarding_stage_id and
+     *   alighting_stage_id) and an optional quote_id to charge the quoted total
+     * @param {string} locale - Optional locale of validation messages
+     * @returns {Promise<object>} - Payment as returned to clients
+     */
+    async initiate(request, locale) {
+        const { phone_number, quote_id, boarding_stage_id, alighting_stage_id } = request;
+
+        // Sanitize inputs
+        const cleanMatatuCode = sanitize.cleanMatatuCode(request.matatu_code);
+        const cleanPhoneNumber = sanitize.cleanPhoneNumber(phone_number);
+
+        // Fare typed in, or looked up from the stages
+        const fare = await this.guard(() => this.resolveFare(cleanMatatuCode, request));
+        const cleanAmount = fare.amount;
+
+        // Validate input data
+        const validation = validate.validatePaymentRequest({
+            matatu_code: cleanMatatuCode,
+            phone_number: cleanPhoneNumber,
+            amount: cleanAmount,
+            quote_id: quote_id,
+            boarding_stage_id: boarding_stage_id,
+            alighting_stage_id: alighting_stage_id
+        }, locale);
+
+        if (!validation.isValid) {
+            throw new PaymentError('Invalid payment request', 400, { errors: validation.errors });
+        }
+
+        // Validate matatu code exists
+        await this.requireMatatu(cleanMatatuCode);
+
+        // Generate transaction ID
+        const transactionId = `MOBI${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+        let transactionCharge;
+        let totalAmount;
+        let splitResult;
+
+        if (quote_id) {
+            // Charge what the passenger was quoted
+            const quote = await this.guard(() => this.paymentQuotes.claimQuote(quote_id, {
+                matatuCode: cleanMatatuCode,
+                amount: cleanAmount,
+                stageFare: fare.stageFare
+            }, transactionId));
+
+            transactionCharge = quote.transactionCharge;
+            totalAmount = quote.totalAmount;
+            splitResult = { success: true, data: quote.split };
+        } else {
+            // Calculate transaction charge
+            transactionCharge = await businessRules.calculateTransactionCharge(this.db, cleanAmount, cleanMatatuCode);
+            totalAmount = cleanAmount + transactionCharge;
+
+            // Quote the money split (committed only once the payment is COMPLETED)
+            splitResult = await this.moneySplitter.executeSplit(cleanMatatuCode, cleanAmount, transactionCharge);
+            if (!splitResult.success) {
+                throw new PaymentError(splitResult.error, 500);
+            }
+        }
+
+        // Push the payment request to the payer's network (M-Pesa STK or Airtel Money),
+        // with an M-Pesa callback URL only valid for this transaction
+        const provider = this.paymentProviders.forPhone(cleanPhoneNumber);
+        const pushResult = await provider.push(
+            cleanPhoneNumber,
+            totalAmount,
+            transactionId,
+            `MOBIPAY Payment - Matatu ${cleanMatatuCode}`,
+            this.callbackSecurity.buildCallbackUrl(this.callbackUrl, transactionId)
+        );
+
+        if (!pushResult.success) {
+            if (quote_id) {
+                await this.paymentQuotes.releaseQuote(quote_id, transactionId);
+            }
+
+            throw new PaymentError(message('error.initiateFailed'), 500, {
+                provider: provider.name,
+                details: pushResult.error
+            });
+        }
+
+        // Log transaction to database
+        const logged = await this.logTransaction({
+            transactionId: transactionId,
+            matatuCode: cleanMatatuCode,
+            phoneNumber: cleanPhoneNumber,
+            amount: cleanAmount,
+            transactionCharge: transactionCharge,
+            totalAmount: totalAmount,
+            quotedOwnerShare: splitResult.data.accounts.owner.shareAmount,
+            quotedDeveloperShare: splitResult.data.accounts.developer.shareAmount,
+            status: 'PENDING',
+            mpesaRequestId: pushResult.data.merchantRequestId,
+            checkoutRequestId: pushResult.data.providerRequestId,
+            provider: provider.name,
+            stageFare: fare.stageFare
+        });
+
+        // Log the split quote
+        await this.moneySplitter.logSplitQuote(transactionId, splitResult.data);
+
+        // Let the matatu crew see the incoming payment
+        this.onTransactionChanged(transactionId);
+
+        return {
+            transactionId: transactionId,
+            shortCode: logged.shortCode,
+            quoteId: quote_id || null,
+            amount: cleanAmount,
+            stageFare: fare.stageFare,
+            transactionCharge: transactionCharge,
+            totalAmount: totalAmount,
+            phoneNumber: cleanPhoneNumber,
+            matatuCode: cleanMatatuCode,
+            provider: provider.name,
+            checkoutRequestId: provider.requestIdIsSecret ? null : pushResult.data.providerRequestId,
+            customerMessage: pushResult.data.customerMessage,
+            split: {
+                status: 'QUOTED',
+                ownerShare: splitResult.data.accounts.owner.shareAmount,
+                developerShare: splitResult.data.accounts.developer.shareAmount,
+                legs: splitResult.data.legs.map(leg => ({ leg: leg.leg, amount: leg.amount }))
+            }
+        };
+    }
+}
+
+PaymentService.PaymentError = PaymentError;
+
+module.exports = PaymentService;
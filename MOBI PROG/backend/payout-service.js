@@ -0,0 +1,492 @@
+/**
+ * MOBIPAY Owner Payouts
+ * Sends accumulated owner_share earnings to matatu owners through the
+ * Daraja B2C API, and retries payouts that fail
+ *
+ * A payout with no result in time may still have been paid, so it is never resent
+ * blindly: it waits in REVIEW for a late result or for support to resolve it.
+ */
+
+// Owner earnings not yet covered by a pending, processing or completed payout, per transaction
+const PAYABLE_QUERY = `
+    SELECT * FROM (
+        SELECT t.transaction_id,
+               m.owner_account,
+               a.account_name,
+               a.account_type,
+               a.is_active,
+               (t.owner_share - COALESCE(t.owner_clawback, 0)) - COALESCE((
+                   SELECT SUM(pt.amount) FROM payout_transactions pt
+                   JOIN payouts p ON pt.payout_id = p.payout_id
+                   WHERE pt.transaction_id = t.transaction_id AND p.status != 'FAILED'
+               ), 0) as payable
+        FROM transactions t
+        JOIN matatus m ON t.matatu_code = m.matatu_code
+        JOIN accounts a ON m.owner_account = a.account_number
+        WHERE t.status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED')
+    )
+    WHERE payable != 0
+`;
+
+// A payout is sent right after it is created, so one still PENDING after this long was
+// left behind by a crash between the two and is sent by the next run
+const STALE_PENDING_SECONDS = 300;
+
+class PayoutService {
+    constructor(db, mpesaService) {
+        this.db = db;
+        this.mpesaService = mpesaService;
+        this.timer = null;
+        this.running = false;
+        this.stopped = true;
+    }
+
+    /**
+     * Get payout settings
+     */
+    async getSettings() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT setting_key, setting_value
+                FROM system_settings
+                WHERE setting_key LIKE 'payout_%'
+            `;
+
+            this.db.all(query, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const settings = {};
+                rows.forEach(row => {
+                    settings[row.setting_key] = row.setting_value;
+                });
+
+                resolve({
+                    enabled: settings.payout_enabled === '1',
+                    intervalSeconds: parseInt(settings.payout_interval_seconds) || 3600,
+                    minAmount: parseInt(settings.payout_min_amount) || 10,
+                    maxAttempts: parseInt(settings.payout_max_attempts) || 3,
+                    retryDelaySeconds: parseInt(settings.payout_retry_delay_seconds) || 600,
+                    resultTimeoutSeconds: parseInt(settings.payout_result_timeout_seconds) || 3600
+                });
+            });
+        });
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Unpaid owner earnings per owner account
+     * A transaction's payable amount is its owner_share less refund clawbacks, minus what
+     * non-FAILED payouts already cover. Clawbacks on paid transactions make it negative,
+     * so they are deducted from the owner's next payout.
+     */
+    async getOwnerBalances() {
+        return this.all(`
+            SELECT owner_account,
+                   account_name,
+                   COUNT(*) as transaction_count,
+                   SUM(payable) as balance
+            FROM (${PAYABLE_QUERY}) payable_transactions
+            WHERE account_type = 'OWNER' AND is_active = 1
+            GROUP BY owner_account
+        `, []);
+    }
+
+    /**
+     * Unpaid earnings of one owner account (see getOwnerBalances)
+     * @returns {Promise<object>} - { transaction_count, balance }
+     */
+    async getOwnerBalance(ownerAccount) {
+        return this.get(`
+            SELECT COUNT(*) as transaction_count,
+                   COALESCE(SUM(payable), 0) as balance
+            FROM (${PAYABLE_QUERY}) payable_transactions
+            WHERE owner_account = ?
+        `, [ownerAccount]);
+    }
+
+    /**
+     * Create a payout covering all unpaid transactions for an owner
+     * @param {string} ownerAccount - Owner account number (M-Pesa phone number)
+     * @param {number} minAmount - Nothing is created unless the unpaid balance is at least this
+     * @returns {Promise<object|null>} - The PENDING payout, or null when the balance is below minAmount
+     */
+    async createPayout(ownerAccount, minAmount = 0) {
+        const payoutId = `PAY${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+        // Checked in the insert itself so a balance that dropped since getOwnerBalances
+        // cannot leave a PENDING payout holding its transactions
+        const created = await this.run(`
+            INSERT INTO payouts (payout_id, owner_account, phone_number, amount, status)
+            SELECT ?, ?, ?, 0, 'PENDING'
+            WHERE (
+                SELECT COALESCE(SUM(payable), 0)
+                FROM (${PAYABLE_QUERY}) payable_transactions
+                WHERE owner_account = ?
+            ) >= ?
+        `, [payoutId, ownerAccount, ownerAccount, ownerAccount, minAmount]);
+
+        if (!created.changes) {
+            return null;
+        }
+
+        // Link the transactions in one statement so a concurrent run cannot pick them up twice
+        await this.run(`
+            INSERT INTO payout_transactions (payout_id, transaction_id, amount)
+            SELECT ?, transaction_id, payable
+            FROM (${PAYABLE_QUERY}) payable_transactions
+            WHERE owner_account = ?
+        `, [payoutId, ownerAccount]);
+
+        await this.run(`
+            UPDATE payouts
+            SET amount = (SELECT COALESCE(SUM(amount), 0) FROM payout_transactions WHERE payout_id = ?),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ?
+        `, [payoutId, payoutId]);
+
+        return this.getPayout(payoutId);
+    }
+
+    /**
+     * Get a payout by ID
+     */
+    async getPayout(payoutId) {
+        return this.get('SELECT * FROM payouts WHERE payout_id = ?', [payoutId]);
+    }
+
+    /**
+     * Send a payout through B2C
+     */
+    async sendPayout(payout, settings) {
+        const attempts = (payout.attempts || 0) + 1;
+
+        await this.run(`
+            UPDATE payouts
+            SET status = 'PROCESSING', attempts = ?, next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ?
+        `, [attempts, payout.payout_id]);
+
+        const b2cResult = await this.mpesaService.b2cPayment(
+            payout.phone_number,
+            payout.amount,
+            `MOBIPAY owner payout ${payout.payout_id}`,
+            payout.payout_id
+        );
+
+        if (!b2cResult.success) {
+            await this.markAttemptFailed(
+                { ...payout, attempts },
+                b2cResult.errorCode,
+                b2cResult.error,
+                settings
+            );
+            return false;
+        }
+
+        await this.run(`
+            UPDATE payouts
+            SET conversation_id = ?, originator_conversation_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ?
+        `, [b2cResult.data.conversationId, b2cResult.data.originatorConversationId, payout.payout_id]);
+
+        return true;
+    }
+
+    /**
+     * Record a failed attempt, scheduling a retry or giving up after payout_max_attempts
+     */
+    async markAttemptFailed(payout, resultCode, resultDesc, settings) {
+        const giveUp = payout.attempts >= settings.maxAttempts;
+
+        await this.run(`
+            UPDATE payouts
+            SET status = ?, result_code = ?, result_desc = ?,
+                next_retry_at = ${giveUp ? 'NULL' : "datetime('now', ?)"},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ?
+        `, giveUp
+            ? ['FAILED', resultCode, resultDesc, payout.payout_id]
+            : ['RETRY', resultCode, resultDesc, `+${settings.retryDelaySeconds} seconds`, payout.payout_id]);
+
+        console.error(`Payout ${payout.payout_id} attempt ${payout.attempts} failed: ${resultDesc}` +
+            (giveUp ? ' (giving up, transactions released for the next payout)' : ''));
+    }
+
+    /**
+     * Hold a payout whose outcome is unknown for review; its transactions stay covered by it
+     */
+    async markForReview(payout, resultDesc) {
+        await this.run(`
+            UPDATE payouts
+            SET status = 'REVIEW', result_desc = ?, next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ? AND status = 'PROCESSING'
+        `, [resultDesc, payout.payout_id]);
+
+        console.error(`Payout ${payout.payout_id} held for review: ${resultDesc}`);
+    }
+
+    /**
+     * Find the payout a B2C result belongs to
+     */
+    async findPayoutByConversation(conversationId, originatorConversationId) {
+        return this.get(`
+            SELECT * FROM payouts
+            WHERE conversation_id = ? OR originator_conversation_id = ?
+        `, [conversationId || null, originatorConversationId || null]);
+    }
+
+    /**
+     * Handle a B2C result callback
+     * Results for payouts held in REVIEW are applied as if they were on time. A success is
+     * applied in any state, since the owner has been paid: if the payout's transactions were
+     * released and paid again, the surplus is deducted from the owner's next payout.
+     * @param {object} result - Output of MpesaService.processB2CResult
+     */
+    async handleResult(result) {
+        const payout = await this.findPayoutByConversation(result.conversationId, result.originatorConversationId);
+        if (!payout) {
+            return { found: false };
+        }
+
+        const awaitingResult = ['PROCESSING', 'REVIEW'].includes(payout.status);
+        if (payout.status === 'COMPLETED' || (!awaitingResult && !result.success)) {
+            // Duplicate result, or a failure for a payout already being retried
+            return { found: true, payout, ignored: true };
+        }
+
+        if (result.success) {
+            if (!awaitingResult) {
+                console.error(`Late B2C success for ${payout.status} payout ${payout.payout_id}, marking it COMPLETED`);
+            }
+
+            await this.completePayout(payout.payout_id, result.mpesaReceiptNumber, result.resultCode, result.resultDesc);
+        } else {
+            const settings = await this.getSettings();
+            await this.markAttemptFailed(payout, result.resultCode, result.resultDesc, settings);
+        }
+
+        return { found: true, payout: await this.getPayout(payout.payout_id) };
+    }
+
+    /**
+     * Mark a payout COMPLETED with its B2C receipt
+     * @returns {Promise<boolean>} - false if it was already COMPLETED
+     */
+    async completePayout(payoutId, mpesaReceiptNumber, resultCode, resultDesc) {
+        const result = await this.run(`
+            UPDATE payouts
+            SET status = 'COMPLETED', mpesa_receipt_number = ?, result_code = ?, result_desc = ?,
+                next_retry_at = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE payout_id = ? AND status != 'COMPLETED'
+        `, [mpesaReceiptNumber, resultCode, resultDesc, payoutId]);
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Resolve a payout held in REVIEW that the B2C statement shows was paid
+     * @returns {Promise<object|null>} - The payout, or null if it is not in REVIEW
+     */
+    async completeReviewed(payoutId, mpesaReceiptNumber, username) {
+        const payout = await this.getPayout(payoutId);
+        if (!payout || payout.status !== 'REVIEW') {
+            return null;
+        }
+
+        await this.completePayout(payoutId, mpesaReceiptNumber, null, `Confirmed paid by ${username}`);
+        return this.getPayout(payoutId);
+    }
+
+    /**
+     * Handle a B2C queue timeout callback
+     */
+    async handleTimeout(conversationId, originatorConversationId) {
+        const payout = await this.findPayoutByConversation(conversationId, originatorConversationId);
+        if (!payout) {
+            return { found: false };
+        }
+
+        if (payout.status !== 'PROCESSING') {
+            return { found: true, payout, ignored: true };
+        }
+
+        const settings = await this.getSettings();
+        await this.markAttemptFailed(payout, null, 'B2C request timed out in the queue', settings);
+
+        return { found: true, payout: await this.getPayout(payout.payout_id) };
+    }
+
+    /**
+     * Hold PROCESSING payouts without a result after payout_result_timeout_seconds for review
+     * B2C may have paid them, so they are not retried until a result or support says otherwise.
+     * @returns {Promise<number>} - Payouts timed out
+     */
+    async timeOutProcessing(settings) {
+        const stuck = await this.all(`
+            SELECT * FROM payouts
+            WHERE status = 'PROCESSING' AND updated_at <= datetime('now', ?)
+        `, [`-${settings.resultTimeoutSeconds} seconds`]);
+
+        for (const payout of stuck) {
+            await this.markForReview(
+                payout,
+                `No B2C result within ${settings.resultTimeoutSeconds} seconds, check the B2C statement`
+            );
+        }
+
+        return stuck.length;
+    }
+
+    /**
+     * Run one payout pass: hold payouts without a result for review, retry due and stale
+     * PENDING payouts, then pay out new balances
+     * @returns {object} - Counts of payouts sent and failed
+     */
+    async runOnce() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const counts = { timedOut: 0, retried: 0, created: 0, sent: 0, failed: 0 };
+
+        try {
+            const settings = await this.getSettings();
+
+            counts.timedOut = await this.timeOutProcessing(settings);
+
+            const retries = await this.all(`
+                SELECT * FROM payouts
+                WHERE (status = 'RETRY' AND (next_retry_at IS NULL OR next_retry_at <= CURRENT_TIMESTAMP))
+                   OR (status = 'PENDING' AND updated_at <= datetime('now', ?))
+                ORDER BY created_at ASC
+            `, [`-${STALE_PENDING_SECONDS} seconds`]);
+
+            for (const payout of retries) {
+                counts.retried++;
+                const sent = await this.sendPayout(payout, settings);
+                sent ? counts.sent++ : counts.failed++;
+            }
+
+            const balances = await this.getOwnerBalances();
+
+            for (const balance of balances) {
+                if (balance.balance < settings.minAmount) {
+                    continue;
+                }
+
+                if (!/^254[17]\d{8}$/.test(balance.owner_account)) {
+                    console.error(`Skipping payout for ${balance.owner_account}: not an M-Pesa number`);
+                    continue;
+                }
+
+                const payout = await this.createPayout(balance.owner_account, settings.minAmount);
+                if (!payout) {
+                    continue;
+                }
+
+                counts.created++;
+                const sent = await this.sendPayout(payout, settings);
+                sent ? counts.sent++ : counts.failed++;
+            }
+
+            return counts;
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Start scheduled payouts
+     */
+    start() {
+        this.stopped = false;
+        this.scheduleNext(0);
+    }
+
+    /**
+     * Stop scheduled payouts
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedule the next pass, re-reading the interval so setting changes apply without a restart
+     */
+    scheduleNext(delayMs) {
+        if (this.stopped) return;
+
+        this.timer = setTimeout(async () => {
+            let intervalSeconds = 3600;
+            try {
+                const settings = await this.getSettings();
+                intervalSeconds = settings.intervalSeconds;
+                if (settings.enabled) {
+                    await this.runOnce();
+                }
+            } catch (error) {
+                console.error('Payout run failed:', error);
+            }
+            this.scheduleNext(intervalSeconds * 1000);
+        }, delayMs);
+
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,79 @@
+const { DEFAULT_LOCALE, normalizeLocale } = require('../utils/messages');
+
+/**
+ * MOBIPAY Phone Preferences
+ * Settings a passenger picks for their own phone number on the USSD menu (for now the
+ * language of menus and receipts). Numbers that never picked one get the defaults.
+ */
+
+class PhonePreferences {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Language of a phone number (the default locale if none was chosen)
+     * @param {string} phoneNumber - Phone number (254XXXXXXXXX)
+     * @returns {Promise<string>} - Locale code, e.g. "sw"
+     */
+    async getLanguage(phoneNumber) {
+        if (!phoneNumber) {
+            return DEFAULT_LOCALE;
+        }
+
+        const row = await this.get('SELECT language FROM phone_preferences WHERE phone_number = ?', [phoneNumber]);
+        return normalizeLocale(row?.language) || DEFAULT_LOCALE;
+    }
+
+    /**
+     * Save the language of a phone number
+     * @param {string} phoneNumber - Phone number (254XXXXXXXXX)
+     * @param {string} locale - Supported locale code
+     */
+    async setLanguage(phoneNumber, locale) {
+        const language = normalizeLocale(locale);
+        if (!language) {
+            throw new Error(`Unsupported language ${locale}`);
+        }
+
+        await this.run(`
+            INSERT INTO phone_preferences (phone_number, language) VALUES (?, ?)
+            ON CONFLICT(phone_number) DO UPDATE SET
+                language = excluded.language, updated_at = CURRENT_TIMESTAMP
+        `, [phoneNumber, language]);
+
+        return language;
+    }
+}
+
+module.exports = PhonePreferences;
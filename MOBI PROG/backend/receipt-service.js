@@ -0,0 +1,192 @@
+const moment = require('moment');
+const FareService = require('./fare-service');
+const { Message, message, t } = require('../utils/messages');
+
+/**
+ * MOBIPAY Passenger Receipts
+ * Looks up a passenger's own payments (by phone number, or by the 6-digit short code
+ * shown when paying) and re-sends the receipt of a completed payment by SMS.
+ * The first receipt is sent when the payment completes (see sms-notifications.js).
+ */
+
+// Statuses a payment has a receipt in
+const RECEIPT_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Receipt re-sends allowed per payment, so the menu cannot be used to flood a number
+const MAX_RESENDS = 3;
+
+class ReceiptError extends Error {
+    constructor(message, statusCode = 400) {
+        super(String(message));
+        this.name = 'ReceiptError';
+        this.statusCode = statusCode;
+        this.localized = message instanceof Message ? message : null;
+    }
+}
+
+class ReceiptService {
+    /**
+     * @param {object} db - SQLite database
+     * @param {object} smsService - SmsService the receipts are sent through
+     */
+    constructor(db, smsService) {
+        this.db = db;
+        this.smsService = smsService;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Most recent payments made from a phone number
+     */
+    async getRecentPayments(phoneNumber, limit = 5) {
+        return this.all(`
+            SELECT t.*, m.route_name
+            FROM transactions t
+            LEFT JOIN matatus m ON t.matatu_code = m.matatu_code
+            WHERE t.phone_number = ?
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT ?
+        `, [phoneNumber, limit]);
+    }
+
+    /**
+     * A payment made from a phone number, by transaction ID or short code
+     * @returns {Promise<object|null>} - Transaction row with route_name (latest match for a short code)
+     */
+    async findPayment(phoneNumber, { transactionId = null, shortCode = null }) {
+        const [row] = await this.all(`
+            SELECT t.*, m.route_name
+            FROM transactions t
+            LEFT JOIN matatus m ON t.matatu_code = m.matatu_code
+            WHERE t.phone_number = ? AND (t.transaction_id = ? OR t.short_code = ?)
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT 1
+        `, [phoneNumber, transactionId, shortCode]);
+
+        return row || null;
+    }
+
+    /**
+     * Payment time in local (East Africa) time, e.g. "19 Oct 14:05"
+     */
+    static localTime(timestamp, format = 'D MMM HH:mm') {
+        return moment.utc(timestamp).utcOffset(FareService.LOCAL_UTC_OFFSET_MINUTES).format(format);
+    }
+
+    /**
+     * Whether a payment has a receipt to send
+     */
+    static hasReceipt(transaction) {
+        return RECEIPT_STATUSES.includes(transaction.status);
+    }
+
+    /**
+     * Receipt text of a payment
+     * @param {object} transaction - Transaction row with route_name
+     * @param {string} locale - Optional message locale (see utils/messages.js)
+     */
+    static buildReceipt(transaction, locale) {
+        return t(locale, 'receipt.sms', {
+            transactionId: transaction.transaction_id,
+            shortCode: transaction.short_code,
+            matatuCode: transaction.matatu_code,
+            route: transaction.route_name ? ` (${transaction.route_name})` : '',
+            amount: transaction.amount,
+            charge: transaction.transaction_charge,
+            total: transaction.total_amount,
+            providerReceipt: transaction.mpesa_receipt_number
+                ? t(locale, 'receipt.providerReceipt', { receiptNumber: transaction.mpesa_receipt_number })
+                : '',
+            time: ReceiptService.localTime(transaction.created_at)
+        });
+    }
+
+    /**
+     * Send a receipt to a phone number
+     * @returns {Promise<boolean>} - Whether the SMS gateway took it
+     */
+    async deliver(phoneNumber, message, transactionId) {
+        const sms = await this.smsService.send(phoneNumber, message, {
+            type: 'RECEIPT_RESEND',
+            reference: transactionId
+        });
+
+        return sms.status !== 'FAILED';
+    }
+
+    /**
+     * Re-send the receipt of a payment to the phone that made it
+     * @param {string} transactionId - Transaction ID
+     * @param {string} phoneNumber - Caller's phone number (254XXXXXXXXX)
+     * @param {string} locale - Optional receipt locale
+     * @returns {Promise<object>} - The transaction the receipt was sent for
+     */
+    async resendReceipt(transactionId, phoneNumber, locale) {
+        const transaction = await this.findPayment(phoneNumber, { transactionId });
+        if (!transaction) {
+            throw new ReceiptError(message('receipt.notFound'), 404);
+        }
+
+        if (!ReceiptService.hasReceipt(transaction)) {
+            throw new ReceiptError(message('receipt.noReceipt', { status: transaction.status }), 409);
+        }
+
+        // Counted in one statement so parallel requests cannot go over the limit
+        const result = await this.run(`
+            UPDATE transactions
+            SET receipt_resend_count = COALESCE(receipt_resend_count, 0) + 1
+            WHERE transaction_id = ? AND COALESCE(receipt_resend_count, 0) < ?
+        `, [transactionId, MAX_RESENDS]);
+
+        if (!result.changes) {
+            throw new ReceiptError(message('receipt.limit', { max: MAX_RESENDS }), 409);
+        }
+
+        const delivered = await this.deliver(phoneNumber, ReceiptService.buildReceipt(transaction, locale), transactionId);
+
+        // A failed send does not use up one of the re-sends
+        if (!delivered) {
+            await this.run(`
+                UPDATE transactions SET receipt_resend_count = receipt_resend_count - 1
+                WHERE transaction_id = ?
+            `, [transactionId]);
+            throw new ReceiptError(message('receipt.sendFailed'), 502);
+        }
+
+        return transaction;
+    }
+}
+
+ReceiptService.MAX_RESENDS = MAX_RESENDS;
+ReceiptService.ReceiptError = ReceiptError;
+
+module.exports = ReceiptService;
@@ -0,0 +1,389 @@
+const MoneySplitter = require('../utils/money-split');
+
+/**
+ * MOBIPAY Refunds
+ * Maker-checker refund workflow: one dashboard user requests a refund, a second
+ * user approves it, and the payment is reversed through the Daraja Reversal API.
+ * Completed refunds claw back every split leg of the transaction.
+ */
+
+// Transactions that can still be refunded
+const REFUNDABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+// Refunds that hold part of the transaction amount until they finish
+const OPEN_REFUND_STATUSES = ['REQUESTED', 'APPROVED', 'PROCESSING'];
+
+class RefundError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = statusCode;
+    }
+}
+
+class RefundService {
+    constructor(db, mpesaService) {
+        this.db = db;
+        this.mpesaService = mpesaService;
+        this.moneySplitter = new MoneySplitter(db);
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Get a refund by ID
+     */
+    async getRefund(refundId) {
+        return this.get('SELECT * FROM refunds WHERE refund_id = ?', [refundId]);
+    }
+
+    /**
+     * List refunds, newest first
+     * @param {object} filters - Optional status and transactionId
+     */
+    async listRefunds({ status, transactionId, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('r.status = ?');
+            params.push(status);
+        }
+
+        if (transactionId) {
+            conditions.push('r.transaction_id = ?');
+            params.push(transactionId);
+        }
+
+        params.push(limit);
+
+        return this.all(`
+            SELECT r.*, t.matatu_code, t.phone_number, t.total_amount,
+                   t.mpesa_receipt_number as transaction_receipt_number,
+                   t.status as transaction_status
+            FROM refunds r
+            JOIN transactions t ON r.transaction_id = t.transaction_id
+            ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY r.created_at DESC
+            LIMIT ?
+        `, params);
+    }
+
+    /**
+     * Amount of a transaction not yet refunded or held by an open refund
+     */
+    async getRefundableAmount(transaction) {
+        const open = await this.get(`
+            SELECT COALESCE(SUM(amount), 0) as total
+            FROM refunds
+            WHERE transaction_id = ? AND status IN (${OPEN_REFUND_STATUSES.map(() => '?').join(', ')})
+        `, [transaction.transaction_id, ...OPEN_REFUND_STATUSES]);
+
+        return transaction.total_amount - (transaction.refunded_amount || 0) - open.total;
+    }
+
+    /**
+     * Request a refund (maker step)
+     * @param {string} transactionId - Transaction to refund
+     * @param {number} amount - Amount to refund in KSh (defaults to everything still refundable)
+     * @param {string} reason - Why the passenger is being refunded
+     * @param {string} requestedBy - Dashboard user making the request
+     */
+    async requestRefund(transactionId, amount, reason, requestedBy) {
+        if (!reason || !String(reason).trim()) {
+            throw new RefundError('A reason is required for every refund');
+        }
+
+        const transaction = await this.get(
+            'SELECT * FROM transactions WHERE transaction_id = ?',
+            [transactionId]
+        );
+
+        if (!transaction) {
+            throw new RefundError('Transaction not found', 404);
+        }
+
+        if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+            throw new RefundError(`Only COMPLETED transactions can be refunded (status is ${transaction.status})`, 409);
+        }
+
+        if (transaction.provider && transaction.provider !== 'MPESA') {
+            throw new RefundError(`Refunds are only supported for M-Pesa payments (transaction was paid with ${transaction.provider})`, 409);
+        }
+
+        if (!transaction.mpesa_receipt_number) {
+            throw new RefundError('Transaction has no M-Pesa receipt number to reverse', 409);
+        }
+
+        const refundable = await this.getRefundableAmount(transaction);
+        const refundAmount = amount === undefined || amount === null || amount === ''
+            ? refundable
+            : Number(amount);
+
+        if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+            throw new RefundError('Refund amount must be a whole number of KSh greater than 0');
+        }
+
+        if (refundAmount > refundable) {
+            throw new RefundError(`Refund amount exceeds the refundable balance of KSh ${refundable}`, 409);
+        }
+
+        const refundId = `REF${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+        await this.run(`
+            INSERT INTO refunds (refund_id, transaction_id, amount, reason, status, requested_by)
+            VALUES (?, ?, ?, ?, 'REQUESTED', ?)
+        `, [refundId, transactionId, refundAmount, String(reason).trim(), requestedBy]);
+
+        return this.getRefund(refundId);
+    }
+
+    /**
+     * Approve a refund and send the reversal to M-Pesa (checker step)
+     * @param {string} refundId - Refund to approve
+     * @param {string} approvedBy - Dashboard user approving, must differ from the requester
+     */
+    async approveRefund(refundId, approvedBy) {
+        const refund = await this.getRefund(refundId);
+        if (!refund) {
+            throw new RefundError('Refund not found', 404);
+        }
+
+        if (refund.requested_by === approvedBy) {
+            throw new RefundError('A refund must be approved by a different user than the one who requested it', 409);
+        }
+
+        // Claim the refund so two approvers cannot send the reversal twice
+        const claimed = await this.run(`
+            UPDATE refunds
+            SET status = 'APPROVED', approved_by = ?, approved_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = ? AND status = 'REQUESTED'
+        `, [approvedBy, refundId]);
+
+        if (!claimed.changes) {
+            throw new RefundError(`Refund is ${refund.status}, only REQUESTED refunds can be approved`, 409);
+        }
+
+        const transaction = await this.get(
+            'SELECT * FROM transactions WHERE transaction_id = ?',
+            [refund.transaction_id]
+        );
+
+        const reversalResult = await this.mpesaService.reversal(
+            transaction.mpesa_receipt_number,
+            refund.amount,
+            `MOBIPAY refund ${refund.refund_id}`,
+            refund.refund_id
+        );
+
+        if (!reversalResult.success) {
+            await this.run(`
+                UPDATE refunds
+                SET status = 'FAILED', result_code = ?, result_desc = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE refund_id = ?
+            `, [reversalResult.errorCode, reversalResult.error, refundId]);
+
+            return this.getRefund(refundId);
+        }
+
+        await this.run(`
+            UPDATE refunds
+            SET status = 'PROCESSING', conversation_id = ?, originator_conversation_id = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = ?
+        `, [reversalResult.data.conversationId, reversalResult.data.originatorConversationId, refundId]);
+
+        return this.getRefund(refundId);
+    }
+
+    /**
+     * Reject a refund request
+     * @param {string} refundId - Refund to reject
+     * @param {string} rejectedBy - Dashboard user rejecting the request
+     * @param {string} reason - Optional note for the requester
+     */
+    async rejectRefund(refundId, rejectedBy, reason) {
+        const refund = await this.getRefund(refundId);
+        if (!refund) {
+            throw new RefundError('Refund not found', 404);
+        }
+
+        const result = await this.run(`
+            UPDATE refunds
+            SET status = 'REJECTED', approved_by = ?, result_desc = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = ? AND status = 'REQUESTED'
+        `, [rejectedBy, reason || null, refundId]);
+
+        if (!result.changes) {
+            throw new RefundError(`Refund is ${refund.status}, only REQUESTED refunds can be rejected`, 409);
+        }
+
+        return this.getRefund(refundId);
+    }
+
+    /**
+     * Find the refund a reversal result belongs to
+     */
+    async findRefundByConversation(conversationId, originatorConversationId) {
+        return this.get(`
+            SELECT * FROM refunds
+            WHERE conversation_id = ? OR originator_conversation_id = ?
+        `, [conversationId || null, originatorConversationId || null]);
+    }
+
+    /**
+     * Claw back every split leg for a completed refund (MoneySplitter.clawbackLines(),
+     * the same amounts LedgerService.postRefund() posts)
+     * Each leg's running clawback is kept on split_lines.clawback_amount; the OWNER and
+     * PLATFORM legs are also kept on the transaction for payouts.
+     */
+    async applyRefund(refund, mpesaReceiptNumber, resultCode, resultDesc) {
+        const transaction = await this.get(
+            'SELECT * FROM transactions WHERE transaction_id = ?',
+            [refund.transaction_id]
+        );
+
+        const refundedAmount = (transaction.refunded_amount || 0) + refund.amount;
+        const fullyRefunded = refundedAmount >= transaction.total_amount;
+
+        const lines = MoneySplitter.clawbackLines(
+            await this.moneySplitter.getSettledLines(transaction),
+            transaction.total_amount,
+            transaction.refunded_amount || 0,
+            refundedAmount
+        );
+        const clawbackOf = (leg) => lines
+            .filter(line => line.leg === leg)
+            .reduce((sum, line) => sum + line.clawback, 0);
+
+        const ownerClawback = clawbackOf('OWNER');
+        const developerClawback = clawbackOf('PLATFORM');
+
+        for (const line of lines.filter(line => line.id !== null && line.clawback)) {
+            await this.run(`
+                UPDATE split_lines SET clawback_amount = COALESCE(clawback_amount, 0) + ? WHERE id = ?
+            `, [line.clawback, line.id]);
+        }
+
+        await this.run(`
+            UPDATE transactions
+            SET status = ?, refunded_amount = ?,
+                owner_clawback = COALESCE(owner_clawback, 0) + ?,
+                developer_clawback = COALESCE(developer_clawback, 0) + ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE transaction_id = ?
+        `, [
+            fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+            refundedAmount,
+            ownerClawback,
+            developerClawback,
+            transaction.transaction_id
+        ]);
+
+        await this.run(`
+            UPDATE refunds
+            SET status = 'COMPLETED', mpesa_receipt_number = ?, result_code = ?, result_desc = ?,
+                owner_clawback = ?, developer_clawback = ?,
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = ?
+        `, [mpesaReceiptNumber, resultCode, resultDesc, ownerClawback, developerClawback, refund.refund_id]);
+    }
+
+    /**
+     * Handle a Reversal result callback
+     * @param {object} result - Output of MpesaService.processReversalResult
+     */
+    async handleResult(result) {
+        const refund = await this.findRefundByConversation(result.conversationId, result.originatorConversationId);
+        if (!refund) {
+            return { found: false };
+        }
+
+        if (refund.status !== 'PROCESSING') {
+            // Duplicate or late result
+            return { found: true, refund, ignored: true };
+        }
+
+        if (result.success) {
+            await this.applyRefund(refund, result.mpesaReceiptNumber, result.resultCode, result.resultDesc);
+        } else {
+            await this.run(`
+                UPDATE refunds
+                SET status = 'FAILED', result_code = ?, result_desc = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE refund_id = ?
+            `, [result.resultCode, result.resultDesc, refund.refund_id]);
+        }
+
+        return { found: true, refund: await this.getRefund(refund.refund_id) };
+    }
+
+    /**
+     * Handle a Reversal queue timeout callback
+     */
+    async handleTimeout(conversationId, originatorConversationId) {
+        const refund = await this.findRefundByConversation(conversationId, originatorConversationId);
+        if (!refund) {
+            return { found: false };
+        }
+
+        if (refund.status !== 'PROCESSING') {
+            return { found: true, refund, ignored: true };
+        }
+
+        await this.run(`
+            UPDATE refunds
+            SET status = 'FAILED', result_desc = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = ?
+        `, ['Reversal request timed out in the queue', refund.refund_id]);
+
+        return { found: true, refund: await this.getRefund(refund.refund_id) };
+    }
+}
+
+RefundService.RefundError = RefundError;
+
+module.exports = RefundService;
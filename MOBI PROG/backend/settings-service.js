@@ -0,0 +1,301 @@
+const moment = require('moment');
+
+/**
+ * MOBIPAY Settings History
+ * Every change to system_settings is versioned in setting_history with the old and
+ * new value, who made it and when it takes effect, so settings can be resolved as of
+ * any past moment and changes can be scheduled ahead of time.
+ *
+ * system_settings keeps the value in effect now. Future-dated changes are copied
+ * into it by applyDueChanges() once their effective_from has passed.
+ */
+
+// How often scheduled changes are checked when started with start()
+const APPLY_INTERVAL_MS = 30 * 1000;
+
+class SettingsError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SettingsError';
+        this.statusCode = statusCode;
+    }
+}
+
+class SettingsService {
+    constructor(db) {
+        this.db = db;
+        this.timer = null;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Timestamp in the SQLite CURRENT_TIMESTAMP format (UTC), or null if unparseable
+     * @param {string|Date} value - ISO 8601 string or Date (defaults to now)
+     */
+    toTimestamp(value) {
+        const parsed = value === undefined || value === null || value === ''
+            ? moment.utc()
+            : moment.utc(value, moment.ISO_8601);
+
+        return parsed.isValid() ? parsed.format('YYYY-MM-DD HH:mm:ss') : null;
+    }
+
+    /**
+     * Settings as they were (or will be) at a moment in time
+     * The newest change effective by then wins. Before the first recorded change a
+     * setting had that change's old value; settings never changed use system_settings.
+     * @param {Array<string>} keys - Setting keys (all settings when omitted)
+     * @param {string} asOf - ISO 8601 timestamp (defaults to now)
+     */
+    async getSettings(keys = null, asOf = null) {
+        const timestamp = this.toTimestamp(asOf);
+        if (!timestamp) {
+            throw new SettingsError('as_of must be an ISO 8601 date or date-time');
+        }
+
+        const params = [timestamp, timestamp];
+        let filter = '';
+        if (keys && keys.length) {
+            filter = `WHERE s.setting_key IN (${keys.map(() => '?').join(', ')})`;
+            params.push(...keys);
+        }
+
+        return this.all(`
+            SELECT s.setting_key,
+                   COALESCE(
+                       (SELECT h.new_value FROM setting_history h
+                        WHERE h.setting_key = s.setting_key AND h.cancelled_at IS NULL
+                          AND h.effective_from <= ?
+                        ORDER BY h.effective_from DESC, h.id DESC LIMIT 1),
+                       (SELECT h.old_value FROM setting_history h
+                        WHERE h.setting_key = s.setting_key AND h.cancelled_at IS NULL
+                          AND h.effective_from > ?
+                        ORDER BY h.effective_from ASC, h.id ASC LIMIT 1),
+                       s.setting_value
+                   ) as setting_value,
+                   s.description, s.updated_at
+            FROM system_settings s
+            ${filter}
+            ORDER BY s.setting_key
+        `, params);
+    }
+
+    /**
+     * One setting's value at a moment in time (null for unknown keys)
+     */
+    async getSetting(key, asOf = null) {
+        const [setting] = await this.getSettings([key], asOf);
+        return setting ? setting.setting_value : null;
+    }
+
+    /**
+     * Setting changes, newest effective date first
+     * @param {object} filters - Optional key and limit
+     */
+    async listHistory({ key, limit = 100 } = {}) {
+        const now = this.toTimestamp();
+
+        return this.all(`
+            SELECT h.*,
+                   CASE
+                       WHEN h.cancelled_at IS NOT NULL THEN 'CANCELLED'
+                       WHEN h.effective_from > ? THEN 'SCHEDULED'
+                       ELSE 'EFFECTIVE'
+                   END as state
+            FROM setting_history h
+            ${key ? 'WHERE h.setting_key = ?' : ''}
+            ORDER BY h.effective_from DESC, h.id DESC
+            LIMIT ?
+        `, key ? [now, key, limit] : [now, limit]);
+    }
+
+    /**
+     * Change a setting now or schedule the change for later
+     * @param {string} key - Setting key
+     * @param {string} value - New value
+     * @param {string} changedBy - Dashboard user making the change
+     * @param {string} effectiveFrom - Optional ISO 8601 time the change takes effect (now when omitted)
+     */
+    async changeSetting(key, value, changedBy, effectiveFrom = null) {
+        const setting = await this.get('SELECT * FROM system_settings WHERE setting_key = ?', [key]);
+        if (!setting) {
+            throw new SettingsError('Setting not found', 404);
+        }
+
+        if (value === undefined || value === null) {
+            throw new SettingsError('A value is required');
+        }
+
+        const now = this.toTimestamp();
+        const effective = effectiveFrom ? this.toTimestamp(effectiveFrom) : now;
+        if (!effective) {
+            throw new SettingsError('effective_from must be an ISO 8601 date-time');
+        }
+
+        if (effective < now) {
+            throw new SettingsError('Setting changes cannot be backdated');
+        }
+
+        // Changes are kept in order so every old_value is the value it replaced
+        const later = await this.get(`
+            SELECT effective_from FROM setting_history
+            WHERE setting_key = ? AND cancelled_at IS NULL AND effective_from > ?
+            ORDER BY effective_from DESC LIMIT 1
+        `, [key, effective]);
+
+        if (later) {
+            throw new SettingsError(`A change to ${key} is already scheduled for ${later.effective_from} UTC, cancel it first`, 409);
+        }
+
+        const oldValue = await this.getSetting(key, effective);
+        const applyNow = effective <= now;
+
+        const result = await this.run(`
+            INSERT INTO setting_history (setting_key, old_value, new_value, effective_from, changed_by, applied_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [key, oldValue, String(value), effective, changedBy, applyNow ? now : null]);
+
+        if (applyNow) {
+            await this.run(`
+                UPDATE system_settings
+                SET setting_value = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE setting_key = ?
+            `, [String(value), key]);
+        }
+
+        return this.get('SELECT * FROM setting_history WHERE id = ?', [result.id]);
+    }
+
+    /**
+     * Cancel a change that has not taken effect yet
+     * @param {number} historyId - setting_history ID
+     * @param {string} cancelledBy - Dashboard user cancelling the change
+     */
+    async cancelChange(historyId, cancelledBy) {
+        const change = await this.get('SELECT * FROM setting_history WHERE id = ?', [historyId]);
+        if (!change) {
+            throw new SettingsError('Setting change not found', 404);
+        }
+
+        const result = await this.run(`
+            UPDATE setting_history
+            SET cancelled_at = CURRENT_TIMESTAMP, cancelled_by = ?
+            WHERE id = ? AND cancelled_at IS NULL AND applied_at IS NULL AND effective_from > ?
+        `, [cancelledBy, historyId, this.toTimestamp()]);
+
+        if (!result.changes) {
+            throw new SettingsError('Only scheduled changes that have not taken effect can be cancelled', 409);
+        }
+
+        return this.get('SELECT * FROM setting_history WHERE id = ?', [historyId]);
+    }
+
+    /**
+     * Copy scheduled changes whose time has come into system_settings
+     * @returns {Promise<number>} - Number of changes applied
+     */
+    async applyDueChanges() {
+        const due = await this.all(`
+            SELECT * FROM setting_history
+            WHERE applied_at IS NULL AND cancelled_at IS NULL AND effective_from <= ?
+            ORDER BY effective_from ASC, id ASC
+        `, [this.toTimestamp()]);
+
+        for (const change of due) {
+            await this.run(`
+                UPDATE system_settings
+                SET setting_value = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE setting_key = ?
+            `, [change.new_value, change.setting_key]);
+
+            await this.run(
+                'UPDATE setting_history SET applied_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [change.id]
+            );
+
+            console.log(`⚙️  Scheduled change applied: ${change.setting_key} = ${change.new_value}`);
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Apply scheduled changes now and then periodically
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const tick = () => {
+            this.applyDueChanges().catch(error => {
+                console.error('Applying scheduled setting changes failed:', error);
+            });
+        };
+
+        tick();
+        this.timer = setInterval(tick, APPLY_INTERVAL_MS);
+
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stop applying scheduled changes
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+SettingsService.SettingsError = SettingsError;
+
+module.exports = SettingsService;
@@ -0,0 +1,22 @@
+/**
+ * MOBIPAY SMS configuration
+ * Shared by the API server and the dashboard router so both send SMS through the same gateway
+ */
+
+const smsConfig = {
+    provider: process.env.SMS_PROVIDER || 'file', // 'africastalking', 'http' or 'file'
+    senderId: process.env.SMS_SENDER_ID || '',
+    africastalking: {
+        username: process.env.AFRICASTALKING_USERNAME || 'sandbox',
+        apiKey: process.env.AFRICASTALKING_API_KEY || '',
+        environment: process.env.AFRICASTALKING_ENVIRONMENT || 'sandbox'
+    },
+    http: {
+        url: process.env.SMS_HTTP_URL || '',
+        token: process.env.SMS_HTTP_TOKEN || ''
+    },
+    // Messages are always logged to the console; also appended here when set
+    filePath: process.env.SMS_FILE_PATH || ''
+};
+
+module.exports = smsConfig;
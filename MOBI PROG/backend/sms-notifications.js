@@ -0,0 +1,246 @@
+const moment = require('moment');
+const FareService = require('./fare-service');
+const ReceiptService = require('./receipt-service');
+const { t } = require('../utils/messages');
+
+/**
+ * MOBIPAY SMS Notifications
+ * What gets sent by SMS, and when:
+ *   - the passenger's receipt once a payment completes (sms_receipts_enabled setting)
+ *   - owners who opted in (accounts.sms_alerts, see OwnerService.setSmsAlerts) get either an
+ *     SMS per completed payment (PAYMENT) or one end-of-day summary (DAILY), sent once
+ *     local time passes the sms_daily_summary_time setting
+ * Every message is in the language saved for the recipient's number.
+ */
+
+// How often the daily summary time is checked
+const SUMMARY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Numbers an SMS can go to; C2B confirmations may carry a masked or hashed MSISDN instead
+const SMS_PHONE_PATTERN = /^254\d{9}$/;
+
+class SmsNotifications {
+    /**
+     * @param {object} db - SQLite database
+     * @param {object} deps - { smsService, phonePreferences, ownerService }
+     */
+    constructor(db, { smsService, phonePreferences, ownerService }) {
+        this.db = db;
+        this.smsService = smsService;
+        this.phonePreferences = phonePreferences;
+        this.ownerService = ownerService;
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Get SMS settings
+     */
+    async getSettings() {
+        const rows = await this.all(`
+            SELECT setting_key, setting_value
+            FROM system_settings
+            WHERE setting_key LIKE 'sms_%'
+        `, []);
+
+        const settings = {};
+        rows.forEach(row => {
+            settings[row.setting_key] = row.setting_value;
+        });
+
+        return {
+            receiptsEnabled: settings.sms_receipts_enabled !== '0',
+            dailySummaryTime: /^\d{2}:\d{2}$/.test(settings.sms_daily_summary_time || '')
+                ? settings.sms_daily_summary_time
+                : '21:00'
+        };
+    }
+
+    /**
+     * Send the SMS due for a payment: the passenger's receipt and, if the owner asked for
+     * them, an owner alert. Does nothing unless the payment is COMPLETED, and each SMS
+     * goes out once however often this is called (see SmsService.send).
+     * @param {string} transactionId - Transaction ID
+     */
+    async paymentCompleted(transactionId) {
+        const transaction = await this.get(`
+            SELECT t.*, m.route_name, a.account_number as owner_account, a.sms_alerts
+            FROM transactions t
+            LEFT JOIN matatus m ON t.matatu_code = m.matatu_code
+            LEFT JOIN accounts a ON m.owner_account = a.account_number
+                AND a.account_type = 'OWNER' AND a.is_active = 1
+            WHERE t.transaction_id = ?
+        `, [transactionId]);
+
+        if (!transaction || transaction.status !== 'COMPLETED') {
+            return;
+        }
+
+        const settings = await this.getSettings();
+
+        if (settings.receiptsEnabled && SMS_PHONE_PATTERN.test(transaction.phone_number || '')) {
+            const locale = await this.phonePreferences.getLanguage(transaction.phone_number);
+            await this.smsService.send(
+                transaction.phone_number,
+                ReceiptService.buildReceipt(transaction, locale),
+                { type: 'RECEIPT', reference: transactionId }
+            );
+        }
+
+        if (transaction.sms_alerts === 'PAYMENT') {
+            const locale = await this.phonePreferences.getLanguage(transaction.owner_account);
+            await this.smsService.send(
+                transaction.owner_account,
+                t(locale, 'sms.ownerPayment', {
+                    matatuCode: transaction.matatu_code,
+                    amount: transaction.amount,
+                    transactionId: transactionId,
+                    share: transaction.owner_share || 0,
+                    time: ReceiptService.localTime(transaction.created_at)
+                }),
+                { type: 'OWNER_PAYMENT', reference: transactionId }
+            );
+        }
+    }
+
+    /**
+     * Text of an owner's summary for the local day of `now`
+     */
+    async buildDailySummary(ownerAccount, locale, now) {
+        const earnings = await this.ownerService.getEarnings(ownerAccount, now);
+        const total = { payments: 0, fares: 0, ownerShare: 0 };
+        earnings.forEach(matatu => {
+            total.payments += matatu.today.payments;
+            total.fares += matatu.today.fares;
+            total.ownerShare += matatu.today.ownerShare;
+        });
+
+        return t(locale, 'sms.ownerSummary', {
+            date: now.clone().utcOffset(FareService.LOCAL_UTC_OFFSET_MINUTES).format('D MMM YYYY'),
+            lines: earnings.map(matatu => t(locale, 'sms.ownerSummaryLine', {
+                matatuCode: matatu.matatuCode,
+                fares: matatu.today.fares,
+                payments: matatu.today.payments
+            })).join('\n'),
+            payments: total.payments,
+            fares: total.fares,
+            share: total.ownerShare
+        });
+    }
+
+    /**
+     * Send today's summary to every owner on DAILY alerts who has not had it yet,
+     * once local time is past sms_daily_summary_time. A FAILED summary is retried
+     * on the next check.
+     * @returns {Promise<object>} - { sent, failed }
+     */
+    async sendDailySummaries(now = moment.utc()) {
+        const counts = { sent: 0, failed: 0 };
+        const settings = await this.getSettings();
+        const local = now.clone().utcOffset(FareService.LOCAL_UTC_OFFSET_MINUTES);
+
+        if (local.format('HH:mm') < settings.dailySummaryTime) {
+            return counts;
+        }
+
+        const reference = local.format('YYYY-MM-DD');
+        const owners = await this.all(`
+            SELECT a.account_number FROM accounts a
+            WHERE a.account_type = 'OWNER' AND a.is_active = 1 AND a.sms_alerts = 'DAILY'
+              AND NOT EXISTS (
+                  SELECT 1 FROM sms_messages s
+                  WHERE s.message_type = 'OWNER_SUMMARY' AND s.reference = ? AND s.phone_number = a.account_number
+                    AND s.status != 'FAILED'
+              )
+        `, [reference]);
+
+        for (const owner of owners) {
+            const locale = await this.phonePreferences.getLanguage(owner.account_number);
+            const sms = await this.smsService.send(
+                owner.account_number,
+                await this.buildDailySummary(owner.account_number, locale, now),
+                { type: 'OWNER_SUMMARY', reference: reference }
+            );
+
+            if (sms) {
+                sms.status === 'FAILED' ? counts.failed++ : counts.sent++;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Start checking for daily summaries
+     */
+    start() {
+        this.stopped = false;
+        this.scheduleNext(0);
+    }
+
+    /**
+     * Stop checking for daily summaries
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedule the next check
+     */
+    scheduleNext(delayMs) {
+        if (this.stopped) return;
+
+        this.timer = setTimeout(async () => {
+            try {
+                const counts = await this.sendDailySummaries();
+                if (counts.sent || counts.failed) {
+                    console.log(`📨 Owner daily summaries: ${counts.sent} sent, ${counts.failed} failed`);
+                }
+            } catch (error) {
+                console.error('Owner daily summaries failed:', error);
+            }
+            this.scheduleNext(SUMMARY_CHECK_INTERVAL_MS);
+        }, delayMs);
+
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+}
+
+module.exports = SmsNotifications;
@@ -0,0 +1,251 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const moment = require('moment');
+
+/**
+ * MOBIPAY SMS Providers
+ * Common interface for SMS gateways (Africa's Talking, a generic HTTP gateway and a
+ * local file/console stub for development), and the factory that picks one from config/sms.js
+ */
+
+// Africa's Talking recipient statusCodes that mean the message was accepted
+const AT_ACCEPTED_CODES = [100, 101, 102];
+
+// Africa's Talking delivery report statuses that are final failures
+const AT_FAILED_STATUSES = ['Failed', 'Rejected', 'AbsentSubscriber', 'Expired'];
+
+class SmsProvider {
+    /**
+     * Provider name stored on sms_messages.provider (e.g. 'AFRICASTALKING')
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * Send one SMS
+     * @param {string} phoneNumber - Recipient phone number (254XXXXXXXXX)
+     * @param {string} message - Message text
+     * @returns {object} - { success, data: { providerMessageId, status } } or { success: false, error }
+     *                     status is SENT, or DELIVERED when the provider has nothing more to report
+     */
+    async send(phoneNumber, message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    /**
+     * Normalise a delivery report posted by the provider
+     * @returns {object|null} - { providerMessageId, status, error } with status SENT, DELIVERED or FAILED,
+     *                          or null when the body is not a report this provider understands
+     */
+    parseDeliveryReport(body) {
+        return null;
+    }
+}
+
+class AfricasTalkingSms extends SmsProvider {
+    constructor(config) {
+        super();
+        this.username = config.africastalking.username;
+        this.apiKey = config.africastalking.apiKey;
+        this.senderId = config.senderId;
+        this.environment = config.africastalking.environment || 'sandbox'; // 'sandbox' or 'production'
+
+        this.baseURL = this.environment === 'production'
+            ? 'https://api.africastalking.com'
+            : 'https://api.sandbox.africastalking.com';
+    }
+
+    get name() {
+        return 'AFRICASTALKING';
+    }
+
+    async send(phoneNumber, message) {
+        try {
+            const form = new URLSearchParams({
+                username: this.username,
+                to: `+${phoneNumber}`,
+                message: message
+            });
+            if (this.senderId) {
+                form.append('from', this.senderId);
+            }
+
+            const response = await axios.post(`${this.baseURL}/version1/messaging`, form.toString(), {
+                headers: {
+                    apiKey: this.apiKey,
+                    Accept: 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            const recipient = response.data.SMSMessageData?.Recipients?.[0];
+            if (!recipient || !AT_ACCEPTED_CODES.includes(recipient.statusCode)) {
+                return {
+                    success: false,
+                    error: recipient?.status || response.data.SMSMessageData?.Message || 'SMS was not accepted'
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    providerMessageId: recipient.messageId,
+                    status: 'SENT'
+                }
+            };
+
+        } catch (error) {
+            console.error('Africa\'s Talking SMS error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: typeof error.response?.data === 'string' ? error.response.data : 'SMS request failed'
+            };
+        }
+    }
+
+    /**
+     * Delivery reports are posted as form fields: id, status, phoneNumber, failureReason
+     */
+    parseDeliveryReport(body) {
+        if (!body || !body.id || !body.status) {
+            return null;
+        }
+
+        let status = 'SENT';
+        if (body.status === 'Success') {
+            status = 'DELIVERED';
+        } else if (AT_FAILED_STATUSES.includes(body.status)) {
+            status = 'FAILED';
+        }
+
+        return {
+            providerMessageId: body.id,
+            status: status,
+            error: status === 'FAILED' ? (body.failureReason || body.status) : null
+        };
+    }
+}
+
+/**
+ * Any gateway that takes a JSON POST { to, message, from } and answers 2xx with an optional
+ * messageId (or id). Delivery reports are JSON { messageId, status, error } with status
+ * DELIVERED or FAILED.
+ */
+class HttpSms extends SmsProvider {
+    constructor(config) {
+        super();
+        this.url = config.http.url;
+        this.token = config.http.token;
+        this.senderId = config.senderId;
+    }
+
+    get name() {
+        return 'HTTP';
+    }
+
+    async send(phoneNumber, message) {
+        if (!this.url) {
+            return { success: false, error: 'SMS_HTTP_URL is not set' };
+        }
+
+        try {
+            const response = await axios.post(this.url, {
+                to: phoneNumber,
+                message: message,
+                from: this.senderId || undefined
+            }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+                }
+            });
+
+            return {
+                success: true,
+                data: {
+                    providerMessageId: response.data?.messageId || response.data?.id || null,
+                    status: 'SENT'
+                }
+            };
+
+        } catch (error) {
+            console.error('HTTP SMS error:', error.response?.data || error.message);
+
+            return {
+                success: false,
+                error: error.response?.data?.error || error.message || 'SMS request failed'
+            };
+        }
+    }
+
+    parseDeliveryReport(body) {
+        if (!body || !body.messageId || !['DELIVERED', 'FAILED'].includes(body.status)) {
+            return null;
+        }
+
+        return {
+            providerMessageId: String(body.messageId),
+            status: body.status,
+            error: body.status === 'FAILED' ? (body.error || 'Not delivered') : null
+        };
+    }
+}
+
+/**
+ * Development stand-in: writes each message to the server log (and a file when
+ * SMS_FILE_PATH is set) and counts it as delivered
+ */
+class FileSms extends SmsProvider {
+    constructor(config) {
+        super();
+        this.filePath = config.filePath;
+    }
+
+    get name() {
+        return 'FILE';
+    }
+
+    async send(phoneNumber, message) {
+        const providerMessageId = `FILE-${crypto.randomBytes(6).toString('hex')}`;
+
+        console.log(`📨 SMS to ${phoneNumber}:\n${message}`);
+
+        if (this.filePath) {
+            try {
+                await fs.promises.appendFile(
+                    this.filePath,
+                    `--- ${moment.utc().format('YYYY-MM-DD HH:mm:ss')} ${phoneNumber} ${providerMessageId}\n${message}\n\n`
+                );
+            } catch (error) {
+                return { success: false, error: `Could not write ${this.filePath}: ${error.message}` };
+            }
+        }
+
+        return {
+            success: true,
+            data: { providerMessageId, status: 'DELIVERED' }
+        };
+    }
+}
+
+/**
+ * SMS provider named by config.provider
+ * @param {object} config - config/sms.js
+ */
+function createSmsProvider(config) {
+    switch (config.provider) {
+        case 'africastalking':
+            return new AfricasTalkingSms(config);
+        case 'http':
+            return new HttpSms(config);
+        case 'file':
+            return new FileSms(config);
+        default:
+            throw new Error(`Unknown SMS_PROVIDER "${config.provider}" (use africastalking, http or file)`);
+    }
+}
+
+module.exports = { SmsProvider, AfricasTalkingSms, HttpSms, FileSms, createSmsProvider };
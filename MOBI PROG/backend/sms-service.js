@@ -0,0 +1,195 @@
+/**
+ * MOBIPAY SMS Service
+ * Sends SMS through the configured provider (see sms-providers.js) and keeps every message
+ * in sms_messages with its delivery status, updated by the provider's delivery reports.
+ *
+ * A message type and reference (e.g. RECEIPT and the transaction ID) is sent to a number
+ * only once, so a repeated callback or a restart cannot send the same SMS twice. A FAILED
+ * one is not sent yet, so the next send for it retries on the same row.
+ * RECEIPT_RESEND is the exception; ReceiptService limits those itself.
+ */
+
+// Types that may be sent more than once for the same reference
+const REPEATABLE_TYPES = ['RECEIPT_RESEND'];
+
+class SmsService {
+    /**
+     * @param {object} db - SQLite database
+     * @param {object} provider - SmsProvider (see sms-providers.js)
+     */
+    constructor(db, provider) {
+        this.db = db;
+        this.provider = provider;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning all rows
+     */
+    all(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Send an SMS and log it
+     * Provider failures are logged as FAILED rather than thrown.
+     * @param {string} phoneNumber - Recipient (254XXXXXXXXX)
+     * @param {string} body - Message text
+     * @param {object} options - { type, reference }, e.g. { type: 'RECEIPT', reference: transactionId }
+     * @returns {Promise<object|null>} - The sms_messages row, or null if this type and reference was already sent
+     */
+    async send(phoneNumber, body, { type, reference = null }) {
+        // Claimed before sending, so parallel callers cannot both send it
+        const claim = await this.claimFailed(phoneNumber, body, type, reference) || await this.run(`
+            INSERT ${REPEATABLE_TYPES.includes(type) ? '' : 'OR IGNORE'} INTO sms_messages (
+                phone_number, message_type, reference, body, provider, status
+            ) VALUES (?, ?, ?, ?, ?, 'QUEUED')
+        `, [phoneNumber, type, reference, body, this.provider.name]);
+
+        if (!claim.changes) {
+            return null;
+        }
+
+        const result = await this.provider.send(phoneNumber, body);
+
+        if (result.success) {
+            await this.run(`
+                UPDATE sms_messages
+                SET status = ?, provider_message_id = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [result.data.status, result.data.providerMessageId, claim.id]);
+        } else {
+            console.error(`SMS ${type} ${reference || ''} to ${phoneNumber} failed:`, result.error);
+            await this.run(`
+                UPDATE sms_messages
+                SET status = 'FAILED', error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [String(result.error), claim.id]);
+        }
+
+        return this.get('SELECT * FROM sms_messages WHERE id = ?', [claim.id]);
+    }
+
+    /**
+     * Take back a FAILED message of a once-only type for another attempt
+     * @returns {Promise<object|null>} - { id, changes } like run(), or null if there is none to retry
+     */
+    async claimFailed(phoneNumber, body, type, reference) {
+        if (REPEATABLE_TYPES.includes(type)) {
+            return null;
+        }
+
+        const failed = await this.get(`
+            SELECT id FROM sms_messages
+            WHERE message_type = ? AND reference = ? AND phone_number = ? AND status = 'FAILED'
+        `, [type, reference, phoneNumber]);
+
+        if (!failed) {
+            return null;
+        }
+
+        const claim = await this.run(`
+            UPDATE sms_messages
+            SET status = 'QUEUED', body = ?, provider = ?, provider_message_id = NULL, error = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'FAILED'
+        `, [body, this.provider.name, failed.id]);
+
+        return { id: failed.id, changes: claim.changes };
+    }
+
+    /**
+     * Apply a provider delivery report
+     * DELIVERED and FAILED are final, a late SENT report does not overwrite them.
+     * @returns {Promise<object>} - { found, message } with the updated sms_messages row
+     */
+    async handleDeliveryReport(body) {
+        const report = this.provider.parseDeliveryReport(body);
+        if (!report) {
+            return { found: false };
+        }
+
+        await this.run(`
+            UPDATE sms_messages
+            SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE provider = ? AND provider_message_id = ? AND status NOT IN ('DELIVERED', 'FAILED')
+        `, [report.status, report.error, this.provider.name, report.providerMessageId]);
+
+        const message = await this.get(
+            'SELECT * FROM sms_messages WHERE provider = ? AND provider_message_id = ?',
+            [this.provider.name, report.providerMessageId]
+        );
+
+        return { found: !!message, message };
+    }
+
+    /**
+     * Logged messages, newest first
+     * @param {object} filters - { phoneNumber, status, type, limit }
+     */
+    async getMessages({ phoneNumber = null, status = null, type = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (phoneNumber) {
+            conditions.push('phone_number = ?');
+            params.push(phoneNumber);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (type) {
+            conditions.push('message_type = ?');
+            params.push(type);
+        }
+
+        return this.all(`
+            SELECT * FROM sms_messages
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+}
+
+SmsService.REPEATABLE_TYPES = REPEATABLE_TYPES;
+
+module.exports = SmsService;
@@ -0,0 +1,71 @@
+const sqlite3 = require('sqlite3');
+const SmsService = require('./sms-service');
+
+const OWNER = '254717564238';
+const SUMMARY = { type: 'OWNER_SUMMARY', reference: '2026-10-19' };
+
+describe('SmsService.send', () => {
+    let db;
+    let provider;
+    let smsService;
+
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+
+    const countMessages = () => new Promise((resolve, reject) => {
+        db.get('SELECT COUNT(*) as count FROM sms_messages', [], (err, row) => (err ? reject(err) : resolve(row.count)));
+    });
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await run(`
+            CREATE TABLE sms_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone_number VARCHAR(15) NOT NULL,
+                message_type VARCHAR(20) NOT NULL,
+                reference VARCHAR(50),
+                body TEXT NOT NULL,
+                provider VARCHAR(20) NOT NULL,
+                provider_message_id VARCHAR(100),
+                status VARCHAR(20) DEFAULT 'QUEUED',
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`CREATE UNIQUE INDEX idx_sms_messages_once ON sms_messages(message_type, reference, phone_number) WHERE message_type != 'RECEIPT_RESEND'`);
+
+        provider = {
+            name: 'TEST',
+            send: jest.fn(async () => ({ success: true, data: { providerMessageId: 'TEST-1', status: 'SENT' } }))
+        };
+        smsService = new SmsService(db, provider);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(done => {
+        console.error.mockRestore();
+        db.close(done);
+    });
+
+    test('sends a message of a once-only type only once', async () => {
+        expect((await smsService.send(OWNER, 'Summary', SUMMARY)).status).toBe('SENT');
+        expect(await smsService.send(OWNER, 'Summary', SUMMARY)).toBeNull();
+        expect(provider.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries a FAILED message on the same row', async () => {
+        provider.send.mockResolvedValueOnce({ success: false, error: 'Gateway down' });
+
+        const failed = await smsService.send(OWNER, 'Summary', SUMMARY);
+        expect(failed.status).toBe('FAILED');
+
+        const retried = await smsService.send(OWNER, 'Summary', SUMMARY);
+        expect(retried).toMatchObject({ id: failed.id, status: 'SENT', provider_message_id: 'TEST-1', error: null });
+        expect(await countMessages()).toBe(1);
+
+        expect(await smsService.send(OWNER, 'Summary', SUMMARY)).toBeNull();
+        expect(provider.send).toHaveBeenCalledTimes(2);
+    });
+});
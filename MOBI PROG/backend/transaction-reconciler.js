@@ -0,0 +1,318 @@
+/**
+ * MOBIPAY Transaction Reconciler
+ * Periodically queries the payment provider (M-Pesa or Airtel Money) for PENDING
+ * transactions whose callback never arrived, and expires the ones that stay
+ * unresolved past the deadline
+ */
+
+class TransactionReconciler {
+    constructor(db, providers, onTransactionChanged = null) {
+        this.db = db;
+        this.providers = providers; // PaymentProviderRegistry
+        this.onTransactionChanged = onTransactionChanged; // optional ledger posting and live status pushes
+        this.timer = null;
+        this.running = false;
+        this.stopped = true;
+    }
+
+    /**
+     * Get reconciler settings
+     */
+    async getSettings() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT setting_key, setting_value
+                FROM system_settings
+                WHERE setting_key LIKE 'reconciler_%'
+            `;
+
+            this.db.all(query, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const settings = {};
+                rows.forEach(row => {
+                    settings[row.setting_key] = row.setting_value;
+                });
+
+                resolve({
+                    enabled: settings.reconciler_enabled !== '0',
+                    intervalSeconds: parseInt(settings.reconciler_interval_seconds) || 60,
+                    minAgeSeconds: parseInt(settings.reconciler_min_age_seconds) || 60,
+                    expirySeconds: parseInt(settings.reconciler_expiry_seconds) || 900,
+                    backoffBaseSeconds: parseInt(settings.reconciler_backoff_base_seconds) || 30,
+                    backoffMaxSeconds: parseInt(settings.reconciler_backoff_max_seconds) || 300,
+                    batchSize: parseInt(settings.reconciler_batch_size) || 50
+                });
+            });
+        });
+    }
+
+    /**
+     * Find PENDING transactions that are due for a status query
+     */
+    async getDueTransactions(settings) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT transaction_id, checkout_request_id, provider, reconcile_attempts,
+                       CAST(strftime('%s', 'now') - strftime('%s', created_at) AS INTEGER) AS age_seconds
+                FROM transactions
+                WHERE status = 'PENDING'
+                  AND checkout_request_id IS NOT NULL
+                  AND created_at <= datetime('now', ?)
+                  AND (next_reconcile_at IS NULL OR next_reconcile_at <= CURRENT_TIMESTAMP)
+                ORDER BY created_at ASC
+                LIMIT ?
+            `;
+
+            this.db.all(query, [`-${settings.minAgeSeconds} seconds`, settings.batchSize], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Seconds to wait before the next query (exponential backoff)
+     */
+    calculateBackoff(attempts, settings) {
+        const delay = settings.backoffBaseSeconds * Math.pow(2, attempts);
+        return Math.min(delay, settings.backoffMaxSeconds);
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Move a transaction out of PENDING (only if it is still PENDING)
+     */
+    async resolveTransaction(transactionId, status, resultCode, resultDesc) {
+        const result = await this.run(`
+            UPDATE transactions
+            SET status = ?, result_code = ?, result_desc = ?,
+                last_reconciled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE transaction_id = ? AND status = 'PENDING'
+        `, [status, resultCode, resultDesc, transactionId]);
+
+        if (result.changes > 0 && this.onTransactionChanged) {
+            await this.onTransactionChanged(transactionId);
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Schedule the next query for a transaction still awaiting its provider
+     */
+    async scheduleRetry(transaction, settings) {
+        const attempts = (transaction.reconcile_attempts || 0) + 1;
+        const delay = this.calculateBackoff(attempts - 1, settings);
+
+        await this.run(`
+            UPDATE transactions
+            SET reconcile_attempts = ?, last_reconciled_at = CURRENT_TIMESTAMP,
+                next_reconcile_at = datetime('now', ?)
+            WHERE transaction_id = ?
+        `, [attempts, `+${delay} seconds`, transaction.transaction_id]);
+    }
+
+    /**
+     * Record the outcome for one transaction
+     */
+    async logEvent(runId, transactionId, outcome, resultCode, message) {
+        await this.run(`
+            INSERT INTO reconciler_events (run_id, transaction_id, outcome, result_code, message)
+            VALUES (?, ?, ?, ?, ?)
+        `, [runId, transactionId, outcome, resultCode, message]);
+    }
+
+    /**
+     * Reconcile a single transaction
+     * @returns {string} - COMPLETED, FAILED, EXPIRED, PENDING or SKIPPED
+     */
+    async reconcileTransaction(runId, transaction, settings) {
+        const provider = this.providers.get(transaction.provider);
+        const queryResult = await provider.query(transaction.checkout_request_id);
+
+        if (queryResult.success && queryResult.data.resolved) {
+            const resultCode = queryResult.data.resultCode;
+            const status = queryResult.data.paid ? 'COMPLETED' : 'FAILED';
+            const message = provider.getStatusMessage(resultCode);
+
+            const updated = await this.resolveTransaction(
+                transaction.transaction_id,
+                status,
+                resultCode,
+                queryResult.data.resultDesc || message
+            );
+            if (!updated) {
+                // Callback landed while we were querying
+                return 'SKIPPED';
+            }
+
+            await this.logEvent(runId, transaction.transaction_id, status, resultCode, message);
+            return status;
+        }
+
+        if (transaction.age_seconds >= settings.expirySeconds) {
+            const message = `No result from ${provider.name} after ${settings.expirySeconds} seconds` +
+                (queryResult.error ? ` (${queryResult.error})` : '');
+
+            const updated = await this.resolveTransaction(transaction.transaction_id, 'EXPIRED', null, message);
+            if (!updated) {
+                return 'SKIPPED';
+            }
+
+            await this.logEvent(runId, transaction.transaction_id, 'EXPIRED', null, message);
+            return 'EXPIRED';
+        }
+
+        await this.scheduleRetry(transaction, settings);
+        await this.logEvent(
+            runId,
+            transaction.transaction_id,
+            'PENDING',
+            null,
+            queryResult.error || queryResult.data?.resultDesc || `Still awaiting ${provider.name} result`
+        );
+        return 'PENDING';
+    }
+
+    /**
+     * Run one reconciliation pass
+     * @returns {object} - Run counts
+     */
+    async runOnce() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const counts = { checked: 0, completed: 0, failed: 0, expired: 0, pending: 0, errors: 0 };
+        let runId = null;
+
+        try {
+            const settings = await this.getSettings();
+            const transactions = await this.getDueTransactions(settings);
+
+            // Only record passes that had work to do, so idle minutes don't flood the logs
+            if (transactions.length === 0) {
+                return { runId, ...counts };
+            }
+
+            const run = await this.run(
+                "INSERT INTO reconciler_runs (status) VALUES ('RUNNING')",
+                []
+            );
+            runId = run.id;
+
+            for (const transaction of transactions) {
+                counts.checked++;
+                try {
+                    const outcome = await this.reconcileTransaction(runId, transaction, settings);
+                    if (outcome === 'COMPLETED') counts.completed++;
+                    else if (outcome === 'FAILED') counts.failed++;
+                    else if (outcome === 'EXPIRED') counts.expired++;
+                    else if (outcome === 'PENDING') counts.pending++;
+                } catch (error) {
+                    counts.errors++;
+                    console.error(`Reconciler error for ${transaction.transaction_id}:`, error.message);
+                    await this.logEvent(runId, transaction.transaction_id, 'ERROR', null, error.message)
+                        .catch(() => {});
+                }
+            }
+
+            await this.finishRun(runId, counts, counts.errors > 0 ? 'PARTIAL' : 'SUCCESS', null);
+            return { runId, ...counts };
+
+        } catch (error) {
+            console.error('Reconciler run failed:', error);
+            if (runId) {
+                await this.finishRun(runId, counts, 'ERROR', error.message).catch(() => {});
+            }
+            return { runId, ...counts, error: error.message };
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Store run counts
+     */
+    async finishRun(runId, counts, status, errorMessage) {
+        await this.run(`
+            UPDATE reconciler_runs
+            SET status = ?, checked_count = ?, completed_count = ?, failed_count = ?,
+                expired_count = ?, pending_count = ?, error_count = ?, error_message = ?,
+                finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            status, counts.checked, counts.completed, counts.failed,
+            counts.expired, counts.pending, counts.errors, errorMessage, runId
+        ]);
+    }
+
+    /**
+     * Start the scheduled reconciler
+     */
+    start() {
+        this.stopped = false;
+        this.scheduleNext(0);
+    }
+
+    /**
+     * Stop the scheduled reconciler
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedule the next pass, re-reading the interval so setting changes apply without a restart
+     */
+    scheduleNext(delayMs) {
+        if (this.stopped) return;
+
+        this.timer = setTimeout(async () => {
+            let intervalSeconds = 60;
+            try {
+                const settings = await this.getSettings();
+                intervalSeconds = settings.intervalSeconds;
+                if (settings.enabled) {
+                    await this.runOnce();
+                }
+            } catch (error) {
+                console.error('Reconciler scheduling error:', error);
+            }
+            this.scheduleNext(intervalSeconds * 1000);
+        }, delayMs);
+
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+}
+
+module.exports = TransactionReconciler;
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * MOBIPAY USSD gateway configuration
+ * Each gateway route only answers its gateway: requests must carry the gateway's key
+ * (?key= in the URL registered with the gateway, or an X-USSD-Key header) and/or come
+ * from its IP allowlist. A gateway with neither set rejects every request.
+ */
+
+const gateway = (name) => ({
+    secret: process.env[`USSD_${name}_SECRET`] || '',
+    ipAllowlist: process.env[`USSD_${name}_IP_ALLOWLIST`] || ''
+});
+
+const ussdConfig = {
+    africastalking: gateway('AFRICASTALKING'),
+    safaricom: gateway('SAFARICOM'),
+    json: gateway('JSON')
+};
+
+// The phone simulator posts in the Africa's Talking format; with the offline Daraja simulator
+// that route gets a throwaway key per run when none is set
+if (process.env.MPESA_ENVIRONMENT === 'simulator' && !ussdConfig.africastalking.secret && !ussdConfig.africastalking.ipAllowlist) {
+    ussdConfig.africastalking.secret = crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = ussdConfig;
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const moment = require('moment');
+
+/**
+ * MOBIPAY USSD Session Engine
+ * Runs declarative USSD menus (see ussd-menus.js) with the position of each caller kept
+ * in ussd_sessions, keyed by the gateway's sessionId, instead of re-parsing the whole
+ * `text` string on every request.
+ *
+ * A menu is { start, screens } where each screen is one of:
+ *   { text, options }   - numbered choices, options is [{ key, label, next, set }] or (session) => options
+ *   { text, input }     - free text, input is { validate(value, session), save, next }
+ *   { text, end: true } - final message, closes the session
+ * text, options and next may be (async) functions of the session ({ screen, history, data, caller }).
+ * A screen may also have onEnter(session), run when the caller moves forward onto it (not when
+ * coming back to it or on a retry); the object it returns is merged into the session data.
+ *
+ * On every screen after the first, "0" goes back one screen and "00" returns home.
+ * Only a hash of the last text is stored, as it can contain a PIN.
+ * step() has no HTTP or database dependency, so menus can be exercised on their own.
+ *
+ * A menu may also define init(caller), returning the data a new session starts with, and
+ * translate(session, key, params), returning the engine's own messages (MESSAGES keys)
+ * in the caller's language.
+ */
+
+const BACK = '0';
+const HOME = '00';
+
+const DEFAULT_TIMEOUT_SECONDS = 180;
+
+// Ended and expired sessions are kept this long (for support queries), then purged
+const RETENTION_HOURS = 24;
+
+const MESSAGES = {
+    invalidChoice: 'Invalid choice, try again.',
+    navigation: `${BACK}. Back ${HOME}. Home`,
+    timedOut: 'Session timed out. Please dial again.',
+    ended: 'Session has ended. Please dial again.',
+    expired: 'Session expired. Please dial again.'
+};
+
+class UssdEngine {
+    constructor(db, menu) {
+        this.db = db;
+        this.menu = menu;
+    }
+
+    /**
+     * Run a write query
+     */
+    run(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve({ id: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Run a read query returning one row
+     */
+    get(query, params) {
+        return new Promise((resolve, reject) => {
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Seconds of inactivity after which a session times out, from system settings
+     */
+    async getTimeoutSeconds() {
+        const row = await this.get(
+            "SELECT setting_value FROM system_settings WHERE setting_key = 'ussd_session_timeout_seconds'",
+            []
+        );
+
+        return parseInt(row?.setting_value) || DEFAULT_TIMEOUT_SECONDS;
+    }
+
+    /**
+     * Session state at the menu's start screen
+     * @param {object} caller - sessionId, serviceCode and phoneNumber from the gateway
+     */
+    async newSession(caller = {}) {
+        const data = this.menu.init ? await this.menu.init(caller) : {};
+        return { screen: this.menu.start, history: [], data: data || {}, caller: caller };
+    }
+
+    /**
+     * One of the engine's MESSAGES, translated by the menu when it can
+     */
+    async message(session, key) {
+        return this.menu.translate
+            ? this.menu.translate(session, key, { back: BACK, home: HOME })
+            : MESSAGES[key];
+    }
+
+    /**
+     * Screen definition by ID
+     */
+    getScreen(screenId) {
+        const screen = this.menu.screens[screenId];
+        if (!screen) {
+            throw new Error(`USSD screen ${screenId} is not defined`);
+        }
+        return screen;
+    }
+
+    /**
+     * Resolve a screen property that may be a value or an (async) function of the session
+     */
+    async resolve(value, session) {
+        return typeof value === 'function' ? value(session) : value;
+    }
+
+    /**
+     * Render the current screen of a session
+     * @param {object} session - { screen, history, data, caller }
+     * @param {string} notice - Optional line shown above the screen text (e.g. a validation error)
+     * @returns {Promise<object>} - { session, response, ended }
+     */
+    async render(session, notice = null) {
+        const screen = this.getScreen(session.screen);
+        const text = await this.resolve(screen.text, session);
+
+        if (screen.end) {
+            return { session, response: `END ${text}`, ended: true };
+        }
+
+        const lines = [notice, text].filter(Boolean);
+        const options = (await this.resolve(screen.options, session)) || [];
+        options.forEach(option => lines.push(`${option.key}. ${option.label}`));
+
+        if (session.history.length) {
+            lines.push(await this.message(session, 'navigation'));
+        }
+
+        return { session, response: `CON ${lines.join('\n')}`, ended: false };
+    }
+
+    /**
+     * Apply one input to a session
+     * @param {object} session - { screen, history, data, caller }
+     * @param {string} input - What the caller typed on the current screen
+     * @returns {Promise<object>} - { session, response, ended } with the new session state
+     */
+    async step(session, input) {
+        const value = String(input ?? '').trim();
+        const screen = this.getScreen(session.screen);
+
+        if (screen.end) {
+            return this.render(session);
+        }
+
+        if (session.history.length && value === HOME) {
+            return this.render(await this.newSession(session.caller));
+        }
+
+        if (session.history.length && value === BACK) {
+            return this.render({
+                ...session,
+                screen: session.history[session.history.length - 1],
+                history: session.history.slice(0, -1)
+            });
+        }
+
+        const data = { ...session.data };
+        let next;
+
+        if (screen.options) {
+            const options = await this.resolve(screen.options, session);
+            const option = options.find(candidate => candidate.key === value);
+            if (!option) {
+                return this.render(session, await this.message(session, 'invalidChoice'));
+            }
+
+            Object.assign(data, option.set || {});
+            next = option.next;
+        } else {
+            const result = screen.input.validate
+                ? await screen.input.validate(value, session)
+                : { isValid: true, value: value };
+            if (!result.isValid) {
+                return this.render(session, result.error);
+            }
+
+            if (screen.input.save) {
+                data[screen.input.save] = result.value;
+            }
+            next = screen.input.next;
+        }
+
+        const moved = { ...session, data };
+        const nextScreen = await this.resolve(next, moved);
+        const target = this.getScreen(nextScreen);
+
+        if (target.onEnter) {
+            Object.assign(data, await target.onEnter(moved));
+        }
+
+        return this.render({
+            ...moved,
+            screen: nextScreen,
+            history: [...session.history, session.screen]
+        });
+    }
+
+    /**
+     * Handle a gateway request
+     * The gateway sends everything typed so far joined by "*"; only the last entry is new.
+     * @param {object} request - { sessionId, serviceCode, phoneNumber, text }
+     * @returns {Promise<string>} - "CON ..." or "END ..." response
+     */
+    async handle({ sessionId, serviceCode, phoneNumber, text }) {
+        const now = moment.utc();
+        const caller = { sessionId, serviceCode, phoneNumber };
+        const stored = await this.get('SELECT * FROM ussd_sessions WHERE session_id = ?', [sessionId]);
+
+        // Enough of the stored session to word the ended and timed out messages
+        const storedSession = stored ? { data: JSON.parse(stored.data || '{}'), caller: caller } : null;
+
+        let result;
+        if (!stored && text) {
+            // Unknown session that already has input (e.g. purged mid-session). Replaying it
+            // would run onEnter hooks such as the payment push, so the caller starts over.
+            return `END ${await this.message(await this.newSession(caller), 'expired')}`;
+        } else if (!stored || text === '') {
+            await this.purgeOld();
+            result = await this.render(await this.newSession(caller));
+        } else if (stored.status !== 'ACTIVE') {
+            return `END ${await this.message(storedSession, 'ended')}`;
+        } else if (moment.utc(stored.expires_at).isBefore(now)) {
+            await this.run(`
+                UPDATE ussd_sessions SET status = 'EXPIRED', updated_at = CURRENT_TIMESTAMP
+                WHERE session_id = ?
+            `, [sessionId]);
+            return `END ${await this.message(storedSession, 'timedOut')}`;
+        } else {
+            const session = {
+                screen: stored.screen,
+                history: JSON.parse(stored.history || '[]'),
+                data: storedSession.data,
+                caller: caller
+            };
+
+            // A gateway retry repeats the last text, show the same screen instead of stepping twice
+            result = UssdEngine.hashText(text) === stored.last_text
+                ? await this.render(session)
+                : await this.step(session, String(text).split('*').pop());
+        }
+
+        const textHash = UssdEngine.hashText(text);
+        const expiresAt = now.clone().add(await this.getTimeoutSeconds(), 'seconds').format('YYYY-MM-DD HH:mm:ss');
+
+        await this.run(`
+            INSERT INTO ussd_sessions (
+                session_id, phone_number, service_code, screen, history, data, last_text, status, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(session_id) DO UPDATE SET
+                screen = excluded.screen, history = excluded.history, data = excluded.data,
+                last_text = excluded.last_text, status = excluded.status,
+                expires_at = excluded.expires_at, updated_at = CURRENT_TIMESTAMP
+        `, [
+            sessionId,
+            phoneNumber,
+            serviceCode,
+            result.session.screen,
+            JSON.stringify(result.session.history),
+            JSON.stringify(result.session.data),
+            textHash,
+            result.ended ? 'ENDED' : 'ACTIVE',
+            expiresAt
+        ]);
+
+        return result.response;
+    }
+
+    /**
+     * Hash of a request's text, kept to recognise gateway retries
+     */
+    static hashText(text) {
+        return crypto.createHash('sha256').update(String(text ?? '')).digest('hex');
+    }
+
+    /**
+     * Delete sessions untouched for longer than RETENTION_HOURS
+     */
+    async purgeOld() {
+        await this.run(
+            'DELETE FROM ussd_sessions WHERE updated_at < ?',
+            [moment.utc().subtract(RETENTION_HOURS, 'hours').format('YYYY-MM-DD HH:mm:ss')]
+        );
+    }
+}
+
+UssdEngine.BACK = BACK;
+UssdEngine.HOME = HOME;
+UssdEngine.MESSAGES = MESSAGES;
+
+module.exports = UssdEngine;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * MOBIPAY USSD Gateways
+ * Adapters between USSD gateway wire formats and the UssdEngine. Each gateway has its
+ * own route, turns its requests into { sessionId, serviceCode, phoneNumber, text } and
+ * writes the engine's reply back in its own response convention, so the same menus
+ * work behind any of them.
+ *
+ * text is always everything the caller typed in the session, joined by "*".
+ *
+ * The caller's phoneNumber is trusted as their identity, so a gateway only answers
+ * requests with its key or from its IP allowlist (see config/ussd.js).
+ */
+
+class UssdGateway {
+    /**
+     * @param {object} config - { secret, ipAllowlist } for this gateway
+     */
+    constructor(config = {}) {
+        this.secret = config.secret || '';
+        this.ipAllowlist = (config.ipAllowlist || '')
+            .split(',')
+            .map(ip => ip.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether the gateway can accept anything (a key or an IP allowlist is set)
+     */
+    isConfigured() {
+        return this.secret.length > 0 || this.ipAllowlist.length > 0;
+    }
+
+    /**
+     * Whether a request comes from the gateway: from an allowed IP when there is an
+     * allowlist, and with the key when there is one
+     */
+    isAuthorized(req) {
+        if (!this.isConfigured()) {
+            return false;
+        }
+
+        if (this.ipAllowlist.length && !this.ipAllowlist.includes(String(req.ip || '').replace(/^::ffff:/, ''))) {
+            return false;
+        }
+
+        if (!this.secret) {
+            return true;
+        }
+
+        const key = req.get('X-USSD-Key') || req.query.key;
+        if (typeof key !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.secret);
+        const received = Buffer.from(key);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Gateway name, for logs
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * HTTP methods the gateway calls its route with
+     */
+    get methods() {
+        return ['post'];
+    }
+
+    /**
+     * Turn a gateway request into the engine's request fields (not yet validated)
+     * @returns {object} - { sessionId, serviceCode, phoneNumber, text }
+     */
+    normalize(req) {
+        throw new Error(`${this.constructor.name} must implement normalize()`);
+    }
+
+    /**
+     * Send a menu reply in the gateway's format
+     * @param {object} res - Express response
+     * @param {object} reply - { message, end } where end closes the session
+     */
+    format(res, reply) {
+        throw new Error(`${this.constructor.name} must implement format()`);
+    }
+}
+
+/**
+ * Africa's Talking: form (or JSON) POST of sessionId, serviceCode, phoneNumber and text,
+ * answered in plain text starting with "CON " (continue) or "END " (close)
+ */
+class AfricasTalkingGateway extends UssdGateway {
+    get name() {
+        return 'AFRICASTALKING';
+    }
+
+    normalize(req) {
+        const body = req.body || {};
+        return {
+            sessionId: body.sessionId,
+            serviceCode: body.serviceCode,
+            phoneNumber: body.phoneNumber,
+            text: body.text || ''
+        };
+    }
+
+    format(res, reply) {
+        res.set('Content-Type', 'text/plain');
+        res.send(`${reply.end ? 'END' : 'CON'} ${reply.message}`);
+    }
+}
+
+/**
+ * Safaricom direct USSD gateway: GET (or POST) with MSISDN, SESSION_ID, SERVICE_CODE and
+ * USSD_STRING, answered with the bare menu text and a Freeflow header, FC to continue
+ * or FB to close the session
+ */
+class SafaricomGateway extends UssdGateway {
+    get name() {
+        return 'SAFARICOM';
+    }
+
+    get methods() {
+        return ['get', 'post'];
+    }
+
+    normalize(req) {
+        const params = { ...req.query, ...(req.body || {}) };
+        return {
+            sessionId: params.SESSION_ID,
+            serviceCode: params.SERVICE_CODE,
+            phoneNumber: params.MSISDN,
+            text: params.USSD_STRING || ''
+        };
+    }
+
+    format(res, reply) {
+        res.set('Content-Type', 'text/plain');
+        res.set('Freeflow', reply.end ? 'FB' : 'FC');
+        res.send(reply.message);
+    }
+}
+
+/**
+ * Generic JSON: POST { sessionId, serviceCode, phoneNumber, text }, answered with
+ * { sessionId, message, end }
+ */
+class JsonGateway extends UssdGateway {
+    get name() {
+        return 'JSON';
+    }
+
+    normalize(req) {
+        const body = req.body || {};
+        return {
+            sessionId: body.sessionId,
+            serviceCode: body.serviceCode,
+            phoneNumber: body.phoneNumber,
+            text: body.text || ''
+        };
+    }
+
+    format(res, reply) {
+        res.json({
+            sessionId: res.locals.ussdSessionId || null,
+            message: reply.message,
+            end: reply.end
+        });
+    }
+}
+
+class UssdGatewayRegistry {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Serve a gateway on one or more routes
+     * @param {UssdGateway} gateway - Gateway adapter
+     * @param {string|string[]} paths - Route paths (e.g. '/api/ussd/safaricom')
+     */
+    register(gateway, paths) {
+        [].concat(paths).forEach(path => this.routes.push({ path, gateway }));
+        return this;
+    }
+
+    /**
+     * Split an engine response ("CON ..." or "END ...") into { message, end }
+     */
+    static parseReply(response) {
+        const end = !String(response).startsWith('CON ');
+        return { message: String(response).replace(/^(CON|END) /, ''), end };
+    }
+
+    /**
+     * Build an Express router with every registered gateway route
+     * @param {function} handle - async (request, gateway) => "CON ..." or "END ..." engine response
+     */
+    createRouter(handle) {
+        const router = express.Router();
+
+        this.routes.forEach(({ path, gateway }) => {
+            gateway.methods.forEach(method => {
+                router[method](path, async (req, res) => {
+                    if (!gateway.isAuthorized(req)) {
+                        console.warn(`Rejected USSD request on ${path} from ${req.ip}: not from the ${gateway.name} gateway`);
+                        res.status(403);
+                        return gateway.format(res, { message: 'Unauthorized.', end: true });
+                    }
+
+                    let reply;
+                    try {
+                        const request = gateway.normalize(req);
+                        res.locals.ussdSessionId = request.sessionId || null;
+                        reply = UssdGatewayRegistry.parseReply(await handle(request, gateway));
+                    } catch (error) {
+                        console.error(`USSD error (${gateway.name}):`, error);
+                        reply = { message: 'Service temporarily unavailable. Please try again later.', end: true };
+                    }
+
+                    gateway.format(res, reply);
+                });
+            });
+        });
+
+        return router;
+    }
+}
+
+module.exports = {
+    UssdGateway,
+    AfricasTalkingGateway,
+    SafaricomGateway,
+    JsonGateway,
+    UssdGatewayRegistry
+};
@@ -0,0 +1,157 @@
+const axios = require('axios');
+const express = require('express');
+const {
+    AfricasTalkingGateway,
+    SafaricomGateway,
+    JsonGateway,
+    UssdGatewayRegistry
+} = require('./ussd-gateways');
+
+const KEY = 'gateway-key';
+
+const ENGINE_REQUEST = {
+    sessionId: 'ATUid_1',
+    serviceCode: '*384*123#',
+    phoneNumber: '254712345678',
+    text: '1*3025'
+};
+
+describe('USSD gateway adapters', () => {
+    let server;
+    let baseUrl;
+    let client;
+    let handle;
+
+    beforeAll(done => {
+        const app = express();
+        app.use(express.json());
+        app.use(express.urlencoded({ extended: true }));
+        app.use(new UssdGatewayRegistry()
+            .register(new AfricasTalkingGateway({ secret: KEY }), '/ussd/africastalking')
+            .register(new SafaricomGateway({ secret: KEY }), '/ussd/safaricom')
+            .register(new JsonGateway({ secret: KEY }), '/ussd/json')
+            .register(new JsonGateway({ ipAllowlist: '10.0.0.1' }), '/ussd/allowlisted')
+            .register(new JsonGateway(), '/ussd/unconfigured')
+            .createRouter((request, gateway) => handle(request, gateway)));
+
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            client = axios.create({ baseURL: baseUrl, headers: { 'X-USSD-Key': KEY } });
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        handle = jest.fn(async () => 'CON Enter amount (Min KSh 50):');
+    });
+
+    test('Africa\'s Talking: form POST in, CON/END plain text out', async () => {
+        const response = await client.post(
+            '/ussd/africastalking',
+            new URLSearchParams(ENGINE_REQUEST).toString(),
+            { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+        );
+
+        expect(handle).toHaveBeenCalledWith(ENGINE_REQUEST, expect.any(AfricasTalkingGateway));
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        expect(response.data).toBe('CON Enter amount (Min KSh 50):');
+
+        handle.mockResolvedValueOnce('END Payment cancelled.');
+        const ended = await client.post('/ussd/africastalking', ENGINE_REQUEST);
+        expect(ended.data).toBe('END Payment cancelled.');
+    });
+
+    test('Safaricom: GET query in, bare text with a Freeflow header out', async () => {
+        const response = await client.get('/ussd/safaricom', {
+            params: {
+                MSISDN: ENGINE_REQUEST.phoneNumber,
+                SESSION_ID: ENGINE_REQUEST.sessionId,
+                SERVICE_CODE: ENGINE_REQUEST.serviceCode,
+                USSD_STRING: ENGINE_REQUEST.text
+            }
+        });
+
+        expect(handle).toHaveBeenCalledWith(ENGINE_REQUEST, expect.any(SafaricomGateway));
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        expect(response.headers.freeflow).toBe('FC');
+        expect(response.data).toBe('Enter amount (Min KSh 50):');
+
+        handle.mockResolvedValueOnce('END Payment cancelled.');
+        const ended = await client.get('/ussd/safaricom', {
+            params: { MSISDN: ENGINE_REQUEST.phoneNumber, SESSION_ID: ENGINE_REQUEST.sessionId }
+        });
+        expect(ended.headers.freeflow).toBe('FB');
+        expect(ended.data).toBe('Payment cancelled.');
+    });
+
+    test('JSON: POST body in, { sessionId, message, end } out', async () => {
+        const response = await client.post('/ussd/json', ENGINE_REQUEST);
+
+        expect(handle).toHaveBeenCalledWith(ENGINE_REQUEST, expect.any(JsonGateway));
+        expect(response.data).toEqual({
+            sessionId: ENGINE_REQUEST.sessionId,
+            message: 'Enter amount (Min KSh 50):',
+            end: false
+        });
+
+        handle.mockResolvedValueOnce('END Payment cancelled.');
+        const ended = await client.post('/ussd/json', ENGINE_REQUEST);
+        expect(ended.data).toEqual({ sessionId: ENGINE_REQUEST.sessionId, message: 'Payment cancelled.', end: true });
+    });
+
+    test('a failing engine closes the session in the gateway\'s own format', async () => {
+        handle.mockRejectedValue(new Error('database is locked'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const json = await client.post('/ussd/json', ENGINE_REQUEST);
+        expect(json.data.end).toBe(true);
+
+        const safaricom = await client.get('/ussd/safaricom', { params: { SESSION_ID: 'x' } });
+        expect(safaricom.headers.freeflow).toBe('FB');
+
+        console.error.mockRestore();
+    });
+
+    describe('gateway check', () => {
+        const post = (path, headers = {}) => axios.post(`${baseUrl}${path}`, ENGINE_REQUEST, {
+            headers,
+            validateStatus: () => true
+        });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.warn.mockRestore();
+        });
+
+        test('rejects requests without the gateway key before the menus see them', async () => {
+            const missing = await post('/ussd/africastalking');
+            expect(missing.status).toBe(403);
+            expect(missing.data).toMatch(/^END /);
+
+            const wrong = await post('/ussd/json', { 'X-USSD-Key': 'guess' });
+            expect(wrong.status).toBe(403);
+            expect(wrong.data.end).toBe(true);
+
+            expect(handle).not.toHaveBeenCalled();
+        });
+
+        test('accepts the key in the registered URL', async () => {
+            const response = await axios.get(`${baseUrl}/ussd/safaricom`, { params: { key: KEY, SESSION_ID: 'x' } });
+            expect(response.status).toBe(200);
+            expect(handle).toHaveBeenCalled();
+        });
+
+        test('rejects callers outside the IP allowlist, and everything when nothing is configured', async () => {
+            expect((await post('/ussd/allowlisted')).status).toBe(403);
+            expect((await post('/ussd/unconfigured', { 'X-USSD-Key': '' })).status).toBe(403);
+            expect(handle).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,466 @@
+const { validate, schemas, businessRules } = require('../utils/validation');
+const PaymentService = require('./payment-service');
+const ReceiptService = require('./receipt-service');
+const OwnerService = require('./owner-service');
+const { LOCALES, LANGUAGE_NAMES, t, has, errorMessage, joiOptions } = require('../utils/messages');
+
+/**
+ * MOBIPAY USSD Menus
+ * Screen definitions run by UssdEngine. Dependencies are passed in so the menus can be
+ * stepped through with a test database (or stand-ins) without going over HTTP.
+ *
+ * "0" and "00" are reserved by the engine for Back and Home, so menu options start at 1
+ * (a matatu that also takes typed amounts offers it as option 99 on the stage list).
+ *
+ * All text comes from the message catalog (utils/messages.js) in the session's locale,
+ * which starts as the language saved for the caller's phone number.
+ *
+ * Callers whose number is an OWNER account also get the owner menu, behind their PIN.
+ */
+
+// Option on the boarding stage list that switches to typing an amount
+const ENTER_AMOUNT_KEY = '99';
+
+// Option on the payments list that switches to looking a payment up by its short code
+const FIND_BY_CODE_KEY = '9';
+
+// Payments listed under My Payments, and under the owner's latest payments
+const RECENT_PAYMENTS = 5;
+
+// Earnings periods on the owner menu, by option key
+const OWNER_PERIODS = { '1': 'today', '2': 'week', '3': 'month' };
+
+// SMS alert choices on the owner menu, in option order
+const OWNER_ALERTS = ['PAYMENT', 'DAILY', 'NONE'];
+
+/**
+ * Short status name, so five payments fit on one USSD screen
+ */
+function statusLabel(locale, status) {
+    return has(`status.${status}`) ? t(locale, `status.${status}`) : status;
+}
+
+/**
+ * Validate input against one of the shared Joi schemas
+ * @returns {function} - (value, locale) => { isValid, value, error } as the engine expects
+ */
+function fromSchema(schema, label) {
+    return (value, locale) => {
+        const options = joiOptions(locale);
+        const { error, value: validated } = schema.label(label).validate(value, {
+            ...options,
+            errors: { ...options.errors, wrap: { label: false } }
+        });
+        return {
+            isValid: !error,
+            value: validated,
+            error: error ? error.details[0].message : null
+        };
+    };
+}
+
+/**
+ * Message to show the caller for a failed quote or payment
+ */
+function paymentErrorMessage(error, locale) {
+    if (!(error instanceof PaymentService.PaymentError)) {
+        throw error;
+    }
+
+    return error.errors ? error.errors[0].message : errorMessage(error, locale);
+}
+
+/**
+ * Build the passenger menu
+ * @param {object} deps - { db, fareService, paymentService, receiptService, phonePreferences, ownerService }
+ * @returns {object} - { start, screens, init, translate } for UssdEngine
+ */
+function createUssdMenu({ db, fareService, paymentService, receiptService, phonePreferences, ownerService }) {
+    // Catalog text in the session's locale
+    const say = (key, params) => (session) => t(session.data.locale, key, params);
+
+    // Payment request in the REST field names, from what the caller picked
+    const paymentRequest = (data) => ({
+        matatu_code: data.matatuCode,
+        amount: data.boardingStageId ? undefined : data.amount,
+        boarding_stage_id: data.boardingStageId || undefined,
+        alighting_stage_id: data.alightingStageId || undefined
+    });
+
+    const stageOptions = (fares, excludeId, next, saveAs) => fares.stages
+        .filter(stage => stage.id !== excludeId)
+        .map(stage => ({
+            key: String(stage.order),
+            label: stage.name,
+            next: next,
+            set: { [saveAs]: stage.id }
+        }));
+
+    return {
+        start: 'home',
+
+        // Sessions start in the language saved for the caller's number
+        init: async (caller) => ({
+            locale: await phonePreferences.getLanguage(caller.phoneNumber),
+            isOwner: !!(await ownerService.getOwner(caller.phoneNumber))
+        }),
+
+        translate: (session, key, params) => t(session.data.locale, `ussd.${key}`, params),
+
+        screens: {
+            home: {
+                text: say('ussd.home.title'),
+                options: (session) => [
+                    { key: '1', label: t(session.data.locale, 'ussd.home.pay'), next: 'matatuCode' },
+                    { key: '2', label: t(session.data.locale, 'ussd.home.payments'), next: 'myPayments' },
+                    { key: '3', label: t(session.data.locale, 'ussd.home.help'), next: 'help' },
+                    { key: '4', label: t(session.data.locale, 'ussd.home.language'), next: 'language' },
+                    ...(session.data.isOwner
+                        ? [{ key: '5', label: t(session.data.locale, 'ussd.home.owner'), next: 'ownerPin' }]
+                        : [])
+                ]
+            },
+
+            matatuCode: {
+                text: say('ussd.matatuCode'),
+                input: {
+                    validate: async (value, session) => {
+                        const validation = validate.validateMatatuCode(value, session.data.locale);
+                        if (!validation.isValid) {
+                            return validation;
+                        }
+
+                        const exists = await businessRules.validateMatatuCodeExists(db, validation.value, session.data.locale);
+                        return { ...validation, isValid: exists.isValid, error: exists.error };
+                    },
+                    save: 'matatuCode',
+                    // Matatus on a route with stage fares list their stages
+                    next: async (session) => {
+                        const fares = await fareService.getMatatuFares(session.data.matatuCode);
+                        return fares.stages.length ? 'boardingStage' : 'amount';
+                    }
+                }
+            },
+
+            boardingStage: {
+                text: say('ussd.boardingStage'),
+                options: async (session) => {
+                    const fares = await fareService.getMatatuFares(session.data.matatuCode);
+                    const options = stageOptions(fares, null, 'alightingStage', 'boardingStageId');
+
+                    if (fares.allowFreeAmount) {
+                        options.push({
+                            key: ENTER_AMOUNT_KEY,
+                            label: t(session.data.locale, 'ussd.enterAmountOption'),
+                            next: 'amount',
+                            set: { boardingStageId: null, alightingStageId: null }
+                        });
+                    }
+                    return options;
+                }
+            },
+
+            alightingStage: {
+                text: say('ussd.alightingStage'),
+                options: async (session) => {
+                    const fares = await fareService.getMatatuFares(session.data.matatuCode);
+                    return stageOptions(fares, session.data.boardingStageId, 'confirmPayment', 'alightingStageId');
+                }
+            },
+
+            amount: {
+                text: say('ussd.amount'),
+                input: {
+                    validate: (value, session) => validate.validateAmount(value, session.data.locale),
+                    save: 'amount',
+                    next: 'confirmPayment'
+                }
+            },
+
+            // The caller confirms the quoted total before anything is pushed to their phone
+            confirmPayment: {
+                onEnter: async (session) => {
+                    try {
+                        const quote = await paymentService.quote(paymentRequest(session.data), session.data.locale);
+                        return {
+                            quoteError: null,
+                            quote: {
+                                quoteId: quote.quoteId,
+                                amount: quote.amount,
+                                transactionCharge: quote.transactionCharge,
+                                totalAmount: quote.totalAmount,
+                                stages: quote.stageFare
+                                    ? `${quote.stageFare.boardingStage.name} - ${quote.stageFare.alightingStage.name}`
+                                    : null
+                            }
+                        };
+                    } catch (error) {
+                        return { quoteError: paymentErrorMessage(error, session.data.locale), quote: null };
+                    }
+                },
+                text: (session) => {
+                    const { matatuCode, quote, quoteError, locale } = session.data;
+                    if (quoteError) {
+                        return quoteError;
+                    }
+
+                    return t(locale, 'ussd.confirm', {
+                        matatuCode: matatuCode,
+                        stages: quote.stages ? `${quote.stages}\n` : '',
+                        amount: quote.amount,
+                        charge: quote.transactionCharge,
+                        total: quote.totalAmount
+                    });
+                },
+                options: (session) => session.data.quoteError ? [] : [
+                    { key: '1', label: t(session.data.locale, 'ussd.confirm.pay'), next: 'paymentSent' },
+                    { key: '2', label: t(session.data.locale, 'ussd.confirm.cancel'), next: 'paymentCancelled' }
+                ]
+            },
+
+            paymentSent: {
+                end: true,
+                // Pushed with the caller's own number, charging the total they confirmed
+                onEnter: async (session) => {
+                    try {
+                        const payment = await paymentService.initiate({
+                            ...paymentRequest(session.data),
+                            amount: session.data.quote.amount,
+                            phone_number: session.caller.phoneNumber,
+                            quote_id: session.data.quote.quoteId
+                        }, session.data.locale);
+                        return { transactionId: payment.transactionId, shortCode: payment.shortCode, paymentError: null };
+                    } catch (error) {
+                        return { paymentError: paymentErrorMessage(error, session.data.locale) };
+                    }
+                },
+                text: (session) => session.data.paymentError
+                    ? t(session.data.locale, 'ussd.paymentNotSent', { error: session.data.paymentError })
+                    : t(session.data.locale, 'ussd.paymentSent', {
+                        transactionId: session.data.transactionId,
+                        shortCode: session.data.shortCode,
+                        total: session.data.quote.totalAmount
+                    })
+            },
+
+            paymentCancelled: {
+                end: true,
+                text: say('ussd.paymentCancelled')
+            },
+
+            // The caller's latest payments, looked up by the number they dialled from
+            myPayments: {
+                text: async (session) => {
+                    const payments = await receiptService.getRecentPayments(session.caller.phoneNumber, RECENT_PAYMENTS);
+                    return t(session.data.locale, payments.length ? 'ussd.payments.title' : 'ussd.payments.none');
+                },
+                options: async (session) => {
+                    const payments = await receiptService.getRecentPayments(session.caller.phoneNumber, RECENT_PAYMENTS);
+                    return [
+                        ...payments.map((payment, index) => ({
+                            key: String(index + 1),
+                            label: `${ReceiptService.localTime(payment.created_at, 'D MMM')} KSh ${payment.total_amount} ${statusLabel(session.data.locale, payment.status)}`,
+                            next: 'paymentDetail',
+                            set: { transactionId: payment.transaction_id }
+                        })),
+                        { key: FIND_BY_CODE_KEY, label: t(session.data.locale, 'ussd.payments.findByCode'), next: 'findByCode' }
+                    ];
+                }
+            },
+
+            findByCode: {
+                text: say('ussd.findByCode'),
+                input: {
+                    validate: async (value, session) => {
+                        const validation = fromSchema(schemas.shortCode, 'Payment code')(value, session.data.locale);
+                        if (!validation.isValid) {
+                            return validation;
+                        }
+
+                        const payment = await receiptService.findPayment(session.caller.phoneNumber, { shortCode: validation.value });
+                        return payment
+                            ? { isValid: true, value: payment.transaction_id }
+                            : { isValid: false, error: t(session.data.locale, 'ussd.findByCode.notFound') };
+                    },
+                    save: 'transactionId',
+                    next: 'paymentDetail'
+                }
+            },
+
+            paymentDetail: {
+                text: async (session) => {
+                    const payment = await receiptService.findPayment(session.caller.phoneNumber, { transactionId: session.data.transactionId });
+
+                    return t(session.data.locale, 'ussd.paymentDetail', {
+                        shortCode: payment.short_code,
+                        matatuCode: payment.matatu_code,
+                        route: payment.route_name ? ` - ${payment.route_name}` : '',
+                        total: payment.total_amount,
+                        time: ReceiptService.localTime(payment.created_at),
+                        status: statusLabel(session.data.locale, payment.status)
+                    });
+                },
+                options: async (session) => {
+                    const payment = await receiptService.findPayment(session.caller.phoneNumber, { transactionId: session.data.transactionId });
+                    return ReceiptService.hasReceipt(payment)
+                        ? [{ key: '1', label: t(session.data.locale, 'ussd.paymentDetail.resend'), next: 'receiptSent' }]
+                        : [];
+                }
+            },
+
+            receiptSent: {
+                end: true,
+                onEnter: async (session) => {
+                    try {
+                        await receiptService.resendReceipt(session.data.transactionId, session.caller.phoneNumber, session.data.locale);
+                        return { receiptError: null };
+                    } catch (error) {
+                        if (!(error instanceof ReceiptService.ReceiptError)) {
+                            throw error;
+                        }
+                        return { receiptError: errorMessage(error, session.data.locale) };
+                    }
+                },
+                text: (session) => session.data.receiptError || t(session.data.locale, 'ussd.receiptSent')
+            },
+
+            help: {
+                end: true,
+                text: say('ussd.help')
+            },
+
+            // Each language is listed in its own language
+            language: {
+                text: say('ussd.language.title'),
+                options: LOCALES.map((locale, index) => ({
+                    key: String(index + 1),
+                    label: LANGUAGE_NAMES[locale],
+                    next: 'languageSaved',
+                    set: { locale: locale }
+                }))
+            },
+
+            // Saved for the caller's number, so later sessions start in it too
+            languageSaved: {
+                onEnter: async (session) => {
+                    await phonePreferences.setLanguage(session.caller.phoneNumber, session.data.locale);
+                },
+                text: say('ussd.language.saved'),
+                options: []
+            },
+
+            // Owner menu: the PIN is checked on every entry, going back to it asks again
+            ownerPin: {
+                text: say('ussd.owner.pin'),
+                input: {
+                    validate: async (value, session) => {
+                        try {
+                            await ownerService.verifyPin(session.caller.phoneNumber, value);
+                            return { isValid: true };
+                        } catch (error) {
+                            if (!(error instanceof OwnerService.OwnerError)) {
+                                throw error;
+                            }
+                            return { isValid: false, error: errorMessage(error, session.data.locale) };
+                        }
+                    },
+                    next: 'ownerMenu'
+                }
+            },
+
+            ownerMenu: {
+                text: say('ussd.owner.title'),
+                options: (session) => [
+                    ...Object.entries(OWNER_PERIODS).map(([key, period]) => ({
+                        key: key,
+                        label: t(session.data.locale, `ussd.owner.${period}`),
+                        next: 'ownerEarnings',
+                        set: { ownerPeriod: period }
+                    })),
+                    { key: '4', label: t(session.data.locale, 'ussd.owner.payments'), next: 'ownerPayments' },
+                    { key: '5', label: t(session.data.locale, 'ussd.owner.balance'), next: 'ownerBalance' },
+                    { key: '6', label: t(session.data.locale, 'ussd.owner.alerts'), next: 'ownerAlerts' }
+                ]
+            },
+
+            ownerEarnings: {
+                text: async (session) => {
+                    const { locale, ownerPeriod } = session.data;
+                    const earnings = await ownerService.getEarnings(session.caller.phoneNumber);
+                    if (!earnings.length) {
+                        return t(locale, 'ussd.owner.noMatatus');
+                    }
+
+                    return [
+                        t(locale, 'ussd.owner.earnings', { period: t(locale, `ussd.owner.${ownerPeriod}`) }),
+                        ...earnings.map(matatu => t(locale, 'ussd.owner.earningsLine', {
+                            matatuCode: matatu.matatuCode,
+                            fares: matatu[ownerPeriod].fares,
+                            share: matatu[ownerPeriod].ownerShare,
+                            payments: matatu[ownerPeriod].payments
+                        }))
+                    ].join('\n');
+                },
+                options: []
+            },
+
+            ownerPayments: {
+                text: async (session) => {
+                    const payments = await ownerService.getRecentPayments(session.caller.phoneNumber, RECENT_PAYMENTS);
+                    if (!payments.length) {
+                        return t(session.data.locale, 'ussd.owner.noPayments');
+                    }
+
+                    return [
+                        t(session.data.locale, 'ussd.owner.recentPayments'),
+                        ...payments.map(payment => t(session.data.locale, 'ussd.owner.paymentLine', {
+                            time: ReceiptService.localTime(payment.created_at),
+                            matatuCode: payment.matatu_code,
+                            amount: payment.amount
+                        }))
+                    ].join('\n');
+                },
+                options: []
+            },
+
+            ownerBalance: {
+                text: async (session) => {
+                    const balance = await ownerService.getPayoutBalance(session.caller.phoneNumber);
+                    return t(session.data.locale, 'ussd.owner.balanceDetail', {
+                        balance: balance.balance,
+                        payments: balance.transaction_count
+                    });
+                },
+                options: []
+            },
+
+            // Which SMS the owner gets (see services/sms-notifications.js)
+            ownerAlerts: {
+                text: async (session) => {
+                    const owner = await ownerService.getOwner(session.caller.phoneNumber);
+                    return t(session.data.locale, 'ussd.owner.alerts.title', {
+                        current: t(session.data.locale, `ussd.owner.alerts.${owner?.sms_alerts || 'NONE'}`)
+                    });
+                },
+                options: (session) => OWNER_ALERTS.map((alerts, index) => ({
+                    key: String(index + 1),
+                    label: t(session.data.locale, `ussd.owner.alerts.${alerts}`),
+                    next: 'ownerAlertsSaved',
+                    set: { ownerAlerts: alerts }
+                }))
+            },
+
+            ownerAlertsSaved: {
+                onEnter: async (session) => {
+                    await ownerService.setSmsAlerts(session.caller.phoneNumber, session.data.ownerAlerts);
+                },
+                text: (session) => t(session.data.locale, 'ussd.owner.alerts.saved', {
+                    alerts: t(session.data.locale, `ussd.owner.alerts.${session.data.ownerAlerts}`)
+                }),
+                options: []
+            }
+        }
+    };
+}
+
+module.exports = { createUssdMenu, fromSchema, ENTER_AMOUNT_KEY, FIND_BY_CODE_KEY };
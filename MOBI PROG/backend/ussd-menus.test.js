@@ -0,0 +1,186 @@
+const sqlite3 = require('sqlite3');
+const UssdEngine = require('./ussd-engine');
+const OwnerService = require('./owner-service');
+const { createUssdMenu } = require('./ussd-menus');
+const { t, message } = require('../utils/messages');
+
+const PASSENGER = '254712345678';
+const OWNER = '254717564238';
+const OWNER_PIN = '1234';
+
+const EARNINGS = { fares: 500, ownerShare: 10, payments: 5 };
+
+describe('USSD menus', () => {
+    let db;
+    let engine;
+    let paymentService;
+
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, err => (err ? reject(err) : resolve()));
+    });
+
+    // Dial in and type each input in turn, as UssdEngine.handle() would without the database
+    const dial = async (phoneNumber, ...inputs) => {
+        let result = await engine.render(await engine.newSession({ sessionId: 'test', phoneNumber }));
+        for (const input of inputs) {
+            result = await engine.step(result.session, input);
+        }
+        return result;
+    };
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        await run(`
+            CREATE TABLE matatus (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                matatu_code VARCHAR(4) NOT NULL UNIQUE,
+                route_name VARCHAR(100) NOT NULL,
+                owner_account VARCHAR(20) NOT NULL,
+                is_active BOOLEAN DEFAULT 1
+            )
+        `);
+        await run(`INSERT INTO matatus (matatu_code, route_name, owner_account) VALUES ('3025', 'Default Route', ?)`, [OWNER]);
+
+        paymentService = {
+            quote: jest.fn(async (request) => ({
+                quoteId: 'QUOTE1',
+                amount: request.amount,
+                transactionCharge: 2,
+                totalAmount: request.amount + 2,
+                stageFare: null
+            })),
+            initiate: jest.fn(async () => ({ transactionId: 'MOBI1', shortCode: '123456' }))
+        };
+
+        const menu = createUssdMenu({
+            db,
+            fareService: {
+                getMatatuFares: async () => ({ stages: [], allowFreeAmount: true })
+            },
+            paymentService,
+            receiptService: {},
+            phonePreferences: {
+                getLanguage: async () => 'en',
+                setLanguage: jest.fn()
+            },
+            ownerService: {
+                getOwner: async (phoneNumber) => (phoneNumber === OWNER ? { account_number: OWNER } : null),
+                verifyPin: async (phoneNumber, pin) => {
+                    if (pin !== OWNER_PIN) {
+                        throw new OwnerService.OwnerError(message('owner.wrongPin', { remaining: 2 }), 401);
+                    }
+                },
+                getEarnings: async () => [{ matatuCode: '3025', today: EARNINGS, week: EARNINGS, month: EARNINGS }]
+            }
+        });
+
+        engine = new UssdEngine(db, menu);
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('passenger pay flow', () => {
+        test('quotes the total, then pushes the payment to the caller on confirm', async () => {
+            const confirm = await dial(PASSENGER, '1', '3025', '100');
+
+            expect(confirm.ended).toBe(false);
+            expect(confirm.response).toContain('Total: KSh 102');
+            expect(paymentService.quote).toHaveBeenCalledWith(
+                expect.objectContaining({ matatu_code: '3025', amount: 100 }),
+                'en'
+            );
+            expect(paymentService.initiate).not.toHaveBeenCalled();
+
+            const sent = await engine.step(confirm.session, '1');
+
+            expect(sent.ended).toBe(true);
+            expect(sent.response).toBe(`END ${t('en', 'ussd.paymentSent', {
+                transactionId: 'MOBI1',
+                shortCode: '123456',
+                total: 102
+            })}`);
+            expect(paymentService.initiate).toHaveBeenCalledWith(
+                expect.objectContaining({ matatu_code: '3025', amount: 100, phone_number: PASSENGER, quote_id: 'QUOTE1' }),
+                'en'
+            );
+        });
+
+        test('sends nothing when the caller cancels', async () => {
+            const result = await dial(PASSENGER, '1', '3025', '100', '2');
+
+            expect(result.response).toBe(`END ${t('en', 'ussd.paymentCancelled')}`);
+            expect(paymentService.initiate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('owner PIN flow', () => {
+        test('offers the owner menu only to owners', async () => {
+            expect((await dial(OWNER)).response).toContain(`5. ${t('en', 'ussd.home.owner')}`);
+            expect((await dial(PASSENGER)).response).not.toContain(t('en', 'ussd.home.owner'));
+        });
+
+        test('keeps asking for the PIN until it is right', async () => {
+            const wrong = await dial(OWNER, '5', '1111');
+
+            expect(wrong.session.screen).toBe('ownerPin');
+            expect(wrong.response).toContain(t('en', 'owner.wrongPin', { remaining: 2 }));
+
+            const menu = await engine.step(wrong.session, OWNER_PIN);
+            expect(menu.session.screen).toBe('ownerMenu');
+            expect(menu.response).toContain(t('en', 'ussd.owner.title'));
+        });
+
+        test('shows today\'s earnings behind the PIN', async () => {
+            const result = await dial(OWNER, '5', OWNER_PIN, '1');
+
+            expect(result.response).toContain(t('en', 'ussd.owner.earningsLine', {
+                matatuCode: '3025',
+                fares: 500,
+                share: 10,
+                payments: 5
+            }));
+        });
+    });
+
+    describe('invalid input', () => {
+        test('re-shows the home screen for an unknown option', async () => {
+            const result = await dial(PASSENGER, '7');
+
+            expect(result.session.screen).toBe('home');
+            expect(result.response).toContain(t('en', 'ussd.invalidChoice'));
+        });
+
+        test('does not offer the owner menu option to passengers', async () => {
+            const result = await dial(PASSENGER, '5');
+
+            expect(result.session.screen).toBe('home');
+            expect(result.response).toContain(t('en', 'ussd.invalidChoice'));
+        });
+
+        test('rejects an unknown matatu code', async () => {
+            const result = await dial(PASSENGER, '1', '9999');
+
+            expect(result.session.screen).toBe('matatuCode');
+            expect(result.response).toContain(t('en', 'error.matatuInactive'));
+        });
+
+        test('rejects an amount below the minimum fare', async () => {
+            const result = await dial(PASSENGER, '1', '3025', '10');
+
+            expect(result.session.screen).toBe('amount');
+            expect(result.response).not.toContain('Total:');
+            expect(paymentService.quote).not.toHaveBeenCalled();
+        });
+
+        test('goes back with 0 and home with 00', async () => {
+            const back = await dial(PASSENGER, '1', '3025', UssdEngine.BACK);
+            expect(back.session.screen).toBe('matatuCode');
+
+            const home = await engine.step(back.session, UssdEngine.HOME);
+            expect(home.session.screen).toBe('home');
+            expect(home.session.history).toEqual([]);
+        });
+    });
+});
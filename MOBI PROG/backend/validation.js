@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const FeeSchedules = require('./fee-schedule');
+const { t, joiMessages, joiOptions } = require('./messages');
 
 // Validation schemas
 const schemas = {
@@ -6,19 +8,13 @@ const schemas = {
     matatuCode: Joi.string()
         .pattern(/^\d{1,4}$/)
         .required()
-        .messages({
-            'string.pattern.base': 'Matatu code must be 1-4 digits only',
-            'any.required': 'Matatu code is required'
-        }),
+        .messages(joiMessages('matatuCode')),
 
     // Phone number validation (Kenyan format)
     phoneNumber: Joi.string()
         .pattern(/^254[17]\d{8}$/)
         .required()
-        .messages({
-            'string.pattern.base': 'Phone number must be in format 254XXXXXXXXX',
-            'any.required': 'Phone number is required'
-        }),
+        .messages(joiMessages('phoneNumber')),
 
     // Amount validation
     amount: Joi.number()
@@ -26,20 +22,13 @@ const schemas = {
         .min(50)
         .max(100000)
         .required()
-        .messages({
-            'number.min': 'Amount must be at least KSh 50',
-            'number.max': 'Amount cannot exceed KSh 100,000',
-            'any.required': 'Amount is required'
-        }),
+        .messages(joiMessages('amount')),
 
     // M-Pesa PIN validation (4 digits)
     mpesaPin: Joi.string()
         .pattern(/^\d{4}$/)
         .required()
-        .messages({
-            'string.pattern.base': 'M-Pesa PIN must be exactly 4 digits',
-            'any.required': 'M-Pesa PIN is required'
-        }),
+        .messages(joiMessages('mpesaPin')),
 
     // Transaction ID validation
     transactionId: Joi.string()
@@ -48,18 +37,145 @@ const schemas = {
         .max(50)
         .required(),
 
-    // USSD input validation
+    // Payment short code (6 digits, shown to the passenger when paying)
+    shortCode: Joi.string()
+        .pattern(/^\d{6}$/)
+        .required()
+        .messages(joiMessages('shortCode')),
+
+    // Route stage ID (boarding or alighting stage of a stage-fare payment)
+    stageId: Joi.number()
+        .integer()
+        .min(1)
+        .messages(joiMessages('stageId')),
+
+    // Route with its stages in travel order
+    route: Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        description: Joi.string().trim().max(500).allow(null, '').default(null),
+        stages: Joi.array()
+            .items(Joi.string().trim().max(100))
+            .min(2)
+            .unique()
+            .required()
+            .messages({
+                'array.min': 'A route needs at least 2 stages',
+                'array.unique': 'Stage names must be unique on a route'
+            }),
+        is_active: Joi.boolean().truthy(1).falsy(0).default(true)
+    }),
+
+    // Fare between two stages in one time band (null amount removes it)
+    routeFare: Joi.object({
+        from_stage_id: Joi.number().integer().min(1).required(),
+        to_stage_id: Joi.number().integer().min(1).required(),
+        time_band: Joi.string().valid('PEAK', 'OFF_PEAK', 'WEEKEND', 'HOLIDAY').required(),
+        amount: Joi.number()
+            .integer()
+            .min(50)
+            .max(100000)
+            .allow(null)
+            .required()
+            .messages({
+                'number.min': 'Fares must be at least KSh 50',
+                'number.max': 'Fares cannot exceed KSh 100,000'
+            })
+    }).messages({
+        'any.only': '{{#label}} must be one of {{#valids}}'
+    }),
+
+    // Public holiday (HOLIDAY fares apply)
+    holiday: Joi.object({
+        holiday_date: Joi.string()
+            .pattern(/^\d{4}-\d{2}-\d{2}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'holiday_date must be YYYY-MM-DD'
+            }),
+        name: Joi.string().trim().max(100).required()
+    }),
+
+    // Payment quote ID (from GET /api/payment/quote)
+    quoteId: Joi.string()
+        .pattern(/^QUO[0-9A-Z]+$/)
+        .max(50)
+        .messages(joiMessages('quoteId')),
+
+    // USSD input validation (everything typed in the session so far, joined by *)
     ussdInput: Joi.string()
         .trim()
-        .max(100)
-        .required()
+        .max(500)
+        .required(),
+
+    // Split rule leg (one recipient of the transaction charge)
+    splitRule: Joi.object({
+        scope: Joi.string().valid('GLOBAL', 'SACCO', 'MATATU').required(),
+        scope_value: Joi.when('scope', {
+            switch: [
+                { is: 'GLOBAL', then: Joi.valid(null, '').default(null) },
+                { is: 'MATATU', then: Joi.string().pattern(/^\d{1,4}$/).required() }
+            ],
+            otherwise: Joi.string().trim().max(20).required()
+        }),
+        leg: Joi.string().valid('OWNER', 'SACCO', 'DRIVER', 'CONDUCTOR', 'PLATFORM').required(),
+        // OWNER is paid to the matatu's owner_account and PLATFORM to the developer account
+        account_number: Joi.when('leg', {
+            is: Joi.valid('OWNER', 'PLATFORM'),
+            then: Joi.valid(null, '').default(null),
+            otherwise: Joi.string().trim().max(20).required()
+        }),
+        rule_type: Joi.string().valid('PERCENTAGE', 'FIXED').required(),
+        value: Joi.when('rule_type', {
+            is: 'PERCENTAGE',
+            then: Joi.number().min(0).max(100).required(),
+            otherwise: Joi.number().integer().min(0).required()
+        }),
+        priority: Joi.number().integer().min(0).default(100),
+        is_remainder: Joi.boolean().truthy(1).falsy(0).default(false),
+        is_active: Joi.boolean().truthy(1).falsy(0).default(true)
+    }).messages({
+        'any.only': '{{#label}} must be one of {{#valids}}'
+    }),
+
+    // Fee band (charge for fares from min_amount to max_amount, both inclusive)
+    feeBand: Joi.object({
+        min_amount: Joi.number().integer().min(0).required(),
+        max_amount: Joi.number().integer().min(Joi.ref('min_amount')).allow(null).default(null),
+        fee_type: Joi.string().valid('PERCENTAGE', 'FLAT').required(),
+        fee_value: Joi.when('fee_type', {
+            is: 'PERCENTAGE',
+            then: Joi.number().min(0).max(100).required(),
+            otherwise: Joi.number().integer().min(0).required()
+        }),
+        min_fee: Joi.number().integer().min(0).allow(null).default(null),
+        max_fee: Joi.number().integer().min(0).allow(null).default(null)
+    }),
+
+    // Fee schedule (tiered bands attached globally, to a route or to a matatu)
+    feeSchedule: Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        scope: Joi.string().valid('GLOBAL', 'ROUTE', 'MATATU').required(),
+        scope_value: Joi.when('scope', {
+            switch: [
+                { is: 'GLOBAL', then: Joi.valid(null, '').default(null) },
+                { is: 'MATATU', then: Joi.string().pattern(/^\d{1,4}$/).required() }
+            ],
+            otherwise: Joi.string().trim().max(100).required()
+        }),
+        effective_from: Joi.date().iso().allow(null, '').default(null),
+        effective_to: Joi.date().iso().allow(null, '').default(null),
+        bands: Joi.array().min(1).required()
+    }).messages({
+        'any.only': '{{#label}} must be one of {{#valids}}'
+    })
 };
 
 // Validation functions
+// Passenger-facing ones take an optional locale ('en' or 'sw') for their error messages
 const validate = {
     // Validate matatu code
-    validateMatatuCode: (code) => {
-        const { error, value } = schemas.matatuCode.validate(code);
+    validateMatatuCode: (code, locale) => {
+        const { error, value } = schemas.matatuCode.validate(code, joiOptions(locale));
         return {
             isValid: !error,
             error: error?.details[0]?.message,
@@ -68,8 +184,8 @@ const validate = {
     },
 
     // Validate phone number
-    validatePhoneNumber: (phone) => {
-        const { error, value } = schemas.phoneNumber.validate(phone);
+    validatePhoneNumber: (phone, locale) => {
+        const { error, value } = schemas.phoneNumber.validate(phone, joiOptions(locale));
         return {
             isValid: !error,
             error: error?.details[0]?.message,
@@ -78,8 +194,8 @@ const validate = {
     },
 
     // Validate amount
-    validateAmount: (amount) => {
-        const { error, value } = schemas.amount.validate(amount);
+    validateAmount: (amount, locale) => {
+        const { error, value } = schemas.amount.validate(amount, joiOptions(locale));
         return {
             isValid: !error,
             error: error?.details[0]?.message,
@@ -88,8 +204,8 @@ const validate = {
     },
 
     // Validate M-Pesa PIN
-    validateMpesaPin: (pin) => {
-        const { error, value } = schemas.mpesaPin.validate(pin);
+    validateMpesaPin: (pin, locale) => {
+        const { error, value } = schemas.mpesaPin.validate(pin, joiOptions(locale));
         return {
             isValid: !error,
             error: error?.details[0]?.message,
@@ -98,14 +214,123 @@ const validate = {
     },
 
     // Validate complete payment request
-    validatePaymentRequest: (data) => {
+    validatePaymentRequest: (data, locale) => {
         const paymentSchema = Joi.object({
             matatu_code: schemas.matatuCode,
             phone_number: schemas.phoneNumber,
-            amount: schemas.amount
+            amount: schemas.amount,
+            quote_id: schemas.quoteId.optional(),
+            boarding_stage_id: schemas.stageId.optional(),
+            alighting_stage_id: schemas.stageId.optional()
+        }).and('boarding_stage_id', 'alighting_stage_id').messages(joiMessages('stages'));
+
+        const { error, value } = paymentSchema.validate(data, joiOptions(locale));
+        return {
+            isValid: !error,
+            errors: error?.details?.map(detail => ({
+                field: detail.path[0],
+                message: detail.message
+            })) || [],
+            value: value
+        };
+    },
+
+    // Validate a payment quote request (fare for a matatu, no phone number needed)
+    validateQuoteRequest: (data, locale) => {
+        const quoteSchema = Joi.object({
+            matatu_code: schemas.matatuCode,
+            amount: schemas.amount,
+            boarding_stage_id: schemas.stageId.optional(),
+            alighting_stage_id: schemas.stageId.optional()
+        }).and('boarding_stage_id', 'alighting_stage_id').messages(joiMessages('stages'));
+
+        const { error, value } = quoteSchema.validate(data, joiOptions(locale));
+        return {
+            isValid: !error,
+            errors: error?.details?.map(detail => ({
+                field: detail.path[0],
+                message: detail.message
+            })) || [],
+            value: value
+        };
+    },
+
+    // Validate a split rule leg
+    validateSplitRule: (data) => {
+        const { error, value } = schemas.splitRule.validate(data, { abortEarly: false, stripUnknown: true });
+        return {
+            isValid: !error,
+            errors: error?.details?.map(detail => ({
+                field: detail.path[0],
+                message: detail.message
+            })) || [],
+            value: value
+        };
+    },
+
+    // Validate a fee schedule and its bands
+    // Bands must cover every fare from KSh 0 upwards without gaps or overlaps
+    validateFeeSchedule: (data) => {
+        const { error, value } = schemas.feeSchedule.validate(data, { abortEarly: false, stripUnknown: true });
+        const errors = error?.details?.map(detail => ({
+            field: detail.path[0],
+            message: detail.message
+        })) || [];
+
+        const bands = [];
+        (Array.isArray(value?.bands) ? value.bands : []).forEach((band, index) => {
+            const result = schemas.feeBand.validate(band, { abortEarly: false, stripUnknown: true });
+            if (result.error) {
+                result.error.details.forEach(detail => errors.push({
+                    field: 'bands',
+                    message: `Band ${index + 1}: ${detail.message}`
+                }));
+                return;
+            }
+
+            if (result.value.min_fee !== null && result.value.max_fee !== null && result.value.min_fee > result.value.max_fee) {
+                errors.push({ field: 'bands', message: `Band ${index + 1}: min_fee cannot be greater than max_fee` });
+            }
+
+            bands.push(result.value);
         });
 
-        const { error, value } = paymentSchema.validate(data);
+        if (bands.length && bands.length === (value.bands || []).length) {
+            bands.sort((a, b) => a.min_amount - b.min_amount);
+
+            if (bands[0].min_amount !== 0) {
+                errors.push({ field: 'bands', message: 'The first band must start at KSh 0' });
+            }
+
+            bands.forEach((band, index) => {
+                const next = bands[index + 1];
+                if (!next) {
+                    if (band.max_amount !== null) {
+                        errors.push({ field: 'bands', message: 'The last band must have no max_amount' });
+                    }
+                } else if (band.max_amount === null || next.min_amount !== band.max_amount + 1) {
+                    errors.push({
+                        field: 'bands',
+                        message: `Bands starting at KSh ${band.min_amount} and KSh ${next.min_amount} leave a gap or overlap`
+                    });
+                }
+            });
+        }
+
+        if (value?.effective_from && value?.effective_to && value.effective_to <= value.effective_from) {
+            errors.push({ field: 'effective_to', message: 'effective_to must be after effective_from' });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            value: value ? { ...value, bands: bands } : value
+        };
+    },
+
+    // Validate a route and its stages
+    validateRoute: (data) => {
+        const { error, value } = schemas.route.validate(data, { abortEarly: false, stripUnknown: true });
         return {
             isValid: !error,
             errors: error?.details?.map(detail => ({
@@ -116,6 +341,45 @@ const validate = {
         };
     },
 
+    // Validate a list of stage fares
+    validateRouteFares: (fares) => {
+        const { error, value } = Joi.array()
+            .items(schemas.routeFare)
+            .min(1)
+            .required()
+            .label('fares')
+            .validate(fares, { abortEarly: false, stripUnknown: true });
+        return {
+            isValid: !error,
+            errors: error?.details?.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            })) || [],
+            value: value
+        };
+    },
+
+    // Validate a public holiday
+    validateHoliday: (data) => {
+        const { error, value } = schemas.holiday.validate(data, { abortEarly: false, stripUnknown: true });
+        const errors = error?.details?.map(detail => ({
+            field: detail.path[0],
+            message: detail.message
+        })) || [];
+
+        // Reject dates like 2026-02-30 that Date would roll over into the next month
+        const parsed = new Date(`${value.holiday_date}T00:00:00Z`);
+        if (!error && (isNaN(parsed) || parsed.toISOString().substring(0, 10) !== value.holiday_date)) {
+            errors.push({ field: 'holiday_date', message: 'holiday_date is not a valid date' });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            value: value
+        };
+    },
+
     // Validate USSD session data
     validateUssdSession: (data) => {
         const ussdSchema = Joi.object({
@@ -139,25 +403,30 @@ const validate = {
 
 // Business logic validation
 const businessRules = {
-    // Calculate transaction charge based on amount
-    calculateTransactionCharge: (amount) => {
-        let percentage;
-        if (amount <= 500) {
-            percentage = 1.5;
-        } else if (amount <= 1000) {
-            percentage = 1.2;
-        } else if (amount <= 2000) {
-            percentage = 1.0;
-        } else {
-            percentage = 0.8;
+    // Calculate transaction charge from the fee schedule in effect for the matatu
+    calculateTransactionCharge: async (db, amount, matatuCode = null, asOf = null) => {
+        return new FeeSchedules(db).calculateCharge(amount, matatuCode, asOf);
+    },
+
+    // Split an amount paid with the charge included (e.g. Paybill) into fare and charge
+    splitInclusiveAmount: async (db, totalAmount, matatuCode = null) => {
+        const schedule = await new FeeSchedules(db).getActiveSchedule(matatuCode);
+
+        let amount = totalAmount;
+        while (amount > 0 && amount + FeeSchedules.chargeFor(schedule.bands, amount) > totalAmount) {
+            amount--;
         }
-        
-        return Math.round(amount * (percentage / 100));
+
+        return {
+            amount: amount,
+            transactionCharge: totalAmount - amount,
+            totalAmount: totalAmount
+        };
     },
 
     // Validate transaction charge calculation
-    validateTransactionCharge: (amount, providedCharge) => {
-        const expectedCharge = businessRules.calculateTransactionCharge(amount);
+    validateTransactionCharge: async (db, amount, providedCharge, matatuCode = null) => {
+        const expectedCharge = await businessRules.calculateTransactionCharge(db, amount, matatuCode);
         return {
             isValid: expectedCharge === providedCharge,
             expectedCharge: expectedCharge,
@@ -166,7 +435,7 @@ const businessRules = {
     },
 
     // Check if matatu code exists and is active
-    validateMatatuCodeExists: async (db, matatuCode) => {
+    validateMatatuCodeExists: async (db, matatuCode, locale) => {
         return new Promise((resolve, reject) => {
             const query = `
                 SELECT id, matatu_code, route_name, owner_account, is_active 
@@ -183,7 +452,7 @@ const businessRules = {
                 resolve({
                     isValid: !!row,
                     matatu: row,
-                    error: !row ? 'Invalid matatu code or matatu is not active' : null
+                    error: !row ? t(locale, 'error.matatuInactive') : null
                 });
             });
         });
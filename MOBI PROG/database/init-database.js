@@ -5,6 +5,15 @@ const path = require('path');
 const dbPath = path.join(__dirname, '..', 'database', 'mobipay.db');
 const db = new sqlite3.Database(dbPath);
 
+// Add a column to an existing table (older databases created before the column existed)
+const addColumnIfMissing = (table, column, definition) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) {
+            console.error(`Error adding ${table}.${column}:`, err.message);
+        }
+    });
+};
+
 // Create tables
 const createTables = () => {
     // Create database directory if it doesn't exist
@@ -22,12 +31,77 @@ const createTables = () => {
                 matatu_code VARCHAR(4) NOT NULL UNIQUE,
                 route_name VARCHAR(100) NOT NULL,
                 owner_account VARCHAR(20) NOT NULL,
+                sacco_code VARCHAR(20),
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // SACCO the matatu belongs to, for SACCO-wide split rules
+        addColumnIfMissing('matatus', 'sacco_code', 'VARCHAR(20)');
+
+        // Route the matatu plies (route_name is kept as a copy of the route's name), and
+        // whether passengers may still type any amount instead of picking stages
+        addColumnIfMissing('matatus', 'route_id', 'INTEGER');
+        addColumnIfMissing('matatus', 'allow_free_amount', 'BOOLEAN DEFAULT 1');
+
+        // SHA-256 of the crew token that lets a crew or owner follow the matatu's live payments
+        addColumnIfMissing('matatus', 'crew_token_hash', 'VARCHAR(64)');
+
+        // Routes table
+        db.run(`
+            CREATE TABLE IF NOT EXISTS routes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                description TEXT,
                 is_active BOOLEAN DEFAULT 1,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
 
+        // Route stages table (stops in travel order)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS route_stages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                route_id INTEGER NOT NULL,
+                stage_order INTEGER NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(route_id, name),
+                FOREIGN KEY (route_id) REFERENCES routes(id)
+            )
+        `);
+
+        // Route fares table (fare matrix between two stages per time band, either direction)
+        // time_band: PEAK, OFF_PEAK, WEEKEND or HOLIDAY
+        db.run(`
+            CREATE TABLE IF NOT EXISTS route_fares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                route_id INTEGER NOT NULL,
+                from_stage_id INTEGER NOT NULL,
+                to_stage_id INTEGER NOT NULL,
+                time_band VARCHAR(10) NOT NULL,
+                amount INTEGER NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(from_stage_id, to_stage_id, time_band),
+                FOREIGN KEY (route_id) REFERENCES routes(id),
+                FOREIGN KEY (from_stage_id) REFERENCES route_stages(id),
+                FOREIGN KEY (to_stage_id) REFERENCES route_stages(id)
+            )
+        `);
+
+        // Public holidays table (HOLIDAY fares apply on these dates)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS public_holidays (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                holiday_date DATE NOT NULL UNIQUE,
+                name VARCHAR(100) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
         // Transactions table
         db.run(`
             CREATE TABLE IF NOT EXISTS transactions (
@@ -44,12 +118,89 @@ const createTables = () => {
                 checkout_request_id VARCHAR(50),
                 owner_share INTEGER NOT NULL,
                 developer_share INTEGER NOT NULL,
+                quoted_owner_share INTEGER,
+                quoted_developer_share INTEGER,
+                split_status VARCHAR(10) DEFAULT 'QUOTED',
+                split_settled_at DATETIME,
+                reconcile_attempts INTEGER DEFAULT 0,
+                next_reconcile_at DATETIME,
+                last_reconciled_at DATETIME,
+                channel VARCHAR(10) DEFAULT 'STK',
+                provider VARCHAR(10) DEFAULT 'MPESA',
+                refunded_amount INTEGER DEFAULT 0,
+                owner_clawback INTEGER DEFAULT 0,
+                developer_clawback INTEGER DEFAULT 0,
+                result_code INTEGER,
+                result_desc TEXT,
+                callback_payload TEXT,
+                callback_received_at DATETIME,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (matatu_code) REFERENCES matatus(matatu_code)
             )
         `);
 
+        // Reconciler columns for databases created before the reconciler existed
+        addColumnIfMissing('transactions', 'reconcile_attempts', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('transactions', 'next_reconcile_at', 'DATETIME');
+        addColumnIfMissing('transactions', 'last_reconciled_at', 'DATETIME');
+
+        // Stages a stage-fare payment was made between, and the time band its fare came from
+        addColumnIfMissing('transactions', 'boarding_stage_id', 'INTEGER');
+        addColumnIfMissing('transactions', 'alighting_stage_id', 'INTEGER');
+        addColumnIfMissing('transactions', 'fare_time_band', 'VARCHAR(10)');
+
+        // 6-digit code passengers look a payment up by on USSD, and how often its receipt was re-sent
+        addColumnIfMissing('transactions', 'short_code', 'VARCHAR(6)');
+        addColumnIfMissing('transactions', 'receipt_resend_count', 'INTEGER DEFAULT 0');
+
+        db.run(`
+            UPDATE transactions
+            SET short_code = printf('%06d', 100000 + abs(random()) % 900000)
+            WHERE short_code IS NULL
+        `);
+
+        // Payment channel: STK (push) or C2B (Paybill/Till)
+        addColumnIfMissing('transactions', 'channel', "VARCHAR(10) DEFAULT 'STK'");
+
+        // Refund totals and the share amounts clawed back by completed refunds
+        addColumnIfMissing('transactions', 'refunded_amount', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('transactions', 'owner_clawback', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('transactions', 'developer_clawback', 'INTEGER DEFAULT 0');
+
+        // M-Pesa result for each transaction, and the raw STK callback it came from
+        addColumnIfMissing('transactions', 'result_code', 'INTEGER');
+        addColumnIfMissing('transactions', 'result_desc', 'TEXT');
+        addColumnIfMissing('transactions', 'callback_payload', 'TEXT');
+        addColumnIfMissing('transactions', 'callback_received_at', 'DATETIME');
+        // Amount the provider reported taking, when it differs from what was pushed or the payment was closed
+        addColumnIfMissing('transactions', 'received_amount', 'INTEGER');
+
+        // Mobile money network the payment went through: MPESA or AIRTEL
+        addColumnIfMissing('transactions', 'provider', "VARCHAR(10) DEFAULT 'MPESA'");
+
+        // Split quoted at initiation, committed to owner_share/developer_share only on COMPLETED
+        // split_status: QUOTED (awaiting the payment), SETTLED or VOID (payment did not complete)
+        addColumnIfMissing('transactions', 'quoted_owner_share', 'INTEGER');
+        addColumnIfMissing('transactions', 'quoted_developer_share', 'INTEGER');
+        addColumnIfMissing('transactions', 'split_status', "VARCHAR(10) DEFAULT 'QUOTED'");
+        addColumnIfMissing('transactions', 'split_settled_at', 'DATETIME');
+
+        // Older rows had their shares written at initiation: keep them as the quote and
+        // zero the shares of payments that never completed
+        db.run(`
+            UPDATE transactions
+            SET quoted_owner_share = owner_share,
+                quoted_developer_share = developer_share,
+                split_status = CASE
+                    WHEN status = 'PENDING' THEN 'QUOTED'
+                    WHEN status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED') THEN 'SETTLED'
+                    ELSE 'VOID' END,
+                owner_share = CASE WHEN status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED') THEN owner_share ELSE 0 END,
+                developer_share = CASE WHEN status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED') THEN developer_share ELSE 0 END
+            WHERE quoted_owner_share IS NULL
+        `);
+
         // Accounts table
         db.run(`
             CREATE TABLE IF NOT EXISTS accounts (
@@ -62,6 +213,14 @@ const createTables = () => {
             )
         `);
 
+        // Owner USSD menu PIN (bcrypt hash) and its wrong-PIN lock
+        addColumnIfMissing('accounts', 'pin_hash', 'TEXT');
+        addColumnIfMissing('accounts', 'pin_failed_attempts', 'INTEGER DEFAULT 0');
+        addColumnIfMissing('accounts', 'pin_locked_until', 'DATETIME');
+
+        // Owner SMS alerts: NONE, PAYMENT (every completed payment) or DAILY (end-of-day summary)
+        addColumnIfMissing('accounts', 'sms_alerts', "VARCHAR(10) DEFAULT 'NONE'");
+
         // System settings table
         db.run(`
             CREATE TABLE IF NOT EXISTS system_settings (
@@ -73,12 +232,324 @@ const createTables = () => {
             )
         `);
 
+        // Setting history table (versioned, effective-dated changes to system_settings)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS setting_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                setting_key VARCHAR(50) NOT NULL,
+                old_value TEXT,
+                new_value TEXT NOT NULL,
+                effective_from DATETIME NOT NULL,
+                changed_by VARCHAR(50),
+                applied_at DATETIME,
+                cancelled_at DATETIME,
+                cancelled_by VARCHAR(50),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (setting_key) REFERENCES system_settings(setting_key)
+            )
+        `);
+
+        // Idempotency requests table (replay protection for payment initiation)
+        // A key is unique per caller (client_scope, the paying phone number), not globally
+        db.run(`
+            CREATE TABLE IF NOT EXISTS idempotency_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                client_scope VARCHAR(100) NOT NULL DEFAULT '',
+                idempotency_key VARCHAR(100) NOT NULL,
+                request_path VARCHAR(100) NOT NULL,
+                request_hash VARCHAR(64) NOT NULL,
+                status VARCHAR(20) DEFAULT 'IN_PROGRESS',
+                response_status INTEGER,
+                response_body TEXT,
+                transaction_id VARCHAR(50),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                UNIQUE (client_scope, idempotency_key)
+            )
+        `);
+
+        // Replaced by idempotency_requests (keys there were global); its rows only lived
+        // for idempotency_key_ttl_hours, so there is nothing worth copying over
+        db.run(`DROP TABLE IF EXISTS idempotency_keys`);
+
+        // Reconciler runs table (one row per background reconciliation pass)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS reconciler_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                status VARCHAR(20) DEFAULT 'RUNNING',
+                checked_count INTEGER DEFAULT 0,
+                completed_count INTEGER DEFAULT 0,
+                failed_count INTEGER DEFAULT 0,
+                expired_count INTEGER DEFAULT 0,
+                pending_count INTEGER DEFAULT 0,
+                error_count INTEGER DEFAULT 0,
+                error_message TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            )
+        `);
+
+        // Reconciler events table (outcome per transaction per run)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS reconciler_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                transaction_id VARCHAR(50) NOT NULL,
+                outcome VARCHAR(20) NOT NULL,
+                result_code INTEGER,
+                message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (run_id) REFERENCES reconciler_runs(id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+            )
+        `);
+
+        // Payouts table (B2C transfers of owner_share to matatu owners)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS payouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                payout_id VARCHAR(50) NOT NULL UNIQUE,
+                owner_account VARCHAR(20) NOT NULL,
+                phone_number VARCHAR(15) NOT NULL,
+                amount INTEGER NOT NULL,
+                status VARCHAR(20) DEFAULT 'PENDING',
+                attempts INTEGER DEFAULT 0,
+                next_retry_at DATETIME,
+                conversation_id VARCHAR(100),
+                originator_conversation_id VARCHAR(100),
+                mpesa_receipt_number VARCHAR(50),
+                result_code INTEGER,
+                result_desc TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                FOREIGN KEY (owner_account) REFERENCES accounts(account_number)
+            )
+        `);
+
+        // Transactions covered by each payout
+        db.run(`
+            CREATE TABLE IF NOT EXISTS payout_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                payout_id VARCHAR(50) NOT NULL,
+                transaction_id VARCHAR(50) NOT NULL,
+                amount INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (payout_id) REFERENCES payouts(payout_id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+            )
+        `);
+
+        // Refunds table (maker-checker reversals of completed payments)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS refunds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                refund_id VARCHAR(50) NOT NULL UNIQUE,
+                transaction_id VARCHAR(50) NOT NULL,
+                amount INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                status VARCHAR(20) DEFAULT 'REQUESTED',
+                requested_by VARCHAR(50) NOT NULL,
+                approved_by VARCHAR(50),
+                approved_at DATETIME,
+                conversation_id VARCHAR(100),
+                originator_conversation_id VARCHAR(100),
+                mpesa_receipt_number VARCHAR(50),
+                result_code VARCHAR(20),
+                result_desc TEXT,
+                owner_clawback INTEGER DEFAULT 0,
+                developer_clawback INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+            )
+        `);
+
+        // Split rules table (legs of the transaction charge split, see utils/money-split.js)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS split_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                scope VARCHAR(10) NOT NULL,
+                scope_value VARCHAR(20),
+                leg VARCHAR(20) NOT NULL,
+                account_number VARCHAR(20),
+                rule_type VARCHAR(10) NOT NULL,
+                value REAL NOT NULL,
+                priority INTEGER DEFAULT 100,
+                is_remainder BOOLEAN DEFAULT 0,
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Split lines table (one row per leg of each transaction's split)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS split_lines (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id VARCHAR(50) NOT NULL,
+                leg VARCHAR(20) NOT NULL,
+                account_number VARCHAR(20),
+                amount INTEGER NOT NULL,
+                rule_id INTEGER,
+                rule_scope VARCHAR(10),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id),
+                FOREIGN KEY (rule_id) REFERENCES split_rules(id)
+            )
+        `);
+
+        // Running amount of each leg clawed back by refunds
+        addColumnIfMissing('split_lines', 'clawback_amount', 'INTEGER DEFAULT 0');
+
+        // Fee schedules table (transaction charge pricing, see utils/fee-schedule.js)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS fee_schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(100) NOT NULL,
+                scope VARCHAR(10) NOT NULL,
+                scope_value VARCHAR(100),
+                effective_from DATETIME NOT NULL,
+                effective_to DATETIME,
+                created_by VARCHAR(50),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Fee schedule bands table (charge for a range of fares, bounds inclusive)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS fee_schedule_bands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER NOT NULL,
+                min_amount INTEGER NOT NULL,
+                max_amount INTEGER,
+                fee_type VARCHAR(10) NOT NULL,
+                fee_value REAL NOT NULL,
+                min_fee INTEGER,
+                max_fee INTEGER,
+                FOREIGN KEY (schedule_id) REFERENCES fee_schedules(id)
+            )
+        `);
+
+        // Payment quotes table (short-lived fee and split quotes a payment can be initiated from)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS payment_quotes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                quote_id VARCHAR(50) NOT NULL UNIQUE,
+                matatu_code VARCHAR(4) NOT NULL,
+                amount INTEGER NOT NULL,
+                transaction_charge INTEGER NOT NULL,
+                total_amount INTEGER NOT NULL,
+                fee_schedule_id INTEGER,
+                split_data TEXT NOT NULL,
+                transaction_id VARCHAR(50),
+                used_at DATETIME,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (matatu_code) REFERENCES matatus(matatu_code)
+            )
+        `);
+
+        // Stage fare a quote was made for (route, stages and time band), as JSON
+        addColumnIfMissing('payment_quotes', 'stage_fare', 'TEXT');
+
+        // USSD sessions table (where each gateway session is in the menu, and what it has entered)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS ussd_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id VARCHAR(100) NOT NULL UNIQUE,
+                phone_number VARCHAR(15),
+                service_code VARCHAR(20),
+                screen VARCHAR(50) NOT NULL,
+                history TEXT,
+                data TEXT,
+                last_text TEXT,
+                status VARCHAR(10) DEFAULT 'ACTIVE',
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Phone preferences table (language chosen on the USSD menu, per phone number)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS phone_preferences (
+                phone_number VARCHAR(15) PRIMARY KEY,
+                language VARCHAR(5) NOT NULL DEFAULT 'en',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // SMS messages table (every SMS sent, with its delivery status)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sms_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                phone_number VARCHAR(15) NOT NULL,
+                message_type VARCHAR(20) NOT NULL, -- RECEIPT, RECEIPT_RESEND, OWNER_PAYMENT, OWNER_SUMMARY
+                reference VARCHAR(50), -- transaction ID, or the local date of an owner summary
+                body TEXT NOT NULL,
+                provider VARCHAR(20) NOT NULL, -- AFRICASTALKING, HTTP, FILE
+                provider_message_id VARCHAR(100),
+                status VARCHAR(20) DEFAULT 'QUEUED', -- QUEUED, SENT, DELIVERED, FAILED
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Ledger accounts table (system accounts plus every account money is posted to)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS ledger_accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                account_number VARCHAR(20) UNIQUE NOT NULL,
+                name VARCHAR(100),
+                account_type VARCHAR(20) NOT NULL,
+                normal_balance VARCHAR(6) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Ledger entries table (balanced journals of payments, refunds and payouts)
+        db.run(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                journal_id VARCHAR(60) NOT NULL,
+                line_no INTEGER NOT NULL,
+                entry_type VARCHAR(10) NOT NULL,
+                account_number VARCHAR(20) NOT NULL,
+                direction VARCHAR(6) NOT NULL,
+                amount INTEGER NOT NULL,
+                transaction_id VARCHAR(50),
+                refund_id VARCHAR(50),
+                payout_id VARCHAR(50),
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (journal_id, line_no),
+                FOREIGN KEY (account_number) REFERENCES ledger_accounts(account_number)
+            )
+        `);
+
         // Insert default data
         db.run(`
             INSERT OR IGNORE INTO matatus (matatu_code, route_name, owner_account) 
             VALUES ('3025', 'Default Route', '254717564238')
         `);
 
+        // Turn the free-text route names of existing matatus into routes and link them
+        db.run(`
+            INSERT OR IGNORE INTO routes (name)
+            SELECT DISTINCT route_name FROM matatus WHERE route_id IS NULL
+        `);
+
+        db.run(`
+            UPDATE matatus
+            SET route_id = (SELECT r.id FROM routes r WHERE r.name = matatus.route_name)
+            WHERE route_id IS NULL
+        `);
+
         db.run(`
             INSERT OR IGNORE INTO accounts (account_number, account_type, account_name) 
             VALUES 
@@ -86,16 +557,50 @@ const createTables = () => {
                 ('254112331196', 'DEVELOPER', 'Developer Account')
         `);
 
+        // Standard charge tiers as the initial global fee schedule
+        db.run(`
+            INSERT OR IGNORE INTO fee_schedules (id, name, scope, effective_from, created_by)
+            VALUES (1, 'Standard tiers', 'GLOBAL', '2000-01-01 00:00:00', 'system')
+        `);
+
+        db.run(`
+            INSERT OR IGNORE INTO fee_schedule_bands (id, schedule_id, min_amount, max_amount, fee_type, fee_value)
+            VALUES 
+                (1, 1, 0, 500, 'PERCENTAGE', 1.5),
+                (2, 1, 501, 1000, 'PERCENTAGE', 1.2),
+                (3, 1, 1001, 2000, 'PERCENTAGE', 1.0),
+                (4, 1, 2001, NULL, 'PERCENTAGE', 0.8)
+        `);
+
         db.run(`
             INSERT OR IGNORE INTO system_settings (setting_key, setting_value, description) 
             VALUES 
-                ('developer_percentage', '10', 'Percentage of transaction fee that goes to developer'),
+                ('developer_percentage', '10', 'Percentage of transaction fee that goes to developer when no split rules apply'),
                 ('min_amount', '50', 'Minimum transaction amount allowed'),
                 ('mpesa_consumer_key', '', 'M-Pesa Consumer Key'),
                 ('mpesa_consumer_secret', '', 'M-Pesa Consumer Secret'),
                 ('mpesa_shortcode', '', 'M-Pesa Shortcode'),
                 ('mpesa_passkey', '', 'M-Pesa Passkey'),
-                ('callback_url', '', 'M-Pesa Callback URL')
+                ('callback_url', '', 'M-Pesa Callback URL'),
+                ('idempotency_key_ttl_hours', '24', 'Hours an Idempotency-Key and its response are kept'),
+                ('fare_peak_hours', '06:00-09:00,16:00-20:00', 'Weekday peak fare hours (East Africa Time), comma separated'),
+                ('payment_quote_ttl_seconds', '300', 'Seconds a payment quote can be paid at the quoted charge'),
+                ('ussd_session_timeout_seconds', '180', 'Seconds of inactivity before a USSD session times out'),
+                ('reconciler_enabled', '1', 'Run the background reconciler for stuck PENDING transactions (1 = on, 0 = off)'),
+                ('reconciler_interval_seconds', '60', 'Seconds between reconciler runs'),
+                ('reconciler_min_age_seconds', '60', 'Only reconcile PENDING transactions older than this'),
+                ('reconciler_expiry_seconds', '900', 'Mark PENDING transactions EXPIRED after this many seconds without a result'),
+                ('reconciler_backoff_base_seconds', '30', 'First retry delay for a transaction M-Pesa is still processing'),
+                ('reconciler_backoff_max_seconds', '300', 'Maximum retry delay between status queries'),
+                ('reconciler_batch_size', '50', 'Maximum transactions checked per reconciler run'),
+                ('payout_enabled', '0', 'Send owner_share earnings to owners via M-Pesa B2C (1 = on, 0 = off)'),
+                ('payout_interval_seconds', '3600', 'Seconds between payout runs'),
+                ('payout_min_amount', '10', 'Minimum accumulated owner balance (KSh) before a payout is sent'),
+                ('payout_max_attempts', '3', 'B2C attempts before a payout is marked FAILED'),
+                ('payout_retry_delay_seconds', '600', 'Seconds to wait before retrying a failed payout'),
+                ('payout_result_timeout_seconds', '3600', 'Seconds to wait for a B2C result before holding the payout for review'),
+                ('sms_receipts_enabled', '1', 'SMS the passenger a receipt when a payment completes (1 = on, 0 = off)'),
+                ('sms_daily_summary_time', '21:00', 'Local time (HH:mm) after which owners on daily SMS alerts get the day summary')
         `);
 
         // Create indexes for better performance
@@ -103,9 +608,37 @@ const createTables = () => {
         db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_matatu_code ON transactions(matatu_code)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)`);
         db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_phone ON transactions(phone_number)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_short_code ON transactions(phone_number, short_code)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_receipt ON transactions(mpesa_receipt_number)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_result_code ON transactions(result_code)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_provider ON transactions(provider)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_transactions_split_status ON transactions(split_status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_setting_history_key ON setting_history(setting_key, effective_from)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_idempotency_requests_expires_at ON idempotency_requests(expires_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_reconciler_events_run_id ON reconciler_events(run_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_payouts_conversation_id ON payouts(conversation_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_payout_transactions_transaction_id ON payout_transactions(transaction_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_refunds_transaction_id ON refunds(transaction_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_refunds_conversation_id ON refunds(conversation_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_split_rules_scope ON split_rules(scope, scope_value)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_split_lines_transaction_id ON split_lines(transaction_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_fee_schedules_scope ON fee_schedules(scope, scope_value, effective_from)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_fee_schedule_bands_schedule_id ON fee_schedule_bands(schedule_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_matatus_route_id ON matatus(route_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_route_stages_route_id ON route_stages(route_id, stage_order)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_route_fares_route_id ON route_fares(route_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_payment_quotes_expires_at ON payment_quotes(expires_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_ussd_sessions_updated_at ON ussd_sessions(updated_at)`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_messages_once ON sms_messages(message_type, reference, phone_number) WHERE message_type != 'RECEIPT_RESEND'`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_sms_messages_provider_id ON sms_messages(provider, provider_message_id)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_sms_messages_phone ON sms_messages(phone_number, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account_number, created_at)`);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction_id ON ledger_entries(transaction_id)`);
 
         console.log('MOBIPAY Database initialized successfully!');
-        console.log('Tables created: matatus, transactions, accounts, system_settings');
+        console.log('Tables created: matatus, routes, route_stages, route_fares, public_holidays, transactions, accounts, system_settings, setting_history, idempotency_requests, reconciler_runs, reconciler_events, payouts, payout_transactions, refunds, split_rules, split_lines, fee_schedules, fee_schedule_bands, payment_quotes, ussd_sessions, phone_preferences, sms_messages, ledger_accounts, ledger_entries');
     });
 };
 
@@ -3,12 +3,61 @@ const router = express.Router();
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const MpesaService = require('../services/mpesa-service');
+const AirtelMoneyService = require('../services/airtel-service');
+const { PaymentProviderRegistry, AIRTEL_PREFIXES } = require('../services/payment-provider');
+const RefundService = require('../services/refund-service');
+const SettingsService = require('../services/settings-service');
+const LedgerService = require('../services/ledger-service');
+const FareService = require('../services/fare-service');
+const PayoutService = require('../services/payout-service');
+const OwnerService = require('../services/owner-service');
+const PaymentEvents = require('../services/payment-events');
+const { createSmsProvider } = require('../services/sms-providers');
+const SmsService = require('../services/sms-service');
+const MoneySplitter = require('../utils/money-split');
+const FeeSchedules = require('../utils/fee-schedule');
+const { validate } = require('../utils/validation');
+const mpesaConfig = require('../config/mpesa');
+const airtelConfig = require('../config/airtel');
+const smsConfig = require('../config/sms');
 
 // Database connection
 const dbPath = path.join(__dirname, '..', 'database', 'mobipay.db');
 const db = new sqlite3.Database(dbPath);
 
+const mpesaService = new MpesaService(mpesaConfig);
+const paymentProviders = new PaymentProviderRegistry(mpesaService)
+    .register(new AirtelMoneyService(airtelConfig), AIRTEL_PREFIXES);
+const refundService = new RefundService(db, mpesaService);
+const moneySplitter = new MoneySplitter(db);
+const ledgerService = new LedgerService(db);
+const settingsService = new SettingsService(db);
+const feeSchedules = new FeeSchedules(db);
+const fareService = new FareService(db);
+const payoutService = new PayoutService(db, mpesaService);
+const ownerService = new OwnerService(db, payoutService);
+const smsService = new SmsService(db, createSmsProvider(smsConfig));
+
+// Dashboard users: the default developer login plus DASHBOARD_USERS ("alice:secret,bob:secret")
+// Refunds need two users, one to request and another to approve
+const getDashboardUsers = () => {
+    const users = {
+        [process.env.DASHBOARD_USERNAME || 'developer']: process.env.DASHBOARD_PASSWORD || 'mobipay123'
+    };
+
+    (process.env.DASHBOARD_USERS || '').split(',').forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            users[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+        }
+    });
+
+    return users;
+};
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -33,10 +82,9 @@ router.post('/auth/login', async (req, res) => {
         const { username, password } = req.body;
 
         // Default developer credentials (change these!)
-        const defaultUsername = process.env.DASHBOARD_USERNAME || 'developer';
-        const defaultPassword = process.env.DASHBOARD_PASSWORD || 'mobipay123';
+        const users = getDashboardUsers();
 
-        if (username === defaultUsername && password === defaultPassword) {
+        if (username && Object.prototype.hasOwnProperty.call(users, username) && password === users[username]) {
             const token = jwt.sign(
                 { username: username, role: 'developer' },
                 process.env.JWT_SECRET || 'mobipay-secret-key',
@@ -131,6 +179,8 @@ router.get('/transactions', authenticateToken, async (req, res) => {
         const offset = (page - 1) * limit;
         const status = req.query.status;
         const matatuCode = req.query.matatu_code;
+        const channel = req.query.channel;
+        const provider = req.query.provider;
         const search = req.query.search;
 
         let whereClause = '';
@@ -146,6 +196,16 @@ router.get('/transactions', authenticateToken, async (req, res) => {
             params.push(matatuCode);
         }
 
+        if (channel) {
+            whereClause += (whereClause ? ' AND' : ' WHERE') + ' t.channel = ?';
+            params.push(channel);
+        }
+
+        if (provider) {
+            whereClause += (whereClause ? ' AND' : ' WHERE') + ' t.provider = ?';
+            params.push(provider);
+        }
+
         if (search) {
             whereClause += (whereClause ? ' AND' : ' WHERE') + 
                           ' (t.transaction_id LIKE ? OR t.phone_number LIKE ? OR t.mpesa_receipt_number LIKE ?)';
@@ -254,15 +314,37 @@ router.get('/matatus', authenticateToken, async (req, res) => {
 // Add new matatu
 router.post('/matatus', authenticateToken, async (req, res) => {
     try {
-        const { matatu_code, route_name, owner_account } = req.body;
+        const { matatu_code, route_id, owner_account, sacco_code, allow_free_amount } = req.body;
+
+        // Matatus link to a route; a bare route_name is still accepted from older clients
+        let routeName = req.body.route_name;
+        if (route_id) {
+            const route = await fareService.getRoute(route_id);
+            if (!route) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Route not found'
+                });
+            }
+            routeName = route.name;
+        }
 
         const result = await new Promise((resolve, reject) => {
             const query = `
-                INSERT INTO matatus (matatu_code, route_name, owner_account)
-                VALUES (?, ?, ?)
+                INSERT INTO matatus (matatu_code, route_name, route_id, owner_account, sacco_code, allow_free_amount)
+                VALUES (?, ?, ?, ?, ?, ?)
             `;
 
-            db.run(query, [matatu_code, route_name, owner_account], function(err) {
+            const params = [
+                matatu_code,
+                routeName,
+                route_id || null,
+                owner_account,
+                sacco_code || null,
+                allow_free_amount === false ? 0 : 1
+            ];
+
+            db.run(query, params, function(err) {
                 if (err) {
                     reject(err);
                     return;
@@ -286,6 +368,305 @@ router.post('/matatus', authenticateToken, async (req, res) => {
     }
 });
 
+// Link a matatu to a route and choose between stage fares only or free amounts too
+router.put('/matatus/:matatuCode/route', authenticateToken, async (req, res) => {
+    try {
+        const matatu = await fareService.setMatatuRoute(
+            req.params.matatuCode,
+            req.body.route_id,
+            req.body.allow_free_amount !== false
+        );
+
+        res.json({
+            success: true,
+            message: 'Matatu route updated',
+            data: matatu
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Matatu route update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update matatu route'
+        });
+    }
+});
+
+// Issue a new crew token for a matatu's live payments (the previous token stops working)
+router.post('/matatus/:matatuCode/crew-token', authenticateToken, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const changes = await new Promise((resolve, reject) => {
+            db.run(
+                'UPDATE matatus SET crew_token_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE matatu_code = ?',
+                [PaymentEvents.hashCrewToken(token), req.params.matatuCode],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+
+        if (!changes) {
+            return res.status(404).json({
+                success: false,
+                error: 'Matatu not found'
+            });
+        }
+
+        console.log(`Crew token for matatu ${req.params.matatuCode} issued by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Crew token issued. It is shown only once.',
+            data: { matatuCode: req.params.matatuCode, token: token }
+        });
+
+    } catch (error) {
+        console.error('Crew token issue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue crew token'
+        });
+    }
+});
+
+// Routes with their stages
+router.get('/routes', authenticateToken, async (req, res) => {
+    try {
+        const routes = await fareService.listRoutes({
+            includeInactive: req.query.include_inactive === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: routes
+        });
+
+    } catch (error) {
+        console.error('Routes fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch routes'
+        });
+    }
+});
+
+// Route with its stages and fare matrix
+router.get('/routes/:routeId', authenticateToken, async (req, res) => {
+    try {
+        const route = await fareService.getRoute(req.params.routeId);
+        if (!route) {
+            return res.status(404).json({
+                success: false,
+                error: 'Route not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: route
+        });
+
+    } catch (error) {
+        console.error('Route fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch route'
+        });
+    }
+});
+
+router.post('/routes', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateRoute(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const route = await fareService.createRoute(validation.value);
+
+        res.json({
+            success: true,
+            message: 'Route added successfully',
+            data: route
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Route creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add route'
+        });
+    }
+});
+
+// Rename a route or change its stages (fares of stages that stay are kept)
+router.put('/routes/:routeId', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateRoute(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const route = await fareService.updateRoute(req.params.routeId, validation.value);
+
+        res.json({
+            success: true,
+            message: 'Route updated successfully',
+            data: route
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Route update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update route'
+        });
+    }
+});
+
+// Set fares between stages ({"fares": [{from_stage_id, to_stage_id, time_band, amount}]})
+router.put('/routes/:routeId/fares', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateRouteFares(req.body.fares);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const route = await fareService.setFares(req.params.routeId, validation.value);
+
+        res.json({
+            success: true,
+            message: 'Fares updated successfully',
+            data: route
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Route fares update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update fares'
+        });
+    }
+});
+
+// Public holidays (HOLIDAY fares apply)
+router.get('/holidays', authenticateToken, async (req, res) => {
+    try {
+        const holidays = await fareService.listHolidays();
+
+        res.json({
+            success: true,
+            data: holidays
+        });
+
+    } catch (error) {
+        console.error('Holidays fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch holidays'
+        });
+    }
+});
+
+router.post('/holidays', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateHoliday(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const holiday = await fareService.addHoliday(validation.value.holiday_date, validation.value.name);
+
+        res.json({
+            success: true,
+            message: 'Holiday added successfully',
+            data: holiday
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Holiday creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add holiday'
+        });
+    }
+});
+
+router.delete('/holidays/:holidayId', authenticateToken, async (req, res) => {
+    try {
+        await fareService.removeHoliday(req.params.holidayId);
+
+        res.json({
+            success: true,
+            message: 'Holiday removed'
+        });
+
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Holiday removal error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove holiday'
+        });
+    }
+});
+
 // Analytics data
 router.get('/analytics', authenticateToken, async (req, res) => {
     try {
@@ -321,9 +702,8 @@ router.get('/analytics', authenticateToken, async (req, res) => {
                     SELECT t.matatu_code, m.route_name,
                            COUNT(*) as transactions,
                            SUM(CASE WHEN t.status = 'COMPLETED' THEN t.amount ELSE 0 END) as revenue
-                    FROM transactions t
+                    FROM (SELECT * FROM transactions WHERE ${dateFilter}) t
                     LEFT JOIN matatus m ON t.matatu_code = m.matatu_code
-                    WHERE ${dateFilter}
                     GROUP BY t.matatu_code
                     ORDER BY revenue DESC
                     LIMIT 10
@@ -336,6 +716,14 @@ router.get('/analytics', authenticateToken, async (req, res) => {
                     WHERE ${dateFilter}
                     GROUP BY strftime('%H', created_at)
                     ORDER BY hour
+                `,
+                failureReasons: `
+                    SELECT provider, result_code, COUNT(*) as count, SUM(total_amount) as amount
+                    FROM transactions
+                    WHERE ${dateFilter}
+                      AND status IN ('FAILED', 'EXPIRED')
+                    GROUP BY provider, result_code
+                    ORDER BY count DESC
                 `
             };
 
@@ -359,6 +747,17 @@ router.get('/analytics', authenticateToken, async (req, res) => {
             });
         });
 
+        // Label result codes the same way the payment API does; no code means the provider never answered
+        analytics.failureReasons = analytics.failureReasons.map(row => {
+            const provider = paymentProviders.get(row.provider) || mpesaService;
+            return {
+                ...row,
+                reason: row.result_code === null
+                    ? `No result from ${provider === mpesaService ? 'M-Pesa' : 'Airtel Money'}`
+                    : provider.getStatusMessage(row.result_code)
+            };
+        });
+
         res.json({
             success: true,
             data: analytics
@@ -376,15 +775,8 @@ router.get('/analytics', authenticateToken, async (req, res) => {
 // System settings
 router.get('/settings', authenticateToken, async (req, res) => {
     try {
-        const settings = await new Promise((resolve, reject) => {
-            db.all('SELECT * FROM system_settings ORDER BY setting_key', [], (err, rows) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve(rows);
-            });
-        });
+        // ?as_of= shows the settings in effect at that time
+        const settings = await settingsService.getSettings(null, req.query.as_of);
 
         res.json({
             success: true,
@@ -392,6 +784,13 @@ router.get('/settings', authenticateToken, async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof SettingsService.SettingsError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         console.error('Settings fetch error:', error);
         res.status(500).json({
             success: false,
@@ -400,34 +799,52 @@ router.get('/settings', authenticateToken, async (req, res) => {
     }
 });
 
-// Update system setting
-router.put('/settings/:key', authenticateToken, async (req, res) => {
+// Versioned setting changes (applied, scheduled and cancelled)
+router.get('/settings/history', authenticateToken, async (req, res) => {
     try {
-        const { key } = req.params;
-        const { value } = req.body;
+        const history = await settingsService.listHistory({
+            key: req.query.key,
+            limit: parseInt(req.query.limit) || 100
+        });
 
-        await new Promise((resolve, reject) => {
-            const query = `
-                UPDATE system_settings 
-                SET setting_value = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE setting_key = ?
-            `;
+        res.json({
+            success: true,
+            data: history
+        });
 
-            db.run(query, [value, key], function(err) {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve();
-            });
+    } catch (error) {
+        console.error('Settings history fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch settings history'
         });
+    }
+});
+
+// Change a setting now, or from effective_from (ISO 8601) onwards
+router.put('/settings/:key', authenticateToken, async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { value, effective_from } = req.body;
+
+        const change = await settingsService.changeSetting(key, value, req.user.username, effective_from);
 
         res.json({
             success: true,
-            message: 'Setting updated successfully'
+            message: change.applied_at
+                ? 'Setting updated successfully'
+                : `Setting change scheduled for ${change.effective_from} UTC`,
+            data: change
         });
 
     } catch (error) {
+        if (error instanceof SettingsService.SettingsError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         console.error('Setting update error:', error);
         res.status(500).json({
             success: false,
@@ -436,38 +853,917 @@ router.put('/settings/:key', authenticateToken, async (req, res) => {
     }
 });
 
-// System logs (recent activity)
-router.get('/logs', authenticateToken, async (req, res) => {
+// Cancel a scheduled setting change before it takes effect
+router.post('/settings/history/:changeId/cancel', authenticateToken, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 100;
-        
-        const logs = await new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    'transaction' as type,
-                    transaction_id as reference,
-                    status,
-                    amount,
-                    phone_number,
-                    created_at,
-                    updated_at
-                FROM transactions 
-                ORDER BY created_at DESC 
-                LIMIT ?
-            `;
+        const change = await settingsService.cancelChange(req.params.changeId, req.user.username);
 
-            db.all(query, [limit], (err, rows) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+        res.json({
+            success: true,
+            message: 'Scheduled change cancelled',
+            data: change
+        });
+
+    } catch (error) {
+        if (error instanceof SettingsService.SettingsError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Setting change cancel error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel setting change'
+        });
+    }
+});
+
+// Split rules (legs of the transaction charge split)
+router.get('/split-rules', authenticateToken, async (req, res) => {
+    try {
+        const rules = await moneySplitter.listRules({
+            scope: req.query.scope,
+            scopeValue: req.query.scope_value,
+            includeInactive: req.query.include_inactive === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: rules
+        });
+
+    } catch (error) {
+        console.error('Split rules fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch split rules'
+        });
+    }
+});
+
+// Add a split rule leg
+router.post('/split-rules', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateSplitRule(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const rule = await moneySplitter.createRule(validation.value);
+
+        res.status(201).json({
+            success: true,
+            message: 'Split rule added',
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Split rule create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add split rule'
+        });
+    }
+});
+
+// Replace a split rule leg (set is_active to false to retire it)
+router.put('/split-rules/:ruleId', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateSplitRule(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const rule = await moneySplitter.updateRule(parseInt(req.params.ruleId), validation.value);
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Split rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Split rule updated',
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Split rule update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update split rule'
+        });
+    }
+});
+
+// Preview how a charge would be split for a matatu with the current rules (?as_of= for past settings)
+router.get('/split-rules/preview', authenticateToken, async (req, res) => {
+    const charge = parseInt(req.query.charge) || 10;
+    const splitResult = await moneySplitter.executeSplit(req.query.matatu_code, 0, charge, req.query.as_of);
+
+    if (!splitResult.success) {
+        return res.status(400).json({
+            success: false,
+            error: splitResult.error
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            matatuCode: req.query.matatu_code,
+            transactionCharge: charge,
+            ruleScope: splitResult.data.ruleScope,
+            legs: splitResult.data.legs
+        }
+    });
+});
+
+// Split lines of a transaction
+router.get('/transactions/:transactionId/splits', authenticateToken, async (req, res) => {
+    try {
+        const lines = await moneySplitter.getSplitLines([req.params.transactionId]);
+
+        res.json({
+            success: true,
+            data: lines[req.params.transactionId] || []
+        });
+
+    } catch (error) {
+        console.error('Split lines fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch split lines'
+        });
+    }
+});
+
+// Fee schedules (transaction charge pricing)
+router.get('/fee-schedules', authenticateToken, async (req, res) => {
+    try {
+        const schedules = await feeSchedules.listSchedules({
+            scope: req.query.scope,
+            scopeValue: req.query.scope_value
+        });
+
+        res.json({
+            success: true,
+            data: schedules
+        });
+
+    } catch (error) {
+        console.error('Fee schedules fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch fee schedules'
+        });
+    }
+});
+
+// Charges for sample amounts, under unsaved bands or the schedule in effect for a matatu
+router.post('/fee-schedules/preview', authenticateToken, async (req, res) => {
+    try {
+        const amounts = Array.isArray(req.body.amounts) && req.body.amounts.length
+            ? req.body.amounts.map(amount => parseInt(amount)).filter(amount => amount >= 0)
+            : [50, 100, 500, 1000, 2000, 5000];
+
+        let schedule;
+        if (req.body.bands) {
+            const validation = validate.validateFeeSchedule({ name: 'Preview', scope: 'GLOBAL', bands: req.body.bands });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+            schedule = { scheduleId: null, name: 'Preview', scope: null, bands: validation.value.bands };
+        } else {
+            schedule = await feeSchedules.getActiveSchedule(req.body.matatu_code, req.body.as_of);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                scheduleId: schedule.scheduleId,
+                name: schedule.name,
+                scope: schedule.scope,
+                charges: amounts.map(amount => {
+                    const charge = FeeSchedules.chargeFor(schedule.bands, amount);
+                    return { amount: amount, transactionCharge: charge, totalAmount: amount + charge };
+                })
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof FeeSchedules.FeeScheduleError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Fee preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview charges'
+        });
+    }
+});
+
+router.post('/fee-schedules', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateFeeSchedule(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const schedule = await feeSchedules.createSchedule(validation.value, req.user.username);
+
+        res.json({
+            success: true,
+            message: 'Fee schedule added successfully',
+            data: schedule
+        });
+
+    } catch (error) {
+        if (error instanceof FeeSchedules.FeeScheduleError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Fee schedule creation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add fee schedule'
+        });
+    }
+});
+
+// Replace a fee schedule that has not taken effect yet
+router.put('/fee-schedules/:scheduleId', authenticateToken, async (req, res) => {
+    try {
+        const validation = validate.validateFeeSchedule(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const schedule = await feeSchedules.updateSchedule(req.params.scheduleId, validation.value);
+
+        res.json({
+            success: true,
+            message: 'Fee schedule updated successfully',
+            data: schedule
+        });
+
+    } catch (error) {
+        if (error instanceof FeeSchedules.FeeScheduleError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Fee schedule update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update fee schedule'
+        });
+    }
+});
+
+// End a fee schedule now, or at effective_to
+router.post('/fee-schedules/:scheduleId/retire', authenticateToken, async (req, res) => {
+    try {
+        const schedule = await feeSchedules.retireSchedule(req.params.scheduleId, req.body.effective_to);
+
+        res.json({
+            success: true,
+            message: 'Fee schedule retired',
+            data: schedule
+        });
+
+    } catch (error) {
+        if (error instanceof FeeSchedules.FeeScheduleError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Fee schedule retire error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retire fee schedule'
+        });
+    }
+});
+
+// Ledger accounts with balances
+router.get('/ledger/accounts', authenticateToken, async (req, res) => {
+    try {
+        const accounts = await ledgerService.listAccounts();
+
+        res.json({
+            success: true,
+            data: accounts
+        });
+
+    } catch (error) {
+        console.error('Ledger accounts fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch ledger accounts'
+        });
+    }
+});
+
+// Ledger balance of an account (optionally as of a date)
+router.get('/accounts/:accountNumber/balance', authenticateToken, async (req, res) => {
+    try {
+        const balance = await ledgerService.getBalance(req.params.accountNumber, req.query.as_of);
+
+        if (!balance) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: balance
+        });
+
+    } catch (error) {
+        console.error('Account balance fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch account balance'
+        });
+    }
+});
+
+// Ledger statement of an account with running balance
+router.get('/accounts/:accountNumber/statement', authenticateToken, async (req, res) => {
+    try {
+        const statement = await ledgerService.getStatement(req.params.accountNumber, {
+            from: req.query.from,
+            to: req.query.to,
+            limit: parseInt(req.query.limit) || 200
+        });
+
+        if (!statement) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: statement
+        });
+
+    } catch (error) {
+        console.error('Account statement fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch account statement'
+        });
+    }
+});
+
+// Set or reset an owner's USSD menu PIN (also clears a wrong-PIN lock)
+router.put('/accounts/:accountNumber/pin', authenticateToken, async (req, res) => {
+    try {
+        await ownerService.setPin(req.params.accountNumber, req.body.pin);
+
+        console.log(`Owner PIN for ${req.params.accountNumber} set by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Owner PIN updated'
+        });
+
+    } catch (error) {
+        if (error instanceof OwnerService.OwnerError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Owner PIN update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update owner PIN'
+        });
+    }
+});
+
+// Choose an owner's SMS alerts: NONE, PAYMENT (every payment) or DAILY (end-of-day summary)
+router.put('/accounts/:accountNumber/sms-alerts', authenticateToken, async (req, res) => {
+    try {
+        await ownerService.setSmsAlerts(req.params.accountNumber, req.body.sms_alerts);
+
+        console.log(`SMS alerts for ${req.params.accountNumber} set to ${req.body.sms_alerts} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'SMS alerts updated'
+        });
+
+    } catch (error) {
+        if (error instanceof OwnerService.OwnerError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('SMS alerts update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update SMS alerts'
+        });
+    }
+});
+
+// SMS log (receipts and owner alerts) with delivery status
+router.get('/sms-messages', authenticateToken, async (req, res) => {
+    try {
+        const messages = await smsService.getMessages({
+            phoneNumber: req.query.phone_number,
+            status: req.query.status,
+            type: req.query.type,
+            limit: parseInt(req.query.limit) || 50
+        });
+
+        res.json({
+            success: true,
+            data: messages
+        });
+
+    } catch (error) {
+        console.error('SMS log fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch SMS log'
+        });
+    }
+});
+
+// Owner payouts (B2C transfers of owner_share)
+router.get('/payouts', authenticateToken, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const status = req.query.status;
+
+        const payouts = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT p.*, a.account_name,
+                       (SELECT COUNT(*) FROM payout_transactions pt WHERE pt.payout_id = p.payout_id) as transaction_count
+                FROM payouts p
+                LEFT JOIN accounts a ON p.owner_account = a.account_number
+                ${status ? 'WHERE p.status = ?' : ''}
+                ORDER BY p.created_at DESC
+                LIMIT ?
+            `;
+
+            db.all(query, status ? [status, limit] : [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+
+        // Owner earnings not yet covered by a pending, processing or completed payout,
+        // less refund clawbacks (negative when a refunded transaction was already paid out)
+        const balances = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT owner_account, account_name,
+                       COUNT(*) as transaction_count,
+                       SUM(payable) as balance
+                FROM (
+                    SELECT m.owner_account, a.account_name,
+                           (t.owner_share - COALESCE(t.owner_clawback, 0)) - COALESCE((
+                               SELECT SUM(pt.amount) FROM payout_transactions pt
+                               JOIN payouts p ON pt.payout_id = p.payout_id
+                               WHERE pt.transaction_id = t.transaction_id AND p.status != 'FAILED'
+                           ), 0) as payable
+                    FROM transactions t
+                    JOIN matatus m ON t.matatu_code = m.matatu_code
+                    LEFT JOIN accounts a ON m.owner_account = a.account_number
+                    WHERE t.status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED')
+                )
+                WHERE payable != 0
+                GROUP BY owner_account
+                ORDER BY balance DESC
+            `;
+
+            db.all(query, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+
+        res.json({
+            success: true,
+            data: {
+                payouts: payouts,
+                balances: balances
+            }
+        });
+
+    } catch (error) {
+        console.error('Payouts fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payouts'
+        });
+    }
+});
+
+// Payout details with the transactions it covers
+router.get('/payouts/:payoutId', authenticateToken, async (req, res) => {
+    try {
+        const { payoutId } = req.params;
+
+        const payout = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM payouts WHERE payout_id = ?', [payoutId], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row);
+            });
+        });
+
+        if (!payout) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payout not found'
+            });
+        }
+
+        const transactions = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT pt.amount as payout_amount, t.transaction_id, t.matatu_code,
+                       t.amount, t.owner_share, t.created_at
+                FROM payout_transactions pt
+                JOIN transactions t ON pt.transaction_id = t.transaction_id
+                WHERE pt.payout_id = ?
+                ORDER BY t.created_at
+            `;
+
+            db.all(query, [payoutId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+
+        res.json({
+            success: true,
+            data: { ...payout, transactions: transactions }
+        });
+
+    } catch (error) {
+        console.error('Payout fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payout'
+        });
+    }
+});
+
+// Queue a failed payout, or one in REVIEW that the B2C statement shows was not paid,
+// for another attempt (picked up by the next payout run)
+router.post('/payouts/:payoutId/retry', authenticateToken, async (req, res) => {
+    try {
+        const { payoutId } = req.params;
+
+        const changes = await new Promise((resolve, reject) => {
+            // A FAILED payout can only be retried if none of its transactions were paid out since
+            const query = `
+                UPDATE payouts
+                SET status = 'RETRY', attempts = 0, next_retry_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE payout_id = ?
+                  AND status IN ('RETRY', 'FAILED', 'REVIEW')
+                  AND NOT EXISTS (
+                      SELECT 1 FROM payout_transactions pt
+                      JOIN payout_transactions other ON other.transaction_id = pt.transaction_id
+                      JOIN payouts p ON other.payout_id = p.payout_id
+                      WHERE pt.payout_id = payouts.payout_id
+                        AND other.payout_id != payouts.payout_id
+                        AND p.status != 'FAILED'
+                  )
+            `;
+
+            db.run(query, [payoutId], function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes);
+            });
+        });
+
+        if (!changes) {
+            return res.status(409).json({
+                success: false,
+                error: 'Payout cannot be retried (not failed, or its transactions were already paid out)'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Payout queued for retry'
+        });
+
+    } catch (error) {
+        console.error('Payout retry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry payout'
+        });
+    }
+});
+
+// Resolve a payout in REVIEW that the B2C statement shows was paid
+router.post('/payouts/:payoutId/complete', authenticateToken, async (req, res) => {
+    try {
+        const receiptNumber = String(req.body.mpesa_receipt_number || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{10}$/.test(receiptNumber)) {
+            return res.status(400).json({
+                success: false,
+                error: 'mpesa_receipt_number must be the 10-character B2C receipt'
+            });
+        }
+
+        const payout = await payoutService.completeReviewed(req.params.payoutId, receiptNumber, req.user.username);
+        if (!payout) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only payouts in REVIEW can be marked paid'
+            });
+        }
+
+        await ledgerService.postPayout(payout.payout_id);
+        console.log(`Payout ${payout.payout_id} confirmed paid (${receiptNumber}) by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Payout marked paid',
+            data: payout
+        });
+
+    } catch (error) {
+        console.error('Payout completion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark payout paid'
+        });
+    }
+});
+
+// Refunds (maker-checker reversals of completed payments)
+router.get('/refunds', authenticateToken, async (req, res) => {
+    try {
+        const refunds = await refundService.listRefunds({
+            status: req.query.status,
+            transactionId: req.query.transaction_id,
+            limit: parseInt(req.query.limit) || 50
+        });
+
+        res.json({
+            success: true,
+            data: refunds
+        });
+
+    } catch (error) {
+        console.error('Refunds fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refunds'
+        });
+    }
+});
+
+// Request a refund for a completed transaction (first user)
+router.post('/transactions/:transactionId/refunds', authenticateToken, async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const refund = await refundService.requestRefund(
+            req.params.transactionId,
+            amount,
+            reason,
+            req.user.username
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested, waiting for approval by another user',
+            data: refund
+        });
+
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Refund request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to request refund'
+        });
+    }
+});
+
+// Approve a refund and send the reversal to M-Pesa (second user)
+router.post('/refunds/:refundId/approve', authenticateToken, async (req, res) => {
+    try {
+        const refund = await refundService.approveRefund(req.params.refundId, req.user.username);
+
+        if (refund.status === 'FAILED') {
+            return res.status(502).json({
+                success: false,
+                error: `M-Pesa rejected the reversal: ${refund.result_desc}`,
+                data: refund
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Refund approved, reversal sent to M-Pesa',
+            data: refund
+        });
+
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Refund approval error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to approve refund'
+        });
+    }
+});
+
+// Reject a refund request
+router.post('/refunds/:refundId/reject', authenticateToken, async (req, res) => {
+    try {
+        const refund = await refundService.rejectRefund(req.params.refundId, req.user.username, req.body.reason);
+
+        res.json({
+            success: true,
+            message: 'Refund rejected',
+            data: refund
+        });
+
+    } catch (error) {
+        if (error instanceof RefundService.RefundError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Refund rejection error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reject refund'
+        });
+    }
+});
+
+// System logs (recent activity: transactions, reconciler runs and reconciler outcomes)
+router.get('/logs', authenticateToken, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const type = req.query.type;
+        
+        const logs = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM (
+                    SELECT 
+                        'transaction' as type,
+                        transaction_id as reference,
+                        status,
+                        amount,
+                        phone_number,
+                        NULL as details,
+                        created_at,
+                        updated_at
+                    FROM transactions 
+
+                    UNION ALL
+
+                    SELECT
+                        'reconciler_run' as type,
+                        'RUN-' || id as reference,
+                        status,
+                        NULL as amount,
+                        NULL as phone_number,
+                        'checked ' || checked_count || ', completed ' || completed_count ||
+                            ', failed ' || failed_count || ', expired ' || expired_count ||
+                            ', still pending ' || pending_count || ', errors ' || error_count ||
+                            COALESCE(' - ' || error_message, '') as details,
+                        started_at as created_at,
+                        finished_at as updated_at
+                    FROM reconciler_runs
+
+                    UNION ALL
+
+                    SELECT
+                        'reconciler' as type,
+                        e.transaction_id as reference,
+                        e.outcome as status,
+                        t.amount,
+                        t.phone_number,
+                        'RUN-' || e.run_id || ': ' || COALESCE(e.message, '') as details,
+                        e.created_at,
+                        e.created_at as updated_at
+                    FROM reconciler_events e
+                    LEFT JOIN transactions t ON e.transaction_id = t.transaction_id
+                )
+                ${type ? 'WHERE type = ?' : ''}
+                ORDER BY created_at DESC 
+                LIMIT ?
+            `;
+
+            const params = type ? [type, limit] : [limit];
+
+            db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
                 resolve(rows);
             });
         });
 
+        const reconciler = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    COUNT(*) as total_runs,
+                    MAX(started_at) as last_run_at,
+                    SUM(checked_count) as checked,
+                    SUM(completed_count) as completed,
+                    SUM(failed_count) as failed,
+                    SUM(expired_count) as expired,
+                    SUM(error_count) as errors
+                FROM reconciler_runs
+                WHERE started_at >= datetime('now', '-1 day')
+            `;
+
+            db.get(query, [], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row);
+            });
+        });
+
         res.json({
             success: true,
-            data: logs
+            data: logs,
+            reconciler: reconciler
         });
 
     } catch (error) {
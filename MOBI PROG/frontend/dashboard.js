@@ -87,6 +87,16 @@ function showError(elementId, message) {
     }, 5000);
 }
 
+// Escape a value for an innerHTML template; free text from other users must never be markup
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // API helper
 async function apiCall(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
@@ -157,6 +167,12 @@ async function loadSectionData(section) {
         case 'matatus':
             await loadMatatus();
             break;
+        case 'payouts':
+            await loadPayouts();
+            break;
+        case 'refunds':
+            await loadRefunds();
+            break;
         case 'analytics':
             await loadAnalytics();
             break;
@@ -225,10 +241,14 @@ let currentTransactionsPage = 1;
 async function loadTransactions(page = 1) {
     try {
         const statusFilter = document.getElementById('statusFilter').value;
+        const channelFilter = document.getElementById('channelFilter').value;
+        const providerFilter = document.getElementById('providerFilter').value;
         const searchQuery = document.getElementById('searchTransactions').value;
         
         let url = `/transactions?page=${page}&limit=50`;
         if (statusFilter) url += `&status=${statusFilter}`;
+        if (channelFilter) url += `&channel=${channelFilter}`;
+        if (providerFilter) url += `&provider=${providerFilter}`;
         if (searchQuery) url += `&search=${encodeURIComponent(searchQuery)}`;
         
         const data = await apiCall(url);
@@ -247,7 +267,7 @@ function updateTransactionsTable(transactions) {
     const tbody = document.getElementById('transactionsBody');
     
     if (transactions.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="9" class="text-center">No transactions found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="11" class="text-center">No transactions found</td></tr>';
         return;
     }
     
@@ -256,15 +276,23 @@ function updateTransactionsTable(transactions) {
             <td>${tx.transaction_id}</td>
             <td>${tx.matatu_code}</td>
             <td>${tx.phone_number}</td>
+            <td>${tx.provider === 'AIRTEL' ? 'Airtel Money' : 'M-Pesa'}</td>
+            <td>${tx.channel || 'STK'}</td>
             <td>KSh ${tx.amount}</td>
             <td>KSh ${tx.transaction_charge}</td>
-            <td><span class="status-badge status-${tx.status.toLowerCase()}">${tx.status}</span></td>
-            <td>Owner: ${tx.owner_share} | Dev: ${tx.developer_share}</td>
+            <td><span class="status-badge status-${tx.status.toLowerCase()}" title="${tx.result_desc || ''}">${tx.status}</span></td>
+            <td>${tx.split_status === 'QUOTED'
+                ? `<span class="text-muted" title="Quoted, settles when the payment completes">Quote: Owner ${tx.quoted_owner_share} | Dev ${tx.quoted_developer_share}</span>`
+                : `Owner: ${tx.owner_share} | Dev: ${tx.developer_share}`}</td>
             <td>${moment(tx.created_at).format('MMM DD, YYYY HH:mm')}</td>
             <td>
                 <button class="btn btn-outline" onclick="viewTransaction('${tx.transaction_id}')">
                     <i class="fas fa-eye"></i>
                 </button>
+                ${['COMPLETED', 'PARTIALLY_REFUNDED'].includes(tx.status) && (tx.provider || 'MPESA') === 'MPESA' ? `
+                <button class="btn btn-outline" title="Request refund" onclick="requestRefund('${tx.transaction_id}', ${tx.total_amount - (tx.refunded_amount || 0)})">
+                    <i class="fas fa-undo-alt"></i>
+                </button>` : ''}
             </td>
         </tr>
     `).join('');
@@ -310,29 +338,43 @@ function viewTransaction(transactionId) {
 // Matatus functions
 async function loadMatatus() {
     try {
-        const data = await apiCall('/matatus');
+        const [data, routeData, holidayData] = await Promise.all([
+            apiCall('/matatus'),
+            apiCall('/routes?include_inactive=true'),
+            apiCall('/holidays')
+        ]);
         if (!data || !data.success) return;
         
         updateMatatusTable(data.data);
+        if (routeData && routeData.success) {
+            updateRoutesTable(routeData.data);
+        }
+        if (holidayData && holidayData.success) {
+            updateHolidaysTable(holidayData.data);
+        }
         
     } catch (error) {
         console.error('Failed to load matatus:', error);
     }
 }
 
+let matatuList = [];
+
 function updateMatatusTable(matatus) {
     const tbody = document.getElementById('matatusBody');
+    matatuList = matatus;
     
     if (matatus.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No matatus found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center">No matatus found</td></tr>';
         return;
     }
     
     tbody.innerHTML = matatus.map(matatu => `
         <tr>
             <td>${matatu.matatu_code}</td>
-            <td>${matatu.route_name}</td>
+            <td>${escapeHtml(matatu.route_name)}${matatu.route_id && !matatu.allow_free_amount ? ' <small class="text-muted">(stage fares only)</small>' : ''}</td>
             <td>${matatu.owner_account}</td>
+            <td>${matatu.sacco_code || '-'}</td>
             <td>${matatu.total_transactions || 0}</td>
             <td>KSh ${(matatu.total_revenue || 0).toLocaleString()}</td>
             <td>
@@ -341,15 +383,26 @@ function updateMatatusTable(matatus) {
                 </span>
             </td>
             <td>
-                <button class="btn btn-outline" onclick="editMatatu(${matatu.id})">
+                <button class="btn btn-outline" title="Route and fare mode" onclick="editMatatu('${matatu.matatu_code}')">
                     <i class="fas fa-edit"></i>
                 </button>
+                <button class="btn btn-outline" title="Issue crew token for live payments" onclick="issueCrewToken('${matatu.matatu_code}')">
+                    <i class="fas fa-key"></i>
+                </button>
             </td>
         </tr>
     `).join('');
 }
 
+function routeOptions(selectedId = null) {
+    return routeList
+        .filter(route => route.is_active || route.id === selectedId)
+        .map(route => `<option value="${route.id}" ${route.id === selectedId ? 'selected' : ''}>${escapeHtml(route.name)}</option>`)
+        .join('');
+}
+
 function showAddMatatuModal() {
+    document.getElementById('newMatatuRoute').innerHTML = routeOptions();
     document.getElementById('addMatatuModal').style.display = 'flex';
 }
 
@@ -364,8 +417,10 @@ document.getElementById('addMatatuForm').addEventListener('submit', async functi
     
     const formData = {
         matatu_code: document.getElementById('newMatatuCode').value,
-        route_name: document.getElementById('newRouteName').value,
-        owner_account: document.getElementById('newOwnerAccount').value
+        route_id: parseInt(document.getElementById('newMatatuRoute').value),
+        allow_free_amount: document.getElementById('newMatatuAllowFreeAmount').checked,
+        owner_account: document.getElementById('newOwnerAccount').value,
+        sacco_code: document.getElementById('newSaccoCode').value || null
     };
     
     try {
@@ -386,9 +441,510 @@ document.getElementById('addMatatuForm').addEventListener('submit', async functi
     }
 });
 
-function editMatatu(matatuId) {
-    // Implement matatu editing modal
-    alert(`Edit matatu ID: ${matatuId}`);
+function editMatatu(matatuCode) {
+    const matatu = matatuList.find(candidate => candidate.matatu_code === matatuCode);
+    if (!matatu) return;
+    
+    document.getElementById('matatuRouteModalTitle').textContent = `Matatu ${matatu.matatu_code}`;
+    document.getElementById('matatuRouteCode').value = matatu.matatu_code;
+    document.getElementById('matatuRouteSelect').innerHTML = routeOptions(matatu.route_id);
+    document.getElementById('matatuRouteAllowFreeAmount').checked = !!matatu.allow_free_amount;
+    document.getElementById('matatuRouteModal').style.display = 'flex';
+}
+
+async function issueCrewToken(matatuCode) {
+    if (!confirm(`Issue a new crew token for matatu ${matatuCode}? Its current token will stop working.`)) return;
+    
+    try {
+        const data = await apiCall(`/matatus/${matatuCode}/crew-token`, { method: 'POST' });
+        
+        if (data && data.success) {
+            prompt(`Crew token for matatu ${matatuCode}. Copy it now, it is not shown again:`, data.data.token);
+        } else {
+            alert('Failed to issue crew token: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to issue crew token: ' + error.message);
+    }
+}
+
+function closeMatatuRouteModal() {
+    document.getElementById('matatuRouteModal').style.display = 'none';
+    document.getElementById('matatuRouteForm').reset();
+}
+
+// Matatu route form handler
+document.getElementById('matatuRouteForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const matatuCode = document.getElementById('matatuRouteCode').value;
+    
+    try {
+        const data = await apiCall(`/matatus/${matatuCode}/route`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                route_id: parseInt(document.getElementById('matatuRouteSelect').value),
+                allow_free_amount: document.getElementById('matatuRouteAllowFreeAmount').checked
+            })
+        });
+        
+        if (data && data.success) {
+            closeMatatuRouteModal();
+            await loadMatatus();
+        } else {
+            alert('Failed to update matatu route: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to update matatu route. Please try again.');
+    }
+});
+
+// Route and stage fare functions
+let routeList = [];
+let editingRouteId = null;
+let fareRoute = null;
+
+const FARE_TIME_BANDS = ['PEAK', 'OFF_PEAK', 'WEEKEND', 'HOLIDAY'];
+
+function updateRoutesTable(routes) {
+    const tbody = document.getElementById('routesBody');
+    routeList = routes;
+    
+    if (routes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">No routes yet</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = routes.map(route => `
+        <tr class="${route.is_active ? '' : 'text-muted'}">
+            <td>${escapeHtml(route.name)}${route.description ? `<br><small class="text-muted">${escapeHtml(route.description)}</small>` : ''}</td>
+            <td>${route.stages.map(stage => escapeHtml(stage.name)).join(' &rarr; ') || '-'}</td>
+            <td>${route.matatu_count}</td>
+            <td>
+                <span class="status-badge ${route.is_active ? 'status-completed' : 'status-failed'}">
+                    ${route.is_active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-outline" title="Edit route and stages" onclick="showRouteModal(${route.id})">
+                    <i class="fas fa-edit"></i>
+                </button>
+                ${route.stages.length > 1 ? `
+                    <button class="btn btn-outline" title="Stage fares" onclick="showRouteFaresModal(${route.id})">
+                        <i class="fas fa-money-bill-wave"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function showRouteModal(routeId = null) {
+    const route = routeList.find(candidate => candidate.id === routeId);
+    
+    editingRouteId = route ? route.id : null;
+    document.getElementById('routeModalTitle').textContent = route ? 'Edit Route' : 'Add Route';
+    document.getElementById('routeName').value = route ? route.name : '';
+    document.getElementById('routeDescription').value = route?.description || '';
+    document.getElementById('routeStages').value = route ? route.stages.map(stage => stage.name).join('\n') : '';
+    document.getElementById('routeActive').checked = route ? !!route.is_active : true;
+    document.getElementById('routeModal').style.display = 'flex';
+}
+
+function closeRouteModal() {
+    document.getElementById('routeModal').style.display = 'none';
+    document.getElementById('routeForm').reset();
+    editingRouteId = null;
+}
+
+// Route form handler
+document.getElementById('routeForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const formData = {
+        name: document.getElementById('routeName').value,
+        description: document.getElementById('routeDescription').value || null,
+        stages: document.getElementById('routeStages').value
+            .split('\n')
+            .map(stage => stage.trim())
+            .filter(Boolean),
+        is_active: document.getElementById('routeActive').checked
+    };
+    
+    try {
+        const data = await apiCall(editingRouteId ? `/routes/${editingRouteId}` : '/routes', {
+            method: editingRouteId ? 'PUT' : 'POST',
+            body: JSON.stringify(formData)
+        });
+        
+        if (data && data.success) {
+            closeRouteModal();
+            await loadMatatus();
+        } else {
+            alert('Failed to save route:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to save route. Please try again.');
+    }
+});
+
+async function showRouteFaresModal(routeId) {
+    const data = await apiCall(`/routes/${routeId}`);
+    if (!data || !data.success) {
+        alert('Failed to load route fares: ' + (data?.error || 'Unknown error'));
+        return;
+    }
+    
+    fareRoute = data.data;
+    const fareFor = (fromId, toId, band) => fareRoute.fares.find(fare =>
+        fare.from_stage_id === fromId && fare.to_stage_id === toId && fare.time_band === band
+    );
+    
+    const rows = [];
+    fareRoute.stages.forEach((from, index) => {
+        fareRoute.stages.slice(index + 1).forEach(to => {
+            rows.push(`
+                <tr>
+                    <td>${escapeHtml(from.name)}</td>
+                    <td>${escapeHtml(to.name)}</td>
+                    ${FARE_TIME_BANDS.map(band => `
+                        <td>
+                            <input type="number" class="fare-input" min="50" step="1"
+                                   data-from="${from.id}" data-to="${to.id}" data-band="${band}"
+                                   value="${fareFor(from.id, to.id, band)?.amount ?? ''}">
+                        </td>
+                    `).join('')}
+                </tr>
+            `);
+        });
+    });
+    
+    document.getElementById('routeFaresModalTitle').textContent = `Stage Fares: ${fareRoute.name}`;
+    document.getElementById('routeFaresBody').innerHTML = rows.join('');
+    document.getElementById('routeFaresModal').style.display = 'flex';
+}
+
+function closeRouteFaresModal() {
+    document.getElementById('routeFaresModal').style.display = 'none';
+    document.getElementById('routeFaresBody').innerHTML = '';
+    fareRoute = null;
+}
+
+// Route fares form handler (empty cells remove the fare)
+document.getElementById('routeFaresForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const fares = Array.from(document.querySelectorAll('#routeFaresBody .fare-input')).map(input => ({
+        from_stage_id: parseInt(input.dataset.from),
+        to_stage_id: parseInt(input.dataset.to),
+        time_band: input.dataset.band,
+        amount: input.value === '' ? null : parseInt(input.value)
+    }));
+    
+    try {
+        const data = await apiCall(`/routes/${fareRoute.id}/fares`, {
+            method: 'PUT',
+            body: JSON.stringify({ fares })
+        });
+        
+        if (data && data.success) {
+            closeRouteFaresModal();
+        } else {
+            alert('Failed to save fares:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to save fares. Please try again.');
+    }
+});
+
+// Public holiday functions
+function updateHolidaysTable(holidays) {
+    const tbody = document.getElementById('holidaysBody');
+    
+    if (holidays.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" class="text-center">No public holidays added</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = holidays.map(holiday => `
+        <tr>
+            <td>${moment(holiday.holiday_date).format('ddd, MMM DD, YYYY')}</td>
+            <td>${escapeHtml(holiday.name)}</td>
+            <td>
+                <button class="btn btn-outline" title="Remove" onclick="removeHoliday(${holiday.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Add holiday form handler
+document.getElementById('addHolidayForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    try {
+        const data = await apiCall('/holidays', {
+            method: 'POST',
+            body: JSON.stringify({
+                holiday_date: document.getElementById('newHolidayDate').value,
+                name: document.getElementById('newHolidayName').value
+            })
+        });
+        
+        if (data && data.success) {
+            document.getElementById('addHolidayForm').reset();
+            await loadMatatus();
+        } else {
+            alert('Failed to add holiday:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to add holiday. Please try again.');
+    }
+});
+
+async function removeHoliday(holidayId) {
+    if (!confirm('Remove this public holiday?')) return;
+    
+    try {
+        const data = await apiCall(`/holidays/${holidayId}`, { method: 'DELETE' });
+        
+        if (data && data.success) {
+            await loadMatatus();
+        } else {
+            alert('Failed to remove holiday: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to remove holiday. Please try again.');
+    }
+}
+
+// Payouts functions
+async function loadPayouts() {
+    try {
+        const status = document.getElementById('payoutStatusFilter').value;
+        const data = await apiCall(`/payouts${status ? `?status=${status}` : ''}`);
+        if (!data || !data.success) return;
+        
+        updateOwnerBalancesTable(data.data.balances);
+        updatePayoutsTable(data.data.payouts);
+        
+    } catch (error) {
+        console.error('Failed to load payouts:', error);
+    }
+}
+
+function updateOwnerBalancesTable(balances) {
+    const tbody = document.getElementById('ownerBalancesBody');
+    
+    if (balances.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center">No unpaid owner earnings</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = balances.map(balance => `
+        <tr>
+            <td>${balance.owner_account}</td>
+            <td>${balance.account_name || 'Unknown'}</td>
+            <td>${balance.transaction_count}</td>
+            <td>KSh ${(balance.balance || 0).toLocaleString()}</td>
+        </tr>
+    `).join('');
+}
+
+function updatePayoutsTable(payouts) {
+    const tbody = document.getElementById('payoutsBody');
+    
+    if (payouts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="text-center">No payouts found</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = payouts.map(payout => `
+        <tr>
+            <td>${payout.payout_id}</td>
+            <td>${payout.owner_account}${payout.account_name ? ` - ${payout.account_name}` : ''}</td>
+            <td>KSh ${payout.amount}</td>
+            <td>${payout.transaction_count}</td>
+            <td><span class="status-badge status-${payout.status.toLowerCase()}">${payout.status}</span></td>
+            <td>${payout.attempts}</td>
+            <td>${payout.mpesa_receipt_number || payout.result_desc || ''}</td>
+            <td>${moment(payout.created_at).format('MMM DD, YYYY HH:mm')}</td>
+            <td>
+                ${['RETRY', 'FAILED', 'REVIEW'].includes(payout.status) ? `
+                <button class="btn btn-outline" onclick="retryPayout('${payout.payout_id}', '${payout.status}')">
+                    <i class="fas fa-redo"></i>
+                </button>` : ''}
+                ${payout.status === 'REVIEW' ? `
+                <button class="btn btn-outline" onclick="completePayout('${payout.payout_id}')" title="Mark paid">
+                    <i class="fas fa-check"></i>
+                </button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function retryPayout(payoutId, status) {
+    // A payout in REVIEW may already have been paid, resending it could pay the owner twice
+    if (status === 'REVIEW' && !confirm('Retry only if the B2C statement shows this payout was NOT paid. Retry it?')) {
+        return;
+    }
+
+    try {
+        const data = await apiCall(`/payouts/${payoutId}/retry`, {
+            method: 'POST'
+        });
+        
+        if (data && data.success) {
+            await loadPayouts();
+            alert('Payout queued for retry!');
+        } else {
+            alert('Failed to retry payout: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to retry payout. Please try again.');
+    }
+}
+
+async function completePayout(payoutId) {
+    const receiptNumber = prompt('B2C receipt number from the M-Pesa statement:');
+    if (!receiptNumber) {
+        return;
+    }
+
+    try {
+        const data = await apiCall(`/payouts/${payoutId}/complete`, {
+            method: 'POST',
+            body: JSON.stringify({ mpesa_receipt_number: receiptNumber })
+        });
+
+        if (data && data.success) {
+            await loadPayouts();
+            alert('Payout marked paid!');
+        } else {
+            alert('Failed to mark payout paid: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to mark payout paid. Please try again.');
+    }
+}
+
+function refreshPayouts() {
+    loadPayouts();
+}
+
+// Refunds functions
+async function loadRefunds() {
+    try {
+        const status = document.getElementById('refundStatusFilter').value;
+        const data = await apiCall(`/refunds${status ? `?status=${status}` : ''}`);
+        if (!data || !data.success) return;
+        
+        updateRefundsTable(data.data);
+        
+    } catch (error) {
+        console.error('Failed to load refunds:', error);
+    }
+}
+
+function updateRefundsTable(refunds) {
+    const tbody = document.getElementById('refundsBody');
+    
+    if (refunds.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10" class="text-center">No refunds found</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = refunds.map(refund => `
+        <tr>
+            <td>${escapeHtml(refund.refund_id)}</td>
+            <td>${escapeHtml(refund.transaction_id)}<br><small>${escapeHtml(refund.transaction_receipt_number)}</small></td>
+            <td>KSh ${escapeHtml(refund.amount)} of ${escapeHtml(refund.total_amount)}</td>
+            <td>${escapeHtml(refund.reason)}</td>
+            <td><span class="status-badge status-${escapeHtml(refund.status.toLowerCase())}">${escapeHtml(refund.status)}</span>
+                ${refund.status === 'FAILED' && refund.result_desc ? `<br><small>${escapeHtml(refund.result_desc)}</small>` : ''}</td>
+            <td>${escapeHtml(refund.requested_by)}</td>
+            <td>${escapeHtml(refund.approved_by)}</td>
+            <td>${refund.status === 'COMPLETED' ? `Owner: ${escapeHtml(refund.owner_clawback)} | Dev: ${escapeHtml(refund.developer_clawback)}` : ''}</td>
+            <td>${moment(refund.created_at).format('MMM DD, YYYY HH:mm')}</td>
+            <td>
+                ${refund.status === 'REQUESTED' ? `
+                <button class="btn btn-outline" title="Approve" onclick="approveRefund('${escapeHtml(refund.refund_id)}')">
+                    <i class="fas fa-check"></i>
+                </button>
+                <button class="btn btn-outline" title="Reject" onclick="rejectRefund('${escapeHtml(refund.refund_id)}')">
+                    <i class="fas fa-times"></i>
+                </button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function requestRefund(transactionId, refundable) {
+    const amount = prompt(`Refund amount for ${transactionId} (KSh, up to ${refundable}):`, refundable);
+    if (amount === null) return;
+    
+    const reason = prompt('Reason for the refund (e.g. paid wrong matatu, double payment):');
+    if (!reason) return;
+    
+    try {
+        const data = await apiCall(`/transactions/${transactionId}/refunds`, {
+            method: 'POST',
+            body: JSON.stringify({ amount: parseInt(amount), reason: reason })
+        });
+        
+        if (data && data.success) {
+            alert('Refund requested! Another user must approve it from the Refunds section.');
+        } else {
+            alert('Failed to request refund: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to request refund. Please try again.');
+    }
+}
+
+async function approveRefund(refundId) {
+    if (!confirm(`Approve refund ${refundId}? The payment will be reversed on M-Pesa.`)) return;
+    
+    try {
+        const data = await apiCall(`/refunds/${refundId}/approve`, {
+            method: 'POST'
+        });
+        
+        if (data && data.success) {
+            await loadRefunds();
+            alert('Refund approved, reversal sent to M-Pesa!');
+        } else {
+            await loadRefunds();
+            alert('Failed to approve refund: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to approve refund. Please try again.');
+    }
+}
+
+async function rejectRefund(refundId) {
+    const reason = prompt(`Reason for rejecting refund ${refundId}:`);
+    if (reason === null) return;
+    
+    try {
+        const data = await apiCall(`/refunds/${refundId}/reject`, {
+            method: 'POST',
+            body: JSON.stringify({ reason: reason })
+        });
+        
+        if (data && data.success) {
+            await loadRefunds();
+        } else {
+            alert('Failed to reject refund: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to reject refund. Please try again.');
+    }
+}
+
+function refreshRefunds() {
+    loadRefunds();
 }
 
 // Analytics functions
@@ -405,6 +961,7 @@ async function loadAnalytics() {
         createStatusDistributionChart(analytics.statusDistribution);
         createHourlyRevenueChart(analytics.revenueByHour);
         createTopMatatusChart(analytics.topMatatus);
+        createFailureReasonsChart(analytics.failureReasons);
         
     } catch (error) {
         console.error('Failed to load analytics:', error);
@@ -466,7 +1023,13 @@ function createStatusDistributionChart(data) {
     const colors = {
         'COMPLETED': '#28a745',
         'PENDING': '#ffc107',
-        'FAILED': '#dc3545'
+        'FAILED': '#dc3545',
+        'EXPIRED': '#6c757d',
+        'UNMATCHED': '#fd7e14',
+        'AMOUNT_MISMATCH': '#e83e8c',
+        'LATE_PAYMENT': '#6f42c1',
+        'PARTIALLY_REFUNDED': '#17a2b8',
+        'REFUNDED': '#0c5460'
     };
     
     charts.statusDistribution = new Chart(ctx, {
@@ -546,21 +1109,73 @@ function createTopMatatusChart(data) {
     });
 }
 
+function createFailureReasonsChart(data) {
+    const ctx = document.getElementById('failureReasonsChart').getContext('2d');
+    
+    if (charts.failureReasons) {
+        charts.failureReasons.destroy();
+    }
+    
+    charts.failureReasons = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.map(item => {
+                const network = item.provider === 'AIRTEL' ? 'Airtel' : 'M-Pesa';
+                return item.result_code === null ? item.reason : `${network}: ${item.reason} (${item.result_code})`;
+            }),
+            datasets: [{
+                label: 'Failed Transactions',
+                data: data.map(item => item.count),
+                backgroundColor: '#dc3545'
+            }]
+        },
+        options: {
+            responsive: true,
+            indexAxis: 'y',
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    }
+                }
+            }
+        }
+    });
+}
+
 // Settings functions
 async function loadSettings() {
     try {
-        const data = await apiCall('/settings');
+        const [data, history, schedules, rules] = await Promise.all([
+            apiCall('/settings'),
+            apiCall('/settings/history'),
+            apiCall('/fee-schedules'),
+            apiCall('/split-rules?include_inactive=true')
+        ]);
         if (!data || !data.success) return;
         
         updateSettingsForm(data.data);
+        if (history && history.success) {
+            updateSettingsHistoryTable(history.data);
+        }
+        if (schedules && schedules.success) {
+            updateFeeSchedulesTable(schedules.data);
+        }
+        if (rules && rules.success) {
+            updateSplitRulesTable(rules.data);
+        }
         
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
 }
 
+let settingKeys = [];
+
 function updateSettingsForm(settings) {
     const container = document.getElementById('settingsForm');
+    settingKeys = settings.map(setting => setting.setting_key);
     
     const html = settings.map(setting => `
         <div class="form-group">
@@ -593,6 +1208,7 @@ async function updateSetting(key) {
         
         if (data && data.success) {
             alert('Setting updated successfully!');
+            await loadSettings();
         } else {
             alert('Failed to update setting: ' + (data?.error || 'Unknown error'));
         }
@@ -601,6 +1217,402 @@ async function updateSetting(key) {
     }
 }
 
+// Settings history functions
+function updateSettingsHistoryTable(history) {
+    const tbody = document.getElementById('settingsHistoryBody');
+    
+    if (history.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No setting changes recorded yet</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = history.map(change => `
+        <tr>
+            <td>${change.setting_key.replace(/_/g, ' ').toUpperCase()}</td>
+            <td>${change.old_value ?? ''}</td>
+            <td>${change.new_value}</td>
+            <td>${moment.utc(change.effective_from).local().format('MMM DD, YYYY HH:mm')}</td>
+            <td>${change.changed_by || ''}</td>
+            <td><span class="status-badge status-${change.state.toLowerCase()}">${change.state}</span></td>
+            <td>
+                ${change.state === 'SCHEDULED' ? `
+                    <button class="btn btn-outline" title="Cancel scheduled change" onclick="cancelSettingChange(${change.id})">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function showScheduleSettingModal() {
+    document.getElementById('scheduleSettingKey').innerHTML = settingKeys
+        .map(key => `<option value="${key}">${key.replace(/_/g, ' ').toUpperCase()}</option>`)
+        .join('');
+    document.getElementById('scheduleSettingEffective').min = moment().format('YYYY-MM-DDTHH:mm');
+    document.getElementById('scheduleSettingModal').style.display = 'flex';
+}
+
+function closeScheduleSettingModal() {
+    document.getElementById('scheduleSettingModal').style.display = 'none';
+    document.getElementById('scheduleSettingForm').reset();
+}
+
+// Schedule setting change form handler
+document.getElementById('scheduleSettingForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const key = document.getElementById('scheduleSettingKey').value;
+    const formData = {
+        value: document.getElementById('scheduleSettingValue').value,
+        effective_from: new Date(document.getElementById('scheduleSettingEffective').value).toISOString()
+    };
+    
+    try {
+        const data = await apiCall(`/settings/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify(formData)
+        });
+        
+        if (data && data.success) {
+            closeScheduleSettingModal();
+            await loadSettings();
+        } else {
+            alert('Failed to schedule setting change: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to schedule setting change. Please try again.');
+    }
+});
+
+async function cancelSettingChange(changeId) {
+    if (!confirm('Cancel this scheduled setting change?')) return;
+    
+    try {
+        const data = await apiCall(`/settings/history/${changeId}/cancel`, { method: 'POST' });
+        
+        if (data && data.success) {
+            await loadSettings();
+        } else {
+            alert('Failed to cancel setting change: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to cancel setting change. Please try again.');
+    }
+}
+
+// Fee schedule functions
+let feeSchedules = [];
+let editingFeeScheduleId = null;
+let feePreviewTimer = null;
+
+function describeFeeBand(band) {
+    const range = band.max_amount === null ? `${band.min_amount}+` : `${band.min_amount}-${band.max_amount}`;
+    const fee = band.fee_type === 'PERCENTAGE' ? `${band.fee_value}%` : `KSh ${band.fee_value}`;
+    const caps = [
+        band.min_fee !== null ? `min ${band.min_fee}` : '',
+        band.max_fee !== null ? `max ${band.max_fee}` : ''
+    ].filter(Boolean).join(', ');
+    
+    return `${range}: ${fee}${caps ? ` (${caps})` : ''}`;
+}
+
+function updateFeeSchedulesTable(schedules) {
+    const tbody = document.getElementById('feeSchedulesBody');
+    feeSchedules = schedules;
+    
+    if (schedules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No fee schedules, the standard tiers apply</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = schedules.map(schedule => `
+        <tr class="${['RETIRED', 'SUPERSEDED'].includes(schedule.state) ? 'text-muted' : ''}">
+            <td>${escapeHtml(schedule.name)}</td>
+            <td>${escapeHtml(schedule.scope)}${schedule.scope_value ? ` ${escapeHtml(schedule.scope_value)}` : ''}</td>
+            <td>${schedule.bands.map(describeFeeBand).join('<br>')}</td>
+            <td>${moment.utc(schedule.effective_from).local().format('MMM DD, YYYY HH:mm')}</td>
+            <td>${schedule.effective_to ? moment.utc(schedule.effective_to).local().format('MMM DD, YYYY HH:mm') : ''}</td>
+            <td><span class="status-badge status-${schedule.state.toLowerCase()}">${schedule.state}</span></td>
+            <td>
+                ${schedule.state === 'SCHEDULED' ? `
+                    <button class="btn btn-outline" title="Edit" onclick="showFeeScheduleModal(${schedule.id})">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                ` : ''}
+                ${schedule.state !== 'RETIRED' ? `
+                    <button class="btn btn-outline" title="Retire" onclick="retireFeeSchedule(${schedule.id})">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function addFeeBandRow(band = {}) {
+    const row = document.createElement('div');
+    row.className = 'fee-band-row';
+    row.innerHTML = `
+        <input type="number" class="band-min-amount" min="0" value="${band.min_amount ?? ''}" required>
+        <input type="number" class="band-max-amount" min="0" value="${band.max_amount ?? ''}">
+        <select class="band-fee-type">
+            <option value="PERCENTAGE" ${band.fee_type === 'FLAT' ? '' : 'selected'}>Percentage</option>
+            <option value="FLAT" ${band.fee_type === 'FLAT' ? 'selected' : ''}>Flat</option>
+        </select>
+        <input type="number" class="band-fee-value" min="0" step="0.01" value="${band.fee_value ?? ''}" required>
+        <input type="number" class="band-min-fee" min="0" value="${band.min_fee ?? ''}">
+        <input type="number" class="band-max-fee" min="0" value="${band.max_fee ?? ''}">
+        <button type="button" class="btn btn-outline" title="Remove band">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    
+    row.querySelector('button').addEventListener('click', () => {
+        row.remove();
+        scheduleFeePreview();
+    });
+    
+    document.getElementById('feeBandRows').appendChild(row);
+    scheduleFeePreview();
+}
+
+function readFeeBands() {
+    const number = (row, selector) => {
+        const value = row.querySelector(selector).value;
+        return value === '' ? null : Number(value);
+    };
+    
+    return Array.from(document.querySelectorAll('#feeBandRows .fee-band-row')).map(row => ({
+        min_amount: number(row, '.band-min-amount'),
+        max_amount: number(row, '.band-max-amount'),
+        fee_type: row.querySelector('.band-fee-type').value,
+        fee_value: number(row, '.band-fee-value'),
+        min_fee: number(row, '.band-min-fee'),
+        max_fee: number(row, '.band-max-fee')
+    }));
+}
+
+// Preview after typing pauses, so every keystroke does not hit the API
+function scheduleFeePreview() {
+    clearTimeout(feePreviewTimer);
+    feePreviewTimer = setTimeout(updateFeePreview, 300);
+}
+
+async function updateFeePreview() {
+    const tbody = document.getElementById('feePreviewBody');
+    const bands = readFeeBands();
+    
+    if (bands.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" class="text-center">Add bands to preview charges</td></tr>';
+        return;
+    }
+    
+    const data = await apiCall('/fee-schedules/preview', {
+        method: 'POST',
+        body: JSON.stringify({ bands })
+    });
+    
+    if (!data || !data.success) {
+        tbody.innerHTML = `<tr><td colspan="3" class="text-muted">${describeErrors(data).replace(/\n/g, '<br>')}</td></tr>`;
+        return;
+    }
+    
+    tbody.innerHTML = data.data.charges.map(charge => `
+        <tr>
+            <td>KSh ${charge.amount.toLocaleString()}</td>
+            <td>KSh ${charge.transactionCharge.toLocaleString()}</td>
+            <td>KSh ${charge.totalAmount.toLocaleString()}</td>
+        </tr>
+    `).join('');
+}
+
+function showFeeScheduleModal(scheduleId = null) {
+    const schedule = feeSchedules.find(candidate => candidate.id === scheduleId);
+    const localTime = value => value ? moment.utc(value).local().format('YYYY-MM-DDTHH:mm') : '';
+    
+    editingFeeScheduleId = schedule ? schedule.id : null;
+    document.getElementById('feeScheduleModalTitle').textContent = schedule ? 'Edit Fee Schedule' : 'Add Fee Schedule';
+    document.getElementById('feeScheduleName').value = schedule ? schedule.name : '';
+    document.getElementById('feeScheduleScope').value = schedule ? schedule.scope : 'GLOBAL';
+    document.getElementById('feeScheduleScopeValue').value = schedule?.scope_value || '';
+    document.getElementById('feeScheduleEffectiveFrom').value = localTime(schedule?.effective_from);
+    document.getElementById('feeScheduleEffectiveFrom').min = moment().format('YYYY-MM-DDTHH:mm');
+    document.getElementById('feeScheduleEffectiveTo').value = localTime(schedule?.effective_to);
+    
+    document.getElementById('feeBandRows').innerHTML = '';
+    (schedule ? schedule.bands : [{ min_amount: 0 }]).forEach(band => addFeeBandRow(band));
+    
+    document.getElementById('feeScheduleModal').style.display = 'flex';
+}
+
+function closeFeeScheduleModal() {
+    document.getElementById('feeScheduleModal').style.display = 'none';
+    document.getElementById('feeScheduleForm').reset();
+    document.getElementById('feeBandRows').innerHTML = '';
+    editingFeeScheduleId = null;
+}
+
+document.getElementById('feeBandRows').addEventListener('input', scheduleFeePreview);
+
+// Fee schedule form handler
+document.getElementById('feeScheduleForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const scope = document.getElementById('feeScheduleScope').value;
+    const effectiveFrom = document.getElementById('feeScheduleEffectiveFrom').value;
+    const effectiveTo = document.getElementById('feeScheduleEffectiveTo').value;
+    const formData = {
+        name: document.getElementById('feeScheduleName').value,
+        scope: scope,
+        scope_value: scope === 'GLOBAL' ? null : document.getElementById('feeScheduleScopeValue').value,
+        effective_from: effectiveFrom ? new Date(effectiveFrom).toISOString() : null,
+        effective_to: effectiveTo ? new Date(effectiveTo).toISOString() : null,
+        bands: readFeeBands()
+    };
+    
+    try {
+        const data = await apiCall(editingFeeScheduleId ? `/fee-schedules/${editingFeeScheduleId}` : '/fee-schedules', {
+            method: editingFeeScheduleId ? 'PUT' : 'POST',
+            body: JSON.stringify(formData)
+        });
+        
+        if (data && data.success) {
+            closeFeeScheduleModal();
+            await loadSettings();
+        } else {
+            alert('Failed to save fee schedule:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to save fee schedule. Please try again.');
+    }
+});
+
+async function retireFeeSchedule(scheduleId) {
+    if (!confirm('Retire this fee schedule now? Charges fall back to the next schedule in effect.')) return;
+    
+    try {
+        const data = await apiCall(`/fee-schedules/${scheduleId}/retire`, { method: 'POST' });
+        
+        if (data && data.success) {
+            await loadSettings();
+        } else {
+            alert('Failed to retire fee schedule: ' + (data?.error || 'Unknown error'));
+        }
+    } catch (error) {
+        alert('Failed to retire fee schedule. Please try again.');
+    }
+}
+
+// Split rules functions
+let splitRules = [];
+
+function updateSplitRulesTable(rules) {
+    const tbody = document.getElementById('splitRulesBody');
+    splitRules = rules;
+    
+    if (rules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No split rules, the default owner/developer split applies</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = rules.map(rule => `
+        <tr class="${rule.is_active ? '' : 'text-muted'}">
+            <td>${rule.scope}${rule.scope_value ? ` ${rule.scope_value}` : ''}</td>
+            <td>${rule.leg}</td>
+            <td>${rule.account_number || (rule.leg === 'OWNER' ? 'Matatu owner' : 'Developer account')}</td>
+            <td>${rule.rule_type === 'PERCENTAGE' ? `${rule.value}%` : `KSh ${rule.value}`}</td>
+            <td>${rule.priority}</td>
+            <td>${rule.is_remainder ? 'Yes' : ''}</td>
+            <td>
+                <button class="btn btn-outline" title="${rule.is_active ? 'Deactivate' : 'Activate'}" onclick="toggleSplitRule(${rule.id})">
+                    <i class="fas ${rule.is_active ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function showAddSplitRuleModal() {
+    document.getElementById('addSplitRuleModal').style.display = 'flex';
+}
+
+function closeAddSplitRuleModal() {
+    document.getElementById('addSplitRuleModal').style.display = 'none';
+    document.getElementById('addSplitRuleForm').reset();
+}
+
+function describeErrors(data) {
+    if (data?.errors) {
+        return data.errors.map(error => error.message).join('\n');
+    }
+    return data?.error || 'Unknown error';
+}
+
+// Add split rule form handler
+document.getElementById('addSplitRuleForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    
+    const scope = document.getElementById('newRuleScope').value;
+    const leg = document.getElementById('newRuleLeg').value;
+    const formData = {
+        scope: scope,
+        scope_value: scope === 'GLOBAL' ? null : document.getElementById('newRuleScopeValue').value,
+        leg: leg,
+        account_number: ['OWNER', 'PLATFORM'].includes(leg) ? null : document.getElementById('newRuleAccount').value,
+        rule_type: document.getElementById('newRuleType').value,
+        value: parseFloat(document.getElementById('newRuleValue').value),
+        priority: parseInt(document.getElementById('newRulePriority').value),
+        is_remainder: document.getElementById('newRuleRemainder').checked
+    };
+    
+    try {
+        const data = await apiCall('/split-rules', {
+            method: 'POST',
+            body: JSON.stringify(formData)
+        });
+        
+        if (data && data.success) {
+            closeAddSplitRuleModal();
+            await loadSettings();
+        } else {
+            alert('Failed to add split rule:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to add split rule. Please try again.');
+    }
+});
+
+async function toggleSplitRule(ruleId) {
+    const rule = splitRules.find(candidate => candidate.id === ruleId);
+    if (!rule) return;
+    
+    try {
+        const data = await apiCall(`/split-rules/${ruleId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                scope: rule.scope,
+                scope_value: rule.scope_value,
+                leg: rule.leg,
+                account_number: rule.account_number,
+                rule_type: rule.rule_type,
+                value: rule.value,
+                priority: rule.priority,
+                is_remainder: !!rule.is_remainder,
+                is_active: !rule.is_active
+            })
+        });
+        
+        if (data && data.success) {
+            await loadSettings();
+        } else {
+            alert('Failed to update split rule:\n' + describeErrors(data));
+        }
+    } catch (error) {
+        alert('Failed to update split rule. Please try again.');
+    }
+}
+
 function refreshSettings() {
     loadSettings();
 }
@@ -608,10 +1620,12 @@ function refreshSettings() {
 // Logs functions
 async function loadLogs() {
     try {
-        const data = await apiCall('/logs');
+        const type = document.getElementById('logTypeFilter').value;
+        const data = await apiCall(`/logs${type ? `?type=${type}` : ''}`);
         if (!data || !data.success) return;
         
         updateLogsTable(data.data);
+        updateReconcilerSummary(data.reconciler || {});
         
     } catch (error) {
         console.error('Failed to load logs:', error);
@@ -622,7 +1636,7 @@ function updateLogsTable(logs) {
     const tbody = document.getElementById('logsBody');
     
     if (logs.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No logs found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No logs found</td></tr>';
         return;
     }
     
@@ -631,13 +1645,34 @@ function updateLogsTable(logs) {
             <td>${log.type}</td>
             <td>${log.reference}</td>
             <td><span class="status-badge status-${(log.status || '').toLowerCase()}">${log.status || 'N/A'}</span></td>
-            <td>KSh ${log.amount || 0}</td>
+            <td>${log.amount !== null && log.amount !== undefined ? `KSh ${log.amount}` : 'N/A'}</td>
             <td>${log.phone_number || 'N/A'}</td>
+            <td>${log.details || ''}</td>
             <td>${moment(log.created_at).format('MMM DD, YYYY HH:mm')}</td>
         </tr>
     `).join('');
 }
 
+function updateReconcilerSummary(summary) {
+    const container = document.getElementById('reconcilerSummary');
+    
+    if (!summary.total_runs) {
+        container.innerHTML = '<p>No reconciler runs in the last 24 hours.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <p>
+            <strong>${summary.total_runs}</strong> runs, last ${moment(summary.last_run_at).fromNow()} &mdash;
+            checked ${summary.checked || 0},
+            completed ${summary.completed || 0},
+            failed ${summary.failed || 0},
+            expired ${summary.expired || 0},
+            errors ${summary.errors || 0}
+        </p>
+    `;
+}
+
 function refreshLogs() {
     loadLogs();
 }
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
@@ -9,12 +10,58 @@ const { v4: uuidv4 } = require('uuid');
 // Import custom modules
 const { validate, businessRules, sanitize } = require('./utils/validation');
 const MoneySplitter = require('./utils/money-split');
+const { t, fromAcceptLanguage } = require('./utils/messages');
 const MpesaService = require('./services/mpesa-service');
 const dashboardRoutes = require('./routes/dashboard');
+const DarajaSimulator = require('./services/daraja-simulator');
+const AirtelMoneyService = require('./services/airtel-service');
+const AirtelSimulator = require('./services/airtel-simulator');
+const { PaymentProviderRegistry, AIRTEL_PREFIXES } = require('./services/payment-provider');
+const IdempotencyStore = require('./utils/idempotency');
+const TransactionReconciler = require('./services/transaction-reconciler');
+const PayoutService = require('./services/payout-service');
+const RefundService = require('./services/refund-service');
+const CallbackSecurity = require('./utils/callback-security');
+const PaymentEvents = require('./services/payment-events');
+const LedgerService = require('./services/ledger-service');
+const SettingsService = require('./services/settings-service');
+const PaymentQuotes = require('./services/payment-quotes');
+const FareService = require('./services/fare-service');
+const PaymentService = require('./services/payment-service');
+const ReceiptService = require('./services/receipt-service');
+const PhonePreferences = require('./services/phone-preferences');
+const OwnerService = require('./services/owner-service');
+const { createSmsProvider } = require('./services/sms-providers');
+const SmsService = require('./services/sms-service');
+const SmsNotifications = require('./services/sms-notifications');
+const UssdEngine = require('./services/ussd-engine');
+const { createUssdMenu } = require('./services/ussd-menus');
+const {
+    UssdGatewayRegistry,
+    AfricasTalkingGateway,
+    SafaricomGateway,
+    JsonGateway
+} = require('./services/ussd-gateways');
+const mpesaConfig = require('./config/mpesa');
+const airtelConfig = require('./config/airtel');
+const smsConfig = require('./config/sms');
+const ussdConfig = require('./config/ussd');
+
+// Callbacks move money, so they are never accepted without a secret to check them against
+if (!mpesaConfig.callbackSecret) {
+    console.error('MPESA_CALLBACK_SECRET is not set. Set it to a long random value before starting MOBIPAY.');
+    process.exit(1);
+}
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust it so req.ip is the real caller (used by the callback IP allowlist)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -24,60 +71,242 @@ app.use(bodyParser.urlencoded({ extended: true }));
 app.use('/dashboard', express.static(path.join(__dirname, 'public')));
 app.use('/api/dashboard', dashboardRoutes);
 
+// Payment API errors are returned in the caller's language (Accept-Language, English by default)
+app.use('/api/payment', (req, res, next) => {
+    req.locale = fromAcceptLanguage(req.get('Accept-Language'));
+    res.set('Content-Language', req.locale);
+    next();
+});
+
 // Database connection
 const dbPath = path.join(__dirname, 'database', 'mobipay.db');
 const db = new sqlite3.Database(dbPath);
 
 // Initialize services
 const moneySplitter = new MoneySplitter(db);
+const settingsService = new SettingsService(db);
+const paymentQuotes = new PaymentQuotes(db, moneySplitter);
+const fareService = new FareService(db);
+const idempotencyStore = new IdempotencyStore(db);
+const callbackSecurity = new CallbackSecurity(mpesaConfig);
+
+const mpesaService = new MpesaService(mpesaConfig);
+const airtelService = new AirtelMoneyService(airtelConfig);
+
+// M-Pesa handles every number not on an Airtel prefix
+const paymentProviders = new PaymentProviderRegistry(mpesaService)
+    .register(airtelService, AIRTEL_PREFIXES);
+
+// Live status pushes over socket.io (see services/payment-events.js)
+const paymentEvents = new PaymentEvents(db, paymentProviders);
+paymentEvents.attach(server);
+
+// Double-entry ledger behind every payment, refund and payout (see services/ledger-service.js)
+const ledgerService = new LedgerService(db);
+
+/**
+ * Follow-up for a transaction that was created or changed status:
+ * settle its quoted split and post it to the ledger once completed (or void the split
+ * if it failed), push the new state to subscribers and send the SMS due once completed.
+ * Never throws, so a failed posting cannot break a callback (retried on the next start).
+ */
+const transactionChanged = async (transactionId) => {
+    try {
+        await moneySplitter.settleSplits(transactionId);
+        await ledgerService.postPayment(transactionId);
+    } catch (error) {
+        console.error(`Failed to post ${transactionId} to the ledger:`, error);
+    }
 
-// M-Pesa configuration
-const mpesaConfig = {
-    consumerKey: process.env.MPESA_CONSUMER_KEY || '',
-    consumerSecret: process.env.MPESA_CONSUMER_SECRET || '',
-    shortcode: process.env.MPESA_SHORTCODE || '',
-    passkey: process.env.MPESA_PASSKEY || '',
-    callbackUrl: process.env.MPESA_CALLBACK_URL || `http://localhost:${PORT}/api/mpesa/callback`,
-    environment: process.env.MPESA_ENVIRONMENT || 'sandbox'
+    paymentEvents.publish(transactionId);
+
+    // Not awaited, a slow SMS gateway must not hold up the callback response
+    smsNotifications.paymentCompleted(transactionId)
+        .catch(error => console.error(`Failed to send SMS for ${transactionId}:`, error));
 };
 
-const mpesaService = new MpesaService(mpesaConfig);
+const transactionReconciler = new TransactionReconciler(db, paymentProviders, transactionChanged);
+const payoutService = new PayoutService(db, mpesaService);
+const refundService = new RefundService(db, mpesaService);
+
+// Quote and initiate flows shared by the REST API and USSD (see services/payment-service.js)
+const paymentService = new PaymentService(db, {
+    moneySplitter,
+    paymentQuotes,
+    fareService,
+    paymentProviders,
+    callbackSecurity,
+    callbackUrl: mpesaConfig.callbackUrl,
+    onTransactionChanged: transactionChanged
+});
+
+// Receipts and owner alerts by SMS (provider chosen by SMS_PROVIDER, see config/sms.js)
+const smsService = new SmsService(db, createSmsProvider(smsConfig));
+const receiptService = new ReceiptService(db, smsService);
+const phonePreferences = new PhonePreferences(db);
+const ownerService = new OwnerService(db, payoutService);
+const smsNotifications = new SmsNotifications(db, { smsService, phonePreferences, ownerService });
+const ussdEngine = new UssdEngine(db, createUssdMenu({
+    db,
+    fareService,
+    paymentService,
+    receiptService,
+    phonePreferences,
+    ownerService
+}));
 
-// Utility function to log transactions
-const logTransaction = (transactionData) => {
+// Offline Daraja simulator, mounted in-process unless an external one is configured
+if (mpesaConfig.environment === 'simulator' && !process.env.MPESA_SIMULATOR_URL) {
+    const darajaSimulator = new DarajaSimulator({
+        consumerKey: mpesaConfig.consumerKey,
+        consumerSecret: mpesaConfig.consumerSecret,
+        shortcode: mpesaConfig.shortcode,
+        passkey: mpesaConfig.passkey,
+        defaultScenario: process.env.MPESA_SIMULATOR_SCENARIO,
+        callbackDelay: process.env.MPESA_SIMULATOR_CALLBACK_DELAY !== undefined
+            ? parseInt(process.env.MPESA_SIMULATOR_CALLBACK_DELAY)
+            : undefined,
+        autoResolve: process.env.MPESA_SIMULATOR_AUTO_RESOLVE !== 'false',
+        b2cScenario: process.env.MPESA_SIMULATOR_B2C_SCENARIO,
+        reversalScenario: process.env.MPESA_SIMULATOR_REVERSAL_SCENARIO
+    });
+
+    app.use('/mock/daraja', darajaSimulator.createRouter());
+
+    // Feature-phone page that walks through USSD payments and answers the simulated STK prompts (dev only).
+    // Kept in simulator/ rather than public/, which is served to everyone under /dashboard.
+    if (process.env.NODE_ENV !== 'production') {
+        // The page posts to /api/ussd like Africa's Talking, so it needs that gateway's key
+        app.get('/simulator/phone/ussd-key', (req, res) => res.json({ key: ussdConfig.africastalking.secret }));
+        app.use('/simulator/phone', express.static(path.join(__dirname, 'simulator'), { index: 'phone-simulator.html' }));
+    }
+}
+
+// Offline Airtel Money simulator, mounted the same way
+if (airtelConfig.environment === 'simulator' && !process.env.AIRTEL_SIMULATOR_URL) {
+    const airtelSimulator = new AirtelSimulator({
+        clientId: airtelConfig.clientId,
+        clientSecret: airtelConfig.clientSecret,
+        callbackUrl: airtelConfig.callbackUrl,
+        callbackSecret: airtelConfig.callbackSecret,
+        defaultScenario: process.env.AIRTEL_SIMULATOR_SCENARIO,
+        callbackDelay: process.env.AIRTEL_SIMULATOR_CALLBACK_DELAY !== undefined
+            ? parseInt(process.env.AIRTEL_SIMULATOR_CALLBACK_DELAY)
+            : undefined,
+        autoResolve: process.env.AIRTEL_SIMULATOR_AUTO_RESOLVE !== 'false'
+    });
+
+    app.use('/mock/airtel', airtelSimulator.createRouter());
+}
+
+/**
+ * Run a transactions UPDATE
+ * @returns {Promise<number>} - Rows changed
+ */
+const updateTransaction = (query, params) => {
     return new Promise((resolve, reject) => {
-        const query = `
-            INSERT INTO transactions (
-                transaction_id, matatu_code, phone_number, amount, 
-                transaction_charge, total_amount, owner_share, developer_share,
-                status, mpesa_request_id, checkout_request_id
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-        
-        const params = [
-            transactionData.transactionId,
-            transactionData.matatuCode,
-            transactionData.phoneNumber,
-            transactionData.amount,
-            transactionData.transactionCharge,
-            transactionData.totalAmount,
-            transactionData.ownerShare,
-            transactionData.developerShare,
-            transactionData.status,
-            transactionData.mpesaRequestId || null,
-            transactionData.checkoutRequestId || null
-        ];
-        
         db.run(query, params, function(err) {
             if (err) {
                 reject(err);
                 return;
             }
-            resolve({ id: this.lastID, transactionId: transactionData.transactionId });
+            resolve(this.changes);
         });
     });
 };
 
+/**
+ * Apply a provider callback to its transaction, once
+ * Only a PENDING transaction takes the status the callback reports. One already resolved
+ * without a callback (status query, reconciler or expiry) keeps its status and just records
+ * the callback, except that a success on an EXPIRED or FAILED transaction is flagged
+ * LATE_PAYMENT: the passenger was charged for a payment we closed, so it needs a refund.
+ * @param {object} row - Transaction row (transaction_id, total_amount, callback_received_at)
+ * @param {object} callbackResult - Output of the provider's parseCallback()
+ * @param {object} payload - Raw callback body, kept for failure analysis
+ * @returns {Promise<object>} - { status, duplicate }, status is null when it was left as it was
+ */
+const recordPaymentCallback = async (row, callbackResult, payload) => {
+    if (row.callback_received_at) {
+        console.log(`Duplicate callback for ${row.transaction_id} ignored`);
+        return { status: null, duplicate: true };
+    }
+
+    // A successful payment for a different amount is flagged for review instead of completed.
+    // Providers that do not report the amount (Airtel) are trusted on the amount pushed.
+    let status = callbackResult.success ? 'COMPLETED' : 'FAILED';
+    if (callbackResult.success && callbackResult.amount !== null && callbackResult.amount !== undefined &&
+        Number(callbackResult.amount) !== row.total_amount) {
+        console.error(`Amount mismatch for ${row.transaction_id}: expected ${row.total_amount}, provider reported ${callbackResult.amount}`);
+        status = 'AMOUNT_MISMATCH';
+    }
+
+    // Result and raw callback are kept for failure analysis, with what was actually taken
+    // so the ledger can post money held for review (see LedgerService.postSuspense())
+    const receivedAmount = callbackResult.success
+        ? Number(callbackResult.amount ?? row.total_amount)
+        : null;
+    const callbackParams = [
+        receivedAmount,
+        callbackResult.receiptNumber || null,
+        callbackResult.resultCode,
+        callbackResult.resultDesc,
+        JSON.stringify(payload),
+        row.transaction_id
+    ];
+
+    const applied = await updateTransaction(`
+        UPDATE transactions 
+        SET status = ?, received_amount = ?, mpesa_receipt_number = ?, result_code = ?, result_desc = ?,
+            callback_payload = ?, callback_received_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND callback_received_at IS NULL AND status = 'PENDING'
+    `, [status, ...callbackParams]);
+
+    if (applied) {
+        console.log(`Transaction ${row.transaction_id} updated to ${status}`);
+        transactionChanged(row.transaction_id);
+        return { status, duplicate: false };
+    }
+
+    if (callbackResult.success) {
+        const flagged = await updateTransaction(`
+            UPDATE transactions
+            SET status = 'LATE_PAYMENT', received_amount = ?, mpesa_receipt_number = ?, result_code = ?, result_desc = ?,
+                callback_payload = ?, callback_received_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE transaction_id = ? AND callback_received_at IS NULL AND status IN ('EXPIRED', 'FAILED')
+        `, callbackParams);
+
+        if (flagged) {
+            console.error(`Late payment for closed transaction ${row.transaction_id} flagged for refund`);
+            transactionChanged(row.transaction_id);
+            return { status: 'LATE_PAYMENT', duplicate: false };
+        }
+    }
+
+    // Already resolved: keep its status, taking the receipt number of a success if it has none
+    const recorded = await updateTransaction(`
+        UPDATE transactions
+        SET mpesa_receipt_number = COALESCE(mpesa_receipt_number, ?),
+            callback_payload = ?, callback_received_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND callback_received_at IS NULL
+    `, [
+        callbackResult.success ? callbackResult.receiptNumber || null : null,
+        JSON.stringify(payload),
+        row.transaction_id
+    ]);
+
+    if (!recorded) {
+        console.log(`Duplicate callback for ${row.transaction_id} ignored`);
+        return { status: null, duplicate: true };
+    }
+
+    console.log(`Callback for ${row.transaction_id} recorded, transaction was already resolved`);
+    return { status: null, duplicate: false };
+};
+
 // API Routes
 
 /**
@@ -88,11 +317,18 @@ app.get('/', (req, res) => {
         message: 'Welcome to MOBIPAY - Lipa Matatu na Code',
         version: '1.0.0',
         endpoints: {
+            quote: '/api/payment/quote',
+            fares: '/api/matatus/:matatuCode/fares',
             payment: '/api/payment/initiate',
             status: '/api/payment/status/:transactionId',
             callback: '/api/mpesa/callback',
+            airtelCallback: '/api/airtel/callback',
+            c2bValidation: '/api/mpesa/c2b/validation',
+            c2bConfirmation: '/api/mpesa/c2b/confirmation',
             history: '/api/payment/history/:matatuCode',
-            ussd: '/api/ussd'
+            ussd: '/api/ussd',
+            smsDeliveryReport: '/api/sms/delivery-report',
+            liveStatus: `socket.io ${PaymentEvents.NAMESPACE}`
         }
     });
 });
@@ -109,117 +345,104 @@ app.get('/api/health', (req, res) => {
 });
 
 /**
- * Initiate payment endpoint
+ * Payment quote endpoint
+ * Returns exactly what initiate would charge, with a quote ID initiate accepts for a short while
  */
-app.post('/api/payment/initiate', async (req, res) => {
+app.get('/api/payment/quote', async (req, res) => {
     try {
-        const { matatu_code, phone_number, amount } = req.body;
-
-        // Sanitize inputs
-        const cleanMatatuCode = sanitize.cleanMatatuCode(matatu_code);
-        const cleanPhoneNumber = sanitize.cleanPhoneNumber(phone_number);
-        const cleanAmount = sanitize.cleanAmount(amount);
-
-        // Validate input data
-        const validation = validate.validatePaymentRequest({
-            matatu_code: cleanMatatuCode,
-            phone_number: cleanPhoneNumber,
-            amount: cleanAmount
-        });
+        const quote = await paymentService.quote(req.query, req.locale);
 
-        if (!validation.isValid) {
-            return res.status(400).json({
-                success: false,
-                errors: validation.errors
-            });
-        }
+        res.json({
+            success: true,
+            data: quote
+        });
 
-        // Validate matatu code exists
-        const matatuValidation = await businessRules.validateMatatuCodeExists(db, cleanMatatuCode);
-        if (!matatuValidation.isValid) {
-            return res.status(400).json({
+    } catch (error) {
+        if (error instanceof PaymentService.PaymentError) {
+            return res.status(error.statusCode).json({
                 success: false,
-                error: matatuValidation.error
+                ...error.toResponse(req.locale)
             });
         }
 
-        // Calculate transaction charge
-        const transactionCharge = businessRules.calculateTransactionCharge(cleanAmount);
-        const totalAmount = cleanAmount + transactionCharge;
+        console.error('Payment quote error:', error);
+        res.status(500).json({
+            success: false,
+            error: t(req.locale, 'error.internal')
+        });
+    }
+});
 
-        // Execute money split
-        const splitResult = await moneySplitter.executeSplit(cleanMatatuCode, cleanAmount, transactionCharge);
-        if (!splitResult.success) {
-            return res.status(500).json({
+/**
+ * Route stages and current stage fares of a matatu, for passengers picking stages
+ */
+app.get('/api/matatus/:matatuCode/fares', async (req, res) => {
+    try {
+        const validation = validate.validateMatatuCode(sanitize.cleanMatatuCode(req.params.matatuCode) || '');
+        if (!validation.isValid) {
+            return res.status(400).json({
                 success: false,
-                error: splitResult.error
+                error: validation.error
             });
         }
 
-        // Generate transaction ID
-        const transactionId = `MOBI${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+        const fares = await fareService.getMatatuFares(validation.value, req.query.at);
 
-        // Initiate M-Pesa STK Push
-        const stkPushResult = await mpesaService.stkPush(
-            cleanPhoneNumber,
-            totalAmount,
-            transactionId,
-            `MOBIPAY Payment - Matatu ${cleanMatatuCode}`
-        );
+        res.json({
+            success: true,
+            data: fares
+        });
 
-        if (!stkPushResult.success) {
-            return res.status(500).json({
+    } catch (error) {
+        if (error instanceof FareService.FareError) {
+            return res.status(error.statusCode).json({
                 success: false,
-                error: 'Failed to initiate payment',
-                details: stkPushResult.error
+                error: error.message
             });
         }
 
-        // Log transaction to database
-        const transactionData = {
-            transactionId: transactionId,
-            matatuCode: cleanMatatuCode,
-            phoneNumber: cleanPhoneNumber,
-            amount: cleanAmount,
-            transactionCharge: transactionCharge,
-            totalAmount: totalAmount,
-            ownerShare: splitResult.data.accounts.owner.shareAmount,
-            developerShare: splitResult.data.accounts.developer.shareAmount,
-            status: 'PENDING',
-            mpesaRequestId: stkPushResult.data.merchantRequestId,
-            checkoutRequestId: stkPushResult.data.checkoutRequestId
-        };
+        console.error('Matatu fares error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
 
-        await logTransaction(transactionData);
+// Idempotency keys belong to the paying phone number, so callers cannot collide on a key
+const idempotencyScope = (req) => sanitize.cleanPhoneNumber(
+    req.body?.phone_number ? String(req.body.phone_number) : null
+);
 
-        // Log split execution
-        await moneySplitter.logSplitExecution(transactionId, splitResult.data);
+/**
+ * Initiate payment endpoint
+ * Accepts an optional Idempotency-Key header so retries do not push twice,
+ * an optional quote_id to pay the total shown by /api/payment/quote, and
+ * boarding_stage_id / alighting_stage_id to pay the stage fare instead of an amount
+ */
+app.post('/api/payment/initiate', idempotencyStore.middleware(idempotencyScope), async (req, res) => {
+    try {
+        const payment = await paymentService.initiate(req.body, req.locale);
 
         // Return success response
         res.json({
             success: true,
             message: 'Payment initiated successfully',
-            data: {
-                transactionId: transactionId,
-                amount: cleanAmount,
-                transactionCharge: transactionCharge,
-                totalAmount: totalAmount,
-                phoneNumber: cleanPhoneNumber,
-                matatuCode: cleanMatatuCode,
-                checkoutRequestId: stkPushResult.data.checkoutRequestId,
-                customerMessage: stkPushResult.data.customerMessage,
-                split: {
-                    ownerShare: splitResult.data.accounts.owner.shareAmount,
-                    developerShare: splitResult.data.accounts.developer.shareAmount
-                }
-            }
+            data: payment
         });
 
     } catch (error) {
+        if (error instanceof PaymentService.PaymentError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                ...error.toResponse(req.locale)
+            });
+        }
+
         console.error('Payment initiation error:', error);
         res.status(500).json({
             success: false,
-            error: 'Internal server error'
+            error: t(req.locale, 'error.internal')
         });
     }
 });
@@ -244,38 +467,49 @@ app.get('/api/payment/status/:transactionId', async (req, res) => {
                 console.error('Database error:', err);
                 return res.status(500).json({
                     success: false,
-                    error: 'Database error'
+                    error: t(req.locale, 'error.database')
                 });
             }
 
             if (!transaction) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Transaction not found'
+                    error: t(req.locale, 'error.transactionNotFound')
                 });
             }
 
-            // If transaction is still pending and has checkout request ID, query M-Pesa
+            // If transaction is still pending and has checkout request ID, query its provider
             if (transaction.status === 'PENDING' && transaction.checkout_request_id) {
-                const queryResult = await mpesaService.stkPushQuery(transaction.checkout_request_id);
+                const queryResult = await paymentProviders.get(transaction.provider)
+                    .query(transaction.checkout_request_id);
                 
-                if (queryResult.success && queryResult.data.resultCode !== undefined) {
-                    const newStatus = queryResult.data.resultCode === 0 ? 'COMPLETED' : 'FAILED';
+                if (queryResult.success && queryResult.data.resolved) {
+                    const newStatus = queryResult.data.paid ? 'COMPLETED' : 'FAILED';
                     
                     // Update transaction status in database
                     const updateQuery = `
                         UPDATE transactions 
-                        SET status = ?, updated_at = CURRENT_TIMESTAMP
-                        WHERE transaction_id = ?
+                        SET status = ?, result_code = ?, result_desc = ?, updated_at = CURRENT_TIMESTAMP
+                        WHERE transaction_id = ? AND status = 'PENDING'
                     `;
-                    
-                    db.run(updateQuery, [newStatus, transactionId], (updateErr) => {
-                        if (updateErr) {
-                            console.error('Status update error:', updateErr);
-                        }
+
+                    // Only a still-PENDING row is resolved, a callback may have landed meanwhile
+                    const changes = await updateTransaction(updateQuery, [
+                        newStatus,
+                        queryResult.data.resultCode,
+                        queryResult.data.resultDesc,
+                        transactionId
+                    ]).catch(updateErr => {
+                        console.error('Status update error:', updateErr);
+                        return 0;
                     });
-                    
-                    transaction.status = newStatus;
+
+                    if (changes) {
+                        transactionChanged(transactionId);
+                        transaction.status = newStatus;
+                        transaction.result_code = queryResult.data.resultCode;
+                        transaction.result_desc = queryResult.data.resultDesc;
+                    }
                 }
             }
 
@@ -283,6 +517,7 @@ app.get('/api/payment/status/:transactionId', async (req, res) => {
                 success: true,
                 data: {
                     transactionId: transaction.transaction_id,
+                    shortCode: transaction.short_code,
                     matatuCode: transaction.matatu_code,
                     route: transaction.route_name,
                     phoneNumber: transaction.phone_number,
@@ -290,9 +525,20 @@ app.get('/api/payment/status/:transactionId', async (req, res) => {
                     transactionCharge: transaction.transaction_charge,
                     totalAmount: transaction.total_amount,
                     status: transaction.status,
+                    provider: transaction.provider,
                     mpesaReceiptNumber: transaction.mpesa_receipt_number,
                     ownerShare: transaction.owner_share,
                     developerShare: transaction.developer_share,
+                    splitStatus: transaction.split_status,
+                    quotedOwnerShare: transaction.quoted_owner_share,
+                    quotedDeveloperShare: transaction.quoted_developer_share,
+                    resultCode: transaction.result_code,
+                    resultDesc: transaction.result_desc,
+                    failureReason: transaction.status === 'FAILED' && transaction.result_code !== null && transaction.result_code !== undefined
+                        ? paymentProviders.getStatusMessage(transaction.provider, transaction.result_code, req.locale)
+                        : null,
+                    callbackReceivedAt: transaction.callback_received_at,
+                    callback: transaction.callback_payload ? JSON.parse(transaction.callback_payload) : null,
                     createdAt: transaction.created_at,
                     updatedAt: transaction.updated_at
                 }
@@ -303,7 +549,7 @@ app.get('/api/payment/status/:transactionId', async (req, res) => {
         console.error('Status check error:', error);
         res.status(500).json({
             success: false,
-            error: 'Internal server error'
+            error: t(req.locale, 'error.internal')
         });
     }
 });
@@ -311,7 +557,7 @@ app.get('/api/payment/status/:transactionId', async (req, res) => {
 /**
  * M-Pesa callback endpoint
  */
-app.post('/api/mpesa/callback', async (req, res) => {
+app.post('/api/mpesa/callback', callbackSecurity.middleware(), async (req, res) => {
     try {
         console.log('M-Pesa Callback received:', JSON.stringify(req.body, null, 2));
 
@@ -323,42 +569,42 @@ app.post('/api/mpesa/callback', async (req, res) => {
         }
 
         // Process callback data
-        const callbackResult = mpesaService.processCallback(req.body);
+        const callbackResult = mpesaService.parseCallback(req.body);
         
         // Find transaction by checkout request ID
         const query = `
-            SELECT transaction_id FROM transactions 
+            SELECT transaction_id, total_amount, callback_received_at FROM transactions 
             WHERE checkout_request_id = ?
         `;
 
-        db.get(query, [callbackResult.checkoutRequestId], (err, row) => {
+        db.get(query, [callbackResult.providerRequestId], async (err, row) => {
             if (err) {
                 console.error('Database error in callback:', err);
                 return res.status(500).json({ error: 'Database error' });
             }
 
             if (!row) {
-                console.error('Transaction not found for checkout ID:', callbackResult.checkoutRequestId);
+                console.error('Transaction not found for checkout ID:', callbackResult.providerRequestId);
                 return res.status(404).json({ error: 'Transaction not found' });
             }
 
-            // Update transaction status
-            const status = callbackResult.success ? 'COMPLETED' : 'FAILED';
-            const updateQuery = `
-                UPDATE transactions 
-                SET status = ?, mpesa_receipt_number = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE transaction_id = ?
-            `;
-
-            db.run(updateQuery, [status, callbackResult.mpesaReceiptNumber, row.transaction_id], (updateErr) => {
-                if (updateErr) {
-                    console.error('Transaction update error:', updateErr);
-                    return res.status(500).json({ error: 'Update failed' });
+            // The token is signed for one transaction, so it cannot be reused for another checkout
+            if (row.transaction_id !== req.query.transactionId) {
+                console.warn(`Rejected M-Pesa callback: token for ${req.query.transactionId} used for ${row.transaction_id}`);
+                return res.status(403).json({ error: 'Invalid callback token' });
+            }
+
+            try {
+                const result = await recordPaymentCallback(row, callbackResult, req.body);
+                if (result.duplicate) {
+                    return res.json({ success: true, message: 'Duplicate callback ignored' });
                 }
 
-                console.log(`Transaction ${row.transaction_id} updated to ${status}`);
                 res.json({ success: true, message: 'Callback processed successfully' });
-            });
+            } catch (updateErr) {
+                console.error('Transaction update error:', updateErr);
+                res.status(500).json({ error: 'Update failed' });
+            }
         });
 
     } catch (error) {
@@ -367,6 +613,349 @@ app.post('/api/mpesa/callback', async (req, res) => {
     }
 });
 
+/**
+ * Airtel Money callback endpoint
+ * Airtel posts every collection result to the callback URL registered on its portal
+ */
+app.post('/api/airtel/callback', async (req, res) => {
+    try {
+        console.log('Airtel Money Callback received:', JSON.stringify(req.body, null, 2));
+
+        // Validate callback data
+        const validation = airtelService.validateCallback(req.body);
+        if (!validation.isValid) {
+            console.error('Invalid Airtel callback:', validation.error);
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (!airtelService.verifyCallbackHash(req.body)) {
+            console.warn(`Rejected Airtel callback from ${req.ip}: ${airtelConfig.callbackSecret ? 'missing or invalid hash' : 'AIRTEL_CALLBACK_SECRET is not set'}`);
+            return res.status(403).json({ error: 'Invalid callback hash' });
+        }
+
+        const callbackResult = airtelService.parseCallback(req.body);
+
+        const query = `
+            SELECT transaction_id, total_amount, callback_received_at FROM transactions 
+            WHERE checkout_request_id = ? AND provider = 'AIRTEL'
+        `;
+
+        db.get(query, [callbackResult.providerRequestId], async (err, row) => {
+            if (err) {
+                console.error('Database error in Airtel callback:', err);
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            if (!row) {
+                console.error('Transaction not found for Airtel transaction ID:', callbackResult.providerRequestId);
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+
+            try {
+                const result = await recordPaymentCallback(row, callbackResult, req.body);
+                if (result.duplicate) {
+                    return res.json({ success: true, message: 'Duplicate callback ignored' });
+                }
+
+                res.json({ success: true, message: 'Callback processed successfully' });
+            } catch (updateErr) {
+                console.error('Transaction update error:', updateErr);
+                res.status(500).json({ error: 'Update failed' });
+            }
+        });
+
+    } catch (error) {
+        console.error('Airtel callback processing error:', error);
+        res.status(500).json({ error: 'Callback processing failed' });
+    }
+});
+
+/**
+ * M-Pesa C2B validation endpoint (Paybill/Till, matatu code as account number)
+ */
+app.post('/api/mpesa/c2b/validation', callbackSecurity.middleware(CallbackSecurity.C2B_CALLBACK_ID), async (req, res) => {
+    try {
+        console.log('M-Pesa C2B validation received:', JSON.stringify(req.body, null, 2));
+
+        const validation = mpesaService.validateC2BRequest(req.body);
+        if (!validation.isValid) {
+            console.error('Invalid C2B validation request:', validation.error);
+            return res.json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+        }
+
+        const payment = mpesaService.processC2BRequest(req.body);
+        const cleanMatatuCode = sanitize.cleanMatatuCode(payment.accountReference);
+
+        // Reject unknown or inactive matatu codes (C2B00012 = Invalid Account Number)
+        const codeValidation = validate.validateMatatuCode(cleanMatatuCode);
+        const matatuValidation = codeValidation.isValid
+            ? await businessRules.validateMatatuCodeExists(db, cleanMatatuCode)
+            : codeValidation;
+
+        if (!matatuValidation.isValid) {
+            console.log(`C2B payment rejected for account "${payment.accountReference}": ${matatuValidation.error}`);
+            return res.json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+        }
+
+        // Reject amounts below the minimum fare once the charge is taken out (C2B00013 = Invalid Amount)
+        const { amount } = await businessRules.splitInclusiveAmount(db, payment.amount, cleanMatatuCode);
+        if (!validate.validateAmount(amount).isValid) {
+            console.log(`C2B payment rejected for amount ${payment.amount}`);
+            return res.json({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+        }
+
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('C2B validation error:', error);
+        res.json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+    }
+});
+
+/**
+ * M-Pesa C2B confirmation endpoint
+ */
+app.post('/api/mpesa/c2b/confirmation', callbackSecurity.middleware(CallbackSecurity.C2B_CALLBACK_ID), async (req, res) => {
+    try {
+        console.log('M-Pesa C2B confirmation received:', JSON.stringify(req.body, null, 2));
+
+        const validation = mpesaService.validateC2BRequest(req.body);
+        if (!validation.isValid) {
+            console.error('Invalid C2B confirmation:', validation.error);
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const payment = mpesaService.processC2BRequest(req.body);
+
+        // Safaricom may resend confirmations, the receipt number identifies the payment
+        const existing = await new Promise((resolve, reject) => {
+            db.get(
+                'SELECT transaction_id FROM transactions WHERE mpesa_receipt_number = ?',
+                [payment.mpesaReceiptNumber],
+                (err, row) => err ? reject(err) : resolve(row)
+            );
+        });
+
+        if (existing) {
+            console.log(`Duplicate C2B confirmation ${payment.mpesaReceiptNumber} ignored`);
+            return res.json({ ResultCode: 0, ResultDesc: 'Success' });
+        }
+
+        const cleanMatatuCode = sanitize.cleanMatatuCode(payment.accountReference) || payment.accountReference;
+        const { amount, transactionCharge, totalAmount } = await businessRules.splitInclusiveAmount(db, payment.amount, cleanMatatuCode);
+        const transactionId = `MOBI${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+
+        const splitResult = await moneySplitter.executeSplit(cleanMatatuCode, amount, transactionCharge);
+
+        // Money was already received, so an unknown code is kept for manual matching instead of dropped
+        const transactionData = {
+            transactionId: transactionId,
+            matatuCode: cleanMatatuCode,
+            phoneNumber: sanitize.cleanPhoneNumber(payment.phoneNumber) || payment.phoneNumber || '',
+            amount: amount,
+            transactionCharge: transactionCharge,
+            totalAmount: totalAmount,
+            quotedOwnerShare: splitResult.success ? splitResult.data.accounts.owner.shareAmount : 0,
+            quotedDeveloperShare: splitResult.success ? splitResult.data.accounts.developer.shareAmount : 0,
+            splitStatus: splitResult.success ? 'QUOTED' : 'VOID',
+            status: splitResult.success ? 'COMPLETED' : 'UNMATCHED',
+            mpesaReceiptNumber: payment.mpesaReceiptNumber,
+            channel: 'C2B'
+        };
+
+        await paymentService.logTransaction(transactionData);
+
+        if (splitResult.success) {
+            await moneySplitter.logSplitQuote(transactionId, splitResult.data);
+        } else {
+            console.error(`C2B payment ${payment.mpesaReceiptNumber} could not be matched: ${splitResult.error}`);
+        }
+
+        console.log(`C2B transaction ${transactionId} recorded as ${transactionData.status}`);
+        await transactionChanged(transactionId);
+        res.json({ ResultCode: 0, ResultDesc: 'Success' });
+
+    } catch (error) {
+        console.error('C2B confirmation error:', error);
+        res.status(500).json({ error: 'C2B confirmation processing failed' });
+    }
+});
+
+/**
+ * Whether a B2C or reversal result was posted to the URL signed for the payout or refund
+ * it belongs to (callbackSecurity.middleware() has already checked the token itself)
+ * @param {string} signedId - Payout or refund ID the conversation belongs to, if found
+ */
+function isSignedFor(req, signedId) {
+    if (signedId && signedId !== req.query.transactionId) {
+        console.warn(`Rejected M-Pesa result: token for ${req.query.transactionId} used for ${signedId}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * M-Pesa B2C result endpoint (owner payouts)
+ */
+app.post('/api/mpesa/b2c/result', callbackSecurity.middleware(), async (req, res) => {
+    try {
+        console.log('M-Pesa B2C result received:', JSON.stringify(req.body, null, 2));
+
+        const validation = mpesaService.validateB2CResult(req.body);
+        if (!validation.isValid) {
+            console.error('Invalid B2C result:', validation.error);
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const result = mpesaService.processB2CResult(req.body);
+        const payout = await payoutService.findPayoutByConversation(result.conversationId, result.originatorConversationId);
+        if (!isSignedFor(req, payout?.payout_id)) {
+            return res.status(403).json({ error: 'Invalid callback token' });
+        }
+
+        const outcome = await payoutService.handleResult(result);
+
+        if (!outcome.found) {
+            console.error('Payout not found for conversation ID:', result.conversationId);
+            return res.status(404).json({ error: 'Payout not found' });
+        }
+
+        console.log(`Payout ${outcome.payout.payout_id} is ${outcome.payout.status}`);
+        if (!outcome.ignored && outcome.payout.status === 'COMPLETED') {
+            try {
+                await ledgerService.postPayout(outcome.payout.payout_id);
+            } catch (error) {
+                console.error(`Failed to post payout ${outcome.payout.payout_id} to the ledger:`, error);
+            }
+        }
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('B2C result processing error:', error);
+        res.status(500).json({ error: 'B2C result processing failed' });
+    }
+});
+
+/**
+ * M-Pesa B2C queue timeout endpoint (owner payouts)
+ */
+app.post('/api/mpesa/b2c/timeout', callbackSecurity.middleware(), async (req, res) => {
+    try {
+        console.log('M-Pesa B2C timeout received:', JSON.stringify(req.body, null, 2));
+
+        const result = req.body?.Result || req.body || {};
+        const payout = await payoutService.findPayoutByConversation(result.ConversationID, result.OriginatorConversationID);
+        if (!isSignedFor(req, payout?.payout_id)) {
+            return res.status(403).json({ error: 'Invalid callback token' });
+        }
+
+        const outcome = await payoutService.handleTimeout(result.ConversationID, result.OriginatorConversationID);
+
+        if (!outcome.found) {
+            console.error('Payout not found for timeout:', result.ConversationID || result.OriginatorConversationID);
+            return res.status(404).json({ error: 'Payout not found' });
+        }
+
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('B2C timeout processing error:', error);
+        res.status(500).json({ error: 'B2C timeout processing failed' });
+    }
+});
+
+/**
+ * M-Pesa Reversal result endpoint (refunds)
+ */
+app.post('/api/mpesa/reversal/result', callbackSecurity.middleware(), async (req, res) => {
+    try {
+        console.log('M-Pesa reversal result received:', JSON.stringify(req.body, null, 2));
+
+        const validation = mpesaService.validateReversalResult(req.body);
+        if (!validation.isValid) {
+            console.error('Invalid reversal result:', validation.error);
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const result = mpesaService.processReversalResult(req.body);
+        const refund = await refundService.findRefundByConversation(result.conversationId, result.originatorConversationId);
+        if (!isSignedFor(req, refund?.refund_id)) {
+            return res.status(403).json({ error: 'Invalid callback token' });
+        }
+
+        const outcome = await refundService.handleResult(result);
+
+        if (!outcome.found) {
+            console.error('Refund not found for conversation ID:', result.conversationId);
+            return res.status(404).json({ error: 'Refund not found' });
+        }
+
+        console.log(`Refund ${outcome.refund.refund_id} is ${outcome.refund.status}`);
+        if (!outcome.ignored && outcome.refund.status === 'COMPLETED') {
+            try {
+                await ledgerService.postRefund(outcome.refund.refund_id);
+            } catch (error) {
+                console.error(`Failed to post refund ${outcome.refund.refund_id} to the ledger:`, error);
+            }
+            paymentEvents.publish(outcome.refund.transaction_id);
+        }
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('Reversal result processing error:', error);
+        res.status(500).json({ error: 'Reversal result processing failed' });
+    }
+});
+
+/**
+ * M-Pesa Reversal queue timeout endpoint (refunds)
+ */
+app.post('/api/mpesa/reversal/timeout', callbackSecurity.middleware(), async (req, res) => {
+    try {
+        console.log('M-Pesa reversal timeout received:', JSON.stringify(req.body, null, 2));
+
+        const result = req.body?.Result || req.body || {};
+        const refund = await refundService.findRefundByConversation(result.ConversationID, result.OriginatorConversationID);
+        if (!isSignedFor(req, refund?.refund_id)) {
+            return res.status(403).json({ error: 'Invalid callback token' });
+        }
+
+        const outcome = await refundService.handleTimeout(result.ConversationID, result.OriginatorConversationID);
+
+        if (!outcome.found) {
+            console.error('Refund not found for timeout:', result.ConversationID || result.OriginatorConversationID);
+            return res.status(404).json({ error: 'Refund not found' });
+        }
+
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    } catch (error) {
+        console.error('Reversal timeout processing error:', error);
+        res.status(500).json({ error: 'Reversal timeout processing failed' });
+    }
+});
+
+/**
+ * SMS delivery report endpoint
+ * Set as the delivery report URL on the SMS gateway; the provider's parser reads the body.
+ */
+app.post('/api/sms/delivery-report', async (req, res) => {
+    try {
+        const outcome = await smsService.handleDeliveryReport(req.body);
+
+        if (!outcome.found) {
+            console.error('SMS not found for delivery report:', JSON.stringify(req.body));
+            return res.status(404).json({ error: 'SMS not found' });
+        }
+
+        res.json({ received: true, status: outcome.message.status });
+
+    } catch (error) {
+        console.error('SMS delivery report processing error:', error);
+        res.status(500).json({ error: 'Delivery report processing failed' });
+    }
+});
+
 /**
  * Get transaction history for a matatu
  */
@@ -390,84 +979,33 @@ app.get('/api/payment/history/:matatuCode', async (req, res) => {
         console.error('History fetch error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch transaction history'
+            error: t(req.locale, 'error.historyFailed')
         });
     }
 });
 
 /**
- * USSD endpoint (basic structure)
+ * USSD endpoints, one route per gateway format (see services/ussd-gateways.js)
+ * Menus are defined in services/ussd-menus.js; the engine keeps each session's position.
+ * /api/ussd keeps the Africa's Talking format, so existing gateway set-ups keep working.
  */
-app.post('/api/ussd', async (req, res) => {
-    try {
-        const { sessionId, serviceCode, phoneNumber, text } = req.body;
-
-        // Clean phone number
-        const cleanPhone = sanitize.cleanPhoneNumber(phoneNumber);
-
-        // Basic USSD flow
-        let response = '';
-
-        if (text === '') {
-            // Main menu
-            response = `CON Welcome to MOBIPAY - Lipa Matatu na Code
-1. Make Payment
-2. Check Transaction Status
-3. Help`;
-        } else if (text === '1') {
-            // Payment option
-            response = 'CON Enter Matatu Code (1-4 digits):';
-        } else if (text.startsWith('1*')) {
-            const inputs = text.split('*');
-            if (inputs.length === 2) {
-                // Matatu code entered, ask for amount
-                const matatuCode = inputs[1];
-                const validation = validate.validateMatatuCode(matatuCode);
-                
-                if (!validation.isValid) {
-                    response = `END ${validation.error}`;
-                } else {
-                    response = 'CON Enter amount (Min KSh 50):';
-                }
-            } else if (inputs.length === 3) {
-                // Amount entered, process payment
-                const matatuCode = inputs[1];
-                const amount = parseInt(inputs[2]);
-                
-                const transactionCharge = businessRules.calculateTransactionCharge(amount);
-                const totalAmount = amount + transactionCharge;
-                
-                response = `END Payment request sent!
-Fare: KSh ${amount}
-Service Fee: KSh ${transactionCharge}
-Total: KSh ${totalAmount}
-You will receive STK push shortly.`;
-                
-                // Here you would trigger the actual payment process
-                // Similar to the /api/payment/initiate endpoint
-            }
-        } else if (text === '2') {
-            response = 'CON Enter Transaction ID to check status:';
-        } else if (text === '3') {
-            response = `END MOBIPAY Help:
-- Dial this code to pay matatu fare
-- Enter matatu code (4 digits max)
-- Enter amount (min KSh 50)
-- Complete payment via M-Pesa
-For support call: 0700000000`;
-        } else {
-            response = 'END Invalid option. Please try again.';
-        }
+const ussdGateways = new UssdGatewayRegistry()
+    .register(new AfricasTalkingGateway(ussdConfig.africastalking), ['/api/ussd', '/api/ussd/africastalking'])
+    .register(new SafaricomGateway(ussdConfig.safaricom), '/api/ussd/safaricom')
+    .register(new JsonGateway(ussdConfig.json), '/api/ussd/json');
 
-        res.set('Content-Type', 'text/plain');
-        res.send(response);
+app.use(ussdGateways.createRouter(async (request) => {
+    const validation = validate.validateUssdSession({
+        ...request,
+        phoneNumber: sanitize.cleanPhoneNumber(request.phoneNumber ? String(request.phoneNumber) : null)
+    });
 
-    } catch (error) {
-        console.error('USSD error:', error);
-        res.set('Content-Type', 'text/plain');
-        res.send('END Service temporarily unavailable. Please try again later.');
+    if (!validation.isValid) {
+        return 'END Invalid USSD request.';
     }
-});
+
+    return ussdEngine.handle(validation.value);
+}));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -486,16 +1024,75 @@ app.use('*', (req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server (HTTP and socket.io share the port)
+server.listen(PORT, () => {
     console.log(`🚀 MOBIPAY Server running on port ${PORT}`);
     console.log(`📱 API endpoints available at http://localhost:${PORT}`);
+    console.log(`📡 Live payment status at ws://localhost:${PORT}${PaymentEvents.NAMESPACE}`);
     console.log(`🔗 M-Pesa callback URL: ${mpesaConfig.callbackUrl}`);
+    if (mpesaConfig.environment === 'simulator') {
+        console.log(`🧪 Using offline Daraja simulator at ${mpesaConfig.simulatorUrl}`);
+    }
+    console.log(`🔗 Airtel Money callback URL: ${airtelConfig.callbackUrl}`);
+    if (!airtelConfig.callbackSecret) {
+        console.warn('⚠️  AIRTEL_CALLBACK_SECRET is not set, every Airtel Money callback will be rejected');
+    }
+    console.log(`📨 SMS provider: ${smsService.provider.name}`);
+    ussdGateways.routes
+        .filter(({ gateway }) => !gateway.isConfigured())
+        .forEach(({ path, gateway }) => {
+            console.warn(`⚠️  USSD_${gateway.name}_SECRET and USSD_${gateway.name}_IP_ALLOWLIST are not set, ${path} rejects every request`);
+        });
+    if (airtelConfig.environment === 'simulator') {
+        console.log(`🧪 Using offline Airtel Money simulator at ${airtelConfig.simulatorUrl}`);
+    }
+
+    if (mpesaConfig.environment !== 'simulator' && !callbackSecurity.ipAllowlist.length) {
+        console.warn('⚠️  MPESA_CALLBACK_IP_ALLOWLIST is not set, M-Pesa and C2B callbacks are only checked by their token');
+    }
+
+    // Register Paybill/Till URLs with Safaricom when asked to (signed, see CallbackSecurity)
+    if (process.env.MPESA_C2B_REGISTER_URLS === 'true') {
+        mpesaService.registerC2BUrls(mpesaConfig.c2bValidationUrl, mpesaConfig.c2bConfirmationUrl)
+            .then(result => {
+                if (result.success) {
+                    console.log('🔗 C2B validation and confirmation URLs registered');
+                } else {
+                    console.error('C2B URL registration failed:', result.error);
+                }
+            });
+    }
+
+    // Settle quotes left open by a crash, then post what the ledger does not have yet
+    moneySplitter.settleSplits()
+        .then(() => ledgerService.backfill())
+        .then(counts => {
+            if (counts.payments || counts.refunds || counts.payouts) {
+                console.log(`📒 Ledger backfilled: ${counts.payments} payments, ${counts.refunds} refunds, ${counts.payouts} payouts`);
+            }
+        })
+        .catch(error => console.error('Ledger backfill failed:', error));
+
+    // Apply future-dated setting changes when they fall due
+    settingsService.start();
+
+    // Background reconciler for PENDING transactions whose callback never arrived
+    transactionReconciler.start();
+
+    // Scheduled B2C payouts of owner earnings (enable with the payout_enabled setting)
+    payoutService.start();
+
+    // End-of-day SMS summaries for owners who asked for them
+    smsNotifications.start();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n📴 Shutting down MOBIPAY server...');
+    settingsService.stop();
+    transactionReconciler.stop();
+    payoutService.stop();
+    smsNotifications.stop();
     db.close((err) => {
         if (err) {
             console.error('Error closing database:', err.message);
@@ -0,0 +1,313 @@
+// MOBIPAY Phone Simulator JavaScript
+// Plays the USSD gateway and the passenger's phone: each dial is a new sessionId, each
+// entry is sent as the full `text` so far, and pending STK pushes from the offline Daraja
+// simulator are shown as the M-Pesa prompt.
+
+// API Configuration
+const USSD_URL = '/api/ussd';
+const USSD_KEY_URL = '/simulator/phone/ussd-key';
+const DARAJA_SIMULATOR_URL = '/mock/daraja/simulator';
+const PAYMENT_STATUS_URL = '/api/payment/status';
+
+// How often pending STK pushes are checked
+const PROMPT_POLL_MS = 1500;
+
+// Global variables
+let session = null;       // { sessionId, phoneNumber, serviceCode, inputs, active }
+let prompt = null;        // Simulated STK push being shown
+let pollTimer = null;
+let ussdKey = null;       // Africa's Talking gateway key the server gave the simulator
+
+// Initialize simulator
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('dialForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        dial();
+    });
+
+    document.getElementById('sendButton').addEventListener('click', sendInput);
+    document.getElementById('cancelButton').addEventListener('click', cancelSession);
+    document.getElementById('acceptButton').addEventListener('click', acceptPrompt);
+    document.getElementById('declineButton').addEventListener('click', () => resolvePrompt('cancelled'));
+    document.getElementById('timeoutButton').addEventListener('click', () => resolvePrompt('timeout'));
+
+    document.getElementById('ussdInput').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            sendInput();
+        }
+    });
+
+    document.getElementById('stkPin').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            acceptPrompt();
+        }
+    });
+});
+
+// Phone number as the gateway and Daraja send it (254XXXXXXXXX)
+function normalizePhoneNumber(value) {
+    const digits = String(value).replace(/\D/g, '');
+
+    if (digits.startsWith('0')) {
+        return `254${digits.substring(1)}`;
+    }
+    if (digits.length === 9) {
+        return `254${digits}`;
+    }
+    return digits;
+}
+
+// Start a new USSD session
+async function dial() {
+    const phoneNumber = normalizePhoneNumber(document.getElementById('phoneNumber').value);
+    const serviceCode = document.getElementById('serviceCode').value.trim();
+
+    if (!/^254\d{9}$/.test(phoneNumber)) {
+        logEvent('Enter a Kenyan phone number, e.g. 0712345678');
+        return;
+    }
+
+    session = {
+        sessionId: `SIM${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
+        phoneNumber: phoneNumber,
+        serviceCode: serviceCode,
+        inputs: [],
+        active: true
+    };
+
+    logEvent(`Dialled ${serviceCode} from ${phoneNumber} (session ${session.sessionId})`);
+
+    await holdPrompts(phoneNumber);
+    startPolling();
+    await sendUssd();
+}
+
+// Send what was typed on the current screen
+async function sendInput() {
+    const input = document.getElementById('ussdInput');
+    if (!session || !session.active) {
+        return;
+    }
+
+    session.inputs.push(input.value.trim());
+    input.value = '';
+    await sendUssd();
+}
+
+// Key the USSD endpoint expects from the gateway, fetched once
+async function getUssdKey() {
+    if (ussdKey === null) {
+        const response = await fetch(USSD_KEY_URL);
+        ussdKey = (await response.json()).key || '';
+    }
+    return ussdKey;
+}
+
+// Post the session's full text to the USSD endpoint and show the reply
+async function sendUssd() {
+    const text = session.inputs.join('*');
+
+    try {
+        const response = await fetch(USSD_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-USSD-Key': await getUssdKey()
+            },
+            body: JSON.stringify({
+                sessionId: session.sessionId,
+                serviceCode: session.serviceCode,
+                phoneNumber: session.phoneNumber,
+                text: text
+            })
+        });
+
+        const reply = await response.text();
+        const ended = !reply.startsWith('CON ');
+
+        showUssd(reply.replace(/^(CON|END) /, ''), !ended);
+
+        if (ended) {
+            session.active = false;
+            logEvent(`Session ended: ${reply.replace(/^END /, '').split('\n')[0]}`);
+        }
+
+    } catch (error) {
+        console.error('USSD request error:', error);
+        showUssd('Connection problem or invalid MMI code.', false);
+        session.active = false;
+    }
+}
+
+// End the session from the phone (the gateway stops sending, the server session times out)
+function cancelSession() {
+    if (!session || !session.active) {
+        return;
+    }
+
+    session.active = false;
+    showUssd('Session cancelled.', false);
+    logEvent('USSD session cancelled on the phone');
+}
+
+// Keep this number's STK pushes pending until the tester answers them
+async function holdPrompts(phoneNumber) {
+    try {
+        const response = await fetch(`${DARAJA_SIMULATOR_URL}/phones/${phoneNumber}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ manual: true })
+        });
+
+        if (!response.ok) {
+            logEvent('The Daraja simulator is not running, STK prompts will not be shown (set MPESA_ENVIRONMENT=simulator)');
+        }
+
+    } catch (error) {
+        console.error('Simulator hold error:', error);
+    }
+}
+
+// Check for STK pushes waiting on the dialled number
+function startPolling() {
+    if (pollTimer) {
+        return;
+    }
+
+    pollTimer = setInterval(checkPrompts, PROMPT_POLL_MS);
+}
+
+async function checkPrompts() {
+    if (!session || prompt) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${DARAJA_SIMULATOR_URL}/requests`);
+        if (!response.ok) {
+            return;
+        }
+
+        const data = await response.json();
+        const pending = data.data
+            .filter(request => request.phoneNumber === session.phoneNumber && request.status === 'PENDING')
+            .pop(); // Oldest first
+
+        if (pending) {
+            showPrompt(pending);
+        }
+
+    } catch (error) {
+        console.error('Simulator poll error:', error);
+    }
+}
+
+// Accept the prompt, like entering the M-Pesa PIN
+function acceptPrompt() {
+    const pin = document.getElementById('stkPin').value;
+    if (!/^\d{4}$/.test(pin)) {
+        logEvent('Enter a 4-digit M-Pesa PIN (any PIN is accepted)');
+        return;
+    }
+
+    resolvePrompt('success');
+}
+
+// Answer the prompt with one of the simulator scenarios and report the payment's new status
+async function resolvePrompt(scenario) {
+    if (!prompt) {
+        return;
+    }
+
+    const request = prompt;
+    hidePrompt();
+
+    try {
+        const response = await fetch(`${DARAJA_SIMULATOR_URL}/requests/${request.checkoutRequestId}/resolve`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ scenario })
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            logEvent(`Prompt could not be answered: ${data.error}`);
+            return;
+        }
+
+        const resolved = data.data.request;
+        logEvent(`STK ${scenario}: ${resolved.resultDesc} (callback HTTP ${resolved.callbackStatus})`);
+
+        const statusResponse = await fetch(`${PAYMENT_STATUS_URL}/${resolved.accountReference}`);
+        const status = await statusResponse.json();
+        if (status.success) {
+            logEvent(`Payment ${status.data.transactionId} is ${status.data.status}` +
+                (status.data.mpesaReceiptNumber ? ` (receipt ${status.data.mpesaReceiptNumber})` : ''));
+        }
+
+    } catch (error) {
+        console.error('Prompt resolve error:', error);
+        logEvent('Prompt could not be answered, see the console');
+    }
+}
+
+// Screen functions
+function showUssd(text, expectsInput) {
+    document.getElementById('ussdText').textContent = text;
+    document.getElementById('ussdInput').disabled = !expectsInput;
+    document.getElementById('sendButton').disabled = !expectsInput;
+    document.getElementById('cancelButton').disabled = !expectsInput;
+    document.getElementById('sessionLabel').textContent = expectsInput ? 'USSD' : 'Idle';
+
+    if (expectsInput) {
+        document.getElementById('ussdInput').focus();
+    }
+}
+
+function showPrompt(request) {
+    prompt = request;
+
+    document.getElementById('stkText').textContent =
+        `${request.transactionDesc || 'M-Pesa payment'}\n\n` +
+        `Do you want to pay Ksh ${request.amount} to MOBIPAY?\n` +
+        `Account no. ${request.accountReference}\n\n` +
+        'Enter M-PESA PIN:';
+    document.getElementById('stkPin').value = '';
+
+    document.getElementById('ussdView').style.display = 'none';
+    document.getElementById('ussdKeys').style.display = 'none';
+    document.getElementById('stkView').style.display = 'flex';
+    document.getElementById('stkKeys').style.display = 'flex';
+    document.getElementById('sessionLabel').textContent = 'M-PESA';
+    document.getElementById('stkPin').focus();
+
+    logEvent(`STK prompt: KSh ${request.amount} for ${request.accountReference}`);
+}
+
+function hidePrompt() {
+    prompt = null;
+
+    document.getElementById('stkView').style.display = 'none';
+    document.getElementById('stkKeys').style.display = 'none';
+    document.getElementById('ussdView').style.display = 'flex';
+    document.getElementById('ussdKeys').style.display = 'flex';
+    document.getElementById('sessionLabel').textContent = session && session.active ? 'USSD' : 'Idle';
+}
+
+// Event log, newest first
+function logEvent(message) {
+    const item = document.createElement('li');
+    const time = document.createElement('span');
+
+    time.className = 'event-time';
+    time.textContent = new Date().toLocaleTimeString();
+    item.appendChild(time);
+    item.appendChild(document.createTextNode(message));
+
+    const log = document.getElementById('eventLog');
+    log.insertBefore(item, log.firstChild);
+}